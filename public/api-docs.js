@@ -0,0 +1,191 @@
+// Cloud Platform Comparison Tool - API reference page built from the OpenAPI document
+
+class ApiReference {
+    constructor() {
+        this.index = document.getElementById('api-index');
+        this.operations = document.getElementById('api-operations');
+        this.components = document.getElementById('api-components');
+        this.document = null;
+    }
+
+    async load() {
+        try {
+            // Relative, so /api/v2/docs describes /api/v2
+            const response = await fetch('openapi.json');
+            this.document = await response.json();
+            this.render();
+        } catch (error) {
+            console.error('Failed to load the OpenAPI document:', error);
+            this.operations.innerHTML = '<div class="error-section">Unable to load the OpenAPI document</div>';
+        }
+    }
+
+    render() {
+        const groups = {};
+        for (const [path, methods] of Object.entries(this.document.paths)) {
+            for (const [method, operation] of Object.entries(methods)) {
+                const tag = operation.tags?.[0] || 'api';
+                (groups[tag] = groups[tag] || []).push({ path, method, operation });
+            }
+        }
+
+        let index = `<h2>${this.escape(this.document.info.title)} ${this.escape(this.document.info.version)}</h2>` +
+            `<p>Base URL: <code>${this.escape(this.document.servers[0].url)}</code></p>`;
+        let operations = '';
+        for (const [tag, entries] of Object.entries(groups)) {
+            index += `<h3>${this.escape(tag)}</h3><ul class="api-index-list">`;
+            for (const entry of entries) {
+                const id = entry.operation.operationId;
+                index += `<li><a href="#${id}"><span class="api-method api-method-${entry.method}">${entry.method.toUpperCase()}</span> ${this.escape(entry.path)}</a></li>`;
+                operations += this.renderOperation(entry);
+            }
+            index += '</ul>';
+        }
+
+        this.index.innerHTML = index;
+        this.operations.innerHTML = operations;
+        this.components.innerHTML = '<h2>Schemas</h2>' + Object.entries(this.document.components.schemas)
+            .map(([name, schema]) => `<h3 id="schema-${name}">${this.escape(name)}</h3>${this.renderSchema(schema)}`)
+            .join('');
+
+        this.operations.querySelectorAll('form.api-try').forEach(form => {
+            form.addEventListener('submit', (e) => this.handleTry(e));
+        });
+    }
+
+    renderOperation({ path, method, operation }) {
+        const parameters = operation.parameters || [];
+        const body = operation.requestBody?.content['application/json'].schema;
+
+        let html = `<article id="${operation.operationId}" class="form-section api-operation">`;
+        html += `<h2><span class="api-method api-method-${method}">${method.toUpperCase()}</span> ${this.escape(path)}</h2>`;
+        if (operation.deprecated) {
+            html += '<p class="help-text">Deprecated: use a versioned base URL such as /api/v2 instead.</p>';
+        }
+        html += `<p>${this.escape(operation.summary || '')}</p>`;
+
+        if (parameters.length > 0) {
+            html += '<h3>Parameters</h3><table class="api-table"><tr><th>Name</th><th>In</th><th>Required</th><th>Schema</th></tr>';
+            for (const parameter of parameters) {
+                html += `<tr><td>${this.escape(parameter.name)}</td><td>${parameter.in}</td><td>${parameter.required ? 'yes' : 'no'}</td>` +
+                    `<td>${this.renderSchema(parameter.schema)}</td></tr>`;
+            }
+            html += '</table>';
+        }
+
+        if (body) {
+            html += `<h3>Request body</h3>${this.renderSchema(body)}`;
+        }
+
+        html += '<h3>Responses</h3><table class="api-table"><tr><th>Status</th><th>Description</th><th>Schema</th></tr>';
+        for (const [status, response] of Object.entries(operation.responses)) {
+            const schema = response.content?.['application/json'].schema;
+            html += `<tr><td>${status}</td><td>${this.escape(response.description)}</td><td>${schema ? this.renderSchema(schema) : ''}</td></tr>`;
+        }
+        html += '</table>';
+
+        // Try-it form
+        html += `<form class="api-try" data-path="${this.escape(path)}" data-method="${method}"><h3>Try it</h3>`;
+        for (const parameter of parameters) {
+            html += `<div class="form-group"><label>${this.escape(parameter.name)} (${parameter.in})</label>` +
+                `<input type="text" name="${this.escape(parameter.name)}" data-in="${parameter.in}"></div>`;
+        }
+        if (body) {
+            const example = JSON.stringify(this.exampleFor(body), null, 2);
+            html += `<div class="form-group"><label>Body</label><textarea name="body" rows="8">${this.escape(example)}</textarea></div>`;
+        }
+        html += '<button type="submit">Send request</button><pre class="api-result" hidden></pre></form>';
+
+        return html + '</article>';
+    }
+
+    renderSchema(schema) {
+        const json = this.escape(JSON.stringify(schema, null, 2))
+            .replace(/&quot;#\/components\/schemas\/(\w+)&quot;/g, '<a href="#schema-$1">&quot;#/components/schemas/$1&quot;</a>');
+        return `<pre class="api-schema">${json}</pre>`;
+    }
+
+    async handleTry(event) {
+        event.preventDefault();
+        const form = event.target;
+        const result = form.querySelector('.api-result');
+        const query = new URLSearchParams();
+        let path = this.document.servers[0].url + form.dataset.path;
+
+        form.querySelectorAll('input[data-in]').forEach(input => {
+            if (input.value === '') return;
+            if (input.dataset.in === 'path') {
+                path = path.replace(`{${input.name}}`, encodeURIComponent(input.value));
+            } else {
+                query.append(input.name, input.value);
+            }
+        });
+
+        const options = { method: form.dataset.method.toUpperCase(), headers: { 'Content-Type': 'application/json' } };
+        if (form.elements.body) {
+            options.body = form.elements.body.value;
+        }
+
+        result.hidden = false;
+        try {
+            const response = await fetch(query.toString() ? `${path}?${query}` : path, options);
+            const text = await response.text();
+            let formatted = text;
+            try {
+                formatted = JSON.stringify(JSON.parse(text), null, 2);
+            } catch (error) {
+                // Not JSON; show the body as sent
+            }
+            result.textContent = `${response.status} ${response.statusText}\n\n${formatted}`;
+        } catch (error) {
+            result.textContent = `Request failed: ${error.message}`;
+        }
+    }
+
+    // Smallest value with the structure a schema requires, as a starting point for requests
+    exampleFor(schema) {
+        if (schema.$ref) {
+            return this.exampleFor(this.document.components.schemas[schema.$ref.split('/').pop()]);
+        }
+        if (schema.anyOf || schema.oneOf) {
+            return this.exampleFor((schema.anyOf || schema.oneOf)[0]);
+        }
+        if (schema.enum) return schema.enum[0];
+        if (schema.const !== undefined) return schema.const;
+
+        const type = [].concat(schema.type || 'object')[0];
+        switch (type) {
+            case 'object': {
+                const example = {};
+                for (const name of schema.required || []) {
+                    example[name] = this.exampleFor(schema.properties?.[name] || {});
+                }
+                return example;
+            }
+            case 'array':
+                return schema.minItems > 0 ? [this.exampleFor(schema.items || {})] : [];
+            case 'integer':
+            case 'number':
+                return schema.minimum ?? 0;
+            case 'boolean':
+                return false;
+            case 'null':
+                return null;
+            default:
+                return '';
+        }
+    }
+
+    escape(value) {
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;');
+    }
+}
+
+// Initialize the reference page when the DOM is loaded
+document.addEventListener('DOMContentLoaded', () => {
+    new ApiReference().load();
+});
@@ -69,7 +69,8 @@ class ComparisonTool {
             budget: formData.get('budget'),
             experience: formData.get('experience'),
             workload: formData.get('workload'),
-            priorities: priorities
+            priorities: priorities,
+            filterMode: formData.get('filterMode') || 'none'
         };
     }
 
@@ -134,7 +135,7 @@ class ComparisonTool {
     }
 
     async makeComparisonRequest(constraints) {
-        return fetch('/api/compare', {
+        return fetch('/api/v2/compare', {
             method: 'POST',
             headers: {
                 'Content-Type': 'application/json',
@@ -153,15 +154,18 @@ class ComparisonTool {
             html += this.renderConstraintSummary(results.constraintSummary);
         }
 
-        // Display each provider
+        // Display each provider returned by the registry-driven comparison
         if (results.providers) {
-            ['aws', 'azure', 'gcp'].forEach(provider => {
-                if (results.providers[provider]) {
-                    html += this.renderProvider(provider, results.providers[provider]);
-                }
+            Object.entries(results.providers).forEach(([provider, data]) => {
+                html += this.renderProvider(provider, data);
             });
         }
 
+        // Display providers removed by hard filters
+        if (results.filtering) {
+            html += this.renderDisqualifiedProviders(results.filtering);
+        }
+
         // Display cross-provider analysis
         if (results.crossProviderAnalysis) {
             html += this.renderCrossProviderAnalysis(results.crossProviderAnalysis);
@@ -193,15 +197,12 @@ class ComparisonTool {
     }
 
     renderProvider(providerKey, provider) {
-        const providerNames = {
-            aws: 'Amazon Web Services (AWS)',
-            azure: 'Microsoft Azure',
-            gcp: 'Google Cloud Platform (GCP)'
-        };
+        const disqualified = provider.status === 'disqualified';
 
         return `
-            <div class="provider-section">
-                <h3>${providerNames[providerKey]}</h3>
+            <div class="provider-section${disqualified ? ' disqualified' : ''}">
+                <h3>${provider.displayName || providerKey.toUpperCase()}${disqualified ? ' <span class="status-badge">Disqualified</span>' : ''}</h3>
+                ${disqualified ? this.renderFailedFilters(provider.failedFilters) : ''}
                 
                 <h4>Strengths</h4>
                 <ul class="strengths-list">
@@ -222,6 +223,93 @@ class ComparisonTool {
                 <div class="trade-offs-content">
                     <p>${provider.tradeOffs || 'No trade-off information available'}</p>
                 </div>
+                ${provider.explanation ? this.renderExplanation(provider.explanation) : ''}
+            </div>
+        `;
+    }
+
+    renderExplanation(explanation) {
+        const rows = Object.entries(explanation.dimensions || {}).map(([dimension, detail]) => {
+            const subScores = Object.entries(detail.subScores || {})
+                .map(([name, score]) => `${name}: ${score}`)
+                .join(', ');
+            const sources = Object.entries(detail.weightSources || {})
+                .filter(([, share]) => share > 0)
+                .map(([source, share]) => `${source} ${(share * 100).toFixed(1)}%`)
+                .join(', ');
+
+            return `
+                <tr>
+                    <td>${dimension}</td>
+                    <td>${subScores}</td>
+                    <td>${detail.score}</td>
+                    <td>${(detail.weight * 100).toFixed(1)}%</td>
+                    <td>${detail.contribution}</td>
+                    <td>${sources || '-'}</td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <details class="score-explanation">
+                <summary>Score breakdown (total ${explanation.totalScore})</summary>
+                <table>
+                    <thead>
+                        <tr>
+                            <th>Dimension</th>
+                            <th>Sub-scores</th>
+                            <th>Score</th>
+                            <th>Weight</th>
+                            <th>Contribution</th>
+                            <th>Weight sources</th>
+                        </tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </details>
+        `;
+    }
+
+    renderFailedFilters(failedFilters) {
+        if (!failedFilters || failedFilters.length === 0) {
+            return '';
+        }
+
+        return `
+            <ul class="failed-filters-list">
+                ${failedFilters.map(filter => `<li>${this.describeFilter(filter)}</li>`).join('')}
+            </ul>
+        `;
+    }
+
+    describeFilter(filter) {
+        const requirements = [];
+        if (filter.criteria?.min !== undefined) requirements.push(`>= ${filter.criteria.min}`);
+        if (filter.criteria?.max !== undefined) requirements.push(`<= ${filter.criteria.max}`);
+        if (filter.criteria?.coverage) requirements.push('certification');
+        if (filter.criteria?.minRegions !== undefined) {
+            requirements.push(`>= ${filter.criteria.minRegions} regions with ${filter.criteria.minAvailabilityZones}+ zones`);
+        }
+
+        const actual = filter.actual === null || filter.actual === undefined ? 'missing' : filter.actual;
+        return `<code>${filter.path}</code> ${requirements.join(' and ')} required by ${filter.source} (actual: ${actual})`;
+    }
+
+    renderDisqualifiedProviders(filtering) {
+        const excluded = (filtering.disqualifiedProviders || []).filter(provider => provider.excluded);
+        if (excluded.length === 0) {
+            return '';
+        }
+
+        return `
+            <div class="disqualified-providers">
+                <h3>Excluded by Hard Filters</h3>
+                ${excluded.map(provider => `
+                    <div class="disqualified-item">
+                        <strong>${provider.displayName || provider.name.toUpperCase()}</strong>
+                        ${this.renderFailedFilters(provider.failedFilters)}
+                    </div>
+                `).join('')}
             </div>
         `;
     }
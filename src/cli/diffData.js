@@ -0,0 +1,175 @@
+#!/usr/bin/env node
+// Command-line provider data diff: compares two data versions, or a candidate
+// provider file against the data in data/, without starting the server
+
+const fs = require('fs').promises;
+const path = require('path');
+const { dataManager } = require('../data/dataManager');
+const { ruleSetManager } = require('../config/ruleSetManager');
+const { dataDiffer } = require('../engine/dataDiffer');
+
+const USAGE = `Usage: npm run diff-data -- [options]
+
+  --candidate <file>   Provider file to compare against the base (e.g. an edited data/gcp.json)
+  --from <version>     Base data version (default: the files in data/)
+  --to <version>       Data version to compare with the base
+  --scenarios <file>   JSON array of { name, constraints } scenarios (default: reference scenarios)
+  --json               Print the full report as JSON
+  --help               Show this help`;
+
+/**
+ * Parse command-line arguments
+ * @param {Array} args - Arguments after the script name
+ * @returns {Object} - Parsed options
+ */
+function parseArgs(args) {
+  const options = { json: false };
+  const valued = ['--candidate', '--from', '--to', '--scenarios'];
+
+  for (let index = 0; index < args.length; index++) {
+    const arg = args[index];
+    if (arg === '--json') {
+      options.json = true;
+    } else if (arg === '--help' || arg === '-h') {
+      options.help = true;
+    } else if (valued.includes(arg) && args[index + 1] !== undefined) {
+      options[arg.slice(2)] = args[++index];
+    } else {
+      throw new Error(`Unknown or incomplete argument: ${arg}`);
+    }
+  }
+
+  return options;
+}
+
+/**
+ * @param {number} value - Signed change
+ * @returns {string} - Change with an explicit sign
+ */
+function signed(value) {
+  return value > 0 ? `+${value}` : `${value}`;
+}
+
+/**
+ * Render a diff report as plain text
+ * @param {Object} report - Result of dataDiffer.compare()
+ * @returns {string} - Text report
+ */
+function formatReport(report) {
+  const target = report.to.candidate ? `candidate ${report.to.candidate}` : report.to.version;
+  const lines = [`Provider data diff: ${report.from.version} -> ${target}`, ''];
+
+  if (report.providers.added.length > 0) {
+    lines.push(`Added providers: ${report.providers.added.join(', ')}`);
+  }
+  if (report.providers.removed.length > 0) {
+    lines.push(`Removed providers: ${report.providers.removed.join(', ')}`);
+  }
+  if (report.providers.changed.length === 0 && report.providers.added.length === 0 && report.providers.removed.length === 0) {
+    lines.push('No provider data changes');
+  }
+
+  for (const [name, changes] of Object.entries(report.changes)) {
+    lines.push(name);
+    for (const score of changes.scores) {
+      const delta = score.delta === null ? '' : ` (${signed(score.delta)})`;
+      lines.push(`  ${score.path}: ${score.before} -> ${score.after}${delta}`);
+    }
+    for (const field of ['strengths', 'weaknesses', 'idealUseCases']) {
+      for (const entry of changes[field].added) lines.push(`  + ${field}: ${entry}`);
+      for (const entry of changes[field].removed) lines.push(`  - ${field}: ${entry}`);
+    }
+    for (const change of changes.otherChanges) {
+      if (!('added' in change)) {
+        lines.push(`  ${change.path}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`);
+        continue;
+      }
+      const entries = items => items.map(item => typeof item === 'string' ? item : JSON.stringify(item)).join(', ');
+      const parts = [];
+      if (change.added.length > 0) parts.push(`added ${entries(change.added)}`);
+      if (change.removed.length > 0) parts.push(`removed ${entries(change.removed)}`);
+      lines.push(`  ${change.path}: ${parts.join('; ')}`);
+    }
+  }
+
+  lines.push('', 'Scenario rankings');
+  for (const scenario of report.scenarios) {
+    const status = scenario.topMatchChanged ? 'top match changed'
+      : scenario.rankingChanged ? 'ranking changed' : 'unchanged';
+    lines.push(`  ${scenario.name}: ${scenario.before.join(', ')} -> ${scenario.after.join(', ')} (${status})`);
+  }
+
+  const { summary } = report;
+  lines.push('', `${summary.scoreChanges} score changes, ${summary.listChanges} list changes, ` +
+    `${summary.otherChanges} other changes, ${summary.rankingChanges} scenario rankings changed`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Run the diff
+ * @param {Array} args - Command-line arguments
+ * @returns {Promise<number>} - Exit code
+ */
+async function main(args) {
+  let options;
+  try {
+    options = parseArgs(args);
+  } catch (error) {
+    console.error(`${error.message}\n\n${USAGE}`);
+    return 2;
+  }
+  if (options.help) {
+    process.stdout.write(`${USAGE}\n`);
+    return 0;
+  }
+
+  // Loading progress goes to stderr so the report can be piped
+  const progress = { log: console.error, warn: console.warn, error: console.error };
+  dataManager.logger = progress;
+  ruleSetManager.logger = progress;
+
+  // Only report the differences: the current data is versioned in memory, not written to storage
+  const loadResult = await dataManager.initialize({ persistSnapshot: false });
+  if (!loadResult.success) {
+    console.error(`Failed to load provider data: ${loadResult.error}`);
+    return 1;
+  }
+  await ruleSetManager.initialize();
+
+  const request = {};
+  try {
+    if (options.candidate) {
+      request.candidate = JSON.parse(await fs.readFile(path.resolve(options.candidate), 'utf8'));
+    }
+    if (options.scenarios) {
+      request.scenarios = JSON.parse(await fs.readFile(path.resolve(options.scenarios), 'utf8'));
+    }
+  } catch (error) {
+    console.error(`Failed to read input: ${error.message}`);
+    return 2;
+  }
+  if (options.from) request.from = options.from;
+  if (options.to) request.to = options.to;
+
+  const errors = dataDiffer.validateRequest(request);
+  if (errors.length > 0) {
+    console.error(`Invalid diff request:\n  ${errors.join('\n  ')}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const report = await dataDiffer.compare(request);
+  process.stdout.write(`${options.json ? JSON.stringify(report, null, 2) : formatReport(report)}\n`);
+  return 0;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => { process.exitCode = code; })
+    .catch(error => {
+      console.error('Data diff failed:', error);
+      process.exitCode = 1;
+    });
+}
+
+module.exports = { parseArgs, formatReport, main };
@@ -0,0 +1,96 @@
+// API versions served under /api/<version>, and the deprecation schedule of the
+// unversioned /api routes, which answer with the v1 contract
+//
+// LEGACY_API_DEPRECATION_DATE and LEGACY_API_SUNSET_DATE (YYYY-MM-DD) override
+// when the unversioned routes were deprecated and when they will be removed.
+
+// Fields of v1 comparison results: the structure OutputFormatter guaranteed
+// before versioning. Sections added since then are only sent to later versions.
+const V1_RESULT_FIELDS = {
+  results: ['timestamp', 'constraints', 'providers', 'crossProviderAnalysis', 'decisionGuidance'],
+  constraints: ['budget', 'experience', 'workload', 'priorities'],
+  provider: ['displayName', 'strengths', 'weaknesses', 'idealUseCases', 'tradeOffs']
+};
+
+const API_VERSIONS = {
+  // Frozen: comparison results are cut down to V1_RESULT_FIELDS
+  v1: {
+    includeScores: false,
+    resultFields: V1_RESULT_FIELDS,
+    deprecatedAt: null,
+    sunsetAt: null
+  },
+  // Current: may gain fields; comparison results carry every section, the
+  // match scores and the ranking
+  v2: {
+    includeScores: true,
+    resultFields: null,
+    deprecatedAt: null,
+    sunsetAt: null
+  }
+};
+
+const LATEST_API_VERSION = 'v2';
+
+const DEFAULT_LEGACY_SCHEDULE = {
+  successor: 'v1',
+  deprecatedAt: '2026-10-19',
+  sunsetAt: '2027-04-30'
+};
+
+/**
+ * Validate a deprecation schedule
+ * @param {Object} schedule - { successor, deprecatedAt, sunsetAt }
+ * @returns {Array} - Validation errors
+ */
+function validateDeprecationSchedule(schedule) {
+  const errors = [];
+  const isDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(new Date(`${value}T00:00:00Z`));
+
+  if (!API_VERSIONS[schedule.successor]) {
+    errors.push(`successor must be one of: ${Object.keys(API_VERSIONS).join(', ')}`);
+  }
+  for (const field of ['deprecatedAt', 'sunsetAt']) {
+    if (!isDate(schedule[field])) {
+      errors.push(`${field} must be a YYYY-MM-DD date, got ${schedule[field]}`);
+    }
+  }
+  if (errors.length === 0 && schedule.sunsetAt < schedule.deprecatedAt) {
+    errors.push(`sunsetAt ${schedule.sunsetAt} is before deprecatedAt ${schedule.deprecatedAt}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Build the legacy route schedule from the defaults and environment overrides.
+ * An invalid override is reported and the defaults are used instead.
+ * @returns {Object} - Deprecation schedule
+ */
+function getConfiguredLegacySchedule() {
+  const { LEGACY_API_DEPRECATION_DATE: deprecatedAt, LEGACY_API_SUNSET_DATE: sunsetAt } = process.env;
+  const schedule = {
+    ...DEFAULT_LEGACY_SCHEDULE,
+    ...(deprecatedAt !== undefined && { deprecatedAt }),
+    ...(sunsetAt !== undefined && { sunsetAt })
+  };
+
+  const errors = validateDeprecationSchedule(schedule);
+  if (errors.length > 0) {
+    console.warn(`Ignoring invalid legacy API schedule settings: ${errors.join(', ')}`);
+    return DEFAULT_LEGACY_SCHEDULE;
+  }
+
+  return schedule;
+}
+
+const legacyApiSchedule = getConfiguredLegacySchedule();
+
+module.exports = {
+  API_VERSIONS,
+  V1_RESULT_FIELDS,
+  LATEST_API_VERSION,
+  legacyApiSchedule,
+  validateDeprecationSchedule,
+  DEFAULT_LEGACY_SCHEDULE
+};
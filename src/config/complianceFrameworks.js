@@ -0,0 +1,82 @@
+// Catalog of compliance frameworks providers can be certified against
+//
+// Provider data files reference these ids under compliance.frameworks, and
+// constraints list them in requiredFrameworks.
+
+const complianceFrameworks = {
+  'soc2': {
+    name: 'SOC 2 Type II',
+    jurisdiction: 'Global',
+    description: 'AICPA attestation of security, availability and confidentiality controls'
+  },
+  'iso-27001': {
+    name: 'ISO/IEC 27001',
+    jurisdiction: 'Global',
+    description: 'Information security management system certification'
+  },
+  'iso-27017': {
+    name: 'ISO/IEC 27017',
+    jurisdiction: 'Global',
+    description: 'Security controls for cloud services'
+  },
+  'iso-27018': {
+    name: 'ISO/IEC 27018',
+    jurisdiction: 'Global',
+    description: 'Protection of personal data in public clouds'
+  },
+  'pci-dss': {
+    name: 'PCI DSS Level 1',
+    jurisdiction: 'Global',
+    description: 'Payment card industry data security standard'
+  },
+  'hipaa': {
+    name: 'HIPAA',
+    jurisdiction: 'US',
+    description: 'US health data protection; requires a business associate agreement'
+  },
+  'hitrust': {
+    name: 'HITRUST CSF',
+    jurisdiction: 'US',
+    description: 'Healthcare information security framework certification'
+  },
+  'fedramp-moderate': {
+    name: 'FedRAMP Moderate',
+    jurisdiction: 'US',
+    description: 'US federal authorization for moderate-impact systems'
+  },
+  'fedramp-high': {
+    name: 'FedRAMP High',
+    jurisdiction: 'US',
+    description: 'US federal authorization for high-impact systems'
+  },
+  'dod-il5': {
+    name: 'DoD IL5',
+    jurisdiction: 'US',
+    description: 'US Department of Defense impact level 5 provisional authorization'
+  },
+  'itar': {
+    name: 'ITAR',
+    jurisdiction: 'US',
+    description: 'Support for US International Traffic in Arms Regulations workloads'
+  },
+  'gdpr': {
+    name: 'GDPR',
+    jurisdiction: 'EU',
+    description: 'EU General Data Protection Regulation data processing commitments'
+  },
+  'c5': {
+    name: 'BSI C5',
+    jurisdiction: 'DE',
+    description: 'German Federal Office for Information Security cloud criteria catalogue'
+  },
+  'irap': {
+    name: 'IRAP (PROTECTED)',
+    jurisdiction: 'AU',
+    description: 'Australian government assessment up to PROTECTED level'
+  }
+};
+
+// Coverage levels a provider can declare for a framework
+const frameworkCoverageLevels = ['full', 'partial'];
+
+module.exports = { complianceFrameworks, frameworkCoverageLevels };
@@ -1,4 +1,13 @@
 // Constraint-based weighting and filtering rules for cloud provider comparison
+//
+// Each rule may define:
+//   weightings  - relative importance of each dimension
+//   subCriteria - relative weights of sub-scores within a dimension (default 1 each)
+//   filters     - minimum/maximum sub-scores a provider must meet
+//   emphasis    - descriptive focus areas
+//
+// These rules are registered as the built-in rule set default@1.0.0; rule sets
+// in the rules directory can extend or replace them (see ruleSetManager.js).
 
 const constraintRules = {
   budget: {
@@ -209,6 +218,9 @@ const constraintRules = {
         aiml: 0.0,
         vendorLockIn: 0.0
       },
+      subCriteria: {
+        enterprise: { compliance: 2 }
+      },
       emphasis: ['regulatory compliance', 'security features', 'audit capabilities']
     },
     devops: {
@@ -248,6 +260,9 @@ const constraintRules = {
         aiml: 0.0,
         vendorLockIn: 0.0
       },
+      subCriteria: {
+        scalability: { performanceConsistency: 2 }
+      },
       emphasis: ['high performance computing', 'low latency', 'optimized infrastructure']
     },
     reliability: {
@@ -261,6 +276,10 @@ const constraintRules = {
         aiml: 0.0,
         vendorLockIn: 0.0
       },
+      subCriteria: {
+        enterprise: { sla: 2 },
+        scalability: { performanceConsistency: 1.5, infrastructureMaturity: 1.5 }
+      },
       emphasis: ['high availability', 'disaster recovery', 'SLA guarantees']
     },
     innovation: {
@@ -287,6 +306,9 @@ const constraintRules = {
         aiml: 0.0,
         vendorLockIn: 0.0
       },
+      subCriteria: {
+        enterprise: { support: 2 }
+      },
       emphasis: ['premium support', 'dedicated account management', 'expert consultation']
     },
     integration: {
@@ -313,6 +335,9 @@ const constraintRules = {
         aiml: 0.0,
         vendorLockIn: 0.0
       },
+      subCriteria: {
+        enterprise: { securityFeatures: 2, compliance: 1.5 }
+      },
       emphasis: ['advanced security features', 'compliance certifications', 'threat protection']
     }
   }
@@ -0,0 +1,66 @@
+// Catalog of data-residency jurisdictions and the countries they cover
+//
+// Provider region catalogs list an ISO 3166-1 alpha-2 country per region;
+// residency constraints name either a jurisdiction from this catalog or a
+// single country code.
+
+const EU_COUNTRIES = [
+  'AT', 'BE', 'BG', 'HR', 'CY', 'CZ', 'DK', 'EE', 'FI', 'FR', 'DE', 'GR', 'HU', 'IE',
+  'IT', 'LV', 'LT', 'LU', 'MT', 'NL', 'PL', 'PT', 'RO', 'SK', 'SI', 'ES', 'SE'
+];
+
+const jurisdictions = {
+  'EU': {
+    name: 'European Union',
+    countries: EU_COUNTRIES
+  },
+  'EEA': {
+    name: 'European Economic Area',
+    countries: [...EU_COUNTRIES, 'IS', 'LI', 'NO']
+  },
+  'IN': {
+    name: 'India',
+    countries: ['IN']
+  },
+  'US': {
+    name: 'United States',
+    countries: ['US']
+  },
+  'UK': {
+    name: 'United Kingdom',
+    countries: ['GB']
+  },
+  'CA': {
+    name: 'Canada',
+    countries: ['CA']
+  },
+  'AU': {
+    name: 'Australia',
+    countries: ['AU']
+  },
+  'JP': {
+    name: 'Japan',
+    countries: ['JP']
+  },
+  'GCC': {
+    name: 'Gulf Cooperation Council',
+    countries: ['AE', 'BH', 'KW', 'OM', 'QA', 'SA']
+  }
+};
+
+/**
+ * Resolve a jurisdiction id or bare country code to the countries it covers
+ * @param {string} id - Jurisdiction id (e.g. 'EU') or ISO 3166-1 alpha-2 code (e.g. 'DE')
+ * @returns {Object|null} - { name, countries } or null if the id is not recognised
+ */
+function resolveJurisdiction(id) {
+  if (jurisdictions[id]) {
+    return jurisdictions[id];
+  }
+  if (/^[A-Z]{2}$/.test(id)) {
+    return { name: id, countries: [id] };
+  }
+  return null;
+}
+
+module.exports = { jurisdictions, resolveJurisdiction };
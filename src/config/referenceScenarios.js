@@ -0,0 +1,69 @@
+// Reference constraint scenarios used to show how data changes move the rankings
+
+const referenceScenarios = [
+  {
+    id: 'startup-budget',
+    name: 'Startup on a tight budget',
+    constraints: {
+      budget: 'low',
+      experience: 'beginner',
+      workload: 'startup',
+      priorities: ['cost', 'ease-of-use']
+    }
+  },
+  {
+    id: 'regulated-enterprise',
+    name: 'Regulated enterprise',
+    constraints: {
+      budget: 'high',
+      experience: 'expert',
+      workload: 'enterprise',
+      priorities: ['compliance', 'security', 'support'],
+      filterMode: 'mark'
+    }
+  },
+  {
+    id: 'research-ml',
+    name: 'Research and machine learning',
+    constraints: {
+      budget: 'medium',
+      experience: 'intermediate',
+      workload: 'research',
+      priorities: ['aiml', 'performance']
+    }
+  },
+  {
+    id: 'scaling-devops',
+    name: 'Scaling product team',
+    constraints: {
+      budget: 'medium',
+      experience: 'expert',
+      workload: 'startup',
+      priorities: ['scalability', 'devops']
+    }
+  },
+  {
+    id: 'enterprise-integration',
+    name: 'Enterprise integration',
+    constraints: {
+      budget: 'medium',
+      experience: 'intermediate',
+      workload: 'enterprise',
+      priorities: ['integration', 'reliability']
+    }
+  },
+  {
+    id: 'portability-first',
+    name: 'Portability first',
+    constraints: {
+      budget: 'medium',
+      experience: 'intermediate',
+      workload: 'startup',
+      priorities: ['cost'],
+      customWeights: { vendorLockIn: 2, cost: 1 },
+      weightBlend: 0.5
+    }
+  }
+];
+
+module.exports = { referenceScenarios };
@@ -0,0 +1,353 @@
+// Rule Set Manager for named, versioned constraint rule sets loaded from files
+
+const fs = require('fs').promises;
+const path = require('path');
+const yaml = require('js-yaml');
+const { constraintRules } = require('./constraintRules');
+const { ruleGroups } = require('../schemas/ruleSetSchema');
+const { validateRuleSet } = require('../utils/validation');
+
+const RULE_FILE_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+// Merge influence of each adjustment step on the budget weightings
+const DEFAULT_INFLUENCE = {
+  experience: 0.3,
+  workload: 0.4,
+  priority: 0.2
+};
+
+const BUILTIN_RULE_SET = {
+  name: 'default',
+  version: '1.0.0',
+  description: 'Built-in constraint rules',
+  influence: DEFAULT_INFLUENCE,
+  rules: constraintRules
+};
+
+class RuleSetManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.rulesDirectory - Directory containing rule set files
+   * @param {string} options.defaultRuleSet - Identifier used when a request names no rule set
+   * @param {Object} options.logger - Receives progress messages through log(), warn() and error()
+   */
+  constructor({
+    rulesDirectory = process.env.RULES_DIRECTORY || path.join(__dirname, '../../rules'),
+    defaultRuleSet = process.env.DEFAULT_RULE_SET || 'default',
+    logger = console
+  } = {}) {
+    this.rulesDirectory = rulesDirectory;
+    this.defaultRuleSet = defaultRuleSet;
+    this.logger = logger;
+    this.ruleSets = new Map();
+    this.isInitialized = false;
+    this.lastLoaded = null;
+    this._registerBuiltin();
+  }
+
+  /**
+   * Load all rule set files from the rules directory
+   * @returns {Promise<Object>} - Initialization result
+   */
+  async initialize() {
+    try {
+      const loadResults = await this._loadAllRuleSets();
+
+      this.isInitialized = true;
+      this.lastLoaded = new Date().toISOString();
+
+      this.logger.log(`RuleSetManager initialized. ${this.ruleSets.size} rule sets available.`);
+
+      return {
+        success: true,
+        ruleSetsLoaded: loadResults.filter(result => result.success).length,
+        loadResults
+      };
+
+    } catch (error) {
+      this.logger.error('Failed to initialize RuleSetManager:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Load the rule set files again and replace the loaded rule sets once that
+   * succeeds. Until then, and if it fails, the current rule sets stay in use.
+   * @returns {Promise<Object>} - Reload result
+   */
+  async reload() {
+    this.logger.log('Reloading rule sets...');
+    const staged = new RuleSetManager({
+      rulesDirectory: this.rulesDirectory,
+      defaultRuleSet: this.defaultRuleSet,
+      logger: this.logger
+    });
+    const result = await staged.initialize();
+
+    if (result.success) {
+      this.ruleSets = staged.ruleSets;
+      this.isInitialized = true;
+      this.lastLoaded = staged.lastLoaded;
+    }
+
+    return result;
+  }
+
+  /**
+   * Resolve a rule set identifier. "name@version" selects an exact version,
+   * a bare name selects the highest loaded version of that name.
+   * @param {string} [identifier] - Rule set identifier (defaults to the default rule set)
+   * @returns {Object|null} - Rule set or null if not found
+   */
+  get(identifier = this.defaultRuleSet) {
+    if (typeof identifier !== 'string') return null;
+
+    if (identifier.includes('@')) {
+      return this.ruleSets.get(identifier) || null;
+    }
+
+    const versions = Array.from(this.ruleSets.values())
+      .filter(ruleSet => ruleSet.name === identifier)
+      .sort((a, b) => this.compareVersions(b.version, a.version));
+
+    return versions[0] || null;
+  }
+
+  /**
+   * Resolve a rule set identifier or throw
+   * @param {string} [identifier] - Rule set identifier
+   * @returns {Object} - Rule set
+   */
+  resolve(identifier) {
+    const ruleSet = this.get(identifier ?? this.defaultRuleSet);
+    if (!ruleSet) {
+      throw new Error(`Unknown rule set: ${identifier ?? this.defaultRuleSet}`);
+    }
+    return ruleSet;
+  }
+
+  /**
+   * @param {string} identifier - Rule set identifier
+   * @returns {boolean} - Whether the identifier resolves to a loaded rule set
+   */
+  has(identifier) {
+    return this.get(identifier) !== null;
+  }
+
+  /**
+   * List loaded rule sets without their rules
+   * @returns {Array} - Rule set summaries sorted by name and version
+   */
+  list() {
+    const defaultId = this.get()?.id;
+
+    return Array.from(this.ruleSets.values())
+      .sort((a, b) => a.name.localeCompare(b.name) || this.compareVersions(a.version, b.version))
+      .map(ruleSet => ({
+        ...this.describe(ruleSet),
+        description: ruleSet.description,
+        extends: ruleSet.extends,
+        isDefault: ruleSet.id === defaultId
+      }));
+  }
+
+  /**
+   * @param {Object} ruleSet - Rule set
+   * @returns {Object} - Identifying fields of a rule set
+   */
+  describe(ruleSet) {
+    return {
+      id: ruleSet.id,
+      name: ruleSet.name,
+      version: ruleSet.version,
+      source: ruleSet.source
+    };
+  }
+
+  /**
+   * Compare MAJOR.MINOR.PATCH versions
+   * @param {string} a - First version
+   * @param {string} b - Second version
+   * @returns {number} - Negative, zero or positive like a sort comparator
+   */
+  compareVersions(a, b) {
+    const partsA = a.split('.').map(Number);
+    const partsB = b.split('.').map(Number);
+
+    for (let i = 0; i < 3; i++) {
+      if (partsA[i] !== partsB[i]) return partsA[i] - partsB[i];
+    }
+    return 0;
+  }
+
+  /**
+   * Get rule set statistics
+   * @returns {Object} - Statistics about loaded rule sets
+   */
+  getStatistics() {
+    return {
+      isInitialized: this.isInitialized,
+      ruleSetCount: this.ruleSets.size,
+      defaultRuleSet: this.get()?.id || null,
+      lastLoaded: this.lastLoaded
+    };
+  }
+
+  /**
+   * Register the rule set compiled into the application
+   * @private
+   */
+  _registerBuiltin() {
+    this._register({ ...BUILTIN_RULE_SET, source: 'builtin' });
+  }
+
+  /**
+   * Store a complete rule set under its identifier
+   * @private
+   * @param {Object} ruleSet - Rule set with name, version, rules and influence
+   * @returns {Object} - Stored rule set
+   */
+  _register(ruleSet) {
+    const id = `${ruleSet.name}@${ruleSet.version}`;
+    if (this.ruleSets.has(id)) {
+      throw new Error(`Duplicate rule set ${id} (already loaded from ${this.ruleSets.get(id).source})`);
+    }
+
+    const stored = {
+      id,
+      name: ruleSet.name,
+      version: ruleSet.version,
+      description: ruleSet.description || '',
+      extends: ruleSet.extends || null,
+      influence: { ...DEFAULT_INFLUENCE, ...ruleSet.influence },
+      rules: ruleSet.rules,
+      source: ruleSet.source
+    };
+
+    this.ruleSets.set(id, stored);
+    return stored;
+  }
+
+  /**
+   * Load every rule file, resolving "extends" once the base rule set is available
+   * @private
+   * @returns {Promise<Array>} - Array of load results
+   */
+  async _loadAllRuleSets() {
+    let files;
+    try {
+      files = (await fs.readdir(this.rulesDirectory))
+        .filter(file => RULE_FILE_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+
+    const loadResults = [];
+    let pending = [];
+
+    for (const file of files) {
+      try {
+        pending.push({ file, definition: await this._readRuleFile(file) });
+      } catch (error) {
+        this.logger.warn(`Failed to load rule set ${file}:`, error.message);
+        loadResults.push({ file, success: false, error: error.message });
+      }
+    }
+
+    // Rule sets may extend rule sets defined in other files, in any order
+    while (pending.length > 0) {
+      const waiting = pending.filter(({ definition }) => definition.extends && !this.has(definition.extends));
+      const ready = pending.filter(entry => !waiting.includes(entry));
+
+      if (ready.length === 0) {
+        for (const { file, definition } of waiting) {
+          const message = `Base rule set not found: ${definition.extends}`;
+          this.logger.warn(`Failed to load rule set ${file}:`, message);
+          loadResults.push({ file, success: false, error: message });
+        }
+        break;
+      }
+
+      for (const { file, definition } of ready) {
+        try {
+          const ruleSet = this._register(this._buildRuleSet(definition, file));
+          this.logger.log(`Loaded rule set: ${ruleSet.id}`);
+          loadResults.push({ file, success: true, ruleSet: ruleSet.id });
+        } catch (error) {
+          this.logger.warn(`Failed to load rule set ${file}:`, error.message);
+          loadResults.push({ file, success: false, error: error.message });
+        }
+      }
+
+      pending = waiting;
+    }
+
+    return loadResults;
+  }
+
+  /**
+   * Read, parse and validate a rule set file
+   * @private
+   * @param {string} file - File name within the rules directory
+   * @returns {Promise<Object>} - Validated rule set definition
+   */
+  async _readRuleFile(file) {
+    const content = await fs.readFile(path.join(this.rulesDirectory, file), 'utf8');
+    const definition = path.extname(file).toLowerCase() === '.json'
+      ? JSON.parse(content)
+      : yaml.load(content, { filename: file });
+
+    const validation = validateRuleSet(definition);
+    if (!validation.isValid) {
+      throw new Error(`Invalid rule set: ${validation.errors.join(', ')}`);
+    }
+
+    return definition;
+  }
+
+  /**
+   * Combine a definition with its base rule set and check it is complete.
+   * Rules in the definition replace the base rule for the same constraint value.
+   * @private
+   * @param {Object} definition - Validated rule set definition
+   * @param {string} file - Source file name
+   * @returns {Object} - Complete rule set
+   */
+  _buildRuleSet(definition, file) {
+    const base = definition.extends ? this.resolve(definition.extends) : null;
+    const rules = {};
+
+    for (const group of [...Object.keys(ruleGroups), 'priorities']) {
+      rules[group] = {
+        ...(base ? base.rules[group] : {}),
+        ...(definition.rules[group] || {})
+      };
+    }
+
+    const missing = Object.entries(ruleGroups)
+      .flatMap(([group, keys]) => keys.filter(key => !rules[group][key]).map(key => `${group}.${key}`));
+    if (missing.length > 0) {
+      throw new Error(`Rule set is missing rules for: ${missing.join(', ')}`);
+    }
+
+    return {
+      name: definition.name,
+      version: definition.version,
+      description: definition.description,
+      extends: base ? base.id : null,
+      influence: { ...(base ? base.influence : {}), ...definition.influence },
+      rules,
+      source: file
+    };
+  }
+}
+
+// Create singleton instance
+const ruleSetManager = new RuleSetManager();
+
+module.exports = { RuleSetManager, ruleSetManager, DEFAULT_INFLUENCE };
@@ -0,0 +1,159 @@
+// Tests for the rule set manager
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RuleSetManager } = require('./ruleSetManager');
+const { ComparisonEngine } = require('../engine/comparisonEngine');
+
+const constraints = {
+  budget: 'medium',
+  experience: 'intermediate',
+  workload: 'startup',
+  priorities: ['cost']
+};
+
+describe('RuleSetManager', () => {
+  let tempDir;
+  let logSpy;
+  let warnSpy;
+
+  const writeRuleFile = (file, content) => {
+    fs.writeFileSync(path.join(tempDir, file), typeof content === 'string' ? content : JSON.stringify(content));
+  };
+
+  const loadManager = async () => {
+    const manager = new RuleSetManager({ rulesDirectory: tempDir, defaultRuleSet: 'default' });
+    const result = await manager.initialize();
+    return { manager, result };
+  };
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'rule-sets-'));
+    logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    logSpy.mockRestore();
+    warnSpy.mockRestore();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should provide the built-in rules as the default rule set', async () => {
+    const { manager } = await loadManager();
+
+    expect(manager.resolve().id).toBe('default@1.0.0');
+    expect(manager.resolve().source).toBe('builtin');
+    expect(() => manager.resolve('missing')).toThrow('Unknown rule set: missing');
+  });
+
+  test('should load YAML and JSON rule sets that extend other rule sets', async () => {
+    writeRuleFile('strict.yaml', [
+      'name: strict',
+      'version: 1.0.0',
+      'extends: default',
+      'rules:',
+      '  budget:',
+      '    medium:',
+      '      weightings: { cost: 0.2, easeOfUse: 0.1, scalability: 0.2, ecosystem: 0.1, devops: 0.1, aiml: 0.1, enterprise: 0.2, vendorLockIn: 0 }',
+      '      filters:',
+      '        enterprise.sla: { min: 8 }'
+    ].join('\n'));
+    writeRuleFile('strict-2.json', {
+      name: 'strict',
+      version: '1.10.0',
+      extends: 'strict@1.0.0',
+      influence: { priority: 0.5 },
+      rules: {}
+    });
+
+    const { manager, result } = await loadManager();
+
+    expect(result.loadResults.every(entry => entry.success)).toBe(true);
+    expect(manager.resolve('strict').id).toBe('strict@1.10.0');
+    expect(manager.resolve('strict').influence.priority).toBe(0.5);
+    expect(manager.resolve('strict').rules.budget.medium.filters).toEqual({ 'enterprise.sla': { min: 8 } });
+    expect(manager.resolve('strict').rules.budget.low).toBe(manager.resolve('default').rules.budget.low);
+  });
+
+  test('should report invalid rule files without blocking valid ones', async () => {
+    writeRuleFile('typo.json', {
+      name: 'typo',
+      version: '1.0.0',
+      extends: 'default',
+      rules: {
+        priorities: {
+          cost: {
+            weightings: { costs: 0.5 },
+            filters: { 'cost.pricingModel': { min: 5 } }
+          }
+        }
+      }
+    });
+    writeRuleFile('partial.json', { name: 'partial', version: '1.0.0', rules: {} });
+    writeRuleFile('orphan.json', { name: 'orphan', version: '1.0.0', extends: 'nowhere', rules: {} });
+    writeRuleFile('ok.json', { name: 'ok', version: '1.0.0', extends: 'default', rules: {} });
+
+    const { manager, result } = await loadManager();
+    const errors = Object.fromEntries(result.loadResults.map(entry => [entry.file, entry.error]));
+
+    expect(errors['typo.json']).toContain('/rules/priorities/cost/weightings/costs: Unknown dimension');
+    expect(errors['typo.json']).toContain('/rules/priorities/cost/filters/cost.pricingModel');
+    expect(errors['partial.json']).toContain('missing rules for: budget.low');
+    expect(errors['orphan.json']).toBe('Base rule set not found: nowhere');
+    expect(manager.has('ok')).toBe(true);
+  });
+
+  test('should pick up changed and removed files on reload', async () => {
+    writeRuleFile('team.json', { name: 'team', version: '1.0.0', extends: 'default', rules: {} });
+    const { manager } = await loadManager();
+
+    fs.rmSync(path.join(tempDir, 'team.json'));
+    writeRuleFile('team-2.json', { name: 'team', version: '2.0.0', extends: 'default', rules: {} });
+    await manager.reload();
+
+    expect(manager.list().map(ruleSet => ruleSet.id)).toEqual(['default@1.0.0', 'team@2.0.0']);
+  });
+
+  test('should keep resolving the current rule sets while and if a reload fails', async () => {
+    writeRuleFile('team.json', { name: 'team', version: '1.0.0', extends: 'default', rules: {} });
+    const { manager } = await loadManager();
+
+    const reloading = manager.reload();
+    expect(manager.resolve('team').id).toBe('team@1.0.0');
+    await reloading;
+
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    manager.rulesDirectory = path.join(tempDir, 'team.json');
+    const result = await manager.reload();
+    errorSpy.mockRestore();
+
+    expect(result.success).toBe(false);
+    expect(manager.resolve('team').id).toBe('team@1.0.0');
+  });
+
+  test('should score comparisons with the selected rule set', async () => {
+    writeRuleFile('cost-only.json', {
+      name: 'cost-only',
+      version: '1.0.0',
+      extends: 'default',
+      influence: { experience: 0, workload: 0, priority: 0 },
+      rules: {
+        budget: {
+          medium: {
+            weightings: { cost: 1, easeOfUse: 0, scalability: 0, ecosystem: 0, devops: 0, aiml: 0, enterprise: 0, vendorLockIn: 0 }
+          }
+        }
+      }
+    });
+    const { manager } = await loadManager();
+    const engine = new ComparisonEngine(manager);
+
+    const normalized = engine.validateAndNormalizeConstraints({ ...constraints, ruleSet: 'cost-only' });
+
+    expect(normalized.ruleSet).toBe('cost-only@1.0.0');
+    expect(engine.calculateWeightings(normalized).cost).toBe(1);
+    expect(engine.calculateWeightings({ ...constraints }).cost).toBeLessThan(1);
+  });
+});
@@ -0,0 +1,72 @@
+// Staleness policy for provider data: how many days a dimension's scores may go
+// without review before they are reported as overdue
+//
+// STALENESS_MAX_AGE_DAYS overrides the default age limit and
+// STALENESS_DIMENSION_MAX_AGE_DAYS sets per-dimension limits, e.g. "cost=90,aiml=120".
+
+const { DIMENSIONS } = require('../schemas/providerSchema');
+
+const DEFAULT_STALENESS_POLICY = {
+  maxAgeDays: 365,
+  // Prices and AI/ML offerings change faster than the other dimensions
+  dimensions: {
+    cost: 180,
+    aiml: 180
+  }
+};
+
+/**
+ * Validate a staleness policy
+ * @param {Object} policy - Policy with maxAgeDays and per-dimension overrides
+ * @returns {Array} - Validation errors
+ */
+function validateStalenessPolicy(policy) {
+  const errors = [];
+  const isAge = value => Number.isInteger(value) && value > 0;
+
+  if (!isAge(policy.maxAgeDays)) {
+    errors.push(`maxAgeDays must be a positive whole number of days, got ${policy.maxAgeDays}`);
+  }
+  for (const [dimension, days] of Object.entries(policy.dimensions || {})) {
+    if (!DIMENSIONS.includes(dimension)) {
+      errors.push(`dimensions.${dimension}: Unknown dimension. Must be one of: ${DIMENSIONS.join(', ')}`);
+    } else if (!isAge(days)) {
+      errors.push(`dimensions.${dimension}: Must be a positive whole number of days, got ${days}`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Build the staleness policy from the defaults and environment overrides.
+ * An invalid override is reported and the defaults are used instead.
+ * @returns {Object} - Staleness policy
+ */
+function getConfiguredStalenessPolicy() {
+  const { STALENESS_MAX_AGE_DAYS: maxAge, STALENESS_DIMENSION_MAX_AGE_DAYS: dimensionAges } = process.env;
+  const policy = {
+    maxAgeDays: maxAge === undefined ? DEFAULT_STALENESS_POLICY.maxAgeDays : Number(maxAge),
+    dimensions: { ...DEFAULT_STALENESS_POLICY.dimensions }
+  };
+
+  if (dimensionAges !== undefined) {
+    policy.dimensions = {};
+    for (const entry of dimensionAges.split(',').map(part => part.trim()).filter(Boolean)) {
+      const [dimension, days] = entry.split('=').map(part => part.trim());
+      policy.dimensions[dimension] = Number(days);
+    }
+  }
+
+  const errors = validateStalenessPolicy(policy);
+  if (errors.length > 0) {
+    console.warn(`Ignoring invalid staleness policy settings: ${errors.join(', ')}`);
+    return DEFAULT_STALENESS_POLICY;
+  }
+
+  return policy;
+}
+
+const stalenessPolicy = getConfiguredStalenessPolicy();
+
+module.exports = { stalenessPolicy, validateStalenessPolicy, DEFAULT_STALENESS_POLICY };
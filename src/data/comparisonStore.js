@@ -0,0 +1,194 @@
+// Comparison Store for saved comparisons: a storage interface and a file-backed implementation
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+const ID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Storage interface for saved comparisons. Implementations keep whole records
+ * keyed by id and must be usable without network access.
+ */
+class ComparisonStore {
+  /**
+   * Store a new record and assign its id and timestamps
+   * @param {Object} record - Record fields
+   * @returns {Promise<Object>} - Stored record
+   */
+  async create(record) {
+    throw new Error('ComparisonStore.create is not implemented');
+  }
+
+  /**
+   * @param {string} id - Record id
+   * @returns {Promise<Object|null>} - Record or null if not found
+   */
+  async get(id) {
+    throw new Error('ComparisonStore.get is not implemented');
+  }
+
+  /**
+   * List records, newest first
+   * @param {Object} options - Paging options
+   * @param {number} options.limit - Maximum number of records
+   * @param {number} options.offset - Number of records to skip
+   * @returns {Promise<Object>} - { total, records }
+   */
+  async list(options) {
+    throw new Error('ComparisonStore.list is not implemented');
+  }
+
+  /**
+   * Merge changes into a record
+   * @param {string} id - Record id
+   * @param {Object} changes - Fields to replace
+   * @returns {Promise<Object|null>} - Updated record or null if not found
+   */
+  async update(id, changes) {
+    throw new Error('ComparisonStore.update is not implemented');
+  }
+
+  /**
+   * @param {string} id - Record id
+   * @returns {Promise<boolean>} - Whether a record was deleted
+   */
+  async delete(id) {
+    throw new Error('ComparisonStore.delete is not implemented');
+  }
+}
+
+/**
+ * Stores each comparison as <id>.json in a local directory
+ */
+class FileComparisonStore extends ComparisonStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the comparison files
+   */
+  constructor({
+    directory = process.env.COMPARISONS_DIRECTORY || path.join(__dirname, '../../storage/comparisons')
+  } = {}) {
+    super();
+    this.directory = directory;
+  }
+
+  async create(record) {
+    const now = new Date().toISOString();
+    const stored = {
+      id: crypto.randomUUID(),
+      createdAt: now,
+      updatedAt: now,
+      ...record
+    };
+
+    await this._write(stored);
+    return stored;
+  }
+
+  async get(id) {
+    if (!ID_PATTERN.test(id)) {
+      return null;
+    }
+
+    try {
+      return JSON.parse(await fs.readFile(this._filePath(id), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async list({ limit = 20, offset = 0 } = {}) {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return { total: 0, records: [] };
+      }
+      throw error;
+    }
+
+    const records = [];
+    for (const file of files) {
+      const id = path.basename(file, '.json');
+      if (path.extname(file) !== '.json' || !ID_PATTERN.test(id)) continue;
+
+      const record = await this.get(id);
+      if (record) {
+        records.push(record);
+      }
+    }
+
+    records.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+
+    return {
+      total: records.length,
+      records: records.slice(offset, offset + limit)
+    };
+  }
+
+  async update(id, changes) {
+    const record = await this.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const updated = {
+      ...record,
+      ...changes,
+      id: record.id,
+      createdAt: record.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    await this._write(updated);
+    return updated;
+  }
+
+  async delete(id) {
+    if (!ID_PATTERN.test(id)) {
+      return false;
+    }
+
+    try {
+      await fs.unlink(this._filePath(id));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} id - Record id
+   * @returns {string} - Path of the record file
+   */
+  _filePath(id) {
+    return path.join(this.directory, `${id}.json`);
+  }
+
+  /**
+   * Write a record through a temporary file so readers never see a partial file
+   * @private
+   * @param {Object} record - Record to write
+   */
+  async _write(record) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const target = this._filePath(record.id);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(record, null, 2), 'utf8');
+    await fs.rename(temporary, target);
+  }
+}
+
+// Create singleton instance
+const comparisonStore = new FileComparisonStore();
+
+module.exports = { ComparisonStore, FileComparisonStore, comparisonStore };
@@ -3,40 +3,57 @@
 const fs = require('fs').promises;
 const path = require('path');
 const { validateProviderData, validateProviderName } = require('../utils/validation');
+const { providerRegistry } = require('./providerRegistry');
+const { dataSnapshotStore } = require('./dataSnapshotStore');
 
 class DataManager {
-  constructor() {
+  /**
+   * @param {Object} registry - Provider registry
+   * @param {Object} snapshots - Store recording a snapshot of each load
+   * @param {Object} logger - Receives progress messages through log(), warn() and error()
+   */
+  constructor(registry = providerRegistry, snapshots = dataSnapshotStore, logger = console) {
     this.providers = new Map();
+    this.registry = registry;
+    this.snapshots = snapshots;
+    this.logger = logger;
+    this.dataVersion = null;
     this.dataDirectory = path.join(__dirname, '../../data');
     this.isInitialized = false;
   }
 
   /**
    * Initialize the data manager by loading all provider data
+   * @param {Object} options - Load options
+   * @param {boolean} options.persistSnapshot - Write the snapshot of the loaded data to storage
    * @returns {Promise<Object>} - Initialization result
    */
-  async initialize() {
+  async initialize({ persistSnapshot = true } = {}) {
     try {
-      console.log('Initializing DataManager...');
+      this.logger.log('Initializing DataManager...');
       
       // Ensure data directory exists
       await this._ensureDataDirectory();
       
       // Load all provider data
       const loadResults = await this._loadAllProviders();
+
+      // Keep an immutable copy so comparisons can be reproduced after the files change
+      this.dataVersion = await this.snapshots.record(this.providers, { persist: persistSnapshot });
       
       this.isInitialized = true;
       
-      console.log(`DataManager initialized successfully. Loaded ${this.providers.size} providers.`);
+      this.logger.log(`DataManager initialized successfully. Loaded ${this.providers.size} providers (data version ${this.dataVersion.version}).`);
       
       return {
         success: true,
         providersLoaded: this.providers.size,
+        dataVersion: this.dataVersion.version,
         loadResults
       };
       
     } catch (error) {
-      console.error('Failed to initialize DataManager:', error);
+      this.logger.error('Failed to initialize DataManager:', error);
       return {
         success: false,
         error: error.message
@@ -46,7 +63,7 @@ class DataManager {
 
   /**
    * Get provider data by name
-   * @param {string} providerName - Name of the provider (aws, azure, gcp)
+   * @param {string} providerName - Name of a registered provider
    * @returns {Object|null} - Provider data or null if not found
    */
   getProvider(providerName) {
@@ -74,13 +91,69 @@ class DataManager {
     return Array.from(this.providers.keys());
   }
 
+  /**
+   * Describe a data version
+   * @param {string} version - Version id (defaults to the data currently loaded)
+   * @returns {Object} - { version, createdAt, providers } where providers maps names to lastUpdated
+   */
+  getDataVersion(version = this.dataVersion?.version) {
+    const snapshot = version ? this.snapshots.get(version) : null;
+    if (!snapshot) {
+      return { version: null, createdAt: null, providers: this.snapshots.describeProviders(this.providers) };
+    }
+
+    return {
+      version: snapshot.version,
+      createdAt: snapshot.createdAt,
+      providers: snapshot.providers
+    };
+  }
+
+  /**
+   * @param {string} version - Version id
+   * @returns {boolean} - Whether a snapshot with this version is known
+   */
+  hasDataVersion(version) {
+    return this.snapshots.has(version);
+  }
+
+  /**
+   * List recorded data versions, newest first
+   * @returns {Promise<Array>} - Data version descriptions flagged with whether they are loaded
+   */
+  async listDataVersions() {
+    const snapshots = await this.snapshots.list();
+    return snapshots.map(snapshot => ({
+      ...this.getDataVersion(snapshot.version),
+      current: snapshot.version === this.dataVersion?.version
+    }));
+  }
+
+  /**
+   * Get the provider data of a version
+   * @param {string} version - Version id (defaults to the data currently loaded)
+   * @returns {Promise<Map>} - Provider data by name
+   */
+  async getProvidersAt(version) {
+    if (!version || version === this.dataVersion?.version) {
+      return this.getAllProviders();
+    }
+
+    const providers = await this.snapshots.load(version);
+    if (!providers) {
+      throw new Error(`Unknown data version: ${version}`);
+    }
+    return providers;
+  }
+
   /**
    * Reload provider data from files
    * @returns {Promise<Object>} - Reload result
    */
   async reloadData() {
-    console.log('Reloading provider data...');
+    this.logger.log('Reloading provider data...');
     this.providers.clear();
+    this.registry.clearDiscovered();
     return await this.initialize();
   }
 
@@ -103,14 +176,11 @@ class DataManager {
     }
 
     // Check required providers
-    const requiredProviders = ['aws', 'azure', 'gcp'];
-    const loadedProviders = this.getProviderNames();
+    const missingProviders = this.registry.getMissingRequired(this.getProviderNames());
     
-    for (const required of requiredProviders) {
-      if (!loadedProviders.includes(required)) {
-        results.isValid = false;
-        results.errors.push(`Missing required provider: ${required}`);
-      }
+    for (const required of missingProviders) {
+      results.isValid = false;
+      results.errors.push(`Missing required provider: ${required}`);
     }
 
     // Validate each provider's data
@@ -120,6 +190,7 @@ class DataManager {
         results.isValid = false;
         results.errors.push(`Invalid data for provider ${name}: ${validation.errors.join(', ')}`);
       }
+      results.warnings.push(...validation.warnings.map(warning => `Provider ${name}: ${warning}`));
     }
 
     return results;
@@ -135,7 +206,7 @@ class DataManager {
     } catch (error) {
       if (error.code === 'ENOENT') {
         await fs.mkdir(this.dataDirectory, { recursive: true });
-        console.log(`Created data directory: ${this.dataDirectory}`);
+        this.logger.log(`Created data directory: ${this.dataDirectory}`);
       } else {
         throw error;
       }
@@ -148,7 +219,8 @@ class DataManager {
    * @returns {Promise<Array>} - Array of load results
    */
   async _loadAllProviders() {
-    const providerNames = ['aws', 'azure', 'gcp'];
+    const discovered = await this.registry.discover(this.dataDirectory);
+    const providerNames = [...new Set([...this.registry.getRequiredProviders(), ...discovered])];
     const loadResults = [];
 
     for (const providerName of providerNames) {
@@ -156,7 +228,7 @@ class DataManager {
         const result = await this._loadProvider(providerName);
         loadResults.push(result);
       } catch (error) {
-        console.warn(`Failed to load provider ${providerName}:`, error.message);
+        this.logger.warn(`Failed to load provider ${providerName}:`, error.message);
         loadResults.push({
           provider: providerName,
           success: false,
@@ -190,11 +262,16 @@ class DataManager {
       if (!validation.isValid) {
         throw new Error(`Invalid data structure: ${validation.errors.join(', ')}`);
       }
+
+      // The file name is the provider key used everywhere else
+      if (providerData.provider.name !== providerName) {
+        throw new Error(`Provider name "${providerData.provider.name}" does not match file name ${providerName}.json`);
+      }
       
       // Store in memory
       this.providers.set(providerName, providerData);
       
-      console.log(`Loaded provider data: ${providerName}`);
+      this.logger.log(`Loaded provider data: ${providerName}`);
       
       return {
         provider: providerName,
@@ -204,7 +281,7 @@ class DataManager {
       
     } catch (error) {
       if (error.code === 'ENOENT') {
-        console.warn(`Provider data file not found: ${filePath}`);
+        this.logger.warn(`Provider data file not found: ${filePath}`);
         return {
           provider: providerName,
           success: false,
@@ -225,7 +302,8 @@ class DataManager {
       isInitialized: this.isInitialized,
       providerCount: this.providers.size,
       providers: this.getProviderNames(),
-      lastInitialized: this.lastInitialized || null
+      lastInitialized: this.lastInitialized || null,
+      dataVersion: this.dataVersion?.version || null
     };
   }
 }
@@ -0,0 +1,261 @@
+// Data Snapshot Store for immutable, content-hashed copies of the provider data
+
+const fs = require('fs').promises;
+const path = require('path');
+const crypto = require('crypto');
+
+// Hex characters of the content hash used as the version id
+const VERSION_LENGTH = 16;
+
+// Pinned snapshots kept in memory after their first use
+const MAX_LOADED_SNAPSHOTS = 5;
+
+const VERSION_PATTERN = new RegExp(`^[0-9a-f]{${VERSION_LENGTH}}$`);
+
+class DataSnapshotStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory holding the <version>.json snapshot files
+   */
+  constructor({
+    directory = process.env.SNAPSHOTS_DIRECTORY || path.join(__dirname, '../../storage/snapshots')
+  } = {}) {
+    this.directory = directory;
+    this.index = new Map();
+    this.loaded = new Map();
+    this.indexing = null;
+  }
+
+  /**
+   * Hash provider data independently of provider order and object key order
+   * @param {Map} providers - Provider data by name
+   * @returns {string} - SHA-256 hex digest
+   */
+  static hash(providers) {
+    const data = {};
+    for (const [name, providerData] of providers) {
+      data[name] = providerData;
+    }
+    return crypto.createHash('sha256').update(DataSnapshotStore.canonicalize(data)).digest('hex');
+  }
+
+  /**
+   * @param {*} value - JSON value
+   * @returns {string} - JSON text with object keys sorted at every level
+   */
+  static canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => DataSnapshotStore.canonicalize(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${DataSnapshotStore.canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
+  /**
+   * @param {*} version - Candidate version id
+   * @returns {boolean} - Whether the value has the shape of a version id
+   */
+  static isVersionId(version) {
+    return typeof version === 'string' && VERSION_PATTERN.test(version);
+  }
+
+  /**
+   * Record a snapshot of the provider data. Identical content maps to the
+   * existing snapshot, which is never rewritten.
+   * @param {Map} providers - Provider data by name
+   * @param {Object} options - Record options
+   * @param {boolean} options.persist - Write the snapshot file (otherwise it is only kept in memory)
+   * @returns {Promise<Object>} - Snapshot metadata ({ version, hash, createdAt, providers, persisted })
+   */
+  async record(providers, { persist = true } = {}) {
+    await this._ensureIndex();
+
+    const hash = DataSnapshotStore.hash(providers);
+    const version = hash.slice(0, VERSION_LENGTH);
+    const existing = this.index.get(version);
+    if (existing && existing.persisted) {
+      return existing;
+    }
+
+    const metadata = {
+      version,
+      hash,
+      createdAt: existing?.createdAt || new Date().toISOString(),
+      providers: this.describeProviders(providers),
+      persisted: false
+    };
+
+    const data = {};
+    for (const [name, providerData] of providers) {
+      data[name] = providerData;
+    }
+
+    // Snapshots are a history aid; a read-only disk must not stop the data from loading
+    if (persist) {
+      try {
+        await this._write({ version, hash, createdAt: metadata.createdAt, providers: metadata.providers, data });
+        metadata.persisted = true;
+      } catch (error) {
+        console.warn(`Failed to persist data snapshot ${version}:`, error.message);
+      }
+    }
+
+    this.index.set(version, metadata);
+    this.loaded.set(version, new Map(providers));
+    this._trimLoaded();
+    return metadata;
+  }
+
+  /**
+   * @param {string} version - Version id
+   * @returns {boolean} - Whether a snapshot with this version is known
+   */
+  has(version) {
+    return this.index.has(version);
+  }
+
+  /**
+   * @param {string} version - Version id
+   * @returns {Object|null} - Snapshot metadata or null if unknown
+   */
+  get(version) {
+    return this.index.get(version) || null;
+  }
+
+  /**
+   * List snapshot metadata, newest first
+   * @returns {Promise<Array>} - Snapshot metadata
+   */
+  async list() {
+    await this._ensureIndex();
+    return Array.from(this.index.values())
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  /**
+   * Load the provider data of a snapshot, verifying its content hash
+   * @param {string} version - Version id
+   * @returns {Promise<Map|null>} - Provider data by name, or null if unknown
+   */
+  async load(version) {
+    await this._ensureIndex();
+    if (!this.index.has(version)) {
+      return null;
+    }
+    if (this.loaded.has(version)) {
+      return new Map(this.loaded.get(version));
+    }
+
+    const snapshot = JSON.parse(await fs.readFile(this._filePath(version), 'utf8'));
+    const providers = new Map(Object.entries(snapshot.data));
+    if (DataSnapshotStore.hash(providers) !== snapshot.hash) {
+      throw new Error(`Data snapshot ${version} does not match its content hash`);
+    }
+
+    this.loaded.set(version, providers);
+    this._trimLoaded();
+    return new Map(providers);
+  }
+
+  /**
+   * @param {Map} providers - Provider data by name
+   * @returns {Object} - lastUpdated of each provider's data
+   */
+  describeProviders(providers) {
+    const described = {};
+    for (const name of Array.from(providers.keys()).sort()) {
+      described[name] = providers.get(name).provider?.lastUpdated || null;
+    }
+    return described;
+  }
+
+  /**
+   * Read the metadata of every snapshot file once; concurrent callers share the read
+   * @private
+   * @returns {Promise<void>}
+   */
+  _ensureIndex() {
+    if (!this.indexing) {
+      this.indexing = this._readIndex();
+    }
+    return this.indexing;
+  }
+
+  /**
+   * @private
+   */
+  async _readIndex() {
+    let files;
+    try {
+      files = await fs.readdir(this.directory);
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    for (const file of files) {
+      const version = path.basename(file, '.json');
+      if (path.extname(file) !== '.json' || !DataSnapshotStore.isVersionId(version)) continue;
+
+      try {
+        const snapshot = JSON.parse(await fs.readFile(this._filePath(version), 'utf8'));
+        this.index.set(version, {
+          version,
+          hash: snapshot.hash,
+          createdAt: snapshot.createdAt,
+          providers: snapshot.providers,
+          persisted: true
+        });
+      } catch (error) {
+        console.warn(`Skipping unreadable data snapshot ${file}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} version - Version id
+   * @returns {string} - Path of the snapshot file
+   */
+  _filePath(version) {
+    return path.join(this.directory, `${version}.json`);
+  }
+
+  /**
+   * Write a snapshot through a temporary file so readers never see a partial file
+   * @private
+   * @param {Object} snapshot - Snapshot metadata and data
+   */
+  async _write(snapshot) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const target = this._filePath(snapshot.version);
+    const temporary = `${target}.${process.pid}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify(snapshot, null, 2), 'utf8');
+    await fs.rename(temporary, target);
+  }
+
+  /**
+   * Drop the oldest loaded snapshots beyond the in-memory limit. Snapshots that
+   * could not be written have no file to load them from again, so they stay.
+   * @private
+   */
+  _trimLoaded() {
+    const evictable = Array.from(this.loaded.keys()).filter(version => this.index.get(version)?.persisted);
+    let excess = this.loaded.size - MAX_LOADED_SNAPSHOTS;
+    for (const version of evictable) {
+      if (excess <= 0) break;
+      this.loaded.delete(version);
+      excess--;
+    }
+  }
+}
+
+// Create singleton instance
+const dataSnapshotStore = new DataSnapshotStore();
+
+module.exports = { DataSnapshotStore, dataSnapshotStore };
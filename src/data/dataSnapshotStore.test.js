@@ -0,0 +1,106 @@
+// Tests for content-hashed provider data snapshots
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { DataSnapshotStore } = require('./dataSnapshotStore');
+
+const provider = (name, cost) => ({
+  provider: { name, displayName: name.toUpperCase(), lastUpdated: '2024-01-01' },
+  dimensions: { cost: { costPredictability: cost, budgetFriendliness: 5 } }
+});
+
+describe('DataSnapshotStore', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'snapshots-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should hash content independently of key and provider order', () => {
+    const reordered = {
+      dimensions: { cost: { budgetFriendliness: 5, costPredictability: 7 } },
+      provider: { lastUpdated: '2024-01-01', displayName: 'A', name: 'a' }
+    };
+
+    expect(DataSnapshotStore.hash(new Map([['a', provider('a', 7)], ['b', provider('b', 3)]])))
+      .toBe(DataSnapshotStore.hash(new Map([['b', provider('b', 3)], ['a', reordered]])));
+    expect(DataSnapshotStore.hash(new Map([['a', provider('a', 7)]])))
+      .not.toBe(DataSnapshotStore.hash(new Map([['a', provider('a', 8)]])));
+  });
+
+  test('should record one immutable snapshot per distinct content', async () => {
+    const store = new DataSnapshotStore({ directory });
+    const first = await store.record(new Map([['a', provider('a', 7)]]));
+    const again = await store.record(new Map([['a', provider('a', 7)]]));
+    const changed = await store.record(new Map([['a', provider('a', 8)]]));
+
+    expect(DataSnapshotStore.isVersionId(first.version)).toBe(true);
+    expect(again).toEqual(first);
+    expect(changed.version).not.toBe(first.version);
+    expect(first.providers).toEqual({ a: '2024-01-01' });
+    expect(fs.readdirSync(directory).sort()).toEqual([`${changed.version}.json`, `${first.version}.json`].sort());
+  });
+
+  test('should keep a snapshot in memory only when asked not to persist it', async () => {
+    const store = new DataSnapshotStore({ directory });
+    const transient = await store.record(new Map([['a', provider('a', 7)]]), { persist: false });
+
+    expect(transient.persisted).toBe(false);
+    expect(store.has(transient.version)).toBe(true);
+    expect((await store.load(transient.version)).get('a').dimensions.cost.costPredictability).toBe(7);
+    expect(fs.readdirSync(directory)).toEqual([]);
+
+    expect((await store.record(new Map([['a', provider('a', 7)]]))).persisted).toBe(true);
+    expect(fs.readdirSync(directory)).toEqual([`${transient.version}.json`]);
+  });
+
+  test('should keep a snapshot that could not be written loadable after newer ones', async () => {
+    const snapshots = path.join(directory, 'snapshots');
+    const store = new DataSnapshotStore({ directory: snapshots });
+    await store.list();
+
+    // A file where the snapshot directory should be makes every write fail, like a read-only disk
+    fs.writeFileSync(snapshots, '');
+
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const unwritten = await store.record(new Map([['a', provider('a', 1)]]));
+    console.warn.mockRestore();
+    expect(unwritten.persisted).toBe(false);
+
+    fs.unlinkSync(snapshots);
+    for (let cost = 2; cost <= 8; cost++) {
+      expect((await store.record(new Map([['a', provider('a', cost)]]))).persisted).toBe(true);
+    }
+
+    expect((await store.list()).map(snapshot => snapshot.version)).toContain(unwritten.version);
+    expect((await store.load(unwritten.version)).get('a').dimensions.cost.costPredictability).toBe(1);
+    expect(store.loaded.size).toBe(5);
+  });
+
+  test('should load a recorded version after a restart', async () => {
+    const { version } = await new DataSnapshotStore({ directory }).record(new Map([['a', provider('a', 7)]]));
+    await new DataSnapshotStore({ directory }).record(new Map([['a', provider('a', 9)]]));
+
+    const restarted = new DataSnapshotStore({ directory });
+    expect((await restarted.list()).map(snapshot => snapshot.version)).toContain(version);
+    expect(restarted.has(version)).toBe(true);
+    expect((await restarted.load(version)).get('a').dimensions.cost.costPredictability).toBe(7);
+    expect(await restarted.load('0000000000000000')).toBeNull();
+  });
+
+  test('should refuse a snapshot whose content no longer matches its hash', async () => {
+    const { version } = await new DataSnapshotStore({ directory }).record(new Map([['a', provider('a', 7)]]));
+    const file = path.join(directory, `${version}.json`);
+    const snapshot = JSON.parse(fs.readFileSync(file, 'utf8'));
+    snapshot.data.a.dimensions.cost.costPredictability = 10;
+    fs.writeFileSync(file, JSON.stringify(snapshot));
+
+    await expect(new DataSnapshotStore({ directory }).load(version))
+      .rejects.toThrow(`Data snapshot ${version} does not match its content hash`);
+  });
+});
@@ -0,0 +1,132 @@
+// Pricing Manager for provider pricing tables used in cost estimates
+
+const fs = require('fs').promises;
+const path = require('path');
+const { validatePricingData } = require('../utils/validation');
+const { providerRegistry } = require('./providerRegistry');
+
+class PricingManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.pricingDirectory - Directory containing <provider>.json pricing tables
+   */
+  constructor({ pricingDirectory = path.join(__dirname, '../../data/pricing') } = {}) {
+    this.pricing = new Map();
+    this.pricingDirectory = pricingDirectory;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load all pricing tables
+   * @returns {Promise<Object>} - Initialization result
+   */
+  async initialize() {
+    try {
+      const loadResults = await this._loadAllPricing();
+
+      this.isInitialized = true;
+      console.log(`PricingManager initialized. Loaded ${this.pricing.size} pricing tables.`);
+
+      return {
+        success: true,
+        pricingLoaded: this.pricing.size,
+        loadResults
+      };
+
+    } catch (error) {
+      console.error('Failed to initialize PricingManager:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get the pricing table of a provider
+   * @param {string} providerName - Provider name
+   * @returns {Object|null} - Pricing table or null if none is loaded
+   */
+  getPricing(providerName) {
+    return this.pricing.get(providerName) || null;
+  }
+
+  /**
+   * @returns {Array} - Names of providers with a pricing table
+   */
+  getPricedProviders() {
+    return Array.from(this.pricing.keys());
+  }
+
+  /**
+   * Reload pricing tables from files
+   * @returns {Promise<Object>} - Reload result
+   */
+  async reloadData() {
+    console.log('Reloading pricing data...');
+    this.pricing.clear();
+    return await this.initialize();
+  }
+
+  /**
+   * Get pricing statistics
+   * @returns {Object} - Statistics about loaded pricing tables
+   */
+  getStatistics() {
+    return {
+      isInitialized: this.isInitialized,
+      pricingCount: this.pricing.size,
+      providers: this.getPricedProviders()
+    };
+  }
+
+  /**
+   * Load every pricing table in the pricing directory
+   * @private
+   * @returns {Promise<Array>} - Array of load results
+   */
+  async _loadAllPricing() {
+    let files;
+    try {
+      files = (await fs.readdir(this.pricingDirectory)).filter(file => file.endsWith('.json')).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        console.warn(`Pricing directory not found: ${this.pricingDirectory}`);
+        return [];
+      }
+      throw error;
+    }
+
+    const loadResults = [];
+
+    for (const file of files) {
+      const providerName = path.basename(file, '.json');
+      try {
+        const content = await fs.readFile(path.join(this.pricingDirectory, file), 'utf8');
+        const pricingData = JSON.parse(content);
+
+        const validation = validatePricingData(pricingData);
+        if (!validation.isValid) {
+          throw new Error(`Invalid pricing table: ${validation.errors.join(', ')}`);
+        }
+        if (pricingData.provider !== providerName || !providerRegistry.isValidName(providerName)) {
+          throw new Error(`Pricing provider "${pricingData.provider}" does not match file name ${file}`);
+        }
+
+        this.pricing.set(providerName, pricingData);
+        loadResults.push({ provider: providerName, success: true });
+
+      } catch (error) {
+        console.warn(`Failed to load pricing for ${providerName}:`, error.message);
+        loadResults.push({ provider: providerName, success: false, error: error.message });
+      }
+    }
+
+    return loadResults;
+  }
+}
+
+// Create singleton instance
+const pricingManager = new PricingManager();
+
+module.exports = { PricingManager, pricingManager };
@@ -0,0 +1,199 @@
+// Provider registry shared by data loading, validation, scoring and formatting
+
+const fs = require('fs').promises;
+const path = require('path');
+
+const DEFAULT_REQUIRED_PROVIDERS = ['aws', 'azure', 'gcp'];
+const PROVIDER_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+class ProviderRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Array} options.requiredProviders - Providers that must always be loaded
+   */
+  constructor(options = {}) {
+    this.providers = new Map();
+    this.requiredProviders = [];
+    this.setRequiredProviders(options.requiredProviders || DEFAULT_REQUIRED_PROVIDERS);
+  }
+
+  /**
+   * Register a provider name with optional metadata
+   * @param {string} providerName - Provider name (file name without extension)
+   * @param {Object} metadata - Extra information such as the data file path
+   * @returns {Object} - Registered provider entry
+   */
+  register(providerName, metadata = {}) {
+    if (!this.isValidName(providerName)) {
+      throw new Error(`Invalid provider name: ${providerName}`);
+    }
+
+    const entry = {
+      ...(this.providers.get(providerName) || {}),
+      ...metadata,
+      name: providerName
+    };
+
+    this.providers.set(providerName, entry);
+    return entry;
+  }
+
+  /**
+   * Remove a provider from the registry. Required providers stay registered.
+   * @param {string} providerName - Provider name
+   * @returns {boolean} - Whether the provider was removed
+   */
+  unregister(providerName) {
+    if (this.requiredProviders.includes(providerName)) {
+      return false;
+    }
+    return this.providers.delete(providerName);
+  }
+
+  /**
+   * Forget every provider that is not required, e.g. before rediscovery
+   */
+  clearDiscovered() {
+    for (const name of this.getNames()) {
+      if (this.requiredProviders.includes(name)) {
+        delete this.providers.get(name).file;
+      } else {
+        this.providers.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} providerName - Provider name
+   * @returns {boolean} - Whether the provider is known
+   */
+  has(providerName) {
+    return this.providers.has(providerName);
+  }
+
+  /**
+   * Get a registered provider entry
+   * @param {string} providerName - Provider name
+   * @returns {Object|null} - Registry entry or null if unknown
+   */
+  get(providerName) {
+    return this.providers.get(providerName) || null;
+  }
+
+  /**
+   * Get all registered provider names
+   * @returns {Array} - Array of provider names
+   */
+  getNames() {
+    return Array.from(this.providers.keys());
+  }
+
+  /**
+   * Get the providers that must be present for the data to be valid
+   * @returns {Array} - Array of required provider names
+   */
+  getRequiredProviders() {
+    return [...this.requiredProviders];
+  }
+
+  /**
+   * Replace the required provider set. Required providers are always registered.
+   * @param {Array} providerNames - Required provider names
+   */
+  setRequiredProviders(providerNames) {
+    if (!Array.isArray(providerNames)) {
+      throw new Error('Required providers must be an array');
+    }
+
+    this.requiredProviders = [...new Set(providerNames)];
+    for (const providerName of this.requiredProviders) {
+      this.register(providerName, { required: true });
+    }
+
+    for (const [name, entry] of this.providers) {
+      entry.required = this.requiredProviders.includes(name);
+    }
+  }
+
+  /**
+   * Get required providers that are missing from a list of loaded providers
+   * @param {Array} loadedProviders - Names of loaded providers
+   * @returns {Array} - Missing required provider names
+   */
+  getMissingRequired(loadedProviders) {
+    return this.requiredProviders.filter(name => !loadedProviders.includes(name));
+  }
+
+  /**
+   * Check provider name syntax
+   * @param {string} providerName - Provider name
+   * @returns {boolean} - Whether the name can be used as a provider key
+   */
+  isValidName(providerName) {
+    return typeof providerName === 'string' && PROVIDER_NAME_PATTERN.test(providerName);
+  }
+
+  /**
+   * Discover provider data files (data/<name>.json) and register them
+   * @param {string} dataDirectory - Directory holding provider data files
+   * @returns {Promise<Array>} - Names of discovered providers
+   */
+  async discover(dataDirectory) {
+    const entries = await fs.readdir(dataDirectory, { withFileTypes: true });
+    const discovered = [];
+
+    for (const entry of entries) {
+      if (!entry.isFile() || path.extname(entry.name) !== '.json') continue;
+
+      const providerName = path.basename(entry.name, '.json');
+      if (!this.isValidName(providerName)) {
+        console.warn(`Skipping data file with invalid provider name: ${entry.name}`);
+        continue;
+      }
+
+      this.register(providerName, { file: path.join(dataDirectory, entry.name) });
+      discovered.push(providerName);
+    }
+
+    return discovered.sort();
+  }
+
+  /**
+   * Summarize registry contents for API output
+   * @returns {Array} - Registered providers
+   */
+  list() {
+    return this.getNames().map(name => {
+      const entry = this.providers.get(name);
+      return {
+        name,
+        required: this.requiredProviders.includes(name),
+        discovered: Boolean(entry.file)
+      };
+    });
+  }
+}
+
+/**
+ * Read the required provider set from REQUIRED_PROVIDERS (comma-separated)
+ * @returns {Array} - Required provider names
+ */
+function getConfiguredRequiredProviders() {
+  const configured = process.env.REQUIRED_PROVIDERS;
+  if (configured === undefined) {
+    return DEFAULT_REQUIRED_PROVIDERS;
+  }
+
+  return configured
+    .split(',')
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+// Create singleton instance
+const providerRegistry = new ProviderRegistry({
+  requiredProviders: getConfiguredRequiredProviders()
+});
+
+module.exports = { ProviderRegistry, providerRegistry, DEFAULT_REQUIRED_PROVIDERS, PROVIDER_NAME_PATTERN };
@@ -0,0 +1,61 @@
+// Tests for the provider registry
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ProviderRegistry } = require('./providerRegistry');
+
+describe('ProviderRegistry', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'provider-registry-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  test('should register required providers up front', () => {
+    const registry = new ProviderRegistry({ requiredProviders: ['aws', 'gcp'] });
+
+    expect(registry.getNames()).toEqual(['aws', 'gcp']);
+    expect(registry.getRequiredProviders()).toEqual(['aws', 'gcp']);
+    expect(registry.getMissingRequired(['aws'])).toEqual(['gcp']);
+  });
+
+  test('should discover provider files in the data directory', async () => {
+    fs.writeFileSync(path.join(tempDir, 'oracle.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'hetzner.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'Invalid Name.json'), '{}');
+    fs.writeFileSync(path.join(tempDir, 'notes.txt'), '');
+    fs.mkdirSync(path.join(tempDir, 'pricing'));
+
+    const registry = new ProviderRegistry({ requiredProviders: [] });
+    const warnSpy = jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const discovered = await registry.discover(tempDir);
+    warnSpy.mockRestore();
+
+    expect(discovered).toEqual(['hetzner', 'oracle']);
+    expect(registry.has('oracle')).toBe(true);
+    expect(registry.has('pricing')).toBe(false);
+  });
+
+  test('should keep required providers when clearing discovered ones', async () => {
+    fs.writeFileSync(path.join(tempDir, 'digitalocean.json'), '{}');
+
+    const registry = new ProviderRegistry({ requiredProviders: ['aws'] });
+    await registry.discover(tempDir);
+    registry.clearDiscovered();
+
+    expect(registry.getNames()).toEqual(['aws']);
+    expect(registry.unregister('aws')).toBe(false);
+  });
+
+  test('should reject invalid provider names', () => {
+    const registry = new ProviderRegistry({ requiredProviders: [] });
+
+    expect(() => registry.register('AWS')).toThrow('Invalid provider name');
+    expect(() => registry.register('')).toThrow('Invalid provider name');
+  });
+});
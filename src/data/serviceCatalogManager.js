@@ -0,0 +1,119 @@
+// Service Catalog Manager for the cross-provider service equivalence dataset
+// and the migration portability table that rates its capabilities
+
+const fs = require('fs').promises;
+const path = require('path');
+const { validateServiceCatalog, validatePortabilityTable } = require('../utils/validation');
+
+class ServiceCatalogManager {
+  /**
+   * @param {Object} options - Manager options
+   * @param {string} options.catalogFile - Path to the service catalog JSON file
+   * @param {string} options.portabilityFile - Path to the portability table JSON file
+   */
+  constructor({
+    catalogFile = path.join(__dirname, '../../data/services/catalog.json'),
+    portabilityFile = path.join(__dirname, '../../data/services/portability.json')
+  } = {}) {
+    this.catalog = null;
+    this.portability = null;
+    this.catalogFile = catalogFile;
+    this.portabilityFile = portabilityFile;
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load the service catalog and portability table
+   * @returns {Promise<Object>} - Initialization result
+   */
+  async initialize() {
+    try {
+      const content = await fs.readFile(this.catalogFile, 'utf8');
+      const catalog = JSON.parse(content);
+
+      const validation = validateServiceCatalog(catalog);
+      if (!validation.isValid) {
+        throw new Error(`Invalid service catalog: ${validation.errors.join(', ')}`);
+      }
+
+      const portability = JSON.parse(await fs.readFile(this.portabilityFile, 'utf8'));
+      const portabilityValidation = validatePortabilityTable(portability, catalog);
+      if (!portabilityValidation.isValid) {
+        throw new Error(`Invalid portability table: ${portabilityValidation.errors.join(', ')}`);
+      }
+
+      this.catalog = catalog;
+      this.portability = portability;
+      this.isInitialized = true;
+      console.log(`ServiceCatalogManager initialized. Loaded ${catalog.services.length} service capabilities.`);
+
+      return {
+        success: true,
+        capabilitiesLoaded: catalog.services.length,
+        version: catalog.version
+      };
+
+    } catch (error) {
+      console.error('Failed to initialize ServiceCatalogManager:', error.message);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * @returns {Array} - Catalog capabilities (empty until initialized)
+   */
+  getCapabilities() {
+    return this.catalog?.services || [];
+  }
+
+  /**
+   * Get one capability by id
+   * @param {string} id - Capability id
+   * @returns {Object|null} - Capability or null if not found
+   */
+  getCapability(id) {
+    return this.getCapabilities().find(capability => capability.id === id) || null;
+  }
+
+  /**
+   * Get the migration portability rating of a capability
+   * @param {string} id - Capability id
+   * @returns {Object|null} - { portability, criticalFeatures, notes } or null if unrated
+   */
+  getPortability(id) {
+    return this.portability?.capabilities[id] || null;
+  }
+
+  /**
+   * Reload the catalog and portability table from their files
+   * @returns {Promise<Object>} - Reload result
+   */
+  async reloadData() {
+    console.log('Reloading service catalog...');
+    this.catalog = null;
+    this.portability = null;
+    return await this.initialize();
+  }
+
+  /**
+   * Get catalog statistics
+   * @returns {Object} - Statistics about the loaded catalog
+   */
+  getStatistics() {
+    return {
+      isInitialized: this.isInitialized,
+      version: this.catalog?.version || null,
+      lastUpdated: this.catalog?.lastUpdated || null,
+      capabilityCount: this.getCapabilities().length,
+      portabilityVersion: this.portability?.version || null
+    };
+  }
+}
+
+// Create singleton instance
+const serviceCatalogManager = new ServiceCatalogManager();
+
+module.exports = { ServiceCatalogManager, serviceCatalogManager };
@@ -0,0 +1,119 @@
+// Batch comparisons: one comparison per named constraint set, with a summary of the top matches
+
+const MAX_BATCH_ITEMS = 100;
+
+class BatchComparator {
+  /**
+   * Validate the shape of batch items (constraints are validated per item by the comparison)
+   * @param {Array} items - Entries of { name, constraints }
+   * @returns {Array} - Validation errors
+   */
+  static validateItems(items) {
+    if (!Array.isArray(items) || items.length === 0) {
+      return ['Items must be a non-empty array of { name, constraints } objects'];
+    }
+    if (items.length > MAX_BATCH_ITEMS) {
+      return [`A batch can contain at most ${MAX_BATCH_ITEMS} items`];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    items.forEach((item, index) => {
+      const path = `items[${index}]`;
+      if (typeof item?.name !== 'string' || item.name.trim() === '') {
+        errors.push(`${path}.name: Item name is required`);
+      } else if (names.has(item.name)) {
+        errors.push(`${path}.name: Duplicate item name ${item.name}`);
+      } else {
+        names.add(item.name);
+      }
+
+      if (!item?.constraints || typeof item.constraints !== 'object') {
+        errors.push(`${path}.constraints: Item constraints are required`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Run a comparison for every item, in order. A failing item is reported in
+   * its own entry and does not stop the others.
+   * @param {Array} items - Entries of { name, constraints }
+   * @param {Function} compare - Async (constraints) => { success, topMatch, results } or { success, error }
+   * @returns {Promise<Object>} - { items, summary }
+   */
+  async run(items, compare) {
+    const outcomes = [];
+
+    for (const item of items) {
+      let comparison;
+      try {
+        comparison = await compare(item.constraints);
+      } catch (error) {
+        console.error(`Batch comparison of ${item.name} failed:`, error);
+        comparison = {
+          success: false,
+          error: {
+            code: 'INTERNAL_SERVER_ERROR',
+            message: 'An unexpected error occurred during comparison',
+            timestamp: new Date().toISOString()
+          }
+        };
+      }
+
+      outcomes.push(comparison.success
+        ? { name: item.name, success: true, topMatch: comparison.topMatch ?? null, results: comparison.results }
+        : { name: item.name, success: false, error: comparison.error });
+    }
+
+    return { items: outcomes, summary: this.summarize(outcomes) };
+  }
+
+  /**
+   * Count how often each provider was the top match
+   * @param {Array} outcomes - Batch item outcomes
+   * @returns {Object} - Summary
+   */
+  summarize(outcomes) {
+    const succeeded = outcomes.filter(outcome => outcome.success);
+    const byProvider = new Map();
+    const noTopMatch = [];
+
+    for (const outcome of succeeded) {
+      if (!outcome.topMatch) {
+        noTopMatch.push(outcome.name);
+        continue;
+      }
+      if (!byProvider.has(outcome.topMatch)) {
+        byProvider.set(outcome.topMatch, []);
+      }
+      byProvider.get(outcome.topMatch).push(outcome.name);
+    }
+
+    const topMatches = [...byProvider.entries()]
+      .map(([provider, names]) => ({
+        provider,
+        count: names.length,
+        // Share of the successful comparisons
+        percentage: Math.round(names.length / succeeded.length * 1000) / 10,
+        items: names
+      }))
+      .sort((a, b) => b.count - a.count || a.provider.localeCompare(b.provider));
+
+    return {
+      total: outcomes.length,
+      succeeded: succeeded.length,
+      failed: outcomes.length - succeeded.length,
+      topMatches,
+      noTopMatch,
+      failedItems: outcomes.filter(outcome => !outcome.success).map(outcome => outcome.name)
+    };
+  }
+}
+
+// Create singleton instance
+const batchComparator = new BatchComparator();
+
+module.exports = { BatchComparator, batchComparator };
@@ -0,0 +1,55 @@
+// Tests for batch comparisons and their top match summary
+
+const { BatchComparator } = require('./batchComparator');
+
+describe('BatchComparator', () => {
+  const batchComparator = new BatchComparator();
+  const item = (name, topMatch) => ({ name, constraints: { topMatch } });
+
+  // Stands in for the comparison pipeline: the constraints name the expected top match
+  const compare = async constraints => {
+    if (constraints.topMatch === 'invalid') {
+      return { success: false, status: 400, error: { code: 'CONSTRAINT_VALIDATION_ERROR', message: 'Invalid constraints provided' } };
+    }
+    if (constraints.topMatch === 'crash') {
+      throw new Error('engine failure');
+    }
+    return { success: true, topMatch: constraints.topMatch, results: { providers: {} } };
+  };
+
+  test('should report failing items without failing the batch', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const batch = await batchComparator.run([item('web', 'aws'), item('bad', 'invalid'), item('etl', 'crash')], compare);
+    console.error.mockRestore();
+
+    expect(batch.items.map(outcome => [outcome.name, outcome.success])).toEqual([['web', true], ['bad', false], ['etl', false]]);
+    expect(batch.items[0]).toEqual({ name: 'web', success: true, topMatch: 'aws', results: { providers: {} } });
+    expect(batch.items[1].error.code).toBe('CONSTRAINT_VALIDATION_ERROR');
+    expect(batch.items[2].error.code).toBe('INTERNAL_SERVER_ERROR');
+    expect(batch.summary).toMatchObject({ total: 3, succeeded: 1, failed: 2, failedItems: ['bad', 'etl'] });
+  });
+
+  test('should count how often each provider was the top match', async () => {
+    const batch = await batchComparator.run(
+      [item('a', 'gcp'), item('b', 'aws'), item('c', 'gcp'), item('d', null), item('e', 'azure')],
+      compare
+    );
+
+    expect(batch.summary.topMatches).toEqual([
+      { provider: 'gcp', count: 2, percentage: 40, items: ['a', 'c'] },
+      { provider: 'aws', count: 1, percentage: 20, items: ['b'] },
+      { provider: 'azure', count: 1, percentage: 20, items: ['e'] }
+    ]);
+    expect(batch.summary.noTopMatch).toEqual(['d']);
+  });
+
+  test('should reject empty batches and missing or duplicate names', () => {
+    expect(BatchComparator.validateItems([])).toHaveLength(1);
+    expect(BatchComparator.validateItems(new Array(101).fill(item('x', 'aws')))).toEqual(['A batch can contain at most 100 items']);
+    expect(BatchComparator.validateItems([item('web', 'aws'), item('web', 'gcp'), { name: ' ' }])).toEqual([
+      'items[1].name: Duplicate item name web',
+      'items[2].name: Item name is required',
+      'items[2].constraints: Item constraints are required'
+    ]);
+  });
+});
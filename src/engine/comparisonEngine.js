@@ -1,15 +1,57 @@
 // Core comparison engine for cloud platform analysis
 
-const { constraintRules } = require('../config/constraintRules');
+const { ruleSetManager } = require('../config/ruleSetManager');
 const { dataManager } = require('../data/dataManager');
+const { UncertaintySimulator } = require('./uncertaintySimulator');
+const { tcoEstimator } = require('./tcoEstimator');
+const { ResidencyEvaluator, residencyEvaluator } = require('./residencyEvaluator');
+const { serviceMapper } = require('./serviceMapper');
+const { migrationEstimator } = require('./migrationEstimator');
+const { freshnessChecker } = require('./freshnessChecker');
+const { complianceFrameworks } = require('../config/complianceFrameworks');
 
 class ComparisonEngine {
-  constructor() {
-    this.rules = constraintRules;
+  /**
+   * @param {Object} ruleSets - Rule set manager resolving constraints.ruleSet
+   */
+  constructor(ruleSets = ruleSetManager) {
+    this.ruleSets = ruleSets;
     this.cache = new Map();
     this.cacheMaxSize = 100;
     this.cacheHits = 0;
     this.cacheMisses = 0;
+    this.simulator = new UncertaintySimulator(this);
+    this.tcoEstimator = tcoEstimator;
+    this.residencyEvaluator = residencyEvaluator;
+    this.serviceMapper = serviceMapper;
+    this.migrationEstimator = migrationEstimator;
+    this.freshnessChecker = freshnessChecker;
+  }
+
+  /**
+   * Provider data to score constraints against: the pinned data version (or the
+   * loaded data), with the TCO estimate applied to the cost dimension when requested
+   * @param {Object} constraints - Normalized constraints
+   * @param {Object} dataSource - Object exposing getProvidersAt(version)
+   * @returns {Promise<Object>} - { providers, tco } where tco is null without usage
+   */
+  async prepareProviders(constraints, dataSource = dataManager) {
+    // From a recorded snapshot when a data version is pinned
+    let providers = await dataSource.getProvidersAt(constraints.dataVersion);
+    if (providers.size === 0) {
+      throw new Error('No provider data available');
+    }
+
+    // Optional cost estimate from workload usage, which can replace the price-level sub-score
+    let tco = null;
+    if (constraints.tco) {
+      tco = this.tcoEstimator.estimate(constraints.tco, Array.from(providers.keys()));
+      if (tco.appliedToCost) {
+        providers = this.tcoEstimator.applyToCostDimension(providers, tco);
+      }
+    }
+
+    return { providers, tco };
   }
 
   /**
@@ -41,14 +83,11 @@ class ComparisonEngine {
       // Validate and normalize constraints
       const normalizedConstraints = this.validateAndNormalizeConstraints(constraints);
       
-      // Get all provider data
-      const providers = dataManager.getAllProviders();
-      if (providers.size === 0) {
-        throw new Error('No provider data available');
-      }
+      const { providers, tco } = await this.prepareProviders(normalizedConstraints);
 
       // Calculate weightings based on constraints
-      const weightings = this.calculateWeightings(normalizedConstraints);
+      const weightingDetails = this.describeWeightings(normalizedConstraints);
+      const weightings = weightingDetails.effectiveWeights;
       
       // Evaluate each provider
       const evaluations = {};
@@ -58,10 +97,51 @@ class ComparisonEngine {
           normalizedConstraints, 
           weightings
         );
+        evaluations[providerName].explanation = this.explainEvaluation(
+          providerData,
+          weightingDetails,
+          normalizedConstraints
+        );
       }
 
       // Generate structured output
       const comparison = this.generateComparisonOutput(evaluations, normalizedConstraints);
+      comparison.weighting = weightingDetails;
+      comparison.ruleSet = this.ruleSets.describe(this.getRuleSet(normalizedConstraints));
+      comparison.dataVersion = dataManager.getDataVersion(normalizedConstraints.dataVersion);
+
+      // How long ago the compared scores were reviewed, under the staleness policy
+      const freshness = this.freshnessChecker.check(providers);
+      comparison.freshness = {
+        ...freshness.summary,
+        checkedAt: freshness.checkedAt,
+        warnings: this.freshnessChecker.summarize(freshness)
+      };
+      if (tco) {
+        comparison.tco = tco;
+      }
+
+      // Equivalents of the services the team uses today
+      if (normalizedConstraints.currentServices) {
+        comparison.serviceMapping = this.serviceMapper.map(
+          normalizedConstraints.currentServices,
+          Array.from(providers.keys())
+        );
+      }
+
+      if (normalizedConstraints.migration) {
+        comparison.migration = this.migrationEstimator.estimate(normalizedConstraints.migration, providers);
+      }
+
+      // Optional seeded Monte Carlo run over sub-score uncertainty
+      if (normalizedConstraints.monteCarlo) {
+        comparison.uncertainty = this.simulator.simulate(
+          providers,
+          normalizedConstraints,
+          weightings,
+          normalizedConstraints.monteCarlo
+        );
+      }
       
       const result = {
         success: true,
@@ -109,7 +189,9 @@ class ComparisonEngine {
     const validBudgets = ['low', 'medium', 'high'];
     const validExperience = ['beginner', 'intermediate', 'expert'];
     const validWorkloads = ['startup', 'enterprise', 'research'];
-    const validPriorities = ['cost', 'scalability', 'ease-of-use', 'compliance', 'devops', 'aiml'];
+    const ruleSet = this.getRuleSet(constraints);
+    const validPriorities = Object.keys(ruleSet.rules.priorities);
+    const validFilterModes = ['none', 'mark', 'exclude'];
 
     if (!validBudgets.includes(normalized.budget)) {
       throw new Error(`Invalid budget level: ${normalized.budget}`);
@@ -121,41 +203,283 @@ class ComparisonEngine {
       throw new Error(`Invalid workload type: ${normalized.workload}`);
     }
 
+    normalized.filterMode = constraints.filterMode || 'none';
+    if (!validFilterModes.includes(normalized.filterMode)) {
+      throw new Error(`Invalid filter mode: ${normalized.filterMode}`);
+    }
+
     // Filter invalid priorities
     normalized.priorities = normalized.priorities.filter(p => validPriorities.includes(p));
 
+    // Pin the exact version so results stay tied to the rules that produced them
+    normalized.ruleSet = ruleSet.id;
+
+    if (constraints.dataVersion) {
+      normalized.dataVersion = constraints.dataVersion;
+    }
+
+    // Carry user-supplied weightings through; the constraint processor validates them
+    if (constraints.customWeights && typeof constraints.customWeights === 'object') {
+      normalized.customWeights = { ...constraints.customWeights };
+      normalized.weightBlend = typeof constraints.weightBlend === 'number' ? constraints.weightBlend : 1;
+    }
+
+    if (constraints.subCriteriaWeights && typeof constraints.subCriteriaWeights === 'object') {
+      normalized.subCriteriaWeights = constraints.subCriteriaWeights;
+    }
+
+    if (constraints.monteCarlo && typeof constraints.monteCarlo === 'object') {
+      normalized.monteCarlo = { ...constraints.monteCarlo };
+    }
+
+    if (constraints.tco && typeof constraints.tco === 'object') {
+      normalized.tco = { ...constraints.tco };
+    }
+
+    if (Array.isArray(constraints.requiredFrameworks)) {
+      normalized.requiredFrameworks = constraints.requiredFrameworks.map(entry =>
+        typeof entry === 'string' ? { framework: entry, mandatory: true } : { ...entry });
+    }
+
+    if (Array.isArray(constraints.currentServices)) {
+      normalized.currentServices = [...constraints.currentServices];
+    }
+
+    if (constraints.migration && typeof constraints.migration === 'object') {
+      normalized.migration = {
+        workloads: normalized.currentServices,
+        ...constraints.migration
+      };
+    }
+
+    if (constraints.residency && typeof constraints.residency === 'object') {
+      normalized.residency = ResidencyEvaluator.normalizeOptions(constraints.residency);
+    }
+
     return normalized;
   }
 
   /**
-   * Calculate dimension weightings based on constraints
+   * Get the rule set selected by the constraints (the default rule set if none)
+   * @param {Object} constraints - User constraints
+   * @returns {Object} - Rule set with rules and merge influence
+   */
+  getRuleSet(constraints) {
+    return this.ruleSets.resolve(constraints.ruleSet);
+  }
+
+  /**
+   * Calculate dimension weightings based on constraints, including any
+   * user-supplied weights blended with the preset weights
    * @param {Object} constraints - Normalized constraints
    * @returns {Object} - Final weightings for each dimension
    */
   calculateWeightings(constraints) {
-    // Start with base weightings from budget
-    const baseWeightings = { ...this.rules.budget[constraints.budget].weightings };
-    
-    // Apply experience level adjustments
-    const experienceWeightings = this.rules.experience[constraints.experience].weightings;
-    this.mergeWeightings(baseWeightings, experienceWeightings, 0.3);
-    
-    // Apply workload type adjustments
-    const workloadWeightings = this.rules.workload[constraints.workload].weightings;
-    this.mergeWeightings(baseWeightings, workloadWeightings, 0.4);
-    
-    // Apply priority adjustments
-    for (const priority of constraints.priorities) {
-      if (this.rules.priorities[priority]) {
-        const priorityWeightings = this.rules.priorities[priority].weightings;
-        this.mergeWeightings(baseWeightings, priorityWeightings, 0.2);
+    return this.describeWeightings(constraints).effectiveWeights;
+  }
+
+  /**
+   * Calculate preset, custom and effective weightings with override details
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Object} - Weighting breakdown
+   */
+  describeWeightings(constraints) {
+    const presetWeights = this.calculatePresetWeightings(constraints);
+    const dimensions = Object.keys(presetWeights);
+    const presetSources = this.calculatePresetWeightingSources(constraints);
+    const subCriteriaWeights = this.calculateSubCriteriaWeights(constraints);
+
+    if (!constraints.customWeights) {
+      return {
+        source: 'preset',
+        blend: 0,
+        presetWeights,
+        customWeights: null,
+        effectiveWeights: presetWeights,
+        sources: this.groupSourcesByDimension(presetSources, dimensions),
+        subCriteriaWeights,
+        overridesPresetFilters: false,
+        overriddenFilters: []
+      };
+    }
+
+    const blend = typeof constraints.weightBlend === 'number' ? constraints.weightBlend : 1;
+    const customWeights = this.normalizeCustomWeights(constraints.customWeights, presetWeights);
+    const effectiveWeights = {};
+
+    for (const dimension of Object.keys(presetWeights)) {
+      effectiveWeights[dimension] = presetWeights[dimension] * (1 - blend) + customWeights[dimension] * blend;
+    }
+
+    const overriddenFilters = blend > 0 ? this.findOverriddenFilters(constraints, customWeights) : [];
+
+    // Scale rule contributions the same way as the weights they produced
+    const effectiveTotal = Object.values(effectiveWeights).reduce((sum, weight) => sum + weight, 0);
+    const sources = {};
+    for (const [source, contribution] of Object.entries(presetSources)) {
+      sources[source] = {};
+      for (const dimension of dimensions) {
+        sources[source][dimension] = effectiveTotal > 0 ? contribution[dimension] * (1 - blend) / effectiveTotal : 0;
+      }
+    }
+    sources.custom = {};
+    for (const dimension of dimensions) {
+      sources.custom[dimension] = effectiveTotal > 0 ? customWeights[dimension] * blend / effectiveTotal : 0;
+    }
+
+    return {
+      source: blend === 1 ? 'custom' : blend === 0 ? 'preset' : 'blended',
+      blend,
+      presetWeights,
+      customWeights,
+      effectiveWeights: this.normalizeWeightings(effectiveWeights),
+      sources: this.groupSourcesByDimension(sources, dimensions),
+      subCriteriaWeights,
+      overridesPresetFilters: overriddenFilters.length > 0,
+      overriddenFilters
+    };
+  }
+
+  /**
+   * Normalize a user weight vector over the preset dimensions
+   * @param {Object} customWeights - Raw user weights
+   * @param {Object} presetWeights - Preset weightings (defines the dimension set)
+   * @returns {Object} - Normalized custom weights, zero for unspecified dimensions
+   */
+  normalizeCustomWeights(customWeights, presetWeights) {
+    const weights = {};
+    for (const dimension of Object.keys(presetWeights)) {
+      const weight = customWeights[dimension];
+      weights[dimension] = typeof weight === 'number' && weight > 0 ? weight : 0;
+    }
+    return this.normalizeWeightings(weights);
+  }
+
+  /**
+   * Find preset filters on dimensions the user weighted at zero
+   * @param {Object} constraints - Normalized constraints
+   * @param {Object} customWeights - Normalized custom weights
+   * @returns {Array} - Filters whose dimension the user weights override
+   */
+  findOverriddenFilters(constraints, customWeights) {
+    const overridden = [];
+    const { rules } = this.getRuleSet(constraints);
+
+    for (const constraintType of ['budget', 'experience', 'workload']) {
+      for (const filter of this.getFiltersForConstraint(constraintType, constraints[constraintType], rules)) {
+        const dimension = filter.path.split('.')[0];
+        if (customWeights[dimension] === 0) {
+          overridden.push({
+            source: `${constraintType}.${constraints[constraintType]}`,
+            path: filter.path,
+            criteria: filter.criteria,
+            dimension
+          });
+        }
       }
     }
 
+    return overridden;
+  }
+
+  /**
+   * Calculate dimension weightings from the preset constraint rules
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Object} - Preset weightings for each dimension
+   */
+  calculatePresetWeightings(constraints) {
+    const [baseStep, ...adjustments] = this.getWeightingSteps(constraints);
+    const baseWeightings = { ...baseStep.weightings };
+
+    for (const step of adjustments) {
+      this.mergeWeightings(baseWeightings, step.weightings, step.influence);
+    }
+
     // Normalize weightings to sum to 1
     return this.normalizeWeightings(baseWeightings);
   }
 
+  /**
+   * Get the ordered preset rules that build the weightings
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Array} - Steps with source label, rule, weightings and merge influence
+   */
+  getWeightingSteps(constraints) {
+    // Start with base weightings from budget, then apply experience level,
+    // workload type and priority adjustments
+    const { rules, influence } = this.getRuleSet(constraints);
+    const step = (source, rule, stepInfluence) => ({ source, rule, weightings: rule.weightings, influence: stepInfluence });
+    const steps = [
+      step(`budget.${constraints.budget}`, rules.budget[constraints.budget], 1),
+      step(`experience.${constraints.experience}`, rules.experience[constraints.experience], influence.experience),
+      step(`workload.${constraints.workload}`, rules.workload[constraints.workload], influence.workload)
+    ];
+
+    for (const priority of constraints.priorities) {
+      if (rules.priorities[priority]) {
+        steps.push(step(`priority.${priority}`, rules.priorities[priority], influence.priority));
+      }
+    }
+
+    return steps;
+  }
+
+  /**
+   * Attribute each normalized preset weight to the rules that produced it
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Object} - Source label to per-dimension share of the weightings
+   */
+  calculatePresetWeightingSources(constraints) {
+    const [baseStep, ...adjustments] = this.getWeightingSteps(constraints);
+    const dimensions = Object.keys(baseStep.weightings);
+    const sources = { [baseStep.source]: { ...baseStep.weightings } };
+
+    // Mirror mergeWeightings: earlier contributions decay by (1 - influence)
+    for (const step of adjustments) {
+      for (const dimension of dimensions) {
+        if (!(dimension in step.weightings)) continue;
+        for (const contribution of Object.values(sources)) {
+          contribution[dimension] *= 1 - step.influence;
+        }
+      }
+
+      const contribution = sources[step.source] || Object.fromEntries(dimensions.map(d => [d, 0]));
+      for (const dimension of dimensions) {
+        if (dimension in step.weightings) {
+          contribution[dimension] += step.weightings[dimension] * step.influence;
+        }
+      }
+      sources[step.source] = contribution;
+    }
+
+    const total = Object.values(sources)
+      .reduce((sum, contribution) => sum + Object.values(contribution).reduce((a, b) => a + b, 0), 0);
+    for (const contribution of Object.values(sources)) {
+      for (const dimension of dimensions) {
+        contribution[dimension] = total > 0 ? contribution[dimension] / total : 0;
+      }
+    }
+
+    return sources;
+  }
+
+  /**
+   * Group weighting sources by dimension
+   * @param {Object} sources - Source label to per-dimension shares
+   * @param {Array} dimensions - Dimension names
+   * @returns {Object} - Dimension to { source: share } map
+   */
+  groupSourcesByDimension(sources, dimensions) {
+    const grouped = {};
+    for (const dimension of dimensions) {
+      grouped[dimension] = {};
+      for (const [source, contribution] of Object.entries(sources)) {
+        grouped[dimension][source] = contribution[dimension] || 0;
+      }
+    }
+    return grouped;
+  }
+
   /**
    * Merge weightings with specified influence factor
    * @param {Object} base - Base weightings to modify
@@ -191,9 +515,10 @@ class ComparisonEngine {
    * @param {Object} providerData - Provider data
    * @param {Object} constraints - User constraints
    * @param {Object} weightings - Dimension weightings
+   * @param {Object} subCriteriaWeights - Relative sub-criterion weights per dimension
    * @returns {Object} - Provider evaluation
    */
-  evaluateProvider(providerData, constraints, weightings) {
+  evaluateProvider(providerData, constraints, weightings, subCriteriaWeights = this.calculateSubCriteriaWeights(constraints)) {
     const dimensions = providerData.dimensions;
     let totalScore = 0;
     const dimensionScores = {};
@@ -201,20 +526,32 @@ class ComparisonEngine {
     // Calculate weighted score for each dimension
     for (const [dimensionName, weight] of Object.entries(weightings)) {
       if (weight > 0 && dimensions[dimensionName]) {
-        const dimensionScore = this.calculateDimensionScore(dimensions[dimensionName]);
+        const dimensionScore = this.calculateDimensionScore(
+          dimensions[dimensionName],
+          subCriteriaWeights[dimensionName]
+        );
         dimensionScores[dimensionName] = dimensionScore;
         totalScore += dimensionScore * weight;
       }
     }
 
+    // Blend in regional coverage of the required jurisdictions
+    const residency = this.evaluateResidency(providerData, constraints);
+    if (residency) {
+      totalScore = totalScore * (1 - residency.weight) + residency.score * residency.weight;
+    }
+
     // Apply constraint filters
-    const passesFilters = this.checkConstraintFilters(providerData, constraints);
+    const filterResult = this.evaluateConstraintFilters(providerData, constraints);
 
     return {
       provider: providerData.provider,
       totalScore,
       dimensionScores,
-      passesFilters,
+      passesFilters: filterResult.passes,
+      failedFilters: filterResult.failedFilters,
+      compliance: this.evaluateCompliance(providerData, constraints),
+      residency,
       strengths: providerData.strengths,
       weaknesses: providerData.weaknesses,
       idealUseCases: providerData.idealUseCases,
@@ -223,20 +560,134 @@ class ComparisonEngine {
   }
 
   /**
-   * Calculate average score for a dimension
+   * Build a per-dimension breakdown of how a provider's total score was produced
+   * @param {Object} providerData - Provider data
+   * @param {Object} weightingDetails - Result of describeWeightings
+   * @param {Object} constraints - Normalized constraints; a residency score scales
+   *   dimension contributions down by its weight and contributes the remainder
+   * @returns {Object} - Explanation with sub-scores, weights, contributions, weight sources
+   *   and the evidence cited for each sub-score
+   */
+  explainEvaluation(providerData, weightingDetails, constraints = {}) {
+    const dimensions = {};
+    const residency = this.evaluateResidency(providerData, constraints);
+    const dimensionShare = residency ? 1 - residency.weight : 1;
+    let totalScore = 0;
+
+    for (const [dimensionName, weight] of Object.entries(weightingDetails.effectiveWeights)) {
+      const dimensionData = providerData.dimensions[dimensionName] || {};
+      const subCriteriaWeights = weightingDetails.subCriteriaWeights?.[dimensionName];
+      const subScores = {};
+      const citations = {};
+      const uncited = [];
+      for (const [key, value] of Object.entries(dimensionData)) {
+        if (typeof value === 'number') {
+          subScores[key] = value;
+          const evidence = dimensionData.evidence?.[key] || [];
+          if (evidence.length > 0) {
+            citations[key] = evidence;
+          } else {
+            uncited.push(key);
+          }
+        }
+      }
+
+      const score = this.calculateDimensionScore(dimensionData, subCriteriaWeights);
+      const contribution = weight > 0 ? score * weight * dimensionShare : 0;
+      totalScore += contribution;
+
+      dimensions[dimensionName] = {
+        subScores,
+        subWeights: this.resolveSubCriteriaWeights(dimensionData, subCriteriaWeights),
+        score,
+        weight,
+        contribution,
+        weightSources: weightingDetails.sources?.[dimensionName] || {},
+        citations,
+        uncited
+      };
+    }
+
+    const explanation = {
+      totalScore,
+      dimensions
+    };
+
+    if (residency) {
+      const contribution = residency.score * residency.weight;
+      explanation.residency = { score: residency.score, weight: residency.weight, contribution };
+      explanation.totalScore += contribution;
+    }
+
+    return explanation;
+  }
+
+  /**
+   * Calculate the weighted average score for a dimension
    * @param {Object} dimensionData - Dimension data with numeric scores
+   * @param {Object} subCriteriaWeights - Relative weights per sub-criterion (default 1 each)
    * @returns {number} - Average score for the dimension
    */
-  calculateDimensionScore(dimensionData) {
-    const scores = [];
-    
-    for (const [key, value] of Object.entries(dimensionData)) {
-      if (typeof value === 'number') {
-        scores.push(value);
+  calculateDimensionScore(dimensionData, subCriteriaWeights = {}) {
+    const weights = this.resolveSubCriteriaWeights(dimensionData, subCriteriaWeights);
+    let score = 0;
+
+    for (const [key, weight] of Object.entries(weights)) {
+      score += dimensionData[key] * weight;
+    }
+
+    return score;
+  }
+
+  /**
+   * Normalize sub-criterion weights over the numeric fields of a dimension.
+   * Unspecified sub-criteria weigh 1; if every weight is zero all count equally.
+   * @param {Object} dimensionData - Dimension data with numeric scores
+   * @param {Object} subCriteriaWeights - Relative weights per sub-criterion
+   * @returns {Object} - Sub-criterion to normalized weight
+   */
+  resolveSubCriteriaWeights(dimensionData, subCriteriaWeights = {}) {
+    const fields = Object.keys(dimensionData).filter(key => typeof dimensionData[key] === 'number');
+    const raw = {};
+    for (const field of fields) {
+      const weight = subCriteriaWeights?.[field];
+      raw[field] = typeof weight === 'number' && weight >= 0 ? weight : 1;
+    }
+
+    const total = Object.values(raw).reduce((sum, weight) => sum + weight, 0);
+    const normalized = {};
+    for (const field of fields) {
+      normalized[field] = total > 0 ? raw[field] / total : 1 / fields.length;
+    }
+
+    return normalized;
+  }
+
+  /**
+   * Combine sub-criterion weights from the preset rules and the user request.
+   * Rule weights multiply; user weights replace the rule weight of a sub-criterion.
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Object} - Dimension to { subCriterion: relative weight }
+   */
+  calculateSubCriteriaWeights(constraints) {
+    const combined = {};
+
+    for (const step of this.getWeightingSteps(constraints)) {
+      const subCriteria = step.rule.subCriteria || {};
+
+      for (const [dimension, fields] of Object.entries(subCriteria)) {
+        combined[dimension] = combined[dimension] || {};
+        for (const [field, weight] of Object.entries(fields)) {
+          combined[dimension][field] = (combined[dimension][field] ?? 1) * weight;
+        }
       }
     }
-    
-    return scores.length > 0 ? scores.reduce((sum, score) => sum + score, 0) / scores.length : 0;
+
+    for (const [dimension, fields] of Object.entries(constraints.subCriteriaWeights || {})) {
+      combined[dimension] = { ...(combined[dimension] || {}), ...fields };
+    }
+
+    return combined;
   }
 
   /**
@@ -246,29 +697,120 @@ class ComparisonEngine {
    * @returns {boolean} - Whether provider passes all filters
    */
   checkConstraintFilters(providerData, constraints) {
-    const allFilters = [
-      ...this.getFiltersForConstraint('budget', constraints.budget),
-      ...this.getFiltersForConstraint('experience', constraints.experience),
-      ...this.getFiltersForConstraint('workload', constraints.workload)
-    ];
+    return this.evaluateConstraintFilters(providerData, constraints).passes;
+  }
 
-    for (const filter of allFilters) {
-      if (!this.applyFilter(providerData, filter)) {
-        return false;
+  /**
+   * Evaluate every constraint filter and collect the ones a provider fails
+   * @param {Object} providerData - Provider data
+   * @param {Object} constraints - User constraints
+   * @returns {Object} - Whether all filters pass and the failed filter details
+   */
+  evaluateConstraintFilters(providerData, constraints) {
+    const failedFilters = [];
+    const { rules } = this.getRuleSet(constraints);
+
+    for (const constraintType of ['budget', 'experience', 'workload']) {
+      const constraintValue = constraints[constraintType];
+
+      for (const filter of this.getFiltersForConstraint(constraintType, constraintValue, rules)) {
+        if (!this.applyFilter(providerData, filter)) {
+          failedFilters.push({
+            source: `${constraintType}.${constraintValue}`,
+            path: filter.path,
+            criteria: filter.criteria,
+            actual: this.getNestedValue(providerData.dimensions, filter.path) ?? null
+          });
+        }
       }
     }
 
-    return true;
+    // Missing mandatory compliance frameworks act as hard filters too
+    for (const framework of this.evaluateCompliance(providerData, constraints)?.missingMandatory || []) {
+      failedFilters.push({
+        source: 'requiredFrameworks',
+        path: `compliance.frameworks.${framework}`,
+        criteria: { coverage: ['full', 'partial'] },
+        actual: null
+      });
+    }
+
+    // So do required jurisdictions without enough qualifying regions
+    const residency = this.evaluateResidency(providerData, constraints);
+    if (residency?.mandatory) {
+      const { minAvailabilityZones, sovereignOnly } = constraints.residency;
+      for (const jurisdiction of residency.unmet) {
+        failedFilters.push({
+          source: 'residency',
+          path: `regions.${jurisdiction}`,
+          criteria: { minRegions: residency.jurisdictions[jurisdiction].minRegions, minAvailabilityZones, sovereignOnly },
+          actual: residency.jurisdictions[jurisdiction].regions.length
+        });
+      }
+    }
+
+    return {
+      passes: failedFilters.length === 0,
+      failedFilters
+    };
+  }
+
+  /**
+   * Compare a provider's certifications with the required compliance frameworks
+   * @param {Object} providerData - Provider data
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Object|null} - Coverage per framework, or null when no frameworks are required
+   */
+  evaluateCompliance(providerData, constraints) {
+    const requirements = constraints.requiredFrameworks || [];
+    if (requirements.length === 0) return null;
+
+    const certifications = providerData.compliance?.frameworks || {};
+    const frameworks = {};
+    const summary = { full: 0, partial: 0, missing: 0 };
+    const missingMandatory = [];
+
+    for (const { framework, mandatory } of requirements) {
+      const certification = certifications[framework];
+      const coverage = certification ? certification.coverage : 'missing';
+
+      summary[coverage]++;
+      if (!certification && mandatory) {
+        missingMandatory.push(framework);
+      }
+
+      frameworks[framework] = {
+        name: complianceFrameworks[framework]?.name || framework,
+        coverage,
+        mandatory,
+        ...(certification?.scope && { scope: certification.scope }),
+        ...(certification?.notes && { notes: certification.notes })
+      };
+    }
+
+    return { frameworks, summary, missingMandatory };
+  }
+
+  /**
+   * Compare a provider's region catalog with the residency requirements
+   * @param {Object} providerData - Provider data
+   * @param {Object} constraints - Normalized constraints
+   * @returns {Object|null} - Residency evaluation, or null when no residency is required
+   */
+  evaluateResidency(providerData, constraints) {
+    if (!constraints.residency) return null;
+    return this.residencyEvaluator.evaluate(providerData, constraints.residency);
   }
 
   /**
    * Get filters for a specific constraint type and value
    * @param {string} constraintType - Type of constraint
    * @param {string} constraintValue - Value of constraint
+   * @param {Object} rules - Constraint rules to read the filters from
    * @returns {Array} - Array of filter objects
    */
-  getFiltersForConstraint(constraintType, constraintValue) {
-    const constraintRule = this.rules[constraintType]?.[constraintValue];
+  getFiltersForConstraint(constraintType, constraintValue, rules) {
+    const constraintRule = rules[constraintType]?.[constraintValue];
     if (!constraintRule?.filters) return [];
 
     return Object.entries(constraintRule.filters).map(([path, criteria]) => ({
@@ -284,7 +826,8 @@ class ComparisonEngine {
    * @returns {boolean} - Whether provider passes the filter
    */
   applyFilter(providerData, filter) {
-    const value = this.getNestedValue(providerData, filter.path);
+    // Filter paths are relative to the dimensions block (e.g. 'enterprise.compliance')
+    const value = this.getNestedValue(providerData.dimensions, filter.path);
     if (value === undefined) return false;
 
     const { min, max } = filter.criteria;
@@ -313,30 +856,83 @@ class ComparisonEngine {
    */
   generateComparisonOutput(evaluations, constraints) {
     const providers = {};
-    
-    // Sort providers by total score (best match first)
-    const sortedEvaluations = Object.entries(evaluations)
-      .sort(([,a], [,b]) => b.totalScore - a.totalScore);
+    const filterMode = constraints.filterMode || 'none';
+    const applyFilters = filterMode !== 'none';
+    const sortedEvaluations = this.rankEvaluations(evaluations, constraints);
+
+    const qualifiedEvaluations = sortedEvaluations.filter(([, evaluation]) => evaluation.passesFilters);
+    const disqualifiedEvaluations = sortedEvaluations.filter(([, evaluation]) => !evaluation.passesFilters);
+    const includedEvaluations = filterMode === 'exclude' ? qualifiedEvaluations : sortedEvaluations;
+    const guidanceEvaluations = applyFilters ? qualifiedEvaluations : sortedEvaluations;
     
     // Format provider results with constraint-specific insights
-    for (const [providerName, evaluation] of sortedEvaluations) {
+    for (const [providerName, evaluation] of includedEvaluations) {
       providers[providerName] = {
+        displayName: evaluation.provider?.displayName || providerName.toUpperCase(),
         strengths: this.getConstraintSpecificStrengths(evaluation, constraints),
         weaknesses: this.getConstraintSpecificWeaknesses(evaluation, constraints),
         idealUseCases: this.getConstraintSpecificUseCases(evaluation, constraints),
         tradeOffs: this.generateConstraintSpecificTradeOffs(evaluation, constraints),
-        matchScore: Math.round(evaluation.totalScore * 10) / 10 // Round to 1 decimal
+        matchScore: Math.round(evaluation.totalScore * 10) / 10, // Round to 1 decimal
+        status: applyFilters && !evaluation.passesFilters ? 'disqualified' : 'qualified',
+        passesFilters: evaluation.passesFilters,
+        failedFilters: evaluation.failedFilters || []
       };
+
+      if (evaluation.compliance) {
+        providers[providerName].compliance = evaluation.compliance;
+      }
+
+      if (evaluation.residency) {
+        providers[providerName].residency = evaluation.residency;
+      }
+
+      if (evaluation.explanation) {
+        providers[providerName].explanation = evaluation.explanation;
+      }
     }
 
     return {
       providers,
-      crossProviderAnalysis: this.generateCrossProviderAnalysis(evaluations, constraints),
-      decisionGuidance: this.generateDecisionGuidance(evaluations, constraints),
-      constraintSummary: this.generateConstraintBasedSummary(constraints, sortedEvaluations)
+      crossProviderAnalysis: includedEvaluations.length > 0
+        ? this.generateCrossProviderAnalysis(Object.fromEntries(includedEvaluations), constraints)
+        : {},
+      decisionGuidance: guidanceEvaluations.length > 0
+        ? this.generateDecisionGuidance(Object.fromEntries(guidanceEvaluations), constraints)
+        : {},
+      constraintSummary: this.generateConstraintBasedSummary(constraints, sortedEvaluations),
+      filtering: {
+        mode: filterMode,
+        qualifiedProviders: qualifiedEvaluations.map(([name]) => name),
+        disqualifiedProviders: disqualifiedEvaluations.map(([name, evaluation]) => ({
+          name,
+          displayName: evaluation.provider?.displayName || name.toUpperCase(),
+          excluded: filterMode === 'exclude',
+          failedFilters: evaluation.failedFilters
+        }))
+      }
     };
   }
 
+  /**
+   * Sort provider evaluations by total score (best match first). With hard
+   * filters applied, qualified providers always rank ahead of disqualified ones.
+   * @param {Object} evaluations - Provider evaluations
+   * @param {Object} constraints - User constraints
+   * @returns {Array} - Sorted [providerName, evaluation] entries
+   */
+  rankEvaluations(evaluations, constraints) {
+    const applyFilters = (constraints.filterMode || 'none') !== 'none';
+
+    return Object.entries(evaluations)
+      .sort(([,a], [,b]) => {
+        if (applyFilters && a.passesFilters !== b.passesFilters) {
+          return a.passesFilters ? -1 : 1;
+        }
+        return b.totalScore - a.totalScore;
+      });
+  }
+
   /**
    * Get constraint-specific strengths for a provider
    * @param {Object} evaluation - Provider evaluation
@@ -466,15 +1062,21 @@ class ComparisonEngine {
    * @returns {Object} - Constraint summary
    */
   generateConstraintBasedSummary(constraints, sortedEvaluations) {
-    const topProvider = sortedEvaluations[0];
+    const applyFilters = (constraints.filterMode || 'none') !== 'none';
+    const topProvider = applyFilters
+      ? sortedEvaluations.find(([, evaluation]) => evaluation.passesFilters)
+      : sortedEvaluations[0];
     const priorities = constraints.priorities.join(', ');
     
     return {
-      topMatch: topProvider[0],
-      matchReason: `Based on your ${constraints.budget} budget, ${constraints.experience} experience level, ${constraints.workload} workload, and priorities in ${priorities}`,
+      topMatch: topProvider ? topProvider[0] : null,
+      matchReason: topProvider
+        ? `Based on your ${constraints.budget} budget, ${constraints.experience} experience level, ${constraints.workload} workload, and priorities in ${priorities}`
+        : 'No provider satisfies the hard filters for your constraints',
       allProviders: sortedEvaluations.map(([name, evaluation]) => ({
         name,
-        score: Math.round(evaluation.totalScore * 10) / 10
+        score: Math.round(evaluation.totalScore * 10) / 10,
+        passesFilters: evaluation.passesFilters
       }))
     };
   }
@@ -643,10 +1245,28 @@ class ComparisonEngine {
    * @returns {string} - Cache key
    */
   generateCacheKey(constraints) {
-    const normalized = JSON.stringify(constraints, Object.keys(constraints).sort());
+    const normalized = this.stableStringify(constraints);
     return `comparison_${this.hashString(normalized)}`;
   }
 
+  /**
+   * Serialize a value with object keys sorted at every level
+   * @param {*} value - Value to serialize
+   * @returns {string} - Deterministic JSON string
+   */
+  stableStringify(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => this.stableStringify(item)).join(',')}]`;
+    }
+    if (value && typeof value === 'object') {
+      const entries = Object.keys(value).sort()
+        .filter(key => value[key] !== undefined)
+        .map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value);
+  }
+
   /**
    * Simple string hash function
    * @param {string} str - String to hash
@@ -0,0 +1,404 @@
+// Tests for the comparison engine
+
+const { ComparisonEngine } = require('./comparisonEngine');
+const { ConstraintProcessor } = require('./constraintProcessor');
+const { OutputFormatter } = require('./outputFormatter');
+const { makeProvider, costScores } = require('./fixtures/providers');
+
+const baseConstraints = {
+  budget: 'medium',
+  experience: 'intermediate',
+  workload: 'enterprise',
+  priorities: ['cost']
+};
+
+const sumWeights = weights => Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+
+describe('ComparisonEngine', () => {
+  describe('custom weightings', () => {
+    const engine = new ComparisonEngine();
+
+    test('should use preset weightings when no custom weights are given', () => {
+      const details = engine.describeWeightings(baseConstraints);
+
+      expect(details.source).toBe('preset');
+      expect(details.effectiveWeights).toEqual(details.presetWeights);
+      expect(sumWeights(details.effectiveWeights)).toBeCloseTo(1);
+    });
+
+    test('should fully override preset weightings by default', () => {
+      const details = engine.describeWeightings({
+        ...baseConstraints,
+        customWeights: { cost: 3, aiml: 1 },
+        weightBlend: 1
+      });
+
+      expect(details.source).toBe('custom');
+      expect(details.effectiveWeights.cost).toBeCloseTo(0.75);
+      expect(details.effectiveWeights.aiml).toBeCloseTo(0.25);
+      expect(details.effectiveWeights.enterprise).toBe(0);
+    });
+
+    test('should blend custom and preset weightings at the given ratio', () => {
+      const details = engine.describeWeightings({
+        ...baseConstraints,
+        customWeights: { cost: 1 },
+        weightBlend: 0.5
+      });
+
+      expect(details.source).toBe('blended');
+      expect(details.effectiveWeights.cost).toBeCloseTo(details.presetWeights.cost / 2 + 0.5);
+      expect(sumWeights(details.effectiveWeights)).toBeCloseTo(1);
+    });
+
+    test('should flag preset filters on dimensions weighted at zero', () => {
+      const details = engine.describeWeightings({
+        ...baseConstraints,
+        customWeights: { cost: 1 },
+        weightBlend: 1
+      });
+
+      expect(details.overridesPresetFilters).toBe(true);
+      expect(details.overriddenFilters.map(f => f.path)).toEqual([
+        'enterprise.compliance',
+        'enterprise.support',
+        'enterprise.sla'
+      ]);
+    });
+
+    test('should produce distinct cache keys for different weight vectors', () => {
+      const keyA = engine.generateCacheKey({ ...baseConstraints, customWeights: { cost: 1 } });
+      const keyB = engine.generateCacheKey({ ...baseConstraints, customWeights: { aiml: 1 } });
+
+      expect(keyA).not.toBe(keyB);
+    });
+  });
+
+  describe('score explanations', () => {
+    const engine = new ComparisonEngine();
+    const providerData = {
+      provider: { name: 'test', displayName: 'Test' },
+      dimensions: {
+        cost: { pricingModel: 'pay-as-you-go', costPredictability: 6, budgetFriendliness: 8 },
+        enterprise: { compliance: 9, support: 7, sla: 8, securityFeatures: 8 }
+      }
+    };
+
+    test('should attribute each weight to the rules that produced it', () => {
+      const details = engine.describeWeightings({
+        ...baseConstraints,
+        customWeights: { cost: 1 },
+        weightBlend: 0.3
+      });
+
+      for (const [dimension, weight] of Object.entries(details.effectiveWeights)) {
+        expect(sumWeights(details.sources[dimension])).toBeCloseTo(weight);
+      }
+      expect(details.sources.cost['priority.cost']).toBeGreaterThan(0);
+      expect(details.sources.cost.custom).toBeCloseTo(0.3);
+    });
+
+    test('should list sub-scores, weights and contributions per dimension', () => {
+      const details = engine.describeWeightings(baseConstraints);
+      const explanation = engine.explainEvaluation(providerData, details);
+      const evaluation = engine.evaluateProvider(providerData, baseConstraints, details.effectiveWeights);
+
+      expect(explanation.dimensions.cost.subScores).toEqual({ costPredictability: 6, budgetFriendliness: 8 });
+      expect(explanation.dimensions.cost.score).toBe(7);
+      expect(explanation.dimensions.cost.contribution).toBeCloseTo(7 * details.effectiveWeights.cost);
+      expect(explanation.totalScore).toBeCloseTo(evaluation.totalScore);
+    });
+    test('should cite the evidence behind each sub-score', () => {
+      const citation = { title: 'Pricing overview', url: 'https://example.com/pricing', retrieved: '2024-05-01' };
+      const cited = {
+        ...providerData,
+        dimensions: {
+          ...providerData.dimensions,
+          cost: { ...providerData.dimensions.cost, evidence: { budgetFriendliness: [citation] } }
+        }
+      };
+
+      const explanation = engine.explainEvaluation(cited, engine.describeWeightings(baseConstraints));
+
+      expect(explanation.dimensions.cost.subScores).toEqual({ costPredictability: 6, budgetFriendliness: 8 });
+      expect(explanation.dimensions.cost.citations).toEqual({ budgetFriendliness: [citation] });
+      expect(explanation.dimensions.cost.uncited).toEqual(['costPredictability']);
+    });
+  });
+
+  describe('sub-criterion weights', () => {
+    const engine = new ComparisonEngine();
+    const cost = { pricingModel: 'pay-as-you-go', costPredictability: 4, budgetFriendliness: 8 };
+
+    test('should average sub-scores equally when no weights are given', () => {
+      expect(engine.calculateDimensionScore(cost)).toBe(6);
+    });
+
+    test('should apply relative sub-criterion weights', () => {
+      expect(engine.calculateDimensionScore(cost, { costPredictability: 3 })).toBe(5);
+      expect(engine.calculateDimensionScore(cost, { costPredictability: 0, budgetFriendliness: 0 })).toBe(6);
+    });
+
+    test('should take sub-criterion weights from priority rules', () => {
+      const weights = engine.calculateSubCriteriaWeights({ ...baseConstraints, priorities: ['reliability'] });
+
+      expect(weights.enterprise.sla).toBe(2);
+    });
+
+    test('should let user sub-criterion weights replace rule weights', () => {
+      const weights = engine.calculateSubCriteriaWeights({
+        ...baseConstraints,
+        priorities: ['reliability', 'security'],
+        subCriteriaWeights: { enterprise: { sla: 5 } }
+      });
+
+      expect(weights.enterprise.sla).toBe(5);
+      expect(weights.enterprise.securityFeatures).toBe(2);
+    });
+  });
+
+  describe('hard filters', () => {
+    const engine = new ComparisonEngine();
+    const compliantProvider = (name, enterprise = {}) => makeProvider(name, {
+      cost: costScores(7),
+      enterprise: { compliance: 9, support: 9, sla: 9, securityFeatures: 9, ...enterprise }
+    });
+
+    test('should report the exact filter paths and thresholds that fail', () => {
+      const result = engine.evaluateConstraintFilters(
+        compliantProvider('weak', { compliance: 6 }),
+        { ...baseConstraints, filterMode: 'mark' }
+      );
+
+      expect(result.passes).toBe(false);
+      expect(result.failedFilters).toEqual([{
+        source: 'workload.enterprise',
+        path: 'enterprise.compliance',
+        criteria: { min: 8 },
+        actual: 6
+      }]);
+    });
+
+    const buildEvaluations = constraints => {
+      const weightings = engine.calculateWeightings(constraints);
+      return {
+        strong: engine.evaluateProvider(compliantProvider('strong'), constraints, weightings),
+        weak: engine.evaluateProvider(compliantProvider('weak', { compliance: 6 }), constraints, weightings)
+      };
+    };
+
+    test('should mark failing providers as disqualified and rank them last', () => {
+      const constraints = { ...baseConstraints, filterMode: 'mark' };
+      const output = engine.generateComparisonOutput(buildEvaluations(constraints), constraints);
+
+      expect(output.providers.weak.status).toBe('disqualified');
+      expect(output.providers.strong.status).toBe('qualified');
+      expect(output.constraintSummary.topMatch).toBe('strong');
+      expect(output.filtering.disqualifiedProviders.map(p => p.name)).toEqual(['weak']);
+    });
+
+    test('should exclude failing providers in exclude mode', () => {
+      const constraints = { ...baseConstraints, filterMode: 'exclude' };
+      const output = engine.generateComparisonOutput(buildEvaluations(constraints), constraints);
+
+      expect(Object.keys(output.providers)).toEqual(['strong']);
+      expect(output.filtering.disqualifiedProviders[0].excluded).toBe(true);
+    });
+
+    test('should add match scores and the ranking only when formatting for API v2', () => {
+      const constraints = { ...baseConstraints, filterMode: 'mark' };
+      const weightings = engine.calculateWeightings(constraints);
+      // The formatter requires the three major providers
+      const evaluations = {
+        aws: engine.evaluateProvider(compliantProvider('aws', { compliance: 6 }), constraints, weightings),
+        azure: engine.evaluateProvider(compliantProvider('azure'), constraints, weightings),
+        gcp: engine.evaluateProvider(compliantProvider('gcp', { support: 8 }), constraints, weightings)
+      };
+      const output = engine.generateComparisonOutput(evaluations, constraints);
+      const formatter = new OutputFormatter();
+
+      const v1 = formatter.formatComparisonResults(output, constraints).results;
+      expect(v1.providers.aws).not.toHaveProperty('matchScore');
+      expect(v1).not.toHaveProperty('ranking');
+
+      const v2 = formatter.formatComparisonResults(output, constraints, { includeScores: true }).results;
+      expect(v2.providers.aws).toMatchObject({ matchScore: output.providers.aws.matchScore, passesFilters: false });
+      expect(v2.ranking.topMatch).toBe('azure');
+      expect(v2.ranking.providers.map(provider => [provider.name, provider.passesFilters]))
+        .toEqual([['azure', true], ['gcp', true], ['aws', false]]);
+    });
+  });
+
+  describe('compliance frameworks', () => {
+    const engine = new ComparisonEngine();
+    const providerData = {
+      provider: { name: 'test', displayName: 'Test' },
+      dimensions: { cost: { costPredictability: 8, budgetFriendliness: 8 } },
+      compliance: {
+        frameworks: {
+          hipaa: { coverage: 'full' },
+          'fedramp-high': { coverage: 'partial', scope: 'Government regions only' }
+        }
+      }
+    };
+    const constraints = {
+      ...baseConstraints,
+      workload: 'startup',
+      requiredFrameworks: [
+        { framework: 'hipaa', mandatory: true },
+        { framework: 'fedramp-high', mandatory: true },
+        { framework: 'c5', mandatory: false }
+      ]
+    };
+
+    test('should report full, partial and missing coverage per framework', () => {
+      const compliance = engine.evaluateCompliance(providerData, constraints);
+
+      expect(compliance.summary).toEqual({ full: 1, partial: 1, missing: 1 });
+      expect(compliance.frameworks['fedramp-high']).toEqual({
+        name: 'FedRAMP High',
+        coverage: 'partial',
+        mandatory: true,
+        scope: 'Government regions only'
+      });
+      expect(compliance.missingMandatory).toEqual([]);
+      expect(engine.evaluateConstraintFilters(providerData, constraints).passes).toBe(true);
+    });
+
+    test('should treat missing mandatory frameworks as failed hard filters', () => {
+      const result = engine.evaluateConstraintFilters(providerData, {
+        ...constraints,
+        requiredFrameworks: [{ framework: 'c5', mandatory: true }]
+      });
+
+      expect(result.passes).toBe(false);
+      expect(result.failedFilters).toEqual([{
+        source: 'requiredFrameworks',
+        path: 'compliance.frameworks.c5',
+        criteria: { coverage: ['full', 'partial'] },
+        actual: null
+      }]);
+    });
+
+    test('should normalize framework ids and reject unknown ones', () => {
+      const processor = new ConstraintProcessor();
+
+      expect(processor.processConstraints({ ...baseConstraints, requiredFrameworks: ['HIPAA'] }).constraints.requiredFrameworks)
+        .toEqual([{ framework: 'hipaa', mandatory: true }]);
+      expect(processor.processConstraints({ ...baseConstraints, requiredFrameworks: ['sox'] }).success).toBe(false);
+    });
+  });
+
+  describe('data residency', () => {
+    const engine = new ComparisonEngine();
+    const providerData = {
+      provider: { name: 'test', displayName: 'Test' },
+      dimensions: { cost: { costPredictability: 8, budgetFriendliness: 8 } },
+      regions: [{ id: 'mumbai', name: 'Mumbai', country: 'IN', availabilityZones: 3 }]
+    };
+    const constraints = engine.validateAndNormalizeConstraints({
+      ...baseConstraints,
+      workload: 'startup',
+      residency: { jurisdictions: ['IN', 'EU'], weight: 0.5 }
+    });
+
+    test('should blend the residency score into the total score', () => {
+      const weightings = { cost: 1 };
+      const evaluation = engine.evaluateProvider(providerData, constraints, weightings);
+
+      // Cost scores 8; half of the jurisdictions are covered, giving a residency score of 5.5
+      expect(evaluation.residency.score).toBe(5.5);
+      expect(evaluation.totalScore).toBeCloseTo(8 * 0.5 + 5.5 * 0.5);
+
+      const explanation = engine.explainEvaluation(providerData, { effectiveWeights: weightings }, constraints);
+      expect(explanation.residency).toEqual({ score: 5.5, weight: 0.5, contribution: 2.75 });
+      expect(explanation.totalScore).toBeCloseTo(evaluation.totalScore);
+    });
+
+    test('should treat unmet mandatory jurisdictions as failed hard filters', () => {
+      const result = engine.evaluateConstraintFilters(providerData, constraints);
+
+      expect(result.failedFilters).toEqual([{
+        source: 'residency',
+        path: 'regions.EU',
+        criteria: { minRegions: 1, minAvailabilityZones: 1, sovereignOnly: false },
+        actual: 0
+      }]);
+      expect(engine.evaluateConstraintFilters(providerData, {
+        ...constraints,
+        residency: { ...constraints.residency, mandatory: false }
+      }).passes).toBe(true);
+    });
+  });
+
+  describe('provider preparation', () => {
+    const current = new Map([['aws', { dimensions: { cost: { priceLevel: 5 } } }]]);
+    const snapshot = new Map([['aws', { dimensions: { cost: { priceLevel: 2 } } }]]);
+    const dataSource = { getProvidersAt: async version => (version ? snapshot : current) };
+
+    test('should load the pinned data version and apply the cost estimate to it', async () => {
+      const engine = new ComparisonEngine();
+      const tco = { appliedToCost: true };
+      engine.tcoEstimator = {
+        estimate: () => tco,
+        applyToCostDimension: providers => new Map([...providers].map(([name]) => [name, { dimensions: { cost: { priceLevel: 9 } } }]))
+      };
+
+      expect(await engine.prepareProviders({ dataVersion: 'abc' }, dataSource)).toEqual({ providers: snapshot, tco: null });
+      const prepared = await engine.prepareProviders({ dataVersion: 'abc', tco: { computeHours: 100 } }, dataSource);
+      expect(prepared.tco).toBe(tco);
+      expect(prepared.providers.get('aws').dimensions.cost.priceLevel).toBe(9);
+    });
+  });
+
+  describe('custom weight validation', () => {
+    const processor = new ConstraintProcessor();
+
+    test('should reject unknown dimensions and negative weights', () => {
+      const result = processor.processConstraints({
+        ...baseConstraints,
+        customWeights: { cost: -1, latency: 2 }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.errors.length).toBe(2);
+    });
+
+    test('should reject out-of-range blend ratios', () => {
+      const result = processor.processConstraints({
+        ...baseConstraints,
+        customWeights: { cost: 1 },
+        weightBlend: 1.5
+      });
+
+      expect(result.success).toBe(false);
+    });
+
+    test('should reject unknown fields and wrong types before normalizing', () => {
+      const result = processor.processConstraints({
+        ...baseConstraints,
+        budget: 3,
+        requiredFrameworks: ['hipaa', { framework: 'gdpr', mandatory: 'no' }],
+        region: 'eu'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.errors).toEqual([
+        '/budget: Expected string, got number',
+        '/requiredFrameworks/1/mandatory: Expected boolean, got string',
+        '/region: Unknown property. Allowed: budget, experience, workload, priorities, filterMode, ruleSet, dataVersion, ' +
+          'customWeights, weightBlend, subCriteriaWeights, monteCarlo, tco, requiredFrameworks, currentServices, migration, residency'
+      ]);
+    });
+
+    test('should default the blend ratio to a full override', () => {
+      const result = processor.processConstraints({
+        ...baseConstraints,
+        customWeights: { cost: 1 }
+      });
+
+      expect(result.success).toBe(true);
+      expect(result.constraints.weightBlend).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,274 @@
+// Saved comparison history: stores comparison results and records the decisions taken on them
+
+const { comparisonStore } = require('../data/comparisonStore');
+const { dataManager } = require('../data/dataManager');
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const MAX_NAME_LENGTH = 200;
+const MAX_RATIONALE_LENGTH = 5000;
+
+const ANNOTATION_FIELDS = ['name', 'decision'];
+const DECISION_FIELDS = ['provider', 'rationale', 'decidedBy'];
+
+class ComparisonHistory {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.store - ComparisonStore implementation
+   * @param {Object} dependencies.dataSource - Object exposing getDataVersion()
+   */
+  constructor({ store = comparisonStore, dataSource = dataManager } = {}) {
+    this.store = store;
+    this.dataSource = dataSource;
+    this.annotating = new Map();
+  }
+
+  /**
+   * Validate paging query parameters
+   * @param {Object} query - Raw { limit, offset } strings or numbers
+   * @returns {Array} - Validation errors
+   */
+  static validatePaging({ limit, offset } = {}) {
+    const errors = [];
+    if (limit !== undefined && !this.isInteger(limit, 1, MAX_PAGE_SIZE)) {
+      errors.push(`limit must be an integer between 1 and ${MAX_PAGE_SIZE}`);
+    }
+    if (offset !== undefined && !this.isInteger(offset, 0, Number.MAX_SAFE_INTEGER)) {
+      errors.push('offset must be a non-negative integer');
+    }
+    return errors;
+  }
+
+  /**
+   * Validate an annotation of a saved comparison
+   * @param {Object} annotation - { name, decision } where decision is null or { provider, rationale, decidedBy }
+   * @returns {Array} - Validation errors
+   */
+  static validateAnnotation(annotation) {
+    if (!annotation || typeof annotation !== 'object' || Array.isArray(annotation)) {
+      return ['Annotation must be an object with a name or a decision'];
+    }
+
+    const errors = [];
+    for (const field of Object.keys(annotation)) {
+      if (!ANNOTATION_FIELDS.includes(field)) {
+        errors.push(`Unknown annotation field: ${field}. Must be one of: ${ANNOTATION_FIELDS.join(', ')}`);
+      }
+    }
+
+    if (annotation.name !== undefined) {
+      errors.push(...this.validateName(annotation.name));
+    }
+
+    const { decision } = annotation;
+    if (decision === undefined || decision === null) {
+      return errors;
+    }
+    if (typeof decision !== 'object' || Array.isArray(decision)) {
+      errors.push('Decision must be an object with a provider and a rationale, or null to clear it');
+      return errors;
+    }
+
+    for (const field of Object.keys(decision)) {
+      if (!DECISION_FIELDS.includes(field)) {
+        errors.push(`Unknown decision field: ${field}. Must be one of: ${DECISION_FIELDS.join(', ')}`);
+      }
+    }
+    if (typeof decision.provider !== 'string' || decision.provider.trim() === '') {
+      errors.push('Decision provider is required');
+    }
+    if (typeof decision.rationale !== 'string' || decision.rationale.trim() === '') {
+      errors.push('Decision rationale is required');
+    } else if (decision.rationale.length > MAX_RATIONALE_LENGTH) {
+      errors.push(`Decision rationale must be at most ${MAX_RATIONALE_LENGTH} characters`);
+    }
+    if (decision.decidedBy !== undefined && typeof decision.decidedBy !== 'string') {
+      errors.push('Decision decidedBy must be a string');
+    }
+
+    return errors;
+  }
+
+  /**
+   * @param {*} name - Comparison name
+   * @returns {Array} - Validation errors
+   */
+  static validateName(name) {
+    if (name === null) return [];
+    if (typeof name !== 'string' || name.length > MAX_NAME_LENGTH) {
+      return [`Comparison name must be a string of at most ${MAX_NAME_LENGTH} characters`];
+    }
+    return [];
+  }
+
+  /**
+   * @param {*} value - Number or numeric string
+   * @param {number} min - Smallest allowed value
+   * @param {number} max - Largest allowed value
+   * @returns {boolean} - Whether value is an integer within range
+   */
+  static isInteger(value, min, max) {
+    const number = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+    return Number.isInteger(number) && number >= min && number <= max;
+  }
+
+  /**
+   * Save a comparison with the inputs and data it was computed from
+   * @param {Object} comparison - Comparison to save
+   * @param {string} comparison.name - Optional name
+   * @param {Object} comparison.constraints - Processed constraints
+   * @param {Object} comparison.results - Formatted comparison results
+   * @param {Object} comparison.effectiveWeights - Weights used, when results leave them out
+   * @param {Object} comparison.dataVersion - Data version used, when results leave it out
+   * @returns {Promise<Object>} - Saved record
+   */
+  async save({ name = null, constraints, results, effectiveWeights, dataVersion }) {
+    return await this.store.create({
+      name,
+      constraints,
+      effectiveWeights: effectiveWeights || results.weighting?.effectiveWeights || null,
+      dataVersion: dataVersion || results.dataVersion || this.dataSource.getDataVersion(),
+      results,
+      decision: null,
+      decisionHistory: []
+    });
+  }
+
+  /**
+   * List saved comparisons, newest first
+   * @param {Object} query - { limit, offset }
+   * @returns {Promise<Object>} - Page of comparison summaries
+   */
+  async list({ limit = DEFAULT_PAGE_SIZE, offset = 0 } = {}) {
+    const page = { limit: Number(limit), offset: Number(offset) };
+    const { total, records } = await this.store.list(page);
+
+    return {
+      total,
+      ...page,
+      comparisons: records.map(record => this.summarize(record))
+    };
+  }
+
+  /**
+   * @param {string} id - Comparison id
+   * @returns {Promise<Object|null>} - Saved comparison or null if not found
+   */
+  async get(id) {
+    return await this.store.get(id);
+  }
+
+  /**
+   * Rename a comparison or record the decision taken on it; a replaced
+   * decision is kept in decisionHistory. Annotations of the same comparison
+   * run one after another, so none of them overwrites another's decision.
+   * @param {string} id - Comparison id
+   * @param {Object} annotation - { name, decision }
+   * @returns {Promise<Object>} - Annotation result
+   */
+  async annotate(id, annotation) {
+    const queued = (this.annotating.get(id) || Promise.resolve())
+      .then(() => this._annotate(id, annotation));
+
+    const settled = queued.catch(() => {}).then(() => {
+      if (this.annotating.get(id) === settled) {
+        this.annotating.delete(id);
+      }
+    });
+    this.annotating.set(id, settled);
+
+    return await queued;
+  }
+
+  /**
+   * @private
+   * @param {string} id - Comparison id
+   * @param {Object} annotation - { name, decision }
+   * @returns {Promise<Object>} - Annotation result
+   */
+  async _annotate(id, annotation) {
+    const errors = ComparisonHistory.validateAnnotation(annotation);
+    const record = await this.store.get(id);
+
+    if (!record) {
+      return this.failure('COMPARISON_NOT_FOUND', `Saved comparison not found: ${id}`);
+    }
+
+    const decision = annotation?.decision;
+    const compared = Object.keys(record.results?.providers || {});
+    if (errors.length === 0 && decision && !compared.includes(decision.provider)) {
+      errors.push(`Decision provider ${decision.provider} is not part of this comparison. Must be one of: ${compared.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      return this.failure('ANNOTATION_VALIDATION_ERROR', 'Invalid annotation provided', errors);
+    }
+
+    const changes = {};
+    if (annotation.name !== undefined) {
+      changes.name = annotation.name;
+    }
+    if (decision !== undefined) {
+      changes.decision = decision && {
+        provider: decision.provider,
+        rationale: decision.rationale.trim(),
+        ...(decision.decidedBy && { decidedBy: decision.decidedBy }),
+        decidedAt: new Date().toISOString()
+      };
+      changes.decisionHistory = record.decision
+        ? [...record.decisionHistory, record.decision]
+        : record.decisionHistory;
+    }
+
+    return {
+      success: true,
+      comparison: await this.store.update(id, changes)
+    };
+  }
+
+  /**
+   * @param {string} id - Comparison id
+   * @returns {Promise<boolean>} - Whether the comparison was deleted
+   */
+  async remove(id) {
+    return await this.store.delete(id);
+  }
+
+  /**
+   * @param {Object} record - Saved comparison
+   * @returns {Object} - Listing entry without the full results
+   */
+  summarize(record) {
+    return {
+      id: record.id,
+      name: record.name,
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt,
+      dataVersion: record.dataVersion,
+      providers: Object.keys(record.results?.providers || {}),
+      decision: record.decision
+    };
+  }
+
+  /**
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {Array} details - Optional error details
+   * @returns {Object} - Failed result
+   */
+  failure(code, message, details) {
+    return {
+      success: false,
+      error: {
+        code,
+        message,
+        ...(details && { details }),
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+}
+
+// Create singleton instance
+const comparisonHistory = new ComparisonHistory();
+
+module.exports = { ComparisonHistory, comparisonHistory };
@@ -0,0 +1,103 @@
+// Tests for saved comparison history and the file-backed comparison store
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ComparisonHistory } = require('./comparisonHistory');
+const { FileComparisonStore } = require('../data/comparisonStore');
+
+const results = {
+  providers: { gcp: {}, aws: {} },
+  weighting: { effectiveWeights: { cost: 0.6, enterprise: 0.4 } }
+};
+
+describe('ComparisonHistory', () => {
+  let directory;
+  let history;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'comparisons-'));
+    history = new ComparisonHistory({
+      store: new FileComparisonStore({ directory }),
+      dataSource: { getDataVersion: () => ({ providers: { aws: '2024-01-01', gcp: '2024-02-01' } }) }
+    });
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should save, list, retrieve and delete comparisons', async () => {
+    const first = await history.save({ name: 'Q1 review', constraints: { budget: 'low' }, results });
+    const second = await history.save({ constraints: { budget: 'high' }, results });
+
+    expect(first.effectiveWeights).toEqual({ cost: 0.6, enterprise: 0.4 });
+    expect(first.dataVersion.providers.gcp).toBe('2024-02-01');
+    expect(fs.readdirSync(directory)).toHaveLength(2);
+    expect(await history.get(first.id)).toEqual(first);
+
+    const page = await history.list({ limit: 1, offset: 1 });
+    expect(page.total).toBe(2);
+    expect(page.comparisons).toHaveLength(1);
+    expect(page.comparisons[0]).not.toHaveProperty('results');
+    expect([first.id, second.id]).toContain(page.comparisons[0].id);
+
+    expect(await history.remove(first.id)).toBe(true);
+    expect(await history.remove(first.id)).toBe(false);
+    expect(await history.get(first.id)).toBeNull();
+    expect(await history.get('../outside')).toBeNull();
+  });
+
+  test('should record decisions and keep replaced ones', async () => {
+    const saved = await history.save({ constraints: {}, results });
+
+    await history.annotate(saved.id, { decision: { provider: 'aws', rationale: 'Existing contract' } });
+    const result = await history.annotate(saved.id, {
+      name: 'Platform choice',
+      decision: { provider: 'gcp', rationale: ' Data team preference ', decidedBy: 'architecture board' }
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.comparison.name).toBe('Platform choice');
+    expect(result.comparison.decision).toMatchObject({
+      provider: 'gcp',
+      rationale: 'Data team preference',
+      decidedBy: 'architecture board'
+    });
+    expect(result.comparison.decisionHistory.map(decision => decision.provider)).toEqual(['aws']);
+    expect(result.comparison.createdAt).toBe(saved.createdAt);
+    expect((await history.get(saved.id)).decision.provider).toBe('gcp');
+  });
+
+  test('should keep every decision of concurrent annotations', async () => {
+    const saved = await history.save({ constraints: {}, results });
+    const decide = (provider, rationale) => history.annotate(saved.id, { decision: { provider, rationale } });
+
+    const annotated = await Promise.all([decide('aws', 'First'), decide('gcp', 'Second'), decide('aws', 'Third')]);
+
+    expect(annotated.every(result => result.success)).toBe(true);
+    const stored = await history.get(saved.id);
+    expect(stored.decision.rationale).toBe('Third');
+    expect(stored.decisionHistory.map(decision => decision.rationale)).toEqual(['First', 'Second']);
+    expect(history.annotating.size).toBe(0);
+  });
+
+  test('should reject invalid annotations and unknown comparisons', async () => {
+    const saved = await history.save({ constraints: {}, results });
+
+    const invalid = await history.annotate(saved.id, { decision: { provider: 'azure', rationale: 'Cheaper' } });
+    expect(invalid.error.code).toBe('ANNOTATION_VALIDATION_ERROR');
+    expect(invalid.error.details).toEqual([
+      'Decision provider azure is not part of this comparison. Must be one of: gcp, aws'
+    ]);
+
+    expect(ComparisonHistory.validateAnnotation({ decision: { provider: 'aws' }, tags: [] })).toEqual([
+      'Unknown annotation field: tags. Must be one of: name, decision',
+      'Decision rationale is required'
+    ]);
+    expect(ComparisonHistory.validatePaging({ limit: '0', offset: 'x' })).toHaveLength(2);
+
+    const missing = await history.annotate('00000000-0000-4000-8000-000000000000', { name: 'x' });
+    expect(missing.error.code).toBe('COMPARISON_NOT_FOUND');
+  });
+});
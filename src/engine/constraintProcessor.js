@@ -1,13 +1,36 @@
 // Constraint processing and validation logic
 
+const { providerSchema } = require('../schemas/providerSchema');
+const { constraintSchema } = require('../schemas/constraintSchema');
+const { SchemaValidator } = require('../utils/validation');
+const { UncertaintySimulator } = require('./uncertaintySimulator');
+const { ruleSetManager } = require('../config/ruleSetManager');
+const { TcoEstimator } = require('./tcoEstimator');
+const { ResidencyEvaluator } = require('./residencyEvaluator');
+const { ServiceMapper } = require('./serviceMapper');
+const { MigrationEstimator } = require('./migrationEstimator');
+const { providerRegistry } = require('../data/providerRegistry');
+const { dataManager } = require('../data/dataManager');
+const { DataSnapshotStore } = require('../data/dataSnapshotStore');
+const { complianceFrameworks } = require('../config/complianceFrameworks');
+
 class ConstraintProcessor {
   constructor() {
+    this.validDimensions = providerSchema.properties.dimensions.required;
+    this.validSubCriteria = {};
+    for (const dimension of this.validDimensions) {
+      const fields = providerSchema.properties.dimensions.properties[dimension].properties;
+      this.validSubCriteria[dimension] = Object.keys(fields).filter(field => fields[field].type === 'number');
+    }
     this.validConstraints = {
       budget: ['low', 'medium', 'high'],
       experience: ['beginner', 'intermediate', 'expert'],
       workload: ['startup', 'enterprise', 'research'],
-      priorities: ['cost', 'scalability', 'ease-of-use', 'compliance', 'devops', 'aiml', 'performance', 'reliability', 'innovation', 'support', 'integration', 'security']
+      priorities: ['cost', 'scalability', 'ease-of-use', 'compliance', 'devops', 'aiml', 'performance', 'reliability', 'innovation', 'support', 'integration', 'security'],
+      filterMode: ['none', 'mark', 'exclude']
     };
+    this.validFrameworks = Object.keys(complianceFrameworks);
+    this.ruleSets = ruleSetManager;
   }
 
   /**
@@ -55,6 +78,87 @@ class ConstraintProcessor {
       }
     }
 
+    if (!this.validConstraints.filterMode.includes(constraints.filterMode)) {
+      errors.push(`Invalid filter mode: ${constraints.filterMode}. Must be one of: ${this.validConstraints.filterMode.join(', ')}`);
+    }
+
+    // Validate optional rule set selection
+    if (constraints.ruleSet !== undefined) {
+      if (typeof constraints.ruleSet !== 'string' || constraints.ruleSet.trim() === '') {
+        errors.push('Rule set must be a non-empty string (name or name@version)');
+      } else if (!this.ruleSets.has(constraints.ruleSet)) {
+        const available = this.ruleSets.list().map(ruleSet => ruleSet.id);
+        errors.push(`Unknown rule set: ${constraints.ruleSet}. Available: ${available.join(', ')}`);
+      }
+    }
+
+    // Validate optional data version pin
+    if (constraints.dataVersion !== undefined) {
+      if (!DataSnapshotStore.isVersionId(constraints.dataVersion)) {
+        errors.push('Data version must be a version id listed by /api/data/versions');
+      } else if (!dataManager.hasDataVersion(constraints.dataVersion)) {
+        errors.push(`Unknown data version: ${constraints.dataVersion}`);
+      }
+    }
+
+    // Validate optional custom weightings
+    if (constraints.customWeights !== undefined) {
+      errors.push(...this.validateCustomWeights(constraints.customWeights));
+    }
+
+    if (constraints.weightBlend !== undefined) {
+      if (typeof constraints.weightBlend !== 'number' || Number.isNaN(constraints.weightBlend) ||
+          constraints.weightBlend < 0 || constraints.weightBlend > 1) {
+        errors.push('Weight blend must be a number between 0 and 1');
+      } else if (constraints.customWeights === undefined) {
+        warnings.push('Weight blend ignored because no custom weights were provided');
+      }
+    }
+
+    // Validate optional sub-criterion weights
+    if (constraints.subCriteriaWeights !== undefined) {
+      errors.push(...this.validateSubCriteriaWeights(constraints.subCriteriaWeights));
+    }
+
+    // Validate optional Monte Carlo simulation settings
+    if (constraints.monteCarlo !== undefined) {
+      errors.push(...UncertaintySimulator.validateOptions(constraints.monteCarlo));
+    }
+
+    // Validate optional compliance framework requirements
+    if (constraints.requiredFrameworks !== undefined) {
+      errors.push(...this.validateRequiredFrameworks(constraints.requiredFrameworks));
+    }
+
+    // Validate optional cost estimate usage
+    if (constraints.tco !== undefined) {
+      errors.push(...TcoEstimator.validateOptions(constraints.tco));
+    }
+
+    // Validate optional list of services currently in use
+    if (constraints.currentServices !== undefined) {
+      errors.push(...ServiceMapper.validateServices(constraints.currentServices));
+    }
+
+    // Validate optional migration estimate settings
+    if (constraints.migration !== undefined) {
+      const migrationErrors = MigrationEstimator.validateOptions(constraints.migration);
+      errors.push(...migrationErrors);
+
+      const registered = providerRegistry.getNames();
+      const named = [constraints.migration.sourceProvider, ...(constraints.migration.targetProviders || [])];
+      if (migrationErrors.length === 0) {
+        for (const providerName of named.filter(name => !registered.includes(name))) {
+          errors.push(`Unknown migration provider: ${providerName}. Must be one of: ${registered.join(', ')}`);
+        }
+      }
+    }
+
+    // Validate optional data-residency requirements
+    if (constraints.residency !== undefined) {
+      errors.push(...ResidencyEvaluator.validateOptions(constraints.residency));
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
@@ -62,6 +166,97 @@ class ConstraintProcessor {
     };
   }
 
+  /**
+   * Validate a user-supplied weight vector over the comparison dimensions
+   * @param {Object} customWeights - Dimension name to non-negative weight
+   * @returns {Array} - Validation errors
+   */
+  validateCustomWeights(customWeights) {
+    const errors = [];
+
+    if (!customWeights || typeof customWeights !== 'object' || Array.isArray(customWeights)) {
+      return ['Custom weights must be an object mapping dimensions to numbers'];
+    }
+
+    const unknownDimensions = Object.keys(customWeights).filter(d => !this.validDimensions.includes(d));
+    if (unknownDimensions.length > 0) {
+      errors.push(`Unknown weight dimensions: ${unknownDimensions.join(', ')}. Must be one of: ${this.validDimensions.join(', ')}`);
+    }
+
+    for (const [dimension, weight] of Object.entries(customWeights)) {
+      if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+        errors.push(`Custom weight for ${dimension} must be a non-negative number`);
+      }
+    }
+
+    const total = Object.values(customWeights)
+      .filter(weight => typeof weight === 'number' && weight > 0)
+      .reduce((sum, weight) => sum + weight, 0);
+    if (errors.length === 0 && total === 0) {
+      errors.push('Custom weights must include at least one positive weight');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate user-supplied sub-criterion weights ({ dimension: { subCriterion: weight } })
+   * @param {Object} subCriteriaWeights - Relative weights within dimensions
+   * @returns {Array} - Validation errors
+   */
+  validateSubCriteriaWeights(subCriteriaWeights) {
+    const errors = [];
+
+    if (!subCriteriaWeights || typeof subCriteriaWeights !== 'object' || Array.isArray(subCriteriaWeights)) {
+      return ['Sub-criteria weights must be an object mapping dimensions to sub-criterion weights'];
+    }
+
+    for (const [dimension, fields] of Object.entries(subCriteriaWeights)) {
+      if (!this.validDimensions.includes(dimension)) {
+        errors.push(`Unknown sub-criteria dimension: ${dimension}. Must be one of: ${this.validDimensions.join(', ')}`);
+        continue;
+      }
+      if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+        errors.push(`Sub-criteria weights for ${dimension} must be an object`);
+        continue;
+      }
+
+      for (const [field, weight] of Object.entries(fields)) {
+        if (!this.validSubCriteria[dimension].includes(field)) {
+          errors.push(`Unknown sub-criterion ${dimension}.${field}. Must be one of: ${this.validSubCriteria[dimension].join(', ')}`);
+        } else if (typeof weight !== 'number' || !Number.isFinite(weight) || weight < 0) {
+          errors.push(`Sub-criterion weight for ${dimension}.${field} must be a non-negative number`);
+        }
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validate normalized compliance framework requirements
+   * @param {Array} requiredFrameworks - Entries of { framework, mandatory }
+   * @returns {Array} - Validation errors
+   */
+  validateRequiredFrameworks(requiredFrameworks) {
+    if (!Array.isArray(requiredFrameworks)) {
+      return ['Required frameworks must be an array of framework ids or { framework, mandatory } objects'];
+    }
+
+    const errors = [];
+    for (const requirement of requiredFrameworks) {
+      if (typeof requirement?.framework !== 'string') {
+        errors.push('Each required framework must be a framework id or an object with a framework id');
+      } else if (!this.validFrameworks.includes(requirement.framework)) {
+        errors.push(`Unknown compliance framework: ${requirement.framework}. Must be one of: ${this.validFrameworks.join(', ')}`);
+      } else if (typeof requirement.mandatory !== 'boolean') {
+        errors.push(`Mandatory flag for ${requirement.framework} must be a boolean`);
+      }
+    }
+
+    return errors;
+  }
+
   /**
    * Normalize and clean constraints
    * @param {Object} constraints - Raw user constraints
@@ -72,7 +267,8 @@ class ConstraintProcessor {
       budget: constraints.budget?.toLowerCase() || 'medium',
       experience: constraints.experience?.toLowerCase() || 'intermediate',
       workload: constraints.workload?.toLowerCase() || 'startup',
-      priorities: []
+      priorities: [],
+      filterMode: constraints.filterMode?.toLowerCase() || 'none'
     };
 
     // Clean and validate priorities
@@ -82,6 +278,82 @@ class ConstraintProcessor {
         .filter(p => this.validConstraints.priorities.includes(p));
     }
 
+    if (constraints.ruleSet !== undefined) {
+      normalized.ruleSet = typeof constraints.ruleSet === 'string' ? constraints.ruleSet.trim() : constraints.ruleSet;
+    }
+
+    if (constraints.dataVersion !== undefined) {
+      normalized.dataVersion = typeof constraints.dataVersion === 'string'
+        ? constraints.dataVersion.trim().toLowerCase()
+        : constraints.dataVersion;
+    }
+
+    // Custom weightings are passed through for validation; blend defaults to full override
+    if (constraints.customWeights !== undefined) {
+      normalized.customWeights = constraints.customWeights;
+      normalized.weightBlend = constraints.weightBlend !== undefined ? constraints.weightBlend : 1;
+    } else if (constraints.weightBlend !== undefined) {
+      normalized.weightBlend = constraints.weightBlend;
+    }
+
+    if (constraints.subCriteriaWeights !== undefined) {
+      normalized.subCriteriaWeights = constraints.subCriteriaWeights;
+    }
+
+    // Monte Carlo settings are passed through; `true` runs with defaults
+    if (constraints.monteCarlo === true) {
+      normalized.monteCarlo = {};
+    } else if (constraints.monteCarlo !== undefined && constraints.monteCarlo !== false) {
+      normalized.monteCarlo = constraints.monteCarlo;
+    }
+
+    if (constraints.tco !== undefined) {
+      normalized.tco = constraints.tco;
+    }
+
+    // Framework ids may be given as plain strings, which are mandatory
+    if (Array.isArray(constraints.requiredFrameworks)) {
+      normalized.requiredFrameworks = constraints.requiredFrameworks.map(entry => {
+        if (typeof entry === 'string') {
+          return { framework: entry.toLowerCase(), mandatory: true };
+        }
+        if (entry && typeof entry === 'object' && typeof entry.framework === 'string') {
+          return { framework: entry.framework.toLowerCase(), mandatory: entry.mandatory ?? true };
+        }
+        return entry;
+      });
+    } else if (constraints.requiredFrameworks !== undefined) {
+      normalized.requiredFrameworks = constraints.requiredFrameworks;
+    }
+
+    if (Array.isArray(constraints.currentServices)) {
+      normalized.currentServices = constraints.currentServices.map(service =>
+        typeof service === 'string' ? service.trim() : service);
+    } else if (constraints.currentServices !== undefined) {
+      normalized.currentServices = constraints.currentServices;
+    }
+
+    // Migration workloads default to the services currently in use
+    if (constraints.migration && typeof constraints.migration === 'object' && !Array.isArray(constraints.migration)) {
+      normalized.migration = {
+        ...constraints.migration,
+        ...(typeof constraints.migration.sourceProvider === 'string' &&
+          { sourceProvider: constraints.migration.sourceProvider.toLowerCase().trim() })
+      };
+      if (normalized.migration.workloads === undefined && normalized.currentServices !== undefined) {
+        normalized.migration.workloads = normalized.currentServices;
+      }
+    } else if (constraints.migration !== undefined) {
+      normalized.migration = constraints.migration;
+    }
+
+    // Residency defaults are filled in once the options are known to be valid
+    if (constraints.residency !== undefined) {
+      normalized.residency = ResidencyEvaluator.validateOptions(constraints.residency).length === 0
+        ? ResidencyEvaluator.normalizeOptions(constraints.residency)
+        : constraints.residency;
+    }
+
     return normalized;
   }
 
@@ -92,7 +364,17 @@ class ConstraintProcessor {
    */
   processConstraints(rawConstraints) {
     try {
-      // First normalize the constraints
+      // Reject unknown fields and wrong JSON types before anything reads them
+      const validator = new SchemaValidator();
+      if (!validator.validate(rawConstraints, constraintSchema)) {
+        return {
+          success: false,
+          errors: validator.getErrors(),
+          warnings: []
+        };
+      }
+
+      // Normalize the constraints
       const normalized = this.normalizeConstraints(rawConstraints);
       
       // Then validate the normalized constraints
@@ -146,6 +428,11 @@ class ConstraintProcessor {
         enterprise: 'Large-scale applications requiring compliance, support, and reliability',
         research: 'Data-intensive and experimental workloads requiring AI/ML capabilities'
       },
+      filterMode: {
+        none: 'Hard filters are reported but do not affect the results',
+        mark: 'Providers failing a hard filter are marked as disqualified and ranked last',
+        exclude: 'Providers failing a hard filter are removed from the results'
+      },
       priorities: {
         cost: 'Minimize total cost of ownership and optimize spending',
         scalability: 'Handle growth and traffic spikes with global reach',
@@ -184,6 +471,10 @@ class ConstraintProcessor {
         value: constraints.workload,
         description: descriptions.workload[constraints.workload]
       },
+      filterMode: {
+        value: constraints.filterMode,
+        description: descriptions.filterMode[constraints.filterMode]
+      },
       priorities: constraints.priorities.map(priority => ({
         value: priority,
         description: descriptions.priorities[priority]
@@ -208,6 +499,39 @@ class ConstraintProcessor {
       parts.push(`prioritizing ${constraints.priorities.join(', ')}`);
     }
 
+    if (constraints.customWeights) {
+      parts.push(`custom dimension weights blended at ${Math.round(constraints.weightBlend * 100)}%`);
+    }
+
+    if (constraints.requiredFrameworks?.length > 0) {
+      parts.push(`requiring ${constraints.requiredFrameworks.map(entry => entry.framework).join(', ')}`);
+    }
+
+    if (constraints.residency?.jurisdictions) {
+      const regionsIn = constraints.residency.jurisdictions.map(entry => entry.jurisdiction ?? entry);
+      parts.push(`needing regions in ${regionsIn.join(', ')}`);
+    }
+
+    if (constraints.currentServices?.length > 0) {
+      parts.push(`migrating from ${constraints.currentServices.join(', ')}`);
+    }
+
+    if (constraints.migration?.sourceProvider) {
+      parts.push(`estimating migration effort from ${constraints.migration.sourceProvider}`);
+    }
+
+    if (constraints.tco?.applyToCost) {
+      parts.push('cost scored from the estimated total cost of ownership');
+    }
+
+    if (constraints.ruleSet) {
+      parts.push(`using the ${constraints.ruleSet} rule set`);
+    }
+
+    if (constraints.dataVersion) {
+      parts.push(`on data version ${constraints.dataVersion}`);
+    }
+
     return `Looking for a cloud platform with ${parts.join(', ')}.`;
   }
 
@@ -223,7 +547,9 @@ class ConstraintProcessor {
     // Check main constraint changes
     if (oldConstraints.budget !== newConstraints.budget ||
         oldConstraints.experience !== newConstraints.experience ||
-        oldConstraints.workload !== newConstraints.workload) {
+        oldConstraints.workload !== newConstraints.workload ||
+        oldConstraints.filterMode !== newConstraints.filterMode ||
+        oldConstraints.ruleSet !== newConstraints.ruleSet) {
       return true;
     }
 
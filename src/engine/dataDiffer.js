@@ -0,0 +1,357 @@
+// Provider data diffs: changed scores, list entries and the effect on reference scenario rankings
+
+const { comparisonEngine } = require('./comparisonEngine');
+const { constraintProcessor } = require('./constraintProcessor');
+const { dataManager } = require('../data/dataManager');
+const { DataSnapshotStore } = require('../data/dataSnapshotStore');
+const { referenceScenarios } = require('../config/referenceScenarios');
+const { validateProviderData } = require('../utils/validation');
+
+// Provider fields holding lists of statements, reported as added and removed entries
+const LIST_FIELDS = ['strengths', 'weaknesses', 'idealUseCases'];
+
+const MAX_SCENARIOS = 20;
+
+class DataDiffer {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.engine - Comparison engine used to rank the scenarios
+   * @param {Object} dependencies.processor - Constraint processor validating custom scenarios
+   * @param {Object} dependencies.dataSource - Object exposing getProvidersAt(), hasDataVersion() and getDataVersion()
+   */
+  constructor({ engine = comparisonEngine, processor = constraintProcessor, dataSource = dataManager } = {}) {
+    this.engine = engine;
+    this.processor = processor;
+    this.dataSource = dataSource;
+  }
+
+  /**
+   * Validate a diff request
+   * @param {Object} request - { from, to, candidate, scenarios }
+   * @returns {Array} - Validation errors
+   */
+  validateRequest(request) {
+    if (!request || typeof request !== 'object' || Array.isArray(request)) {
+      return ['Diff request must be an object'];
+    }
+
+    const errors = [];
+    const { from, to, candidate, scenarios } = request;
+
+    for (const [field, version] of [['from', from], ['to', to]]) {
+      if (version === undefined) continue;
+      if (!DataSnapshotStore.isVersionId(version)) {
+        errors.push(`${field} must be a version id listed by /api/data/versions`);
+      } else if (!this.dataSource.hasDataVersion(version)) {
+        errors.push(`Unknown data version: ${version}`);
+      }
+    }
+
+    if (to !== undefined && candidate !== undefined) {
+      errors.push('Provide either a to version or a candidate, not both');
+    } else if (to === undefined && candidate === undefined) {
+      errors.push('Provide a to version or a candidate provider file');
+    }
+
+    if (candidate !== undefined) {
+      // A candidate may add a provider that has no data file yet
+      const validation = validateProviderData(candidate, { allowUnregistered: true });
+      if (!validation.isValid) {
+        errors.push(...validation.errors.map(error => `candidate: ${error}`));
+      }
+    }
+
+    if (scenarios !== undefined) {
+      if (!Array.isArray(scenarios) || scenarios.length === 0 || scenarios.length > MAX_SCENARIOS) {
+        errors.push(`Scenarios must be an array of 1 to ${MAX_SCENARIOS} { name, constraints } objects`);
+      } else {
+        scenarios.forEach((scenario, index) => {
+          if (typeof scenario?.name !== 'string' || scenario.name.trim() === '') {
+            errors.push(`scenarios[${index}].name: Scenario name is required`);
+          }
+          const result = this.processor.processConstraints(scenario?.constraints || {});
+          if (!result.success) {
+            errors.push(...result.errors.map(error => `scenarios[${index}].constraints: ${error}`));
+          }
+        });
+      }
+    }
+
+    return errors;
+  }
+
+  /**
+   * Compare two data versions, or a candidate provider file against a version
+   * @param {Object} request - Validated request
+   * @param {string} request.from - Base version (defaults to the loaded data)
+   * @param {string} request.to - Version to compare with
+   * @param {Object} request.candidate - Provider data replacing or adding one provider in the base
+   * @param {Array} request.scenarios - { name, constraints } scenarios (defaults to the reference scenarios)
+   * @returns {Promise<Object>} - Diff report
+   */
+  async compare({ from, to, candidate, scenarios } = {}) {
+    const before = await this.dataSource.getProvidersAt(from);
+    let after;
+    if (candidate) {
+      after = new Map(before);
+      after.set(candidate.provider.name, candidate);
+    } else {
+      after = await this.dataSource.getProvidersAt(to);
+    }
+
+    return {
+      from: { version: this.dataSource.getDataVersion(from).version },
+      to: candidate
+        ? { candidate: candidate.provider.name }
+        : { version: this.dataSource.getDataVersion(to).version },
+      ...this.diff(before, after, this.resolveScenarios(scenarios))
+    };
+  }
+
+  /**
+   * @param {Array} scenarios - Custom { name, constraints } scenarios, if any
+   * @returns {Array} - Scenarios with processed constraints
+   */
+  resolveScenarios(scenarios) {
+    const selected = scenarios || referenceScenarios;
+    return selected.map((scenario, index) => ({
+      id: scenario.id || `scenario-${index + 1}`,
+      name: scenario.name,
+      constraints: this.processor.processConstraints(scenario.constraints).constraints
+    }));
+  }
+
+  /**
+   * Diff two sets of provider data
+   * @param {Map} before - Provider data by name
+   * @param {Map} after - Provider data by name
+   * @param {Array} scenarios - Scenarios with processed constraints
+   * @returns {Object} - Provider changes, scenario ranking effects and a summary
+   */
+  diff(before, after, scenarios = []) {
+    const names = [...new Set([...before.keys(), ...after.keys()])].sort();
+    const providers = {
+      added: names.filter(name => !before.has(name)),
+      removed: names.filter(name => !after.has(name)),
+      changed: []
+    };
+    const changes = {};
+
+    for (const name of names) {
+      if (!before.has(name) || !after.has(name)) continue;
+      const providerChanges = this.diffProvider(before.get(name), after.get(name));
+      if (providerChanges) {
+        providers.changed.push(name);
+        changes[name] = providerChanges;
+      }
+    }
+
+    const scenarioEffects = scenarios.map(scenario => this.compareScenario(scenario, before, after));
+    const changed = Object.values(changes);
+
+    return {
+      providers,
+      changes,
+      scenarios: scenarioEffects,
+      summary: {
+        scoreChanges: changed.reduce((sum, entry) => sum + entry.scores.length, 0),
+        listChanges: changed.reduce((sum, entry) => sum + LIST_FIELDS.reduce((count, field) =>
+          count + entry[field].added.length + entry[field].removed.length, 0), 0),
+        otherChanges: changed.reduce((sum, entry) => sum + entry.otherChanges.length, 0),
+        rankingChanges: scenarioEffects.filter(effect => effect.rankingChanged).length
+      }
+    };
+  }
+
+  /**
+   * @param {Object} before - Provider data
+   * @param {Object} after - Provider data
+   * @returns {Object|null} - Score, list and other changes, or null if the data is identical
+   */
+  diffProvider(before, after) {
+    const scores = [];
+    const lists = {};
+    const otherChanges = [];
+
+    for (const field of LIST_FIELDS) {
+      lists[field] = this.diffList(before[field] || [], after[field] || []);
+    }
+
+    const dimensions = [...new Set([
+      ...Object.keys(before.dimensions || {}),
+      ...Object.keys(after.dimensions || {})
+    ])];
+    for (const dimension of dimensions) {
+      const from = before.dimensions?.[dimension] || {};
+      const to = after.dimensions?.[dimension] || {};
+      for (const field of [...new Set([...Object.keys(from), ...Object.keys(to)])]) {
+        const path = `dimensions.${dimension}.${field}`;
+        if (typeof from[field] === 'number' || typeof to[field] === 'number') {
+          if (from[field] !== to[field]) {
+            scores.push({
+              path,
+              dimension,
+              subCriterion: field,
+              before: from[field] ?? null,
+              after: to[field] ?? null,
+              delta: typeof from[field] === 'number' && typeof to[field] === 'number'
+                ? Math.round((to[field] - from[field]) * 100) / 100
+                : null
+            });
+          }
+        } else {
+          this.diffValues(from[field], to[field], path, otherChanges);
+        }
+      }
+    }
+
+    for (const key of [...new Set([...Object.keys(before), ...Object.keys(after)])]) {
+      if (key === 'dimensions' || LIST_FIELDS.includes(key)) continue;
+      this.diffValues(before[key], after[key], key, otherChanges);
+    }
+
+    const listChanged = LIST_FIELDS.some(field => lists[field].added.length + lists[field].removed.length > 0);
+    if (scores.length === 0 && !listChanged && otherChanges.length === 0) {
+      return null;
+    }
+
+    return { scores, ...lists, otherChanges };
+  }
+
+  /**
+   * @param {Array} before - List entries
+   * @param {Array} after - List entries
+   * @returns {Object} - { added, removed }
+   */
+  diffList(before, after) {
+    return {
+      added: after.filter(entry => !before.includes(entry)),
+      removed: before.filter(entry => !after.includes(entry))
+    };
+  }
+
+  /**
+   * Collect leaf-level differences. Arrays of objects with an id (such as regions)
+   * are matched by id; other arrays report added and removed entries.
+   * @param {*} before - Value before
+   * @param {*} after - Value after
+   * @param {string} path - Dotted path of the value
+   * @param {Array} changes - Collects { path, before, after } or { path, added, removed }
+   */
+  diffValues(before, after, path, changes) {
+    if (this.isEqual(before, after)) return;
+
+    if (this.isPlainObject(before) && this.isPlainObject(after)) {
+      for (const key of [...new Set([...Object.keys(before), ...Object.keys(after)])]) {
+        this.diffValues(before[key], after[key], `${path}.${key}`, changes);
+      }
+      return;
+    }
+
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const keyed = [...before, ...after].every(item => this.isPlainObject(item) && typeof item.id === 'string');
+      if (!keyed) {
+        const added = after.filter(item => !before.some(entry => this.isEqual(entry, item)));
+        const removed = before.filter(item => !after.some(entry => this.isEqual(entry, item)));
+        changes.push({ path, added, removed });
+        return;
+      }
+
+      const beforeById = new Map(before.map(item => [item.id, item]));
+      const afterById = new Map(after.map(item => [item.id, item]));
+      const added = after.filter(item => !beforeById.has(item.id)).map(item => item.id);
+      const removed = before.filter(item => !afterById.has(item.id)).map(item => item.id);
+      if (added.length > 0 || removed.length > 0) {
+        changes.push({ path, added, removed });
+      }
+      for (const [id, item] of afterById) {
+        if (beforeById.has(id)) {
+          this.diffValues(beforeById.get(id), item, `${path}[${id}]`, changes);
+        }
+      }
+      return;
+    }
+
+    changes.push({ path, before: before ?? null, after: after ?? null });
+  }
+
+  /**
+   * Rank the providers of both data sets under one scenario
+   * @param {Object} scenario - { id, name, constraints }
+   * @param {Map} before - Provider data by name
+   * @param {Map} after - Provider data by name
+   * @returns {Object} - Rankings, scores and whether the ranking or top match changed
+   */
+  compareScenario(scenario, before, after) {
+    const beforeRanking = this.rank(scenario.constraints, before);
+    const afterRanking = this.rank(scenario.constraints, after);
+    const scoreChanges = {};
+
+    for (const name of [...new Set([...Object.keys(beforeRanking.scores), ...Object.keys(afterRanking.scores)])].sort()) {
+      const from = beforeRanking.scores[name] ?? null;
+      const to = afterRanking.scores[name] ?? null;
+      if (from !== to) {
+        scoreChanges[name] = {
+          before: from,
+          after: to,
+          delta: from !== null && to !== null ? Math.round((to - from) * 100) / 100 : null
+        };
+      }
+    }
+
+    return {
+      id: scenario.id,
+      name: scenario.name,
+      before: beforeRanking.ranking,
+      after: afterRanking.ranking,
+      rankingChanged: beforeRanking.ranking.join() !== afterRanking.ranking.join(),
+      topMatchChanged: beforeRanking.ranking[0] !== afterRanking.ranking[0],
+      scoreChanges
+    };
+  }
+
+  /**
+   * @param {Object} constraints - Processed constraints
+   * @param {Map} providers - Provider data by name
+   * @returns {Object} - { ranking, scores } with scores rounded to 2 decimals
+   */
+  rank(constraints, providers) {
+    const normalized = this.engine.validateAndNormalizeConstraints(constraints);
+    const weightings = this.engine.calculateWeightings(normalized);
+    const evaluations = {};
+
+    for (const [name, providerData] of providers) {
+      evaluations[name] = this.engine.evaluateProvider(providerData, normalized, weightings);
+    }
+
+    const sorted = this.engine.rankEvaluations(evaluations, normalized);
+    const scores = {};
+    for (const [name, evaluation] of sorted) {
+      scores[name] = Math.round(evaluation.totalScore * 100) / 100;
+    }
+
+    return { ranking: sorted.map(([name]) => name), scores };
+  }
+
+  /**
+   * @param {*} value - Value to check
+   * @returns {boolean} - Whether the value is a non-array object
+   */
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * @param {*} a - JSON value
+   * @param {*} b - JSON value
+   * @returns {boolean} - Whether both values have the same content
+   */
+  isEqual(a, b) {
+    return DataSnapshotStore.canonicalize(a) === DataSnapshotStore.canonicalize(b);
+  }
+}
+
+// Create singleton instance
+const dataDiffer = new DataDiffer();
+
+module.exports = { DataDiffer, dataDiffer };
@@ -0,0 +1,117 @@
+// Tests for provider data diffs
+
+const fs = require('fs');
+const path = require('path');
+const { DataDiffer } = require('./dataDiffer');
+const { ComparisonEngine } = require('./comparisonEngine');
+const { makeProvider, costScores } = require('./fixtures/providers');
+
+// Provider data with the lists and regions the diff compares
+const listedProvider = (name, cost, overrides = {}) => makeProvider(name, { cost: costScores(cost) }, {
+  strengths: ['Simple pricing'],
+  weaknesses: ['Few regions'],
+  regions: [
+    { id: 'north-1', name: 'North', country: 'SE', availabilityZones: 3, sovereign: false },
+    { id: 'south-1', name: 'South', country: 'ES', availabilityZones: 2, sovereign: false }
+  ],
+  ...overrides
+});
+
+const scenario = {
+  id: 'cost',
+  name: 'Cost first',
+  constraints: { budget: 'low', experience: 'beginner', workload: 'startup', priorities: ['cost'], filterMode: 'none' }
+};
+
+describe('DataDiffer', () => {
+  const differ = new DataDiffer({
+    engine: new ComparisonEngine(),
+    dataSource: {
+      hasDataVersion: version => version === 'aaaaaaaaaaaaaaaa',
+      getProvidersAt: async () => new Map([['lean', listedProvider('lean', 8)], ['broad', listedProvider('broad', 6)]]),
+      getDataVersion: () => ({ version: 'aaaaaaaaaaaaaaaa' })
+    }
+  });
+
+  test('should report score, list and nested changes by path', () => {
+    const edited = listedProvider('lean', 8, {
+      strengths: ['Simple pricing', 'Fast support'],
+      weaknesses: [],
+      regions: [
+        { id: 'north-1', name: 'North', country: 'SE', availabilityZones: 4, sovereign: false },
+        { id: 'west-1', name: 'West', country: 'PT', availabilityZones: 3, sovereign: false }
+      ]
+    });
+    edited.dimensions.cost.costPredictability = 6.5;
+
+    const result = differ.diff(new Map([['lean', listedProvider('lean', 8)]]), new Map([['lean', edited]]));
+
+    expect(result.providers.changed).toEqual(['lean']);
+    expect(result.changes.lean.scores).toEqual([{
+      path: 'dimensions.cost.costPredictability',
+      dimension: 'cost',
+      subCriterion: 'costPredictability',
+      before: 8,
+      after: 6.5,
+      delta: -1.5
+    }]);
+    expect(result.changes.lean.strengths).toEqual({ added: ['Fast support'], removed: [] });
+    expect(result.changes.lean.weaknesses).toEqual({ added: [], removed: ['Few regions'] });
+    expect(result.changes.lean.otherChanges).toEqual([
+      { path: 'regions', added: ['west-1'], removed: ['south-1'] },
+      { path: 'regions[north-1].availabilityZones', before: 3, after: 4 }
+    ]);
+    expect(result.summary).toEqual({ scoreChanges: 1, listChanges: 2, otherChanges: 2, rankingChanges: 0 });
+  });
+
+  test('should show how changes move scenario rankings', () => {
+    const before = new Map([['lean', listedProvider('lean', 8)], ['broad', listedProvider('broad', 6)]]);
+    const after = new Map([['lean', listedProvider('lean', 4)], ['broad', listedProvider('broad', 6)], ['new', listedProvider('new', 5)]]);
+
+    const [effect] = differ.diff(before, after, [scenario]).scenarios;
+
+    expect(effect.before).toEqual(['lean', 'broad']);
+    expect(effect.after).toEqual(['broad', 'new', 'lean']);
+    expect(effect.rankingChanged).toBe(true);
+    expect(effect.topMatchChanged).toBe(true);
+    expect(effect.scoreChanges.lean.delta).toBeLessThan(0);
+    expect(effect.scoreChanges.new.before).toBeNull();
+    expect(effect.scoreChanges).not.toHaveProperty('broad');
+  });
+
+  test('should compare a candidate file against the base data', async () => {
+    const report = await differ.compare({ candidate: listedProvider('broad', 9), scenarios: [scenario] });
+
+    expect(report.from).toEqual({ version: 'aaaaaaaaaaaaaaaa' });
+    expect(report.to).toEqual({ candidate: 'broad' });
+    expect(report.providers.changed).toEqual(['broad']);
+    expect(report.scenarios[0].after[0]).toBe('broad');
+  });
+
+  test('should accept and report a candidate that adds a provider', async () => {
+    const candidate = JSON.parse(fs.readFileSync(path.join(__dirname, '../../data/gcp.json'), 'utf8'));
+    candidate.provider = { ...candidate.provider, name: 'newcloud', displayName: 'New Cloud' };
+
+    expect(differ.validateRequest({ candidate })).toEqual([]);
+    const report = await differ.compare({ candidate, scenarios: [scenario] });
+
+    expect(report.to).toEqual({ candidate: 'newcloud' });
+    expect(report.providers).toEqual({ added: ['newcloud'], removed: [], changed: [] });
+    expect(report.scenarios[0].after).toContain('newcloud');
+    expect(differ.validateRequest({ candidate: { ...candidate, provider: { ...candidate.provider, name: 'New Cloud' } } }))
+      .toContain('candidate: /provider/name: Value "New Cloud" does not match pattern ^[a-z][a-z0-9-]*$');
+  });
+
+  test('should reject incomplete or invalid requests', () => {
+    expect(differ.validateRequest({})).toEqual(['Provide a to version or a candidate provider file']);
+    const errors = differ.validateRequest({ from: 'bbbbbbbbbbbbbbbb', to: 'latest', candidate: {} });
+    expect(errors.slice(0, 3)).toEqual([
+      'Unknown data version: bbbbbbbbbbbbbbbb',
+      'to must be a version id listed by /api/data/versions',
+      'Provide either a to version or a candidate, not both'
+    ]);
+    expect(errors[3]).toBe('candidate: /provider: Required property missing');
+    expect(differ.validateRequest({ to: 'aaaaaaaaaaaaaaaa', scenarios: [{ name: 'x', constraints: { budget: 'huge' } }] }))
+      .toContain('scenarios[0].constraints: Invalid budget level: huge. Must be one of: low, medium, high');
+  });
+});
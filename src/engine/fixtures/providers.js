@@ -0,0 +1,45 @@
+// Provider data fixtures shared by the engine tests
+
+// One sub-score per dimension (two for cost and enterprise), all neutral
+const NEUTRAL_DIMENSIONS = {
+  cost: { costPredictability: 5, budgetFriendliness: 5 },
+  easeOfUse: { learningCurve: 5 },
+  scalability: { globalPresence: 5 },
+  ecosystem: { serviceCount: 5 },
+  devops: { cicdSupport: 5 },
+  aiml: { mlServices: 5 },
+  enterprise: { compliance: 5, support: 5 },
+  vendorLockIn: { portability: 5 }
+};
+
+/**
+ * Provider data scored in every dimension
+ * @param {string} name - Provider name
+ * @param {Object} dimensions - Sub-scores by dimension, merged over the neutral ones
+ * @param {Object} overrides - Top-level fields to add or replace
+ * @returns {Object} - Provider data
+ */
+function makeProvider(name, dimensions = {}, overrides = {}) {
+  return {
+    provider: { name, displayName: name.toUpperCase() },
+    dimensions: Object.fromEntries(Object.entries(NEUTRAL_DIMENSIONS).map(([dimension, subScores]) => [
+      dimension,
+      { ...subScores, ...dimensions[dimension] }
+    ])),
+    ...overrides
+  };
+}
+
+/**
+ * @param {number} score - Score for both cost sub-scores
+ * @returns {Object} - Cost dimension sub-scores
+ */
+const costScores = score => ({ costPredictability: score, budgetFriendliness: score });
+
+/**
+ * @param {...Object} providers - Provider data
+ * @returns {Map} - Provider data by name
+ */
+const providerMap = (...providers) => new Map(providers.map(provider => [provider.provider.name, provider]));
+
+module.exports = { makeProvider, costScores, providerMap };
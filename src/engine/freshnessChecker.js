@@ -0,0 +1,142 @@
+// Provider data freshness: when each dimension's scores were last reviewed and
+// which are overdue under the staleness policy
+
+const { stalenessPolicy } = require('../config/stalenessPolicy');
+const { dataManager } = require('../data/dataManager');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class FreshnessChecker {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.policy - Staleness policy with maxAgeDays and per-dimension overrides
+   * @param {Object} dependencies.dataSource - Object exposing getAllProviders()
+   * @param {Function} dependencies.now - Clock returning the current Date
+   */
+  constructor({ policy = stalenessPolicy, dataSource = dataManager, now = () => new Date() } = {}) {
+    this.policy = policy;
+    this.dataSource = dataSource;
+    this.now = now;
+  }
+
+  /**
+   * @param {string} dimension - Dimension name
+   * @returns {number} - Days the dimension may go without review
+   */
+  maxAgeFor(dimension) {
+    return this.policy.dimensions?.[dimension] ?? this.policy.maxAgeDays;
+  }
+
+  /**
+   * Resolve when a dimension was last reviewed: its own lastReviewed date, or
+   * the provider's lastUpdated when the dimension has none
+   * @param {Object} providerData - Provider data
+   * @param {string} dimension - Dimension name
+   * @returns {Object} - { lastReviewed, source }
+   */
+  reviewDate(providerData, dimension) {
+    const lastReviewed = providerData.dimensions?.[dimension]?.lastReviewed;
+    if (lastReviewed) {
+      return { lastReviewed, source: 'lastReviewed' };
+    }
+    return { lastReviewed: providerData.provider?.lastUpdated, source: 'provider.lastUpdated' };
+  }
+
+  /**
+   * Check every dimension of every provider against the policy
+   * @param {Map} providers - Provider name to data (defaults to the current data)
+   * @returns {Object} - Freshness report with per-provider detail and the overdue scores
+   */
+  check(providers = this.dataSource.getAllProviders()) {
+    const now = this.now();
+    const report = {
+      checkedAt: now.toISOString(),
+      policy: this.policy,
+      providers: {},
+      overdue: [],
+      summary: { checkedDimensions: 0, staleDimensions: 0, overdueScores: 0, status: 'current' }
+    };
+
+    for (const [providerName, providerData] of providers) {
+      const dimensions = {};
+      const staleDimensions = [];
+
+      for (const [dimension, dimensionData] of Object.entries(providerData.dimensions || {})) {
+        const { lastReviewed, source } = this.reviewDate(providerData, dimension);
+        const reviewedAt = new Date(/^\d{4}-\d{2}-\d{2}$/.test(lastReviewed) ? `${lastReviewed}T00:00:00.000Z` : lastReviewed);
+        const ageDays = Math.max(0, Math.floor((now - reviewedAt) / DAY_MS));
+        const maxAgeDays = this.maxAgeFor(dimension);
+        const stale = isNaN(reviewedAt) || ageDays > maxAgeDays;
+
+        dimensions[dimension] = {
+          lastReviewed: lastReviewed || null,
+          source,
+          ageDays: isNaN(reviewedAt) ? null : ageDays,
+          maxAgeDays,
+          stale
+        };
+        report.summary.checkedDimensions++;
+
+        if (stale) {
+          const scores = Object.keys(dimensionData).filter(field => typeof dimensionData[field] === 'number');
+          staleDimensions.push(dimension);
+          report.overdue.push({
+            provider: providerName,
+            dimension,
+            ...dimensions[dimension],
+            overdueDays: isNaN(reviewedAt) ? null : ageDays - maxAgeDays,
+            scores
+          });
+          report.summary.staleDimensions++;
+          report.summary.overdueScores += scores.length;
+        }
+      }
+
+      report.providers[providerName] = { dimensions, staleDimensions };
+    }
+
+    // Longest overdue first; dimensions with no usable date lead the list
+    report.overdue.sort((a, b) => (b.overdueDays ?? Infinity) - (a.overdueDays ?? Infinity) ||
+      a.provider.localeCompare(b.provider) || a.dimension.localeCompare(b.dimension));
+    if (report.summary.staleDimensions > 0) {
+      report.summary.status = 'stale';
+    }
+
+    return report;
+  }
+
+  /**
+   * One warning per overdue dimension
+   * @param {Object} report - Result of check()
+   * @returns {Array} - Warning messages
+   */
+  warnings(report) {
+    return report.overdue.map(entry => entry.ageDays === null
+      ? `Provider ${entry.provider}: dimensions.${entry.dimension} has no valid review date`
+      : `Provider ${entry.provider}: dimensions.${entry.dimension} last reviewed ${entry.lastReviewed} ` +
+        `(${entry.ageDays} days ago), over the ${entry.maxAgeDays}-day review limit`);
+  }
+
+  /**
+   * One warning per provider with overdue dimensions, for compact responses
+   * @param {Object} report - Result of check()
+   * @returns {Array} - Warning messages
+   */
+  summarize(report) {
+    const warnings = [];
+
+    for (const [providerName, detail] of Object.entries(report.providers)) {
+      if (detail.staleDimensions.length === 0) continue;
+      const total = Object.keys(detail.dimensions).length;
+      warnings.push(`${providerName}: ${detail.staleDimensions.length} of ${total} dimensions are overdue for review ` +
+        `(${detail.staleDimensions.join(', ')})`);
+    }
+
+    return warnings;
+  }
+}
+
+// Create singleton instance
+const freshnessChecker = new FreshnessChecker();
+
+module.exports = { FreshnessChecker, freshnessChecker };
@@ -0,0 +1,68 @@
+// Tests for provider data freshness checks
+
+const { FreshnessChecker } = require('./freshnessChecker');
+const { validateStalenessPolicy } = require('../config/stalenessPolicy');
+
+const provider = (name, dimensions) => ({
+  provider: { name, displayName: name.toUpperCase(), lastUpdated: '2024-01-01T00:00:00.000Z' },
+  dimensions
+});
+
+describe('FreshnessChecker', () => {
+  const checker = new FreshnessChecker({
+    policy: { maxAgeDays: 365, dimensions: { cost: 90 } },
+    dataSource: { getAllProviders: () => new Map() },
+    now: () => new Date('2024-07-01T00:00:00.000Z')
+  });
+
+  test('should apply per-dimension limits and fall back to provider.lastUpdated', () => {
+    const report = checker.check(new Map([
+      ['lean', provider('lean', {
+        cost: { pricingModel: 'flat', costPredictability: 7, budgetFriendliness: 8 },
+        easeOfUse: { learningCurve: 6 }
+      })]
+    ]));
+
+    expect(report.providers.lean.dimensions.cost).toEqual({
+      lastReviewed: '2024-01-01T00:00:00.000Z',
+      source: 'provider.lastUpdated',
+      ageDays: 182,
+      maxAgeDays: 90,
+      stale: true
+    });
+    expect(report.providers.lean.dimensions.easeOfUse.stale).toBe(false);
+    expect(report.overdue).toEqual([expect.objectContaining({
+      provider: 'lean',
+      dimension: 'cost',
+      overdueDays: 92,
+      scores: ['costPredictability', 'budgetFriendliness']
+    })]);
+    expect(report.summary).toEqual({ checkedDimensions: 2, staleDimensions: 1, overdueScores: 2, status: 'stale' });
+  });
+
+  test('should prefer a dimension lastReviewed date and order the overdue list', () => {
+    const report = checker.check(new Map([
+      ['lean', provider('lean', { cost: { costPredictability: 7, lastReviewed: '2024-06-01' } })],
+      ['broad', provider('broad', { cost: { costPredictability: 5, lastReviewed: '2024-02-01' } })],
+      ['old', provider('old', { cost: { costPredictability: 6, lastReviewed: '2023-06-01' } })]
+    ]));
+
+    expect(report.providers.lean.dimensions.cost).toMatchObject({ source: 'lastReviewed', ageDays: 30, stale: false });
+    expect(report.overdue.map(entry => entry.provider)).toEqual(['old', 'broad']);
+    expect(checker.warnings(report)[1])
+      .toBe('Provider broad: dimensions.cost last reviewed 2024-02-01 (151 days ago), over the 90-day review limit');
+    expect(checker.summarize(report)).toEqual([
+      'broad: 1 of 1 dimensions are overdue for review (cost)',
+      'old: 1 of 1 dimensions are overdue for review (cost)'
+    ]);
+  });
+
+  test('should validate staleness policies', () => {
+    expect(validateStalenessPolicy({ maxAgeDays: 365, dimensions: { cost: 90 } })).toEqual([]);
+    expect(validateStalenessPolicy({ maxAgeDays: 0, dimensions: { pricing: 90, aiml: 1.5 } })).toEqual([
+      'maxAgeDays must be a positive whole number of days, got 0',
+      'dimensions.pricing: Unknown dimension. Must be one of: cost, easeOfUse, scalability, ecosystem, devops, aiml, enterprise, vendorLockIn',
+      'dimensions.aiml: Must be a positive whole number of days, got 1.5'
+    ]);
+  });
+});
@@ -0,0 +1,272 @@
+// Migration effort estimates between providers from service gaps, portability and lock-in scores
+
+const { serviceCatalogManager } = require('../data/serviceCatalogManager');
+const { ServiceMapper, serviceMapper } = require('./serviceMapper');
+
+// Share of a target's effort that comes from the workloads; the rest reflects how
+// readily the source platform lets data and tooling leave (its vendorLockIn scores)
+const WORKLOAD_SHARE = 0.7;
+
+// Effort added for each source feature the target equivalent lacks
+const GAP_EFFORT = 1.5;
+
+// Portability assumed for capabilities the portability table does not rate
+const DEFAULT_PORTABILITY = 5;
+
+const KNOWN_FIELDS = ['sourceProvider', 'workloads', 'targetProviders'];
+
+class MigrationEstimator {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.catalog - Object exposing getPortability(capabilityId)
+   * @param {Object} dependencies.mapper - Service mapper resolving services to capabilities
+   */
+  constructor({ catalog = serviceCatalogManager, mapper = serviceMapper } = {}) {
+    this.catalog = catalog;
+    this.mapper = mapper;
+  }
+
+  /**
+   * Validate migration options
+   * @param {Object} options - Raw options
+   * @returns {Array} - Validation errors
+   */
+  static validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return ['Migration options must be an object with a sourceProvider and workloads'];
+    }
+
+    const errors = [];
+
+    for (const field of Object.keys(options)) {
+      if (!KNOWN_FIELDS.includes(field)) {
+        errors.push(`Unknown migration field: ${field}. Must be one of: ${KNOWN_FIELDS.join(', ')}`);
+      }
+    }
+
+    if (typeof options.sourceProvider !== 'string' || options.sourceProvider.trim() === '') {
+      errors.push('Migration sourceProvider must be a provider name');
+    }
+
+    if (!Array.isArray(options.workloads) || options.workloads.length === 0) {
+      errors.push('Migration workloads must be a non-empty array of services or { name, services } objects');
+    } else {
+      const services = [];
+      for (const workload of options.workloads) {
+        if (typeof workload === 'string') {
+          services.push(workload);
+        } else if (typeof workload?.name === 'string' && Array.isArray(workload.services) && workload.services.length > 0) {
+          services.push(...workload.services);
+        } else {
+          errors.push('Each migration workload must be a service name or an object with a name and a services array');
+        }
+      }
+      if (services.length > 0) {
+        errors.push(...ServiceMapper.validateServices(services));
+      }
+    }
+
+    if (options.targetProviders !== undefined &&
+        (!Array.isArray(options.targetProviders) || options.targetProviders.some(name => typeof name !== 'string'))) {
+      errors.push('Migration targetProviders must be an array of provider names');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Estimate the effort of moving the workloads from the source provider to each target
+   * @param {Object} options - sourceProvider, workloads and optional targetProviders
+   * @param {Map} providers - Provider data by name
+   * @returns {Object} - Per-target effort with per-workload ratings and blockers
+   */
+  estimate(options, providers) {
+    const errors = MigrationEstimator.validateOptions(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const sourceName = options.sourceProvider;
+    const source = providers.get(sourceName);
+    if (!source) {
+      throw new Error(`Unknown source provider: ${sourceName}`);
+    }
+
+    const targetNames = (options.targetProviders || Array.from(providers.keys()))
+      .filter(name => name !== sourceName)
+      .sort();
+    for (const name of targetNames) {
+      if (!providers.has(name)) {
+        throw new Error(`Unknown target provider: ${name}`);
+      }
+    }
+
+    const workloads = options.workloads.map(workload =>
+      typeof workload === 'string' ? { name: workload, services: [workload] } : workload);
+    const unassessedServices = new Set();
+    const targets = {};
+
+    for (const targetName of targetNames) {
+      const workloadEstimates = workloads.map(workload =>
+        this.estimateWorkload(workload, sourceName, targetName, unassessedServices));
+      const platformEffort = this.calculatePlatformEffort(source, providers.get(targetName));
+
+      const assessed = workloadEstimates.filter(workload => workload.effortScore !== null);
+      const workloadEffort = assessed.reduce((sum, workload) => sum + workload.effortScore, 0) / assessed.length;
+      const effortScore = assessed.length > 0
+        ? WORKLOAD_SHARE * workloadEffort + (1 - WORKLOAD_SHARE) * platformEffort
+        : platformEffort;
+
+      targets[targetName] = {
+        effortScore: this.round(effortScore),
+        complexity: this.rateComplexity(effortScore),
+        platformEffort: this.round(platformEffort),
+        blockerCount: workloadEstimates.reduce((sum, workload) => sum + workload.blockers.length, 0),
+        workloads: workloadEstimates
+      };
+    }
+
+    const lowestEffortTarget = Object.entries(targets)
+      .sort(([, a], [, b]) => a.effortScore - b.effortScore)[0]?.[0] || null;
+
+    return {
+      sourceProvider: sourceName,
+      targets,
+      lowestEffortTarget,
+      unassessedServices: Array.from(unassessedServices)
+    };
+  }
+
+  /**
+   * Rate the services of one workload; the workload is scored halfway between
+   * its hardest service and the average, so one rewrite is not averaged away
+   * @param {Object} workload - { name, services }
+   * @param {string} sourceName - Source provider
+   * @param {string} targetName - Target provider
+   * @param {Set} unassessedServices - Collects services not found in the catalog
+   * @returns {Object} - Workload effort, complexity, blockers and per-service ratings
+   */
+  estimateWorkload(workload, sourceName, targetName, unassessedServices) {
+    const services = [];
+
+    for (const service of workload.services) {
+      const match = this.findSourceCapability(service, sourceName);
+      if (!match) {
+        unassessedServices.add(service);
+        continue;
+      }
+      services.push(this.estimateService(service, match, targetName));
+    }
+
+    const efforts = services.map(service => service.effortScore);
+    const effortScore = efforts.length > 0
+      ? (Math.max(...efforts) + efforts.reduce((sum, effort) => sum + effort, 0) / efforts.length) / 2
+      : null;
+
+    return {
+      name: workload.name,
+      effortScore: effortScore === null ? null : this.round(effortScore),
+      complexity: effortScore === null ? 'unknown' : this.rateComplexity(effortScore),
+      blockers: services.flatMap(service => service.blockers),
+      services
+    };
+  }
+
+  /**
+   * Resolve a service to a catalog capability, treating the source provider's
+   * implementation as the one in use
+   * @param {string} service - Service name
+   * @param {string} sourceName - Source provider
+   * @returns {Object|null} - { capability, sourceProvider } or null if not in the catalog
+   */
+  findSourceCapability(service, sourceName) {
+    const matches = this.mapper.findCapabilities(service);
+    const match = matches.find(candidate => candidate.sourceProvider === sourceName) ||
+      matches.find(candidate => candidate.capability.providers[sourceName]) ||
+      matches[0];
+    if (!match) return null;
+
+    return {
+      capability: match.capability,
+      sourceProvider: match.capability.providers[sourceName] ? sourceName : match.sourceProvider
+    };
+  }
+
+  /**
+   * @param {string} service - Service name as requested
+   * @param {Object} match - { capability, sourceProvider }
+   * @param {string} targetName - Target provider
+   * @returns {Object} - Service effort, complexity and blockers
+   */
+  estimateService(service, match, targetName) {
+    const mapping = this.mapper.mapCapability(service, match, [targetName]);
+    const equivalent = mapping.equivalents[targetName];
+    const rating = this.catalog.getPortability(match.capability.id);
+    const portability = rating?.portability ?? DEFAULT_PORTABILITY;
+
+    let effortScore;
+    let blockers;
+    if (equivalent.parity === 'none') {
+      effortScore = 10;
+      blockers = [`No ${mapping.name.toLowerCase()} equivalent on ${targetName}`];
+    } else {
+      effortScore = Math.min(10, 11 - portability + GAP_EFFORT * equivalent.gaps.length);
+      blockers = equivalent.gaps
+        .filter(feature => rating?.criticalFeatures.includes(feature))
+        .map(feature => `${equivalent.service} is missing: ${feature}`);
+    }
+
+    return {
+      service,
+      capability: mapping.capability,
+      from: mapping.source?.service || null,
+      to: equivalent.service,
+      parity: equivalent.parity,
+      gaps: equivalent.gaps,
+      portability,
+      effortScore: this.round(effortScore),
+      complexity: this.rateComplexity(effortScore),
+      blockers,
+      ...(rating?.notes && { notes: rating.notes })
+    };
+  }
+
+  /**
+   * Effort that comes from the platforms rather than individual services: how
+   * portable the source is, how clear its exit path is, and how standards-based
+   * both ends are
+   * @param {Object} source - Source provider data
+   * @param {Object} target - Target provider data
+   * @returns {number} - Effort from 1 (easy) to 10 (hard)
+   */
+  calculatePlatformEffort(source, target) {
+    const from = source.dimensions.vendorLockIn;
+    const to = target.dimensions.vendorLockIn;
+    const standards = (from.standardsCompliance + to.standardsCompliance) / 2;
+
+    return 11 - (from.portability + from.exitStrategy + standards) / 3;
+  }
+
+  /**
+   * @param {number} effortScore - Effort from 1 to 10
+   * @returns {string} - low, medium or high
+   */
+  rateComplexity(effortScore) {
+    if (effortScore < 4) return 'low';
+    if (effortScore < 7) return 'medium';
+    return 'high';
+  }
+
+  /**
+   * @param {number} value - Value to round
+   * @returns {number} - Value rounded to 1 decimal
+   */
+  round(value) {
+    return Math.round(value * 10) / 10;
+  }
+}
+
+// Create singleton instance
+const migrationEstimator = new MigrationEstimator();
+
+module.exports = { MigrationEstimator, migrationEstimator };
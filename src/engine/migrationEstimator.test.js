@@ -0,0 +1,116 @@
+// Tests for the migration effort estimator
+
+const { MigrationEstimator } = require('./migrationEstimator');
+const { ServiceMapper } = require('./serviceMapper');
+
+const capabilities = [
+  {
+    id: 'object-storage',
+    name: 'Object storage',
+    category: 'storage',
+    features: ['Versioning', 'Retention locks'],
+    providers: {
+      source: { service: 'Source Storage', aliases: ['Blobs'], missingFeatures: [] },
+      near: { service: 'Near Storage', aliases: [], missingFeatures: [] },
+      far: { service: 'Far Storage', aliases: [], missingFeatures: ['Retention locks'] }
+    }
+  },
+  {
+    id: 'workflow-orchestration',
+    name: 'Workflow orchestration',
+    category: 'integration',
+    features: ['Visual designer'],
+    providers: {
+      source: { service: 'Source Flows', aliases: [], missingFeatures: [] },
+      near: { service: 'Near Flows', aliases: [], missingFeatures: [] }
+    }
+  }
+];
+
+const portability = {
+  'object-storage': { portability: 8, criticalFeatures: ['Retention locks'], notes: 'Copy the data' },
+  'workflow-orchestration': { portability: 2, criticalFeatures: [] }
+};
+
+const lockIn = (portabilityScore, standardsCompliance, exitStrategy) => ({
+  dimensions: { vendorLockIn: { portability: portabilityScore, standardsCompliance, exitStrategy } }
+});
+
+const providers = new Map([
+  ['source', lockIn(4, 6, 5)],
+  ['near', lockIn(7, 8, 7)],
+  ['far', lockIn(7, 8, 7)]
+]);
+
+const createEstimator = () => {
+  const catalog = {
+    getCapabilities: () => capabilities,
+    getStatistics: () => ({ version: '1.0.0' }),
+    getPortability: id => portability[id] || null
+  };
+  return new MigrationEstimator({ catalog, mapper: new ServiceMapper({ catalog }) });
+};
+
+describe('MigrationEstimator', () => {
+  const estimator = createEstimator();
+
+  test('should rate services from portability and feature gaps', () => {
+    const result = estimator.estimate({ sourceProvider: 'source', workloads: ['Blobs'] }, providers);
+
+    expect(Object.keys(result.targets)).toEqual(['far', 'near']);
+    expect(result.targets.near.workloads[0].services[0]).toEqual({
+      service: 'Blobs',
+      capability: 'object-storage',
+      from: 'Source Storage',
+      to: 'Near Storage',
+      parity: 'full',
+      gaps: [],
+      portability: 8,
+      effortScore: 3,
+      complexity: 'low',
+      blockers: [],
+      notes: 'Copy the data'
+    });
+
+    // One gap on a critical feature adds effort and a blocker
+    const far = result.targets.far.workloads[0];
+    expect(far.services[0].effortScore).toBe(4.5);
+    expect(far.blockers).toEqual(['Far Storage is missing: Retention locks']);
+    expect(result.targets.far.blockerCount).toBe(1);
+    expect(result.lowestEffortTarget).toBe('near');
+  });
+
+  test('should combine workload and platform effort', () => {
+    const result = estimator.estimate({
+      sourceProvider: 'source',
+      workloads: [{ name: 'orders', services: ['Source Storage', 'Source Flows', 'Mainframe'] }],
+      targetProviders: ['near']
+    }, providers);
+    const near = result.targets.near;
+
+    // Storage 3 and flows 9: halfway between the maximum 9 and the mean 6
+    expect(near.workloads[0].effortScore).toBe(7.5);
+    expect(near.workloads[0].complexity).toBe('high');
+    // Source lock-in: 11 - (4 + 5 + (6 + 8) / 2) / 3
+    expect(near.platformEffort).toBe(5.7);
+    expect(near.effortScore).toBe(Math.round((0.7 * 7.5 + 0.3 * (11 - 16 / 3)) * 10) / 10);
+    expect(result.unassessedServices).toEqual(['Mainframe']);
+  });
+
+  test('should block services without an equivalent', () => {
+    const result = estimator.estimate({ sourceProvider: 'source', workloads: ['Source Flows'] }, providers);
+
+    expect(result.targets.far.workloads[0].services[0]).toMatchObject({ parity: 'none', effortScore: 10 });
+    expect(result.targets.far.workloads[0].blockers).toEqual(['No workflow orchestration equivalent on far']);
+  });
+
+  test('should reject invalid options and unknown providers', () => {
+    expect(MigrationEstimator.validateOptions({ workloads: [{ name: 'api' }], extra: 1 })).toEqual([
+      expect.stringContaining('Unknown migration field: extra'),
+      'Migration sourceProvider must be a provider name',
+      expect.stringContaining('Each migration workload must be')
+    ]);
+    expect(() => estimator.estimate({ sourceProvider: 'other', workloads: ['Blobs'] }, providers))
+      .toThrow('Unknown source provider: other');
+  });
+});
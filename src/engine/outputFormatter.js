@@ -1,5 +1,7 @@
 // Output formatting and structure validation for comparison results
 
+const { providerRegistry } = require('../data/providerRegistry');
+
 class OutputFormatter {
   constructor() {
     this.requiredSections = [
@@ -32,18 +34,60 @@ class OutputFormatter {
    * Format comparison results according to mandatory structure
    * @param {Object} rawResults - Raw comparison results
    * @param {Object} constraints - User constraints
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.includeScores - Add match scores and the ranking (API v2)
    * @returns {Object} - Formatted results
    */
-  formatComparisonResults(rawResults, constraints) {
+  formatComparisonResults(rawResults, constraints, { includeScores = false } = {}) {
     try {
       const formatted = {
         timestamp: new Date().toISOString(),
         constraints: this.formatConstraints(constraints),
-        providers: this.formatProviders(rawResults.providers || {}),
+        providers: this.formatProviders(rawResults.providers || {}, { includeScores }),
         crossProviderAnalysis: this.formatCrossProviderAnalysis(rawResults.crossProviderAnalysis || {}),
         decisionGuidance: this.formatDecisionGuidance(rawResults.decisionGuidance || {})
       };
 
+      if (rawResults.filtering) {
+        formatted.filtering = this.formatFiltering(rawResults.filtering);
+      }
+
+      if (rawResults.ruleSet) {
+        formatted.ruleSet = { ...rawResults.ruleSet };
+      }
+
+      if (rawResults.dataVersion) {
+        formatted.dataVersion = { ...rawResults.dataVersion };
+      }
+
+      if (rawResults.weighting) {
+        formatted.weighting = this.formatWeighting(rawResults.weighting);
+      }
+
+      if (rawResults.tco) {
+        formatted.tco = this.formatTco(rawResults.tco);
+      }
+
+      if (rawResults.serviceMapping) {
+        formatted.serviceMapping = this.formatServiceMapping(rawResults.serviceMapping);
+      }
+
+      if (rawResults.migration) {
+        formatted.migration = this.formatMigration(rawResults.migration);
+      }
+
+      if (rawResults.uncertainty) {
+        formatted.uncertainty = this.formatUncertainty(rawResults.uncertainty);
+      }
+
+      if (rawResults.freshness) {
+        formatted.freshness = rawResults.freshness;
+      }
+
+      if (includeScores && rawResults.constraintSummary) {
+        formatted.ranking = this.formatRanking(rawResults.constraintSummary);
+      }
+
       // Validate structure
       const validation = this.validateOutputStructure(formatted);
       if (!validation.isValid) {
@@ -84,34 +128,352 @@ class OutputFormatter {
    * @returns {Object} - Formatted constraints
    */
   formatConstraints(constraints) {
-    return {
+    const formatted = {
       budget: constraints.budget,
       experience: constraints.experience,
       workload: constraints.workload,
-      priorities: constraints.priorities || []
+      priorities: constraints.priorities || [],
+      filterMode: constraints.filterMode || 'none'
     };
+
+    if (constraints.ruleSet) {
+      formatted.ruleSet = constraints.ruleSet;
+    }
+
+    if (constraints.dataVersion) {
+      formatted.dataVersion = constraints.dataVersion;
+    }
+
+    if (constraints.customWeights) {
+      formatted.customWeights = constraints.customWeights;
+      formatted.weightBlend = constraints.weightBlend;
+    }
+
+    if (constraints.subCriteriaWeights) {
+      formatted.subCriteriaWeights = constraints.subCriteriaWeights;
+    }
+
+    if (constraints.monteCarlo) {
+      formatted.monteCarlo = constraints.monteCarlo;
+    }
+
+    if (constraints.tco) {
+      formatted.tco = constraints.tco;
+    }
+
+    if (constraints.requiredFrameworks) {
+      formatted.requiredFrameworks = constraints.requiredFrameworks;
+    }
+
+    if (constraints.residency) {
+      formatted.residency = constraints.residency;
+    }
+
+    // Workload names are free text and stay out of the echo
+    if (constraints.migration) {
+      formatted.migration = {
+        sourceProvider: constraints.migration.sourceProvider,
+        ...(constraints.migration.targetProviders && { targetProviders: [...constraints.migration.targetProviders] })
+      };
+    }
+
+    return formatted;
   }
 
   /**
    * Format provider information
    * @param {Object} providers - Raw provider data
+   * @param {Object} options - Formatting options
+   * @param {boolean} options.includeScores - Add each provider's match score
    * @returns {Object} - Formatted provider data
    */
-  formatProviders(providers) {
+  formatProviders(providers, { includeScores = false } = {}) {
     const formatted = {};
     
     for (const [providerName, providerData] of Object.entries(providers)) {
       formatted[providerName] = {
+        displayName: providerData.displayName || providerName.toUpperCase(),
         strengths: this.ensureArray(providerData.strengths),
         weaknesses: this.ensureArray(providerData.weaknesses),
         idealUseCases: this.ensureArray(providerData.idealUseCases),
         tradeOffs: this.formatTradeOffs(providerData.tradeOffs)
       };
+
+      if (includeScores) {
+        formatted[providerName].matchScore = providerData.matchScore;
+        formatted[providerName].passesFilters = providerData.passesFilters !== false;
+      }
+
+      if (providerData.status) {
+        formatted[providerName].status = providerData.status;
+        formatted[providerName].failedFilters = this.ensureArray(providerData.failedFilters);
+      }
+
+      if (providerData.compliance) {
+        formatted[providerName].compliance = providerData.compliance;
+      }
+
+      if (providerData.residency) {
+        formatted[providerName].residency = providerData.residency;
+      }
+
+      if (providerData.explanation) {
+        formatted[providerName].explanation = this.formatExplanation(providerData.explanation);
+      }
+    }
+
+    return formatted;
+  }
+
+  /**
+   * Format a provider score explanation
+   * @param {Object} explanation - Raw explanation from the comparison engine
+   * @returns {Object} - Explanation with rounded figures
+   */
+  formatExplanation(explanation) {
+    const dimensions = {};
+
+    for (const [dimension, detail] of Object.entries(explanation.dimensions || {})) {
+      dimensions[dimension] = {
+        subScores: detail.subScores,
+        subWeights: this.roundValues(detail.subWeights, 4),
+        score: this.round(detail.score, 2),
+        weight: this.round(detail.weight, 4),
+        contribution: this.round(detail.contribution, 4),
+        weightSources: this.roundValues(detail.weightSources, 4),
+        citations: detail.citations || {},
+        uncited: detail.uncited || []
+      };
+    }
+
+    const formatted = {
+      totalScore: this.round(explanation.totalScore, 4),
+      dimensions
+    };
+
+    if (explanation.residency) {
+      formatted.residency = {
+        ...explanation.residency,
+        contribution: this.round(explanation.residency.contribution, 4)
+      };
     }
 
     return formatted;
   }
 
+  /**
+   * Round a number to a fixed number of decimals
+   * @param {number} value - Value to round
+   * @param {number} decimals - Decimal places
+   * @returns {number} - Rounded value
+   */
+  round(value, decimals) {
+    const factor = Math.pow(10, decimals);
+    return Math.round(value * factor) / factor;
+  }
+
+  /**
+   * Round every numeric value of a flat object
+   * @param {Object} values - Key to number map
+   * @param {number} decimals - Decimal places
+   * @returns {Object|null} - Rounded copy
+   */
+  roundValues(values, decimals) {
+    if (!values) return null;
+    const rounded = {};
+    for (const [key, value] of Object.entries(values)) {
+      rounded[key] = this.round(value, decimals);
+    }
+    return rounded;
+  }
+
+  /**
+   * Format Monte Carlo score intervals
+   * @param {Object} uncertainty - Raw simulation results
+   * @returns {Object} - Formatted simulation results
+   */
+  formatUncertainty(uncertainty) {
+    const providers = {};
+
+    for (const [providerName, result] of Object.entries(uncertainty.providers || {})) {
+      providers[providerName] = {
+        mean: this.round(result.mean, 2),
+        stdDev: this.round(result.stdDev, 3),
+        median: this.round(result.median, 2),
+        interval: {
+          lower: this.round(result.interval.lower, 2),
+          upper: this.round(result.interval.upper, 2)
+        },
+        bestMatchProbability: this.round(result.bestMatchProbability, 4)
+      };
+    }
+
+    return {
+      iterations: uncertainty.iterations,
+      seed: uncertainty.seed,
+      confidenceLevel: uncertainty.confidenceLevel,
+      defaultStdDev: uncertainty.defaultStdDev,
+      providers,
+      noQualifiedProviderProbability: this.round(uncertainty.noQualifiedProviderProbability, 4)
+    };
+  }
+
+  /**
+   * Format the service equivalence mapping
+   * @param {Object} serviceMapping - Result of ServiceMapper.map
+   * @returns {Object} - Formatted mapping
+   */
+  formatServiceMapping(serviceMapping) {
+    // Service names as typed by the user are free text and could trip the bias
+    // check, so only catalog names are kept; /api/services/map returns them all
+    const mappings = serviceMapping.mappings.map(mapping => {
+      const equivalents = {};
+      for (const [providerName, equivalent] of Object.entries(mapping.equivalents)) {
+        equivalents[providerName] = { ...equivalent, gaps: [...equivalent.gaps] };
+      }
+
+      return {
+        capability: mapping.capability,
+        name: mapping.name,
+        category: mapping.category,
+        source: mapping.source && { ...mapping.source },
+        features: [...mapping.features],
+        equivalents
+      };
+    });
+
+    return {
+      catalogVersion: serviceMapping.catalogVersion,
+      mappings,
+      unmatchedServices: serviceMapping.unmatched.length,
+      summary: { ...serviceMapping.summary }
+    };
+  }
+
+  /**
+   * Format a migration effort estimate
+   * @param {Object} migration - Result of MigrationEstimator.estimate
+   * @returns {Object} - Formatted estimate
+   */
+  formatMigration(migration) {
+    // As with service mappings, workload and service names typed by the user are
+    // replaced by their position and the catalog names
+    const targets = {};
+
+    for (const [providerName, target] of Object.entries(migration.targets)) {
+      targets[providerName] = {
+        effortScore: target.effortScore,
+        complexity: target.complexity,
+        platformEffort: target.platformEffort,
+        blockerCount: target.blockerCount,
+        workloads: target.workloads.map((workload, index) => ({
+          workload: index + 1,
+          effortScore: workload.effortScore,
+          complexity: workload.complexity,
+          blockers: [...workload.blockers],
+          services: workload.services.map(({ service, ...rating }) => ({ ...rating, gaps: [...rating.gaps] }))
+        }))
+      };
+    }
+
+    return {
+      sourceProvider: migration.sourceProvider,
+      targets,
+      lowestEffortTarget: migration.lowestEffortTarget,
+      unassessedServices: migration.unassessedServices.length
+    };
+  }
+
+  /**
+   * Format total cost of ownership estimates
+   * @param {Object} tco - Raw TCO estimate
+   * @returns {Object} - Formatted TCO estimate
+   */
+  formatTco(tco) {
+    const providers = {};
+
+    // Vendor plan names (e.g. "Premium") stay out of the neutral comparison output
+    for (const [providerName, estimate] of Object.entries(tco.providers || {})) {
+      providers[providerName] = {
+        monthly: { ...estimate.monthly },
+        threeYear: { ...estimate.threeYear },
+        pricingUpdated: estimate.pricingUpdated
+      };
+    }
+
+    return {
+      currency: tco.currency,
+      usage: { ...tco.usage },
+      termMonths: tco.termMonths,
+      providers,
+      cheapest: tco.cheapest,
+      unpricedProviders: [...tco.unpricedProviders],
+      appliedToCost: tco.appliedToCost,
+      ...(tco.costScores && { costScores: { ...tco.costScores } })
+    };
+  }
+
+  /**
+   * Format the ranking of every evaluated provider, disqualified ones included
+   * @param {Object} constraintSummary - Constraint summary from the comparison engine
+   * @returns {Object} - { topMatch, providers: [{ name, score, passesFilters }] }
+   */
+  formatRanking(constraintSummary) {
+    return {
+      topMatch: constraintSummary.topMatch ?? null,
+      providers: this.ensureArray(constraintSummary.allProviders).map(provider => ({
+        name: provider.name,
+        score: provider.score,
+        passesFilters: provider.passesFilters
+      }))
+    };
+  }
+
+  /**
+   * Cut formatted comparison results down to the fields of an API version
+   * @param {Object} results - Formatted comparison results
+   * @param {Object|null} fields - { results, constraints, provider } field lists; null keeps every field
+   * @returns {Object} - Results holding only the listed fields
+   */
+  selectFields(results, fields) {
+    if (!fields) {
+      return results;
+    }
+
+    const pick = (source, names) => Object.fromEntries(
+      names.filter(name => source[name] !== undefined).map(name => [name, source[name]])
+    );
+    const selected = pick(results, fields.results);
+
+    if (selected.constraints) {
+      selected.constraints = pick(selected.constraints, fields.constraints);
+    }
+    if (selected.providers) {
+      selected.providers = Object.fromEntries(Object.entries(selected.providers)
+        .map(([name, provider]) => [name, pick(provider, fields.provider)]));
+    }
+
+    return selected;
+  }
+
+  /**
+   * Format hard-filter results
+   * @param {Object} filtering - Raw filtering data
+   * @returns {Object} - Formatted filtering section
+   */
+  formatFiltering(filtering) {
+    return {
+      mode: filtering.mode || 'none',
+      qualifiedProviders: this.ensureArray(filtering.qualifiedProviders),
+      disqualifiedProviders: this.ensureArray(filtering.disqualifiedProviders).map(provider => ({
+        name: provider.name,
+        displayName: provider.displayName,
+        excluded: Boolean(provider.excluded),
+        failedFilters: this.ensureArray(provider.failedFilters)
+      }))
+    };
+  }
+
   /**
    * Format trade-offs section
    * @param {*} tradeOffs - Raw trade-offs data
@@ -162,6 +524,30 @@ class OutputFormatter {
     };
   }
 
+  /**
+   * Format the weighting breakdown (preset, custom and effective weights)
+   * @param {Object} weighting - Raw weighting details
+   * @returns {Object} - Formatted weighting details
+   */
+  formatWeighting(weighting) {
+    const sources = {};
+    for (const [dimension, dimensionSources] of Object.entries(weighting.sources || {})) {
+      sources[dimension] = this.roundValues(dimensionSources, 4);
+    }
+
+    return {
+      source: weighting.source,
+      blend: weighting.blend,
+      effectiveWeights: this.roundValues(weighting.effectiveWeights, 4),
+      presetWeights: this.roundValues(weighting.presetWeights, 4),
+      customWeights: this.roundValues(weighting.customWeights, 4),
+      subCriteriaWeights: weighting.subCriteriaWeights || {},
+      sources,
+      overridesPresetFilters: Boolean(weighting.overridesPresetFilters),
+      overriddenFilters: this.ensureArray(weighting.overriddenFilters)
+    };
+  }
+
   /**
    * Ensure value is an array
    * @param {*} value - Value to check
@@ -190,8 +576,12 @@ class OutputFormatter {
 
     // Check providers section
     if (output.providers) {
-      const providerNames = Object.keys(output.providers);
-      const requiredProviders = ['aws', 'azure', 'gcp'];
+      // Providers excluded by hard filters still count as evaluated
+      const excludedProviders = (output.filtering?.disqualifiedProviders || [])
+        .filter(provider => provider.excluded)
+        .map(provider => provider.name);
+      const providerNames = [...Object.keys(output.providers), ...excludedProviders];
+      const requiredProviders = providerRegistry.getRequiredProviders();
       
       for (const required of requiredProviders) {
         if (!providerNames.includes(required)) {
@@ -304,7 +694,10 @@ class OutputFormatter {
       } else if (Array.isArray(value)) {
         value.forEach(extractFromValue);
       } else if (typeof value === 'object' && value !== null) {
-        Object.values(value).forEach(extractFromValue);
+        for (const [key, child] of Object.entries(value)) {
+          // Citations quote third-party source titles, not our own wording
+          if (key !== 'citations') extractFromValue(child);
+        }
       }
     }
 
@@ -0,0 +1,339 @@
+// Multi-cloud portfolio planning: one provider per workload, net of multi-cloud overhead
+
+const { comparisonEngine } = require('./comparisonEngine');
+const { dataManager } = require('../data/dataManager');
+
+const MAX_WORKLOADS = 20;
+
+// Maximum overhead per component, in match score points per additional cloud
+const MAX_OVERHEAD = 3;
+
+// Provider combinations one plan may evaluate (e.g. 20 providers with maxProviders 4)
+const MAX_COMBINATIONS = 10000;
+
+class PortfolioPlanner {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.engine - Comparison engine
+   * @param {Object} dependencies.dataSource - Object exposing getProvidersAt(version)
+   */
+  constructor({ engine = comparisonEngine, dataSource = dataManager } = {}) {
+    this.engine = engine;
+    this.dataSource = dataSource;
+    // Match score points deducted for each cloud beyond the first
+    this.defaultOverhead = {
+      skills: 0.4,
+      networking: 0.3,
+      tooling: 0.3
+    };
+  }
+
+  /**
+   * Validate the shape of portfolio workloads (constraints are validated separately)
+   * @param {Array} workloads - Entries of { name, constraints, weight }
+   * @returns {Array} - Validation errors
+   */
+  static validateWorkloads(workloads) {
+    if (!Array.isArray(workloads) || workloads.length === 0) {
+      return ['Workloads must be a non-empty array of { name, constraints } objects'];
+    }
+    if (workloads.length > MAX_WORKLOADS) {
+      return [`A portfolio can contain at most ${MAX_WORKLOADS} workloads`];
+    }
+
+    const errors = [];
+    const names = new Set();
+
+    workloads.forEach((workload, index) => {
+      const path = `workloads[${index}]`;
+      if (typeof workload?.name !== 'string' || workload.name.trim() === '') {
+        errors.push(`${path}.name: Workload name is required`);
+      } else if (names.has(workload.name)) {
+        errors.push(`${path}.name: Duplicate workload name ${workload.name}`);
+      } else {
+        names.add(workload.name);
+      }
+
+      if (!workload?.constraints || typeof workload.constraints !== 'object') {
+        errors.push(`${path}.constraints: Workload constraints are required`);
+      }
+      if (workload?.weight !== undefined &&
+          (typeof workload.weight !== 'number' || !Number.isFinite(workload.weight) || workload.weight <= 0)) {
+        errors.push(`${path}.weight: Workload weight must be a positive number`);
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Propose a provider per workload that maximizes the weighted match score
+   * minus the overhead of every additional cloud
+   * @param {Array} workloads - Entries of { name, constraints (processed), weight }
+   * @param {Object} options - Planning options
+   * @param {Object} options.overhead - Points per additional cloud for skills, networking and tooling
+   * @param {number} options.maxProviders - Upper bound on the number of clouds used
+   * @returns {Promise<Object>} - Planning result
+   */
+  async plan(workloads, options = {}) {
+    try {
+      const scored = [];
+      for (const workload of workloads) {
+        scored.push(await this.scoreWorkload(workload));
+      }
+
+      // Workloads pinned to different data versions may not see the same providers
+      const providerNames = [...new Set(scored.flatMap(workload => Object.keys(workload.scores)))].sort();
+      const settings = this.resolveOptions(options, providerNames.length);
+
+      let best = null;
+      for (const subset of this.subsets(providerNames, settings.maxProviders)) {
+        const candidate = this.evaluateSubset(scored, subset, settings.overhead);
+        if (candidate && (!best || this.isBetter(candidate, best))) {
+          best = candidate;
+        }
+      }
+
+      if (!best) {
+        const blocked = scored.filter(workload => workload.eligible.length === 0).map(workload => workload.name);
+        throw new Error(`No provider passes the hard filters of workload: ${blocked.join(', ')}`);
+      }
+
+      const singleCloud = {};
+      for (const providerName of providerNames) {
+        const candidate = this.evaluateSubset(scored, [providerName], settings.overhead);
+        singleCloud[providerName] = candidate
+          ? { portfolioScore: this.round(candidate.portfolioScore), eligible: true }
+          : { portfolioScore: null, eligible: false };
+      }
+
+      const bestSingleCloud = Object.entries(singleCloud)
+        .filter(([, result]) => result.eligible)
+        .sort(([, a], [, b]) => b.portfolioScore - a.portfolioScore)[0]?.[0] || null;
+
+      return {
+        success: true,
+        portfolio: {
+          assignments: best.assignments.map(assignment => ({
+            ...assignment,
+            score: this.round(assignment.score),
+            alternatives: this.roundValues(scored.find(workload => workload.name === assignment.workload).scores)
+          })),
+          providersUsed: best.providersUsed,
+          workloadScore: this.round(best.workloadScore),
+          overhead: this.roundValues(best.overhead),
+          portfolioScore: this.round(best.portfolioScore),
+          singleCloud,
+          bestSingleCloud,
+          // The best portfolio includes the single-cloud options, so the gain is never negative
+          splitGain: bestSingleCloud
+            ? Math.max(0, this.round(best.portfolioScore - singleCloud[bestSingleCloud].portfolioScore))
+            : null,
+          settings
+        }
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          code: 'PORTFOLIO_PLANNING_ERROR',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Validate and fill in planning options
+   * @param {Object} options - Raw options
+   * @param {number} providerCount - Number of loaded providers
+   * @returns {Object} - Resolved options
+   */
+  resolveOptions(options, providerCount) {
+    const overhead = { ...this.defaultOverhead, ...options.overhead };
+    for (const [component, points] of Object.entries(overhead)) {
+      if (!(component in this.defaultOverhead)) {
+        throw new Error(`Unknown overhead component: ${component}. Must be one of: ${Object.keys(this.defaultOverhead).join(', ')}`);
+      }
+      if (typeof points !== 'number' || points < 0 || points > MAX_OVERHEAD) {
+        throw new Error(`Overhead ${component} must be a number between 0 and ${MAX_OVERHEAD}`);
+      }
+    }
+
+    const maxProviders = options.maxProviders ?? providerCount;
+    if (!Number.isInteger(maxProviders) || maxProviders < 1) {
+      throw new Error('Portfolio maxProviders must be a positive integer');
+    }
+
+    const combinations = this.countSubsets(providerCount, maxProviders);
+    if (combinations > MAX_COMBINATIONS) {
+      throw new Error(`Planning across ${providerCount} providers with maxProviders ${maxProviders} evaluates ` +
+        `${combinations} provider combinations; at most ${MAX_COMBINATIONS} are allowed. Lower maxProviders.`);
+    }
+
+    return { overhead, maxProviders };
+  }
+
+  /**
+   * Score every provider for one workload under its own constraints
+   * @param {Object} workload - { name, constraints, weight }
+   * @returns {Promise<Object>} - Scores and eligible providers (passing hard filters when filtering is on)
+   */
+  async scoreWorkload(workload) {
+    const constraints = this.engine.validateAndNormalizeConstraints(workload.constraints);
+    // The same pinned data and cost estimate as a comparison of the workload
+    const { providers } = await this.engine.prepareProviders(constraints, this.dataSource);
+    const weightings = this.engine.calculateWeightings(constraints);
+    const applyFilters = constraints.filterMode !== 'none';
+    const scores = {};
+    const passes = {};
+
+    for (const [providerName, providerData] of providers) {
+      const evaluation = this.engine.evaluateProvider(providerData, constraints, weightings);
+      scores[providerName] = evaluation.totalScore;
+      passes[providerName] = evaluation.passesFilters;
+    }
+
+    return {
+      name: workload.name,
+      weight: workload.weight ?? 1,
+      scores,
+      passes,
+      eligible: Object.keys(scores).filter(providerName => !applyFilters || passes[providerName])
+    };
+  }
+
+  /**
+   * Best assignment when workloads may only use providers from the subset
+   * @param {Array} scored - Results of scoreWorkload
+   * @param {Array} subset - Allowed provider names
+   * @param {Object} overhead - Points per additional cloud
+   * @returns {Object|null} - Assignment and scores, or null if a workload has no eligible provider
+   */
+  evaluateSubset(scored, subset, overhead) {
+    const assignments = [];
+    let weightedScore = 0;
+    let totalWeight = 0;
+
+    for (const workload of scored) {
+      const provider = subset
+        .filter(providerName => workload.eligible.includes(providerName))
+        .sort((a, b) => workload.scores[b] - workload.scores[a])[0];
+      if (!provider) return null;
+
+      assignments.push({
+        workload: workload.name,
+        provider,
+        score: workload.scores[provider],
+        passesFilters: workload.passes[provider]
+      });
+      weightedScore += workload.scores[provider] * workload.weight;
+      totalWeight += workload.weight;
+    }
+
+    // Only clouds that end up hosting a workload add overhead
+    const providersUsed = [...new Set(assignments.map(assignment => assignment.provider))].sort();
+    const additionalClouds = providersUsed.length - 1;
+    const overheadCost = {
+      additionalClouds,
+      skills: overhead.skills * additionalClouds,
+      networking: overhead.networking * additionalClouds,
+      tooling: overhead.tooling * additionalClouds
+    };
+    overheadCost.total = overheadCost.skills + overheadCost.networking + overheadCost.tooling;
+
+    const workloadScore = weightedScore / totalWeight;
+    return {
+      assignments,
+      providersUsed,
+      workloadScore,
+      overhead: overheadCost,
+      portfolioScore: workloadScore - overheadCost.total
+    };
+  }
+
+  /**
+   * Prefer higher portfolio scores, then fewer clouds
+   * @param {Object} candidate - Subset evaluation
+   * @param {Object} best - Current best subset evaluation
+   * @returns {boolean} - Whether candidate should replace best
+   */
+  isBetter(candidate, best) {
+    const difference = candidate.portfolioScore - best.portfolioScore;
+    if (Math.abs(difference) > 1e-9) {
+      return difference > 0;
+    }
+    return candidate.providersUsed.length < best.providersUsed.length;
+  }
+
+  /**
+   * @param {number} count - Number of names
+   * @param {number} maxSize - Largest subset size
+   * @returns {number} - Number of non-empty subsets of at most maxSize names
+   */
+  countSubsets(count, maxSize) {
+    let total = 0;
+    let combinations = 1;
+    for (let size = 1; size <= Math.min(count, maxSize); size++) {
+      combinations = combinations * (count - size + 1) / size;
+      total += combinations;
+    }
+    return total;
+  }
+
+  /**
+   * Enumerate subsets smallest first, without visiting larger ones
+   * @param {Array} names - Provider names
+   * @param {number} maxSize - Largest subset size
+   * @returns {Generator<Array>} - Non-empty subsets of at most maxSize names
+   */
+  *subsets(names, maxSize) {
+    for (let size = 1; size <= Math.min(names.length, maxSize); size++) {
+      yield* this.combinations(names, size);
+    }
+  }
+
+  /**
+   * @param {Array} names - Provider names
+   * @param {number} size - Subset size
+   * @param {number} start - First index to draw from
+   * @param {Array} chosen - Names chosen so far
+   * @returns {Generator<Array>} - Subsets of exactly size names, in name order
+   */
+  *combinations(names, size, start = 0, chosen = []) {
+    if (chosen.length === size) {
+      yield chosen;
+      return;
+    }
+    for (let index = start; index <= names.length - (size - chosen.length); index++) {
+      yield* this.combinations(names, size, index + 1, [...chosen, names[index]]);
+    }
+  }
+
+  /**
+   * @param {number} value - Value to round
+   * @returns {number} - Value rounded to 2 decimals
+   */
+  round(value) {
+    return Math.round(value * 100) / 100;
+  }
+
+  /**
+   * @param {Object} values - Numeric values by key
+   * @returns {Object} - Values rounded to 2 decimals
+   */
+  roundValues(values) {
+    const rounded = {};
+    for (const [key, value] of Object.entries(values)) {
+      rounded[key] = this.round(value);
+    }
+    return rounded;
+  }
+}
+
+// Create singleton instance
+const portfolioPlanner = new PortfolioPlanner();
+
+module.exports = { PortfolioPlanner, portfolioPlanner };
@@ -0,0 +1,116 @@
+// Tests for the multi-cloud portfolio planner
+
+const { PortfolioPlanner } = require('./portfolioPlanner');
+const { ComparisonEngine } = require('./comparisonEngine');
+const { makeProvider, costScores, providerMap } = require('./fixtures/providers');
+
+// Cheap with weak AI/ML services, or expensive with strong ones
+const thrifty = makeProvider('thrifty', { cost: costScores(10), aiml: { mlServices: 1 } });
+const research = makeProvider('research', { cost: costScores(1), aiml: { mlServices: 10 } });
+
+const workload = (name, dimension, weight) => ({
+  name,
+  constraints: { budget: 'medium', experience: 'intermediate', workload: 'startup', customWeights: { [dimension]: 1 } },
+  ...(weight && { weight })
+});
+
+describe('PortfolioPlanner', () => {
+  const providers = providerMap(thrifty, research);
+  const planner = new PortfolioPlanner({
+    engine: new ComparisonEngine(),
+    dataSource: { getProvidersAt: async () => providers }
+  });
+  const workloads = [workload('web', 'cost'), workload('training', 'aiml')];
+
+  test('should split workloads when the gain outweighs the overhead', async () => {
+    const result = await planner.plan(workloads);
+
+    expect(result.success).toBe(true);
+    const { portfolio } = result;
+    expect(portfolio.assignments.map(assignment => [assignment.workload, assignment.provider])).toEqual([
+      ['web', 'thrifty'],
+      ['training', 'research']
+    ]);
+    expect(portfolio.providersUsed).toEqual(['research', 'thrifty']);
+    expect(portfolio.overhead).toEqual({ additionalClouds: 1, skills: 0.4, networking: 0.3, tooling: 0.3, total: 1 });
+    expect(portfolio.portfolioScore).toBeCloseTo(portfolio.workloadScore - 1, 1);
+    expect(portfolio.splitGain).toBeGreaterThan(0);
+    expect(portfolio.assignments[0].alternatives.thrifty).toBeGreaterThan(portfolio.assignments[0].alternatives.research);
+  });
+
+  test('should stay on one cloud when the overhead outweighs the gain', async () => {
+    const result = await planner.plan(workloads, { overhead: { skills: 3, networking: 3, tooling: 3 } });
+
+    expect(result.portfolio.providersUsed).toHaveLength(1);
+    expect(result.portfolio.providersUsed[0]).toBe(result.portfolio.bestSingleCloud);
+    expect(result.portfolio.splitGain).toBe(0);
+    expect((await planner.plan(workloads, { maxProviders: 1 })).portfolio.overhead.total).toBe(0);
+  });
+
+  test('should weight workloads by their weight', async () => {
+    const result = await planner.plan([workload('web', 'cost', 10), workload('training', 'aiml')], {
+      overhead: { skills: 3, networking: 3, tooling: 3 }
+    });
+
+    expect(result.portfolio.bestSingleCloud).toBe('thrifty');
+    expect(result.portfolio.providersUsed).toEqual(['thrifty']);
+  });
+
+  test('should score each workload against its pinned data version', async () => {
+    const snapshot = providerMap(research);
+    const pinned = new PortfolioPlanner({
+      engine: new ComparisonEngine(),
+      dataSource: { getProvidersAt: async version => (version === 'snapshot' ? snapshot : providers) }
+    });
+    const web = workload('web', 'cost');
+
+    const result = await pinned.plan([{ ...web, constraints: { ...web.constraints, dataVersion: 'snapshot' } }]);
+    expect(result.portfolio.assignments[0].provider).toBe('research');
+    expect(Object.keys(result.portfolio.assignments[0].alternatives)).toEqual(['research']);
+  });
+
+  test('should reject invalid workloads and options', async () => {
+    expect(PortfolioPlanner.validateWorkloads([])).toEqual([
+      'Workloads must be a non-empty array of { name, constraints } objects'
+    ]);
+    expect(PortfolioPlanner.validateWorkloads([
+      workload('web', 'cost'),
+      { name: 'web', weight: 0 }
+    ])).toEqual([
+      'workloads[1].name: Duplicate workload name web',
+      'workloads[1].constraints: Workload constraints are required',
+      'workloads[1].weight: Workload weight must be a positive number'
+    ]);
+
+    const result = await planner.plan(workloads, { overhead: { licensing: 1 } });
+    expect(result.success).toBe(false);
+    expect(result.error.code).toBe('PORTFOLIO_PLANNING_ERROR');
+    expect(result.error.message).toContain('Unknown overhead component: licensing');
+  });
+
+  test('should only search provider combinations up to maxProviders', async () => {
+    const names = ['a', 'b', 'c', 'd'];
+    expect(Array.from(planner.subsets(names, 2))).toEqual([
+      ['a'], ['b'], ['c'], ['d'],
+      ['a', 'b'], ['a', 'c'], ['a', 'd'], ['b', 'c'], ['b', 'd'], ['c', 'd']
+    ]);
+    expect(planner.countSubsets(4, 2)).toBe(10);
+    expect(planner.countSubsets(4, 9)).toBe(15);
+
+    // 40 providers would overflow a bit mask; a small maxProviders keeps the search bounded
+    const many = Array.from({ length: 40 }, (_, index) => makeProvider(`cloud-${index}`));
+    const crowded = new PortfolioPlanner({
+      engine: new ComparisonEngine(),
+      dataSource: { getProvidersAt: async () => providerMap(...many) }
+    });
+
+    const unbounded = await crowded.plan(workloads);
+    expect(unbounded.success).toBe(false);
+    expect(unbounded.error.message).toContain('Planning across 40 providers with maxProviders 40');
+    expect(unbounded.error.message).toContain('Lower maxProviders');
+
+    const bounded = await crowded.plan(workloads, { maxProviders: 2 });
+    expect(bounded.success).toBe(true);
+    expect(bounded.portfolio.providersUsed).toHaveLength(1);
+  });
+});
@@ -0,0 +1,154 @@
+// Data-residency evaluation against provider region catalogs
+
+const { jurisdictions, resolveJurisdiction } = require('../config/jurisdictions');
+
+const DEFAULT_OPTIONS = {
+  minRegions: 1,
+  minAvailabilityZones: 1,
+  sovereignOnly: false,
+  mandatory: true,
+  weight: 0.2
+};
+
+const KNOWN_FIELDS = ['jurisdictions', ...Object.keys(DEFAULT_OPTIONS)];
+
+class ResidencyEvaluator {
+  /**
+   * Validate residency options
+   * @param {Object} options - Raw options
+   * @returns {Array} - Validation errors
+   */
+  static validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return ['Residency options must be an object with a jurisdictions list'];
+    }
+
+    const errors = [];
+
+    for (const field of Object.keys(options)) {
+      if (!KNOWN_FIELDS.includes(field)) {
+        errors.push(`Unknown residency field: ${field}. Must be one of: ${KNOWN_FIELDS.join(', ')}`);
+      }
+    }
+
+    if (!Array.isArray(options.jurisdictions) || options.jurisdictions.length === 0) {
+      errors.push('Residency jurisdictions must be a non-empty array');
+    } else {
+      const listed = new Set();
+      for (const entry of options.jurisdictions) {
+        const id = typeof entry === 'string' ? entry : entry?.jurisdiction;
+        if (typeof id !== 'string') {
+          errors.push('Each residency jurisdiction must be an id or an object with a jurisdiction id');
+        } else if (!resolveJurisdiction(id.toUpperCase())) {
+          errors.push(`Unknown jurisdiction: ${id}. Must be a country code or one of: ${Object.keys(jurisdictions).join(', ')}`);
+        } else if (listed.has(id.toUpperCase())) {
+          errors.push(`Duplicate residency jurisdiction: ${id}`);
+        } else {
+          listed.add(id.toUpperCase());
+          if (typeof entry === 'object' && entry.minRegions !== undefined && !ResidencyEvaluator.isCount(entry.minRegions, 1)) {
+            errors.push(`Residency minRegions for ${id} must be a positive integer`);
+          }
+        }
+      }
+    }
+
+    if (options.minRegions !== undefined && !ResidencyEvaluator.isCount(options.minRegions, 1)) {
+      errors.push('Residency minRegions must be a positive integer');
+    }
+    if (options.minAvailabilityZones !== undefined && !ResidencyEvaluator.isCount(options.minAvailabilityZones, 0)) {
+      errors.push('Residency minAvailabilityZones must be a non-negative integer');
+    }
+    for (const flag of ['sovereignOnly', 'mandatory']) {
+      if (options[flag] !== undefined && typeof options[flag] !== 'boolean') {
+        errors.push(`Residency ${flag} must be a boolean`);
+      }
+    }
+    if (options.weight !== undefined && (typeof options.weight !== 'number' || options.weight < 0 || options.weight > 1)) {
+      errors.push('Residency weight must be a number between 0 and 1');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Fill in defaults and expand jurisdictions to { jurisdiction, minRegions } entries
+   * @param {Object} options - Validated residency options
+   * @returns {Object} - Normalized options
+   */
+  static normalizeOptions(options) {
+    const { jurisdictions: requirements, ...settings } = options;
+    const normalized = { ...DEFAULT_OPTIONS, ...settings };
+
+    const jurisdictions = requirements.map(entry => {
+      const requirement = typeof entry === 'string' ? { jurisdiction: entry } : entry;
+      return {
+        jurisdiction: requirement.jurisdiction.toUpperCase(),
+        minRegions: requirement.minRegions ?? normalized.minRegions
+      };
+    });
+
+    return { jurisdictions, ...normalized };
+  }
+
+  /**
+   * @param {*} value - Value to check
+   * @param {number} minimum - Smallest allowed value
+   * @returns {boolean} - Whether value is an integer of at least minimum
+   */
+  static isCount(value, minimum) {
+    return Number.isInteger(value) && value >= minimum;
+  }
+
+  /**
+   * Check a provider's regions against the required jurisdictions. A region
+   * qualifies when it is in one of the jurisdiction's countries, has at least
+   * minAvailabilityZones zones and, with sovereignOnly, is a sovereign region.
+   * @param {Object} providerData - Provider data with an optional regions catalog
+   * @param {Object} options - Normalized residency options
+   * @returns {Object} - Per-jurisdiction coverage, 1-10 score and unmet jurisdictions
+   */
+  evaluate(providerData, options) {
+    const regions = providerData.regions || [];
+    const result = {};
+    const unmet = [];
+    let coverage = 0;
+
+    for (const { jurisdiction, minRegions } of options.jurisdictions) {
+      const { name, countries } = resolveJurisdiction(jurisdiction);
+      const qualifying = regions.filter(region =>
+        countries.includes(region.country) &&
+        region.availabilityZones >= options.minAvailabilityZones &&
+        (!options.sovereignOnly || region.sovereign === true));
+
+      const meetsRequirement = qualifying.length >= minRegions;
+      if (!meetsRequirement) {
+        unmet.push(jurisdiction);
+      }
+      coverage += Math.min(1, qualifying.length / minRegions);
+
+      result[jurisdiction] = {
+        name,
+        minRegions,
+        regions: qualifying.map(region => region.id),
+        availabilityZones: qualifying.reduce((sum, region) => sum + region.availabilityZones, 0),
+        meetsRequirement
+      };
+    }
+
+    // Full coverage of every jurisdiction scores 10, none scores 1
+    const score = 1 + 9 * coverage / options.jurisdictions.length;
+
+    return {
+      jurisdictions: result,
+      score: Math.round(score * 10) / 10,
+      weight: options.weight,
+      mandatory: options.mandatory,
+      unmet
+    };
+  }
+}
+
+// Create singleton instance
+const residencyEvaluator = new ResidencyEvaluator();
+
+module.exports = { ResidencyEvaluator, residencyEvaluator };
@@ -0,0 +1,78 @@
+// Tests for the data-residency evaluator
+
+const { ResidencyEvaluator } = require('./residencyEvaluator');
+
+const region = (id, country, availabilityZones, sovereign = false) =>
+  ({ id, name: id, country, availabilityZones, sovereign });
+
+const providerData = {
+  regions: [
+    region('frankfurt', 'DE', 3),
+    region('dublin', 'IE', 3),
+    region('oslo', 'NO', 3),
+    region('mumbai', 'IN', 3),
+    region('chennai', 'IN', 0),
+    region('berlin-sovereign', 'DE', 2, true)
+  ]
+};
+
+describe('ResidencyEvaluator', () => {
+  const evaluator = new ResidencyEvaluator();
+
+  test('should count regions in the jurisdiction countries with enough zones', () => {
+    const options = ResidencyEvaluator.normalizeOptions({
+      jurisdictions: [{ jurisdiction: 'eu', minRegions: 2 }, 'IN'],
+      minAvailabilityZones: 3
+    });
+    const result = evaluator.evaluate(providerData, options);
+
+    expect(result.jurisdictions.EU).toEqual({
+      name: 'European Union',
+      minRegions: 2,
+      regions: ['frankfurt', 'dublin'],
+      availabilityZones: 6,
+      meetsRequirement: true
+    });
+    expect(result.jurisdictions.IN.regions).toEqual(['mumbai']);
+    expect(result.unmet).toEqual([]);
+    expect(result.score).toBe(10);
+    expect(result.weight).toBe(0.2);
+  });
+
+  test('should score partial coverage and list unmet jurisdictions', () => {
+    const options = ResidencyEvaluator.normalizeOptions({
+      jurisdictions: ['IN', 'JP'],
+      minRegions: 2,
+      minAvailabilityZones: 1
+    });
+    const result = evaluator.evaluate(providerData, options);
+
+    // India has one of two regions, Japan none: coverage 0.25
+    expect(result.score).toBe(3.3);
+    expect(result.unmet).toEqual(['IN', 'JP']);
+  });
+
+  test('should only count sovereign regions when requested', () => {
+    const options = ResidencyEvaluator.normalizeOptions({ jurisdictions: ['DE'], sovereignOnly: true });
+
+    expect(evaluator.evaluate(providerData, options).jurisdictions.DE.regions).toEqual(['berlin-sovereign']);
+  });
+
+  test('should reject unknown jurisdictions and invalid options', () => {
+    expect(ResidencyEvaluator.validateOptions({
+      jurisdictions: ['EU', 'Atlantis'],
+      minRegions: 0,
+      weight: 2,
+      zones: 3
+    })).toEqual([
+      expect.stringContaining('Unknown residency field: zones'),
+      expect.stringContaining('Unknown jurisdiction: Atlantis'),
+      'Residency minRegions must be a positive integer',
+      'Residency weight must be a number between 0 and 1'
+    ]);
+    expect(ResidencyEvaluator.validateOptions({ jurisdictions: ['de', { jurisdiction: 'DE', minRegions: 2 }, 'EU'] }))
+      .toEqual(['Duplicate residency jurisdiction: DE']);
+    expect(ResidencyEvaluator.validateOptions({ jurisdictions: [] }))
+      .toEqual(['Residency jurisdictions must be a non-empty array']);
+  });
+});
@@ -0,0 +1,270 @@
+// Consistency checks for constraint rule sets against the provider schema and data
+
+const { comparisonEngine } = require('./comparisonEngine');
+const { dataManager } = require('../data/dataManager');
+const { ruleSetManager } = require('../config/ruleSetManager');
+const { providerSchema } = require('../schemas/providerSchema');
+const { ruleGroups } = require('../schemas/ruleSetSchema');
+
+const WEIGHT_SUM_TOLERANCE = 0.001;
+
+class RuleSetChecker {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.engine - Comparison engine used to evaluate filters
+   * @param {Object} dependencies.dataSource - Object exposing getAllProviders()
+   * @param {Object} dependencies.ruleSets - Rule set manager
+   */
+  constructor({ engine = comparisonEngine, dataSource = dataManager, ruleSets = ruleSetManager } = {}) {
+    this.engine = engine;
+    this.dataSource = dataSource;
+    this.ruleSets = ruleSets;
+    this.dimensionSchemas = providerSchema.properties.dimensions.properties;
+  }
+
+  /**
+   * Check every loaded rule set
+   * @returns {Object} - Overall validity and one report per rule set
+   */
+  checkAll() {
+    const reports = this.ruleSets.list().map(({ id }) => this.check(id));
+
+    return {
+      isValid: reports.every(report => report.isValid),
+      ruleSets: reports,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Check one rule set for weight sums, unknown dimensions, unreachable filter
+   * paths and constraint combinations that leave no provider standing
+   * @param {string} [identifier] - Rule set identifier (defaults to the default rule set)
+   * @returns {Object} - Consistency report
+   */
+  check(identifier) {
+    const ruleSet = this.ruleSets.resolve(identifier);
+    const rules = this.listRules(ruleSet.rules);
+
+    const weightSums = rules.map(({ source, rule }) => this.checkWeightSum(source, rule));
+    const unknownDimensions = rules.flatMap(({ source, rule }) => this.findUnknownDimensions(source, rule));
+    const unreachableFilters = rules.flatMap(({ source, rule }) => this.findUnreachableFilters(source, rule));
+    const combinations = this.checkCombinations(ruleSet);
+
+    const errors = [
+      ...weightSums
+        .filter(entry => !entry.valid)
+        .map(entry => `${entry.rule}: weightings sum to ${entry.sum}, expected 1`),
+      ...unknownDimensions.map(entry => `${entry.rule}: unknown ${entry.section} reference ${entry.reference}`),
+      ...unreachableFilters.map(entry => `${entry.rule}: filter ${entry.path} ${entry.reason}`),
+      ...combinations.conflictingFilters.map(entry =>
+        `${this.describeCombination(entry.combination)}: filters on ${entry.path} cannot all be met (${entry.sources.join(', ')})`)
+    ];
+
+    const warnings = [
+      ...combinations.warnings,
+      ...combinations.eliminatingCombinations.map(entry =>
+        `${this.describeCombination(entry.combination)}: every provider fails a hard filter`)
+    ];
+
+    return {
+      ruleSet: ruleSet.id,
+      isValid: errors.length === 0,
+      errors,
+      warnings,
+      weightSums,
+      unknownDimensions,
+      unreachableFilters,
+      conflictingFilters: combinations.conflictingFilters,
+      eliminatingCombinations: combinations.eliminatingCombinations,
+      combinationsChecked: combinations.checked
+    };
+  }
+
+  /**
+   * Flatten rule groups into labelled rules
+   * @param {Object} rules - Constraint rules
+   * @returns {Array} - Entries of { source: 'group.value', rule }
+   */
+  listRules(rules) {
+    return Object.entries(rules).flatMap(([group, groupRules]) =>
+      Object.entries(groupRules).map(([value, rule]) => ({ source: `${group}.${value}`, rule })));
+  }
+
+  /**
+   * @param {string} source - Rule label
+   * @param {Object} rule - Rule to check
+   * @returns {Object} - Weight sum and whether it is 1 within tolerance
+   */
+  checkWeightSum(source, rule) {
+    const sum = Object.values(rule.weightings || {}).reduce((total, weight) => total + weight, 0);
+
+    return {
+      rule: source,
+      sum: Math.round(sum * 10000) / 10000,
+      valid: Math.abs(sum - 1) <= WEIGHT_SUM_TOLERANCE
+    };
+  }
+
+  /**
+   * Find weightings and sub-criterion weights that name no known dimension or sub-score
+   * @param {string} source - Rule label
+   * @param {Object} rule - Rule to check
+   * @returns {Array} - Unknown references
+   */
+  findUnknownDimensions(source, rule) {
+    const unknown = [];
+
+    for (const dimension of Object.keys(rule.weightings || {})) {
+      if (!this.dimensionSchemas[dimension]) {
+        unknown.push({ rule: source, section: 'weightings', reference: dimension });
+      }
+    }
+
+    for (const [dimension, fields] of Object.entries(rule.subCriteria || {})) {
+      if (!this.dimensionSchemas[dimension]) {
+        unknown.push({ rule: source, section: 'subCriteria', reference: dimension });
+        continue;
+      }
+      for (const field of Object.keys(fields || {})) {
+        if (this.resolveScorePath(`${dimension}.${field}`) !== null) {
+          unknown.push({ rule: source, section: 'subCriteria', reference: `${dimension}.${field}` });
+        }
+      }
+    }
+
+    return unknown;
+  }
+
+  /**
+   * Find filters whose path does not resolve to a numeric sub-score or whose bounds cannot be met
+   * @param {string} source - Rule label
+   * @param {Object} rule - Rule to check
+   * @returns {Array} - Unreachable filters with the reason
+   */
+  findUnreachableFilters(source, rule) {
+    const unreachable = [];
+
+    for (const [path, criteria] of Object.entries(rule.filters || {})) {
+      const pathError = this.resolveScorePath(path);
+      if (pathError) {
+        unreachable.push({ rule: source, path, reason: pathError });
+        continue;
+      }
+
+      const { min, max } = criteria || {};
+      if (min !== undefined && min > 10) {
+        unreachable.push({ rule: source, path, reason: `requires a minimum of ${min}, above the maximum score of 10` });
+      } else if (max !== undefined && max < 1) {
+        unreachable.push({ rule: source, path, reason: `requires a maximum of ${max}, below the minimum score of 1` });
+      } else if (min !== undefined && max !== undefined && min > max) {
+        unreachable.push({ rule: source, path, reason: `has a minimum ${min} above its maximum ${max}` });
+      }
+    }
+
+    return unreachable;
+  }
+
+  /**
+   * Resolve a "dimension.subScore" path in the provider schema
+   * @param {string} path - Filter or sub-criterion path
+   * @returns {string|null} - Why the path does not resolve, or null if it names a numeric sub-score
+   */
+  resolveScorePath(path) {
+    const [dimension, field, ...rest] = path.split('.');
+
+    if (!this.dimensionSchemas[dimension]) {
+      return `does not resolve: unknown dimension ${dimension}`;
+    }
+    const fieldSchema = this.dimensionSchemas[dimension].properties[field];
+    if (!fieldSchema || rest.length > 0) {
+      return `does not resolve: ${dimension} has no sub-score ${path.slice(dimension.length + 1)}`;
+    }
+    if (fieldSchema.type !== 'number') {
+      return `does not resolve to a numeric sub-score (${dimension}.${field} is a ${fieldSchema.type})`;
+    }
+    return null;
+  }
+
+  /**
+   * Check every budget/experience/workload combination for contradictory
+   * filters and, against the loaded data, for filters no provider passes
+   * @param {Object} ruleSet - Rule set
+   * @returns {Object} - Conflicting filters, eliminating combinations and warnings
+   */
+  checkCombinations(ruleSet) {
+    const providers = this.dataSource.getAllProviders();
+    const conflictingFilters = [];
+    const eliminatingCombinations = [];
+    const warnings = [];
+    let checked = 0;
+
+    if (providers.size === 0) {
+      warnings.push('No provider data loaded; skipped checking which constraint combinations eliminate every provider');
+    }
+
+    for (const budget of ruleGroups.budget) {
+      for (const experience of ruleGroups.experience) {
+        for (const workload of ruleGroups.workload) {
+          const combination = { budget, experience, workload };
+          checked++;
+
+          conflictingFilters.push(...this.findConflictingFilters(ruleSet.rules, combination));
+
+          if (providers.size === 0) continue;
+
+          const constraints = { ...combination, priorities: [], ruleSet: ruleSet.id };
+          const failedFilters = {};
+          for (const [providerName, providerData] of providers) {
+            const result = this.engine.evaluateConstraintFilters(providerData, constraints);
+            if (result.passes) break;
+            failedFilters[providerName] = result.failedFilters.map(filter => `${filter.source}: ${filter.path}`);
+          }
+
+          if (Object.keys(failedFilters).length === providers.size) {
+            eliminatingCombinations.push({ combination, failedFilters });
+          }
+        }
+      }
+    }
+
+    return { conflictingFilters, eliminatingCombinations, warnings, checked };
+  }
+
+  /**
+   * Find sub-scores whose combined min/max filters leave no valid score
+   * @param {Object} rules - Constraint rules
+   * @param {Object} combination - Budget, experience and workload values
+   * @returns {Array} - Conflicts with the filter sources involved
+   */
+  findConflictingFilters(rules, combination) {
+    const bounds = {};
+
+    for (const [group, value] of Object.entries(combination)) {
+      for (const [path, criteria] of Object.entries(rules[group]?.[value]?.filters || {})) {
+        const entry = bounds[path] || (bounds[path] = { min: 1, max: 10, sources: [] });
+        if (criteria.min !== undefined) entry.min = Math.max(entry.min, criteria.min);
+        if (criteria.max !== undefined) entry.max = Math.min(entry.max, criteria.max);
+        entry.sources.push(`${group}.${value}`);
+      }
+    }
+
+    // A single rule with impossible bounds is reported as an unreachable filter
+    return Object.entries(bounds)
+      .filter(([, entry]) => entry.min > entry.max && entry.sources.length > 1)
+      .map(([path, entry]) => ({ combination, path, bounds: { min: entry.min, max: entry.max }, sources: entry.sources }));
+  }
+
+  /**
+   * @param {Object} combination - Budget, experience and workload values
+   * @returns {string} - Combination label, e.g. "low budget / beginner / research"
+   */
+  describeCombination({ budget, experience, workload }) {
+    return `${budget} budget / ${experience} / ${workload}`;
+  }
+}
+
+// Create singleton instance
+const ruleSetChecker = new RuleSetChecker();
+
+module.exports = { RuleSetChecker, ruleSetChecker };
@@ -0,0 +1,98 @@
+// Tests for the rule set consistency checker
+
+const { RuleSetChecker } = require('./ruleSetChecker');
+const { ComparisonEngine } = require('./comparisonEngine');
+const { constraintRules } = require('../config/constraintRules');
+const { DEFAULT_INFLUENCE } = require('../config/ruleSetManager');
+const { makeProvider, costScores, providerMap } = require('./fixtures/providers');
+
+const makeRuleSet = (overrides = {}) => ({
+  id: 'test@1.0.0',
+  influence: DEFAULT_INFLUENCE,
+  rules: {
+    budget: { ...constraintRules.budget, ...overrides.budget },
+    experience: { ...constraintRules.experience, ...overrides.experience },
+    workload: { ...constraintRules.workload, ...overrides.workload },
+    priorities: { ...constraintRules.priorities, ...overrides.priorities }
+  }
+});
+
+// Every sub-score the rule filters test, in the dimensions they belong to
+const uniformProvider = (name, score) => makeProvider(name, {
+  cost: costScores(score),
+  easeOfUse: { learningCurve: score, setupComplexity: score, uiIntuitiveness: score },
+  ecosystem: { serviceCount: score },
+  devops: { automationTools: score },
+  aiml: { mlServices: score, dataProcessing: score },
+  enterprise: { compliance: score, support: score, sla: score }
+});
+
+const createChecker = (ruleSet, providers = []) => {
+  const ruleSets = {
+    resolve: () => ruleSet,
+    list: () => [{ id: ruleSet.id }]
+  };
+  return new RuleSetChecker({
+    engine: new ComparisonEngine(ruleSets),
+    dataSource: { getAllProviders: () => providerMap(...providers) },
+    ruleSets
+  });
+};
+
+describe('RuleSetChecker', () => {
+  test('should find the built-in rules consistent', () => {
+    const report = createChecker(makeRuleSet(), [uniformProvider('strong', 9)]).check();
+
+    expect(report.isValid).toBe(true);
+    expect(report.errors).toEqual([]);
+    expect(report.warnings).toEqual([]);
+    expect(report.combinationsChecked).toBe(27);
+  });
+
+  test('should report weight sums, unknown dimensions and unreachable filter paths', () => {
+    const report = createChecker(makeRuleSet({
+      priorities: {
+        cost: {
+          weightings: { cost: 0.5, latency: 0.2 },
+          subCriteria: { cost: { discounts: 2 } },
+          filters: {
+            'aiml.mlService': { min: 5 },
+            'cost.pricingModel': { min: 5 },
+            'cost.budgetFriendliness': { min: 11 }
+          }
+        }
+      }
+    })).check();
+
+    expect(report.isValid).toBe(false);
+    expect(report.weightSums.find(entry => entry.rule === 'priorities.cost')).toEqual({ rule: 'priorities.cost', sum: 0.7, valid: false });
+    expect(report.unknownDimensions.map(entry => entry.reference)).toEqual(['latency', 'cost.discounts']);
+    expect(report.unreachableFilters.map(entry => entry.path)).toEqual([
+      'aiml.mlService',
+      'cost.pricingModel',
+      'cost.budgetFriendliness'
+    ]);
+  });
+
+  test('should report contradictory filters across a combination', () => {
+    const report = createChecker(makeRuleSet({
+      experience: {
+        beginner: { ...constraintRules.experience.beginner, filters: { 'cost.budgetFriendliness': { max: 5 } } }
+      }
+    })).check();
+
+    const conflicts = report.conflictingFilters.map(entry => `${entry.combination.budget}/${entry.combination.workload}`);
+    expect(conflicts).toEqual(['low/startup', 'low/enterprise', 'low/research', 'medium/startup', 'high/startup']);
+    expect(report.conflictingFilters[0].sources).toEqual(['budget.low', 'experience.beginner', 'workload.startup']);
+  });
+
+  test('should warn about combinations that eliminate every loaded provider', () => {
+    const report = createChecker(makeRuleSet(), [uniformProvider('middling', 7)]).check();
+
+    expect(report.isValid).toBe(true);
+    const eliminated = report.eliminatingCombinations.map(entry => entry.combination.workload);
+    expect(eliminated.every(workload => workload === 'enterprise')).toBe(true);
+    expect(eliminated.length).toBe(9);
+    expect(report.eliminatingCombinations[0].failedFilters.middling).toContain('workload.enterprise: enterprise.compliance');
+  });
+});
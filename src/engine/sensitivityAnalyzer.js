@@ -0,0 +1,276 @@
+// Sensitivity analysis of provider rankings under weight perturbations
+
+const { comparisonEngine } = require('./comparisonEngine');
+const { dataManager } = require('../data/dataManager');
+
+class SensitivityAnalyzer {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.engine - Comparison engine
+   * @param {Object} dependencies.dataSource - Object exposing getProvidersAt(version)
+   */
+  constructor({ engine = comparisonEngine, dataSource = dataManager } = {}) {
+    this.engine = engine;
+    this.dataSource = dataSource;
+    this.defaultOptions = {
+      range: 0.25,
+      steps: 10,
+      precision: 0.0001
+    };
+  }
+
+  /**
+   * Perturb each dimension weight and report where the ranking flips
+   * @param {Object} constraints - Processed user constraints
+   * @param {Object} options - Analysis options
+   * @param {number} options.range - Maximum absolute change applied to a weight (0-1)
+   * @param {number} options.steps - Grid steps on each side of the baseline weight
+   * @returns {Promise<Object>} - Analysis result
+   */
+  async analyze(constraints, options = {}) {
+    try {
+      const settings = this.resolveOptions(options);
+      const normalizedConstraints = this.engine.validateAndNormalizeConstraints(constraints);
+
+      // The same pinned data and cost estimate as the comparison itself
+      const { providers } = await this.engine.prepareProviders(normalizedConstraints, this.dataSource);
+
+      const baselineWeights = this.engine.calculateWeightings(normalizedConstraints);
+      const baselineRanking = this.rank(providers, normalizedConstraints, baselineWeights);
+      const baselineTop = baselineRanking[0]?.name || null;
+
+      const dimensions = {};
+      const stability = { samples: 0, unchanged: 0, challengers: {} };
+
+      for (const [dimension, baselineWeight] of Object.entries(baselineWeights)) {
+        const low = Math.max(0, baselineWeight - settings.range);
+        const high = Math.min(1, baselineWeight + settings.range);
+
+        const increase = this.scanDirection(providers, normalizedConstraints, baselineWeights, dimension, baselineWeight, high, settings);
+        const decrease = this.scanDirection(providers, normalizedConstraints, baselineWeights, dimension, baselineWeight, low, settings);
+
+        for (const sample of [...increase.samples, ...decrease.samples]) {
+          stability.samples++;
+          if (sample.topMatch === baselineTop) {
+            stability.unchanged++;
+          } else {
+            stability.challengers[sample.topMatch] = (stability.challengers[sample.topMatch] || 0) + 1;
+          }
+        }
+
+        const nearestTopMatchFlip = [...increase.flips, ...decrease.flips]
+          .filter(flip => flip.topMatch !== baselineTop)
+          .sort((a, b) => Math.abs(a.weight - baselineWeight) - Math.abs(b.weight - baselineWeight))[0];
+
+        dimensions[dimension] = {
+          baselineWeight: this.round(baselineWeight),
+          testedRange: [this.round(low), this.round(high)],
+          rankingFlips: [...decrease.flips.slice().reverse(), ...increase.flips],
+          nearestFlip: {
+            increase: increase.flips[0]?.weight ?? null,
+            decrease: decrease.flips[0]?.weight ?? null
+          },
+          topMatchChangesAt: nearestTopMatchFlip ? nearestTopMatchFlip.weight : null
+        };
+      }
+
+      const percentage = stability.samples > 0 ? stability.unchanged / stability.samples * 100 : 100;
+
+      return {
+        success: true,
+        analysis: {
+          baseline: {
+            weightings: this.roundWeights(baselineWeights),
+            ranking: baselineRanking,
+            topMatch: baselineTop
+          },
+          dimensions,
+          topMatchStability: {
+            topMatch: baselineTop,
+            percentage: Math.round(percentage * 10) / 10,
+            samples: stability.samples,
+            unchanged: stability.unchanged,
+            challengers: stability.challengers
+          },
+          settings
+        }
+      };
+
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          code: 'SENSITIVITY_ANALYSIS_ERROR',
+          message: error.message,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Validate and fill in analysis options
+   * @param {Object} options - Raw options
+   * @returns {Object} - Resolved options
+   */
+  resolveOptions(options) {
+    const settings = {
+      ...this.defaultOptions,
+      ...(options.range !== undefined && { range: options.range }),
+      ...(options.steps !== undefined && { steps: options.steps })
+    };
+
+    if (typeof settings.range !== 'number' || settings.range <= 0 || settings.range > 1) {
+      throw new Error('Sensitivity range must be a number greater than 0 and at most 1');
+    }
+    if (!Number.isInteger(settings.steps) || settings.steps < 1 || settings.steps > 100) {
+      throw new Error('Sensitivity steps must be an integer between 1 and 100');
+    }
+
+    return settings;
+  }
+
+  /**
+   * Move one dimension weight from the baseline towards a target and record ranking changes
+   * @param {Map} providers - Provider data by name
+   * @param {Object} constraints - Normalized constraints
+   * @param {Object} baselineWeights - Baseline weightings
+   * @param {string} dimension - Dimension being perturbed
+   * @param {number} from - Baseline weight
+   * @param {number} to - Weight at the end of the tested range
+   * @param {Object} settings - Resolved options
+   * @returns {Object} - Grid samples and refined flip thresholds
+   */
+  scanDirection(providers, constraints, baselineWeights, dimension, from, to, settings) {
+    const samples = [];
+    const flips = [];
+    if (from === to) {
+      return { samples, flips };
+    }
+
+    let previousWeight = from;
+    let previousRanking = this.rank(providers, constraints, baselineWeights);
+
+    for (let step = 1; step <= settings.steps; step++) {
+      const weight = from + (to - from) * step / settings.steps;
+      const ranking = this.rank(providers, constraints, this.perturb(baselineWeights, dimension, weight));
+      samples.push({ weight, topMatch: ranking[0]?.name || null });
+
+      if (this.rankingKey(ranking) !== this.rankingKey(previousRanking)) {
+        flips.push(this.refineFlip(providers, constraints, baselineWeights, dimension, previousWeight, weight, previousRanking, settings));
+      }
+
+      previousWeight = weight;
+      previousRanking = ranking;
+    }
+
+    return { samples, flips };
+  }
+
+  /**
+   * Bisect between two weights to find where the ranking changes
+   * @param {Map} providers - Provider data by name
+   * @param {Object} constraints - Normalized constraints
+   * @param {Object} baselineWeights - Baseline weightings
+   * @param {string} dimension - Dimension being perturbed
+   * @param {number} inside - Weight that still produces insideRanking
+   * @param {number} outside - Weight that produces a different ranking
+   * @param {Array} insideRanking - Ranking before the flip
+   * @param {Object} settings - Resolved options
+   * @returns {Object} - Flip threshold with the rankings on both sides
+   */
+  refineFlip(providers, constraints, baselineWeights, dimension, inside, outside, insideRanking, settings) {
+    const insideKey = this.rankingKey(insideRanking);
+
+    while (Math.abs(outside - inside) > settings.precision) {
+      const middle = (inside + outside) / 2;
+      const ranking = this.rank(providers, constraints, this.perturb(baselineWeights, dimension, middle));
+      if (this.rankingKey(ranking) === insideKey) {
+        inside = middle;
+      } else {
+        outside = middle;
+      }
+    }
+
+    const ranking = this.rank(providers, constraints, this.perturb(baselineWeights, dimension, outside));
+    return {
+      weight: this.round(outside),
+      direction: outside > baselineWeights[dimension] ? 'increase' : 'decrease',
+      from: insideRanking.map(entry => entry.name),
+      to: ranking.map(entry => entry.name),
+      topMatch: ranking[0]?.name || null
+    };
+  }
+
+  /**
+   * Set one dimension weight and rescale the others so the total stays 1
+   * @param {Object} weights - Normalized baseline weightings
+   * @param {string} dimension - Dimension to change
+   * @param {number} weight - New weight for that dimension
+   * @returns {Object} - Perturbed weightings
+   */
+  perturb(weights, dimension, weight) {
+    const others = Object.keys(weights).filter(d => d !== dimension);
+    const remaining = 1 - weights[dimension];
+    const perturbed = { [dimension]: weight };
+
+    for (const other of others) {
+      // When the baseline puts everything on one dimension, spread the rest evenly
+      perturbed[other] = remaining > 0
+        ? weights[other] * (1 - weight) / remaining
+        : (1 - weight) / others.length;
+    }
+
+    return perturbed;
+  }
+
+  /**
+   * Rank providers for a weight vector using the comparison engine
+   * @param {Map} providers - Provider data by name
+   * @param {Object} constraints - Normalized constraints
+   * @param {Object} weightings - Weightings to evaluate with
+   * @returns {Array} - Ranking in the shape of constraintSummary.allProviders
+   */
+  rank(providers, constraints, weightings) {
+    const evaluations = {};
+    for (const [providerName, providerData] of providers) {
+      evaluations[providerName] = this.engine.evaluateProvider(providerData, constraints, weightings);
+    }
+
+    const sorted = this.engine.rankEvaluations(evaluations, constraints);
+    return this.engine.generateConstraintBasedSummary(constraints, sorted).allProviders;
+  }
+
+  /**
+   * @param {Array} ranking - Ranking entries
+   * @returns {string} - Provider order as a comparable key
+   */
+  rankingKey(ranking) {
+    return ranking.map(entry => entry.name).join('>');
+  }
+
+  /**
+   * @param {number} value - Value to round
+   * @returns {number} - Value rounded to 4 decimals
+   */
+  round(value) {
+    return Math.round(value * 10000) / 10000;
+  }
+
+  /**
+   * @param {Object} weights - Dimension weightings
+   * @returns {Object} - Weightings rounded to 4 decimals
+   */
+  roundWeights(weights) {
+    const rounded = {};
+    for (const [dimension, weight] of Object.entries(weights)) {
+      rounded[dimension] = this.round(weight);
+    }
+    return rounded;
+  }
+}
+
+// Create singleton instance
+const sensitivityAnalyzer = new SensitivityAnalyzer();
+
+module.exports = { SensitivityAnalyzer, sensitivityAnalyzer };
@@ -0,0 +1,77 @@
+// Tests for the sensitivity analyzer
+
+const { SensitivityAnalyzer } = require('./sensitivityAnalyzer');
+const { ComparisonEngine } = require('./comparisonEngine');
+const { makeProvider, costScores, providerMap } = require('./fixtures/providers');
+
+const constraints = {
+  budget: 'medium',
+  experience: 'intermediate',
+  workload: 'startup',
+  priorities: ['cost']
+};
+
+describe('SensitivityAnalyzer', () => {
+  const providers = providerMap(
+    makeProvider('thrifty', { cost: costScores(9), enterprise: { compliance: 4, support: 4 } }),
+    makeProvider('corporate', { cost: costScores(5), enterprise: { compliance: 10, support: 10 } })
+  );
+  const analyzer = new SensitivityAnalyzer({
+    engine: new ComparisonEngine(),
+    dataSource: { getProvidersAt: async () => providers }
+  });
+
+  test('should report the weight at which the top match flips', async () => {
+    const result = await analyzer.analyze(constraints, { range: 1, steps: 20 });
+
+    expect(result.success).toBe(true);
+    const { baseline, dimensions } = result.analysis;
+    expect(baseline.topMatch).toBe('thrifty');
+
+    // thrifty leads by 4 on cost and trails by 6 on enterprise, so the
+    // ranking flips once enterprise outweighs cost by a factor of 2/3
+    const flip = dimensions.enterprise.rankingFlips[0];
+    expect(flip.direction).toBe('increase');
+    expect(flip.topMatch).toBe('corporate');
+    expect(dimensions.enterprise.topMatchChangesAt).toBe(flip.weight);
+
+    const perturbed = analyzer.perturb(result.analysis.baseline.weightings, 'enterprise', flip.weight);
+    expect(perturbed.enterprise * 6).toBeCloseTo(perturbed.cost * 4, 2);
+  });
+
+  test('should keep perturbed weights normalized', () => {
+    const weights = { cost: 0.5, enterprise: 0.3, aiml: 0.2 };
+    const perturbed = analyzer.perturb(weights, 'cost', 0.8);
+
+    expect(perturbed.cost).toBe(0.8);
+    expect(perturbed.enterprise + perturbed.aiml).toBeCloseTo(0.2);
+    expect(perturbed.enterprise / perturbed.aiml).toBeCloseTo(1.5);
+  });
+
+  test('should compute top match stability as a percentage', async () => {
+    const result = await analyzer.analyze(constraints, { range: 0.05, steps: 5 });
+    const stability = result.analysis.topMatchStability;
+
+    expect(stability.percentage).toBe(100);
+    expect(stability.samples).toBeGreaterThan(0);
+  });
+
+  test('should analyze the providers of a pinned data version', async () => {
+    const snapshot = providerMap(
+      makeProvider('thrifty', { cost: costScores(4), enterprise: { compliance: 4, support: 4 } }),
+      providers.get('corporate')
+    );
+    const pinned = new SensitivityAnalyzer({
+      engine: new ComparisonEngine(),
+      dataSource: { getProvidersAt: async version => (version === 'snapshot' ? snapshot : providers) }
+    });
+
+    const result = await pinned.analyze({ ...constraints, dataVersion: 'snapshot' });
+    expect(result.analysis.baseline.topMatch).toBe('corporate');
+  });
+
+  test('should reject invalid options', async () => {
+    expect((await analyzer.analyze(constraints, { range: 2 })).success).toBe(false);
+    expect((await analyzer.analyze(constraints, { steps: 0 })).success).toBe(false);
+  });
+});
@@ -0,0 +1,180 @@
+// Maps named services to their equivalents on each provider using the service catalog
+
+const { serviceCatalogManager } = require('../data/serviceCatalogManager');
+
+// Vendor prefixes ignored when an exact name match fails ("AWS DynamoDB" -> "DynamoDB")
+const VENDOR_PREFIXES = ['amazon', 'aws', 'azure', 'microsoft', 'googlecloud', 'google'];
+
+const MAX_SERVICES = 50;
+
+class ServiceMapper {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.catalog - Object exposing getCapabilities() and getStatistics()
+   */
+  constructor({ catalog = serviceCatalogManager } = {}) {
+    this.catalog = catalog;
+  }
+
+  /**
+   * Validate a list of service names
+   * @param {Array} services - Raw service names
+   * @returns {Array} - Validation errors
+   */
+  static validateServices(services) {
+    if (!Array.isArray(services) || services.length === 0) {
+      return ['Services must be a non-empty array of service names'];
+    }
+    if (services.length > MAX_SERVICES) {
+      return [`At most ${MAX_SERVICES} services can be mapped at once`];
+    }
+    if (services.some(service => typeof service !== 'string' || service.trim() === '')) {
+      return ['Each service must be a non-empty string'];
+    }
+    return [];
+  }
+
+  /**
+   * Map services to their equivalents on each provider
+   * @param {Array} services - Service names, e.g. ['Lambda', 'DynamoDB']
+   * @param {Array} providerNames - Providers to map to
+   * @returns {Object} - Mappings per matched capability, unmatched names and parity counts per provider
+   */
+  map(services, providerNames) {
+    const providers = [...providerNames].sort();
+    const mappings = [];
+    const unmatched = [];
+
+    for (const query of services) {
+      const matches = this.findCapabilities(query);
+      if (matches.length === 0) {
+        unmatched.push(query);
+        continue;
+      }
+
+      for (const match of matches) {
+        mappings.push(this.mapCapability(query, match, providers));
+      }
+    }
+
+    const summary = {};
+    for (const providerName of providers) {
+      summary[providerName] = { full: 0, partial: 0, none: 0 };
+      for (const mapping of mappings) {
+        summary[providerName][mapping.equivalents[providerName].parity]++;
+      }
+    }
+
+    return {
+      catalogVersion: this.catalog.getStatistics().version,
+      mappings,
+      unmatched,
+      summary
+    };
+  }
+
+  /**
+   * Find the capabilities a service name refers to. Exact names and aliases
+   * win over matches with the vendor prefix removed.
+   * @param {string} query - Service or capability name
+   * @returns {Array} - Matches of { capability, sourceProvider }; sourceProvider is
+   *   null when the query names the capability itself
+   */
+  findCapabilities(query) {
+    const exact = this.matchCapabilities(this.normalize(query), name => this.normalize(name));
+    if (exact.length > 0) {
+      return exact;
+    }
+    return this.matchCapabilities(this.stripVendorPrefix(this.normalize(query)),
+      name => this.stripVendorPrefix(this.normalize(name)));
+  }
+
+  /**
+   * @param {string} key - Normalized query
+   * @param {Function} keyOf - Maps a catalog name to a comparable key
+   * @returns {Array} - Matches of { capability, sourceProvider }
+   */
+  matchCapabilities(key, keyOf) {
+    const matches = [];
+
+    for (const capability of this.catalog.getCapabilities()) {
+      if (keyOf(capability.id) === key || keyOf(capability.name) === key) {
+        matches.push({ capability, sourceProvider: null });
+        continue;
+      }
+
+      const sourceProvider = Object.keys(capability.providers).sort().find(providerName => {
+        const { service, aliases } = capability.providers[providerName];
+        return [service, ...aliases].some(name => keyOf(name) === key);
+      });
+      if (sourceProvider) {
+        matches.push({ capability, sourceProvider });
+      }
+    }
+
+    return matches;
+  }
+
+  /**
+   * Compare each provider's implementation with the features of the source service
+   * @param {string} query - Service name as requested
+   * @param {Object} match - { capability, sourceProvider }
+   * @param {Array} providers - Providers to map to
+   * @returns {Object} - Mapping with an equivalent, parity and gaps per provider
+   */
+  mapCapability(query, { capability, sourceProvider }, providers) {
+    const source = sourceProvider ? capability.providers[sourceProvider] : null;
+    // Only features the source service has can be missing elsewhere
+    const sourceFeatures = capability.features.filter(feature => !source?.missingFeatures.includes(feature));
+    const equivalents = {};
+
+    for (const providerName of providers) {
+      const implementation = capability.providers[providerName];
+      if (!implementation) {
+        equivalents[providerName] = { service: null, parity: 'none', gap: true, gaps: sourceFeatures };
+        continue;
+      }
+
+      const gaps = sourceFeatures.filter(feature => implementation.missingFeatures.includes(feature));
+      equivalents[providerName] = {
+        service: implementation.service,
+        parity: gaps.length > 0 ? 'partial' : 'full',
+        gap: gaps.length > 0,
+        gaps,
+        ...(implementation.notes && { notes: implementation.notes })
+      };
+    }
+
+    return {
+      query,
+      capability: capability.id,
+      name: capability.name,
+      category: capability.category,
+      source: source ? { provider: sourceProvider, service: source.service } : null,
+      features: sourceFeatures,
+      equivalents
+    };
+  }
+
+  /**
+   * @param {string} name - Service name
+   * @returns {string} - Lowercase name without spaces or punctuation
+   */
+  normalize(name) {
+    return name.toLowerCase().replace(/[^a-z0-9]/g, '');
+  }
+
+  /**
+   * @param {string} key - Normalized name
+   * @returns {string} - Key without a leading vendor prefix
+   */
+  stripVendorPrefix(key) {
+    const prefix = VENDOR_PREFIXES.find(vendor => key.startsWith(vendor) && key.length > vendor.length);
+    return prefix ? key.slice(prefix.length) : key;
+  }
+}
+
+// Create singleton instance
+const serviceMapper = new ServiceMapper();
+
+module.exports = { ServiceMapper, serviceMapper };
@@ -0,0 +1,105 @@
+// Tests for the service equivalence mapper
+
+const fs = require('fs');
+const path = require('path');
+const { ServiceMapper } = require('./serviceMapper');
+const { OutputFormatter } = require('./outputFormatter');
+const { validateServiceCatalog, validatePortabilityTable } = require('../utils/validation');
+
+const catalogFile = path.join(__dirname, '../../data/services/catalog.json');
+const portabilityFile = path.join(__dirname, '../../data/services/portability.json');
+
+const capabilities = [
+  {
+    id: 'message-queue',
+    name: 'Message queue',
+    category: 'integration',
+    features: ['FIFO ordering', 'Dead-letter queues', 'Delayed delivery'],
+    providers: {
+      aws: { service: 'Amazon SQS', aliases: ['SQS'], missingFeatures: [] },
+      gcp: { service: 'Pub/Sub', aliases: [], missingFeatures: ['Delayed delivery'], notes: 'Cloud Tasks covers scheduling' }
+    }
+  },
+  {
+    id: 'notifications',
+    name: 'Pub/sub notifications',
+    category: 'integration',
+    features: ['Fan-out', 'SMS delivery'],
+    providers: {
+      aws: { service: 'Amazon SNS', aliases: ['SNS'], missingFeatures: [] },
+      gcp: { service: 'Pub/Sub', aliases: [], missingFeatures: ['SMS delivery'] }
+    }
+  }
+];
+
+const createMapper = services => new ServiceMapper({
+  catalog: {
+    getCapabilities: () => services,
+    getStatistics: () => ({ version: '1.0.0' })
+  }
+});
+
+describe('ServiceMapper', () => {
+  const mapper = createMapper(capabilities);
+
+  test('should map a service to equivalents with parity and gaps', () => {
+    const result = mapper.map(['SQS'], ['gcp', 'aws', 'azure']);
+
+    expect(result.mappings).toHaveLength(1);
+    expect(result.mappings[0].source).toEqual({ provider: 'aws', service: 'Amazon SQS' });
+    expect(result.mappings[0].equivalents).toEqual({
+      aws: { service: 'Amazon SQS', parity: 'full', gap: false, gaps: [] },
+      azure: {
+        service: null,
+        parity: 'none',
+        gap: true,
+        gaps: ['FIFO ordering', 'Dead-letter queues', 'Delayed delivery']
+      },
+      gcp: {
+        service: 'Pub/Sub',
+        parity: 'partial',
+        gap: true,
+        gaps: ['Delayed delivery'],
+        notes: 'Cloud Tasks covers scheduling'
+      }
+    });
+    expect(result.summary.gcp).toEqual({ full: 0, partial: 1, none: 0 });
+  });
+
+  test('should only flag features the source service has', () => {
+    const [mapping] = mapper.map(['Pub/Sub'], ['aws', 'gcp']).mappings;
+
+    expect(mapping.source.provider).toBe('gcp');
+    expect(mapping.features).toEqual(['FIFO ordering', 'Dead-letter queues']);
+    expect(mapping.equivalents.aws.parity).toBe('full');
+  });
+
+  test('should match vendor-prefixed names, capability names and report unmatched services', () => {
+    const result = mapper.map(['AWS SNS', 'message queue', 'Mainframe'], ['aws', 'gcp']);
+
+    expect(result.mappings.map(mapping => mapping.capability)).toEqual(['notifications', 'message-queue']);
+    expect(result.mappings[1].source).toBeNull();
+    expect(result.unmatched).toEqual(['Mainframe']);
+  });
+
+  test('should reject invalid service lists', () => {
+    expect(ServiceMapper.validateServices([])).toEqual(['Services must be a non-empty array of service names']);
+    expect(ServiceMapper.validateServices(['Lambda', ' '])).toEqual(['Each service must be a non-empty string']);
+  });
+
+  test('should ship a valid, neutral catalog and portability table', () => {
+    const catalog = JSON.parse(fs.readFileSync(catalogFile, 'utf8'));
+    const portability = JSON.parse(fs.readFileSync(portabilityFile, 'utf8'));
+
+    expect(validateServiceCatalog(catalog)).toEqual({ isValid: true, errors: [] });
+    expect(validatePortabilityTable(portability, catalog)).toEqual({ isValid: true, errors: [] });
+    expect(Object.keys(portability.capabilities).sort()).toEqual(catalog.services.map(service => service.id).sort());
+    expect(new OutputFormatter().detectBias([catalog, portability]).issues).toEqual([]);
+
+    const result = createMapper(catalog.services).map(['Lambda', 'DynamoDB', 'SQS', 'EKS'], ['aws', 'azure', 'gcp']);
+    expect(result.unmatched).toEqual([]);
+    expect(result.mappings.map(mapping => mapping.equivalents.azure.service)).toEqual([
+      'Azure Functions', 'Azure Cosmos DB for NoSQL', 'Azure Service Bus', 'Azure Kubernetes Service'
+    ]);
+  });
+});
@@ -0,0 +1,233 @@
+// Total cost of ownership estimates from workload usage and provider pricing tables
+
+const { pricingManager } = require('../data/pricingManager');
+const { supportTiers } = require('../schemas/pricingSchema');
+
+// Monthly usage quantities and the pricing rate each is billed at
+const USAGE_RATES = {
+  vcpuHours: 'vcpuHour',
+  memoryGbHours: 'memoryGbHour',
+  storageGb: 'storageGbMonth',
+  egressGb: 'egressGb',
+  managedDbHours: 'managedDbHour'
+};
+
+const TERM_MONTHS = 36;
+
+class TcoEstimator {
+  /**
+   * @param {Object} dependencies - Collaborators (defaults to the shared singletons)
+   * @param {Object} dependencies.pricingSource - Object exposing getPricing(providerName)
+   */
+  constructor({ pricingSource = pricingManager } = {}) {
+    this.pricingSource = pricingSource;
+  }
+
+  /**
+   * Validate TCO options (monthly usage, support tier and applyToCost)
+   * @param {Object} options - Raw options
+   * @returns {Array} - Validation errors
+   */
+  static validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return ['TCO options must be an object describing monthly usage'];
+    }
+
+    const errors = [];
+    const knownFields = [...Object.keys(USAGE_RATES), 'supportTier', 'applyToCost'];
+
+    for (const field of Object.keys(options)) {
+      if (!knownFields.includes(field)) {
+        errors.push(`Unknown TCO field: ${field}. Must be one of: ${knownFields.join(', ')}`);
+      }
+    }
+
+    for (const field of Object.keys(USAGE_RATES)) {
+      const value = options[field];
+      if (value !== undefined && (typeof value !== 'number' || !Number.isFinite(value) || value < 0)) {
+        errors.push(`TCO ${field} must be a non-negative number`);
+      }
+    }
+
+    if (options.supportTier !== undefined && !supportTiers.includes(options.supportTier)) {
+      errors.push(`Invalid TCO support tier: ${options.supportTier}. Must be one of: ${supportTiers.join(', ')}`);
+    }
+    if (options.applyToCost !== undefined && typeof options.applyToCost !== 'boolean') {
+      errors.push('TCO applyToCost must be a boolean');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Estimate monthly and three-year cost per provider
+   * @param {Object} options - Monthly usage, support tier and applyToCost
+   * @param {Array} providerNames - Providers to estimate
+   * @returns {Object} - Cost breakdown per provider, ranking and unpriced providers
+   */
+  estimate(options, providerNames) {
+    const errors = TcoEstimator.validateOptions(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const usage = {};
+    for (const field of Object.keys(USAGE_RATES)) {
+      usage[field] = options[field] || 0;
+    }
+    usage.supportTier = options.supportTier || 'none';
+
+    const providers = {};
+    const totals = {};
+    const unpricedProviders = [];
+
+    for (const providerName of [...providerNames].sort()) {
+      const pricing = this.pricingSource.getPricing(providerName);
+      if (!pricing) {
+        unpricedProviders.push(providerName);
+        continue;
+      }
+
+      const estimate = this.estimateProvider(usage, pricing);
+      totals[providerName] = estimate.monthly.total;
+      providers[providerName] = this.roundEstimate(estimate);
+    }
+
+    const ranking = Object.entries(totals)
+      .sort(([, a], [, b]) => a - b)
+      .map(([provider, total]) => ({ provider, monthlyTotal: this.round(total) }));
+
+    const result = {
+      currency: 'USD',
+      usage,
+      termMonths: TERM_MONTHS,
+      providers,
+      ranking,
+      cheapest: ranking[0]?.provider || null,
+      unpricedProviders,
+      appliedToCost: options.applyToCost === true
+    };
+
+    if (result.appliedToCost) {
+      result.costScores = this.calculateCostScores(totals);
+    }
+
+    return result;
+  }
+
+  /**
+   * Cost breakdown for one provider
+   * @param {Object} usage - Resolved monthly usage
+   * @param {Object} pricing - Provider pricing table
+   * @returns {Object} - Unrounded monthly and three-year costs
+   */
+  estimateProvider(usage, pricing) {
+    const { rates } = pricing;
+    const monthly = {
+      compute: usage.vcpuHours * rates.vcpuHour,
+      memory: usage.memoryGbHours * rates.memoryGbHour,
+      storage: usage.storageGb * rates.storageGbMonth,
+      egress: Math.max(0, usage.egressGb - rates.egressFreeGb) * rates.egressGb,
+      database: usage.managedDbHours * rates.managedDbHour
+    };
+
+    const supportPlan = pricing.support[usage.supportTier];
+    const supportCost = spend => Math.max(supportPlan.monthlyMinimum, spend * supportPlan.percentOfSpend);
+
+    const usageTotal = Object.values(monthly).reduce((sum, cost) => sum + cost, 0);
+    monthly.support = supportCost(usageTotal);
+    monthly.total = usageTotal + monthly.support;
+
+    // Committed-use discounts cover compute, memory and managed databases;
+    // percentage-based support is charged on the discounted spend
+    const discount = pricing.commitmentDiscounts.threeYear;
+    const committedUsage = usageTotal - (monthly.compute + monthly.memory + monthly.database) * discount;
+
+    return {
+      currency: pricing.currency,
+      supportPlan: supportPlan.plan,
+      monthly,
+      threeYear: {
+        onDemand: monthly.total * TERM_MONTHS,
+        committed: (committedUsage + supportCost(committedUsage)) * TERM_MONTHS,
+        commitmentDiscount: discount
+      },
+      pricingUpdated: pricing.lastUpdated
+    };
+  }
+
+  /**
+   * Convert monthly totals to 1-10 cost scores: the cheapest provider scores 10,
+   * the others in proportion to how much more they cost
+   * @param {Object} totals - Provider name to monthly total
+   * @returns {Object} - Provider name to cost score
+   */
+  calculateCostScores(totals) {
+    const cheapest = Math.min(...Object.values(totals));
+    const scores = {};
+
+    for (const [providerName, total] of Object.entries(totals)) {
+      const score = total > 0 ? 10 * cheapest / total : 10;
+      scores[providerName] = Math.round(Math.max(1, Math.min(10, score)) * 10) / 10;
+    }
+
+    return scores;
+  }
+
+  /**
+   * Replace budgetFriendliness with the TCO-derived cost score
+   * @param {Map} providers - Provider data by name
+   * @param {Object} estimate - Result of estimate() with costScores
+   * @returns {Map} - Provider data with adjusted cost dimensions
+   */
+  applyToCostDimension(providers, estimate) {
+    const adjusted = new Map();
+
+    for (const [providerName, providerData] of providers) {
+      const score = estimate.costScores?.[providerName];
+      adjusted.set(providerName, score === undefined ? providerData : {
+        ...providerData,
+        dimensions: {
+          ...providerData.dimensions,
+          cost: { ...providerData.dimensions.cost, budgetFriendliness: score }
+        }
+      });
+    }
+
+    return adjusted;
+  }
+
+  /**
+   * @param {Object} estimate - Unrounded provider estimate
+   * @returns {Object} - Estimate with amounts rounded to cents
+   */
+  roundEstimate(estimate) {
+    const monthly = {};
+    for (const [item, cost] of Object.entries(estimate.monthly)) {
+      monthly[item] = this.round(cost);
+    }
+
+    return {
+      ...estimate,
+      monthly,
+      threeYear: {
+        ...estimate.threeYear,
+        onDemand: this.round(estimate.threeYear.onDemand),
+        committed: this.round(estimate.threeYear.committed)
+      }
+    };
+  }
+
+  /**
+   * @param {number} amount - Amount to round
+   * @returns {number} - Amount rounded to cents
+   */
+  round(amount) {
+    return Math.round(amount * 100) / 100;
+  }
+}
+
+// Create singleton instance
+const tcoEstimator = new TcoEstimator();
+
+module.exports = { TcoEstimator, tcoEstimator };
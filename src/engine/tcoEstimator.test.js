@@ -0,0 +1,108 @@
+// Tests for the TCO estimator
+
+const fs = require('fs');
+const path = require('path');
+const { TcoEstimator } = require('./tcoEstimator');
+const { validatePricingData } = require('../utils/validation');
+
+const makePricing = (provider, overrides = {}) => ({
+  provider,
+  currency: 'USD',
+  lastUpdated: '2024-01-01T00:00:00.000Z',
+  rates: {
+    vcpuHour: 0.04,
+    memoryGbHour: 0.005,
+    storageGbMonth: 0.1,
+    egressGb: 0.1,
+    egressFreeGb: 100,
+    managedDbHour: 0.2,
+    ...overrides.rates
+  },
+  support: {
+    none: { plan: 'Basic', monthlyMinimum: 0, percentOfSpend: 0 },
+    developer: { plan: 'Developer', monthlyMinimum: 29, percentOfSpend: 0.03 },
+    business: { plan: 'Business', monthlyMinimum: 100, percentOfSpend: 0.1 },
+    enterprise: { plan: 'Enterprise', monthlyMinimum: 15000, percentOfSpend: 0.1 }
+  },
+  commitmentDiscounts: { threeYear: 0.5 }
+});
+
+const createEstimator = tables => new TcoEstimator({
+  pricingSource: { getPricing: name => tables[name] || null }
+});
+
+describe('TcoEstimator', () => {
+  const usage = {
+    vcpuHours: 1000,
+    memoryGbHours: 4000,
+    storageGb: 200,
+    egressGb: 300,
+    managedDbHours: 100,
+    supportTier: 'business'
+  };
+
+  test('should itemize monthly and three-year costs', () => {
+    const estimate = createEstimator({ cheap: makePricing('cheap') }).estimate(usage, ['cheap']);
+    const cheap = estimate.providers.cheap;
+
+    // 40 compute + 20 memory + 20 storage + 20 egress (200 GB above the free tier) + 20 database
+    expect(cheap.monthly).toEqual({
+      compute: 40, memory: 20, storage: 20, egress: 20, database: 20, support: 100, total: 220
+    });
+    expect(cheap.supportPlan).toBe('Business');
+    expect(cheap.threeYear.onDemand).toBe(7920);
+    // Compute, memory and database halve to 40; support stays at its 100 minimum
+    expect(cheap.threeYear.committed).toBe((80 + 100) * 36);
+  });
+
+  test('should rank providers by monthly total and list unpriced ones', () => {
+    const estimate = createEstimator({
+      cheap: makePricing('cheap'),
+      pricey: makePricing('pricey', { rates: { vcpuHour: 0.08 } })
+    }).estimate(usage, ['pricey', 'cheap', 'unknown']);
+
+    expect(estimate.ranking.map(entry => entry.provider)).toEqual(['cheap', 'pricey']);
+    expect(estimate.cheapest).toBe('cheap');
+    expect(estimate.unpricedProviders).toEqual(['unknown']);
+    expect(estimate.costScores).toBeUndefined();
+  });
+
+  test('should replace budget friendliness with relative cost scores on request', () => {
+    const estimator = createEstimator({
+      cheap: makePricing('cheap'),
+      pricey: makePricing('pricey', { rates: { vcpuHour: 0.48 } })
+    });
+    const estimate = estimator.estimate({ ...usage, applyToCost: true }, ['cheap', 'pricey']);
+
+    expect(estimate.costScores).toEqual({ cheap: 10, pricey: 3.3 });
+
+    const providers = new Map([
+      ['cheap', { dimensions: { cost: { costPredictability: 5, budgetFriendliness: 2 } } }],
+      ['other', { dimensions: { cost: { costPredictability: 5, budgetFriendliness: 2 } } }]
+    ]);
+    const adjusted = estimator.applyToCostDimension(providers, estimate);
+
+    expect(adjusted.get('cheap').dimensions.cost).toEqual({ costPredictability: 5, budgetFriendliness: 10 });
+    expect(adjusted.get('other')).toBe(providers.get('other'));
+    expect(providers.get('cheap').dimensions.cost.budgetFriendliness).toBe(2);
+  });
+
+  test('should reject unknown fields and invalid usage', () => {
+    expect(TcoEstimator.validateOptions({ vcpuHours: -1, gpuHours: 5, supportTier: 'gold' })).toEqual([
+      expect.stringContaining('Unknown TCO field: gpuHours'),
+      'TCO vcpuHours must be a non-negative number',
+      expect.stringContaining('Invalid TCO support tier: gold')
+    ]);
+  });
+
+  test('should ship valid pricing tables for the bundled providers', () => {
+    const pricingDirectory = path.join(__dirname, '../../data/pricing');
+
+    for (const file of fs.readdirSync(pricingDirectory)) {
+      const pricing = JSON.parse(fs.readFileSync(path.join(pricingDirectory, file), 'utf8'));
+
+      expect(validatePricingData(pricing)).toEqual({ isValid: true, errors: [] });
+      expect(`${pricing.provider}.json`).toBe(file);
+    }
+  });
+});
@@ -0,0 +1,179 @@
+// Seeded Monte Carlo simulation of provider scores under sub-score uncertainty
+
+const { createSeededRandom, sampleNormal, sampleUniform } = require('../utils/random');
+
+const DEFAULT_OPTIONS = {
+  iterations: 1000,
+  seed: 1,
+  confidenceLevel: 0.9,
+  defaultStdDev: 0
+};
+
+class UncertaintySimulator {
+  /**
+   * @param {Object} engine - Comparison engine used to evaluate sampled data
+   */
+  constructor(engine) {
+    this.engine = engine;
+  }
+
+  /**
+   * Validate simulation options
+   * @param {Object} options - Raw options
+   * @returns {Array} - Validation errors
+   */
+  static validateOptions(options) {
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      return ['Monte Carlo options must be an object'];
+    }
+
+    const errors = [];
+    const { iterations, seed, confidenceLevel, defaultStdDev } = options;
+
+    if (iterations !== undefined && (!Number.isInteger(iterations) || iterations < 1 || iterations > 10000)) {
+      errors.push('Monte Carlo iterations must be an integer between 1 and 10000');
+    }
+    if (seed !== undefined && typeof seed !== 'string' && !(typeof seed === 'number' && Number.isFinite(seed))) {
+      errors.push('Monte Carlo seed must be a number or string');
+    }
+    if (confidenceLevel !== undefined && (typeof confidenceLevel !== 'number' || confidenceLevel <= 0 || confidenceLevel >= 1)) {
+      errors.push('Monte Carlo confidence level must be a number between 0 and 1 (exclusive)');
+    }
+    if (defaultStdDev !== undefined && (typeof defaultStdDev !== 'number' || defaultStdDev < 0 || defaultStdDev > 5)) {
+      errors.push('Monte Carlo default standard deviation must be a number between 0 and 5');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Run the simulation
+   * @param {Map} providers - Provider data by name
+   * @param {Object} constraints - Normalized constraints
+   * @param {Object} weightings - Dimension weightings
+   * @param {Object} options - Simulation options (iterations, seed, confidenceLevel, defaultStdDev)
+   * @returns {Object} - Score intervals and best-match probabilities per provider
+   */
+  simulate(providers, constraints, weightings, options = {}) {
+    const errors = UncertaintySimulator.validateOptions(options);
+    if (errors.length > 0) {
+      throw new Error(errors.join('; '));
+    }
+
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const random = createSeededRandom(settings.seed);
+    const applyFilters = (constraints.filterMode || 'none') !== 'none';
+
+    // Fixed provider order keeps the draw sequence independent of load order
+    const providerNames = Array.from(providers.keys()).sort();
+    const totals = Object.fromEntries(providerNames.map(name => [name, []]));
+    const bestCounts = Object.fromEntries(providerNames.map(name => [name, 0]));
+    let noQualifiedProvider = 0;
+
+    for (let iteration = 0; iteration < settings.iterations; iteration++) {
+      const evaluations = {};
+
+      for (const providerName of providerNames) {
+        const sampled = this.sampleProvider(providers.get(providerName), random, settings.defaultStdDev);
+        evaluations[providerName] = this.engine.evaluateProvider(sampled, constraints, weightings);
+        totals[providerName].push(evaluations[providerName].totalScore);
+      }
+
+      const [topName, topEvaluation] = this.engine.rankEvaluations(evaluations, constraints)[0];
+      if (applyFilters && !topEvaluation.passesFilters) {
+        noQualifiedProvider++;
+      } else {
+        bestCounts[topName]++;
+      }
+    }
+
+    const results = {};
+    for (const providerName of providerNames) {
+      results[providerName] = {
+        ...this.summarize(totals[providerName], settings.confidenceLevel),
+        bestMatchProbability: bestCounts[providerName] / settings.iterations
+      };
+    }
+
+    return {
+      iterations: settings.iterations,
+      seed: settings.seed,
+      confidenceLevel: settings.confidenceLevel,
+      defaultStdDev: settings.defaultStdDev,
+      providers: results,
+      noQualifiedProviderProbability: noQualifiedProvider / settings.iterations
+    };
+  }
+
+  /**
+   * Draw one sample of a provider's sub-scores
+   * @param {Object} providerData - Provider data
+   * @param {Function} random - Seeded random generator
+   * @param {number} defaultStdDev - Spread for sub-scores without explicit uncertainty
+   * @returns {Object} - Provider data with sampled sub-scores
+   */
+  sampleProvider(providerData, random, defaultStdDev) {
+    const dimensions = {};
+
+    for (const [dimensionName, dimensionData] of Object.entries(providerData.dimensions)) {
+      const sampled = { ...dimensionData };
+      const uncertainty = dimensionData.uncertainty || {};
+
+      for (const [field, value] of Object.entries(dimensionData)) {
+        if (typeof value !== 'number') continue;
+
+        const entry = uncertainty[field] || {};
+        if (entry.range) {
+          sampled[field] = sampleUniform(random, entry.range[0], entry.range[1]);
+        } else {
+          const stdDev = entry.stdDev !== undefined ? entry.stdDev : defaultStdDev;
+          if (stdDev > 0) {
+            sampled[field] = Math.min(10, Math.max(1, sampleNormal(random, value, stdDev)));
+          }
+        }
+      }
+
+      dimensions[dimensionName] = sampled;
+    }
+
+    return { ...providerData, dimensions };
+  }
+
+  /**
+   * Summarize sampled total scores
+   * @param {Array} samples - Sampled total scores
+   * @param {number} confidenceLevel - Confidence level of the interval
+   * @returns {Object} - Mean, standard deviation, median and confidence interval
+   */
+  summarize(samples, confidenceLevel) {
+    const sorted = [...samples].sort((a, b) => a - b);
+    const mean = sorted.reduce((sum, value) => sum + value, 0) / sorted.length;
+    const variance = sorted.reduce((sum, value) => sum + (value - mean) ** 2, 0) / sorted.length;
+    const tail = (1 - confidenceLevel) / 2;
+
+    return {
+      mean,
+      stdDev: Math.sqrt(variance),
+      median: this.quantile(sorted, 0.5),
+      interval: {
+        lower: this.quantile(sorted, tail),
+        upper: this.quantile(sorted, 1 - tail)
+      }
+    };
+  }
+
+  /**
+   * Linear-interpolated quantile of sorted samples
+   * @param {Array} sorted - Samples in ascending order
+   * @param {number} q - Quantile (0-1)
+   * @returns {number} - Quantile value
+   */
+  quantile(sorted, q) {
+    const position = (sorted.length - 1) * q;
+    const lower = Math.floor(position);
+    const upper = Math.ceil(position);
+    return sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower);
+  }
+}
+
+module.exports = { UncertaintySimulator, DEFAULT_SIMULATION_OPTIONS: DEFAULT_OPTIONS };
@@ -0,0 +1,64 @@
+// Tests for the Monte Carlo uncertainty simulator
+
+const { UncertaintySimulator } = require('./uncertaintySimulator');
+const { ComparisonEngine } = require('./comparisonEngine');
+const { makeProvider, costScores, providerMap } = require('./fixtures/providers');
+
+const constraints = { budget: 'low', experience: 'intermediate', workload: 'startup', priorities: [] };
+
+describe('UncertaintySimulator', () => {
+  const engine = new ComparisonEngine();
+  const simulator = new UncertaintySimulator(engine);
+  const weightings = engine.calculateWeightings(constraints);
+  const providers = providerMap(
+    makeProvider('steady', { cost: costScores(7) }),
+    makeProvider('volatile', {
+      cost: {
+        ...costScores(7),
+        uncertainty: { costPredictability: { stdDev: 2 }, budgetFriendliness: { range: [4, 9] } }
+      }
+    })
+  );
+
+  test('should be reproducible for the same seed', () => {
+    const first = simulator.simulate(providers, constraints, weightings, { iterations: 200, seed: 42 });
+    const second = simulator.simulate(providers, constraints, weightings, { iterations: 200, seed: 42 });
+    const other = simulator.simulate(providers, constraints, weightings, { iterations: 200, seed: 'other' });
+
+    expect(second).toEqual(first);
+    expect(other.providers.volatile.mean).not.toBe(first.providers.volatile.mean);
+  });
+
+  test('should collapse the interval for point estimates', () => {
+    const result = simulator.simulate(providers, constraints, weightings, { iterations: 100 });
+    const steady = result.providers.steady;
+
+    expect(steady.stdDev).toBeCloseTo(0);
+    expect(steady.interval.lower).toBe(steady.interval.upper);
+    expect(result.providers.volatile.interval.upper).toBeGreaterThan(result.providers.volatile.interval.lower);
+  });
+
+  test('should return best match probabilities that sum to 1', () => {
+    const result = simulator.simulate(providers, constraints, weightings, { iterations: 500, seed: 7 });
+    const total = Object.values(result.providers).reduce((sum, p) => sum + p.bestMatchProbability, 0);
+
+    expect(total).toBeCloseTo(1);
+    expect(result.providers.volatile.bestMatchProbability).toBeGreaterThan(0);
+    expect(result.providers.steady.bestMatchProbability).toBeGreaterThan(0);
+  });
+
+  test('should keep sampled sub-scores within range bounds', () => {
+    const random = () => 0.999;
+    const sampled = simulator.sampleProvider(providers.get('volatile'), random, 0);
+
+    expect(sampled.dimensions.cost.budgetFriendliness).toBeLessThanOrEqual(9);
+    expect(sampled.dimensions.cost.costPredictability).toBeGreaterThanOrEqual(1);
+    expect(sampled.dimensions.cost.costPredictability).toBeLessThanOrEqual(10);
+  });
+
+  test('should reject invalid options', () => {
+    expect(UncertaintySimulator.validateOptions({ iterations: 0 }).length).toBe(1);
+    expect(UncertaintySimulator.validateOptions({ confidenceLevel: 1 }).length).toBe(1);
+    expect(() => simulator.simulate(providers, constraints, weightings, { seed: {} })).toThrow('seed');
+  });
+});
@@ -0,0 +1,38 @@
+// Deprecation (RFC 9745) and Sunset (RFC 8594) headers for routes that are being retired
+
+class DeprecationHeaders {
+  /**
+   * Middleware announcing a deprecation schedule on every response
+   * @param {Object} schedule - { deprecatedAt, sunsetAt } as YYYY-MM-DD dates
+   * @param {Function} successorUrl - Maps a request to the URL that replaces it
+   * @returns {Function} - Express middleware function
+   */
+  static forSchedule(schedule, successorUrl) {
+    const headers = DeprecationHeaders.headersFor(schedule);
+
+    return (req, res, next) => {
+      res.setHeader('Deprecation', headers.deprecation);
+      res.setHeader('Sunset', headers.sunset);
+      if (successorUrl) {
+        res.setHeader('Link', `<${successorUrl(req)}>; rel="successor-version"`);
+      }
+      next();
+    };
+  }
+
+  /**
+   * @param {Object} schedule - { deprecatedAt, sunsetAt } as YYYY-MM-DD dates
+   * @returns {Object} - { deprecation, sunset } header values
+   */
+  static headersFor({ deprecatedAt, sunsetAt }) {
+    const toDate = day => new Date(`${day}T00:00:00.000Z`);
+
+    return {
+      // Structured-field date: seconds since the epoch
+      deprecation: `@${Math.floor(toDate(deprecatedAt).getTime() / 1000)}`,
+      sunset: toDate(sunsetAt).toUTCString()
+    };
+  }
+}
+
+module.exports = { DeprecationHeaders };
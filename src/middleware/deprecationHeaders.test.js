@@ -0,0 +1,33 @@
+// Tests for deprecation headers and API version schedules
+
+const { DeprecationHeaders } = require('./deprecationHeaders');
+const { validateDeprecationSchedule } = require('../config/apiVersions');
+
+describe('DeprecationHeaders', () => {
+  const schedule = { successor: 'v1', deprecatedAt: '2026-10-19', sunsetAt: '2027-04-30' };
+
+  test('should announce the schedule and the successor route', () => {
+    const headers = {};
+    const res = { setHeader: (name, value) => { headers[name] = value; } };
+    const next = jest.fn();
+
+    DeprecationHeaders.forSchedule(schedule, req => `/api/v1${req.path}`)({ path: '/compare' }, res, next);
+
+    expect(headers).toEqual({
+      Deprecation: '@1792368000',
+      Sunset: 'Fri, 30 Apr 2027 00:00:00 GMT',
+      Link: '</api/v1/compare>; rel="successor-version"'
+    });
+    expect(next).toHaveBeenCalled();
+  });
+
+  test('should validate deprecation schedules', () => {
+    expect(validateDeprecationSchedule(schedule)).toEqual([]);
+    expect(validateDeprecationSchedule({ successor: 'v9', deprecatedAt: '2026-10-19', sunsetAt: 'soon' })).toEqual([
+      'successor must be one of: v1, v2',
+      'sunsetAt must be a YYYY-MM-DD date, got soon'
+    ]);
+    expect(validateDeprecationSchedule({ ...schedule, sunsetAt: '2026-01-01' }))
+      .toEqual(['sunsetAt 2026-01-01 is before deprecatedAt 2026-10-19']);
+  });
+});
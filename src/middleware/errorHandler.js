@@ -12,7 +12,7 @@ class ErrorHandler {
     console.error('Error occurred:', {
       message: err.message,
       stack: err.stack,
-      url: req.url,
+      url: req.originalUrl,
       method: req.method,
       timestamp: new Date().toISOString()
     });
@@ -107,7 +107,7 @@ class ErrorHandler {
       error: {
         code: 'NOT_FOUND',
         message: 'Resource not found',
-        details: `The requested resource ${req.method} ${req.url} was not found`,
+        details: `The requested resource ${req.method} ${req.originalUrl} was not found`,
         timestamp: new Date().toISOString()
       }
     });
@@ -162,12 +162,12 @@ class ErrorHandler {
     const startTime = Date.now();
     
     // Log request
-    console.log(`${new Date().toISOString()} - ${req.method} ${req.url} - IP: ${req.ip}`);
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl} - IP: ${req.ip}`);
     
     // Log response when finished
     res.on('finish', () => {
       const duration = Date.now() - startTime;
-      console.log(`${new Date().toISOString()} - ${req.method} ${req.url} - ${res.statusCode} - ${duration}ms`);
+      console.log(`${new Date().toISOString()} - ${req.method} ${req.originalUrl} - ${res.statusCode} - ${duration}ms`);
     });
 
     next();
@@ -0,0 +1,207 @@
+// Request and response validation middleware against the route schemas
+//
+// RESPONSE_VALIDATION sets what happens when a response does not match its
+// schema: "log" (default) logs the mismatch, "strict" replaces the response
+// with a 500 error and "off" skips response validation.
+
+const { SchemaValidator } = require('../utils/validation');
+const { routeSchemas, errorResponseSchema } = require('../schemas/apiSchemas');
+
+const RESPONSE_VALIDATION_MODES = ['log', 'strict', 'off'];
+
+// Error code reported for each failed schema keyword
+const KEYWORD_CODES = {
+  type: 'INVALID_TYPE',
+  required: 'REQUIRED',
+  dependentRequired: 'REQUIRED',
+  additionalProperties: 'UNKNOWN_FIELD',
+  false: 'UNKNOWN_FIELD',
+  enum: 'INVALID_VALUE',
+  const: 'INVALID_VALUE',
+  anyOf: 'INVALID_VALUE',
+  oneOf: 'INVALID_VALUE',
+  not: 'INVALID_VALUE',
+  minimum: 'OUT_OF_RANGE',
+  maximum: 'OUT_OF_RANGE',
+  exclusiveMinimum: 'OUT_OF_RANGE',
+  exclusiveMaximum: 'OUT_OF_RANGE',
+  multipleOf: 'OUT_OF_RANGE',
+  minLength: 'INVALID_LENGTH',
+  maxLength: 'INVALID_LENGTH',
+  minItems: 'INVALID_LENGTH',
+  maxItems: 'INVALID_LENGTH',
+  minProperties: 'INVALID_LENGTH',
+  maxProperties: 'INVALID_LENGTH',
+  contains: 'INVALID_LENGTH',
+  pattern: 'INVALID_FORMAT',
+  format: 'INVALID_FORMAT',
+  propertyNames: 'INVALID_FORMAT',
+  uniqueItems: 'DUPLICATE_ITEM'
+};
+
+class RequestValidator {
+  /**
+   * @param {Object} options - Validator options
+   * @param {Object} options.schemas - Route schemas keyed by "METHOD /path"
+   * @param {string} options.responseMode - "log", "strict" or "off"
+   */
+  constructor({ schemas = routeSchemas, responseMode = getConfiguredResponseMode() } = {}) {
+    this.schemas = schemas;
+    this.responseMode = responseMode;
+  }
+
+  /**
+   * Validation middleware for one route
+   * @param {string} routeKey - Route key, e.g. "POST /api/compare"
+   * @returns {Function} - Express middleware function
+   */
+  forRoute(routeKey) {
+    const route = this.schemas[routeKey];
+    if (!route) {
+      throw new Error(`No schema defined for route ${routeKey}`);
+    }
+
+    return (req, res, next) => {
+      try {
+        const { query, details } = this.validateRequest(route, req);
+        if (details.length > 0) {
+          return res.status(400).json({
+            error: {
+              code: 'REQUEST_VALIDATION_ERROR',
+              message: 'Request validation failed',
+              details,
+              timestamp: new Date().toISOString()
+            }
+          });
+        }
+
+        if (route.query) {
+          req.query = query;
+        }
+        if (this.responseMode !== 'off') {
+          this.wrapResponse(routeKey, route, res);
+        }
+
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+
+  /**
+   * Validate the query string and body of a request
+   * @param {Object} route - Route schemas
+   * @param {Object} req - Express request object
+   * @returns {Object} - { query (coerced to the schema types), details (field errors) }
+   */
+  validateRequest(route, req) {
+    const details = [];
+    let query = req.query;
+
+    if (route.query) {
+      query = RequestValidator.coerceQuery(req.query || {}, route.query);
+      details.push(...this.check(query, route.query, 'query'));
+    }
+    if (route.body) {
+      details.push(...this.check(req.body, route.body, 'body'));
+    }
+
+    return { query, details };
+  }
+
+  /**
+   * @param {*} data - Data to validate
+   * @param {Object} schema - Schema to validate against
+   * @param {string} location - Part of the message the data came from: body, query or response
+   * @returns {Array} - Field errors as { location, field, code, message }
+   */
+  check(data, schema, location) {
+    const validator = new SchemaValidator();
+    validator.validate(data, schema);
+
+    return validator.getErrorDetails().map(({ pointer, keyword, message }) => ({
+      location,
+      field: pointer,
+      code: KEYWORD_CODES[keyword] || 'INVALID_VALUE',
+      message
+    }));
+  }
+
+  /**
+   * Validate what the route sends through res.json against its response schema
+   * @param {string} routeKey - Route key for log messages
+   * @param {Object} route - Route schemas
+   * @param {Object} res - Express response object
+   */
+  wrapResponse(routeKey, route, res) {
+    const originalJson = res.json;
+    const validator = this;
+
+    res.json = function(data) {
+      const schema = route.responses[res.statusCode] || (res.statusCode >= 400 ? errorResponseSchema : null);
+      const details = schema ? validator.check(data, schema, 'response') : [];
+      if (details.length === 0) {
+        return originalJson.call(this, data);
+      }
+
+      const summary = details.map(detail => `${detail.field || '/'}: ${detail.message}`).join('; ');
+      console.error(`Response of ${routeKey} (${res.statusCode}) does not match its schema: ${summary}`);
+      if (validator.responseMode !== 'strict') {
+        return originalJson.call(this, data);
+      }
+
+      res.status(500);
+      return originalJson.call(this, {
+        error: {
+          code: 'RESPONSE_VALIDATION_ERROR',
+          message: 'The response did not match its schema',
+          details,
+          timestamp: new Date().toISOString()
+        }
+      });
+    };
+  }
+
+  /**
+   * Convert query string values to the numbers and booleans their schema expects.
+   * Values that do not convert cleanly are left as strings for validation to report.
+   * @param {Object} query - Parsed query string
+   * @param {Object} schema - Query schema
+   * @returns {Object} - Coerced copy of the query
+   */
+  static coerceQuery(query, schema) {
+    const coerced = { ...query };
+
+    for (const [name, value] of Object.entries(query)) {
+      const types = [].concat(schema.properties?.[name]?.type || []);
+      if (typeof value !== 'string') continue;
+
+      if ((types.includes('integer') || types.includes('number')) && /^-?\d+(\.\d+)?$/.test(value)) {
+        coerced[name] = Number(value);
+      } else if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+        coerced[name] = value === 'true';
+      }
+    }
+
+    return coerced;
+  }
+}
+
+/**
+ * @returns {string} - Response validation mode from RESPONSE_VALIDATION, "log" when unset or invalid
+ */
+function getConfiguredResponseMode() {
+  const mode = process.env.RESPONSE_VALIDATION;
+  if (mode === undefined) return 'log';
+  if (!RESPONSE_VALIDATION_MODES.includes(mode)) {
+    console.warn(`Ignoring invalid RESPONSE_VALIDATION: ${mode}. Must be one of: ${RESPONSE_VALIDATION_MODES.join(', ')}`);
+    return 'log';
+  }
+  return mode;
+}
+
+// Create singleton instance
+const requestValidator = new RequestValidator();
+
+module.exports = { RequestValidator, requestValidator, KEYWORD_CODES };
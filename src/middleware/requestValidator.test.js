@@ -0,0 +1,103 @@
+// Tests for request and response validation middleware
+
+const { RequestValidator } = require('./requestValidator');
+const { routeSchemas } = require('../schemas/apiSchemas');
+
+const mockResponse = () => {
+  const res = { statusCode: 200, sent: null };
+  res.status = jest.fn(code => {
+    res.statusCode = code;
+    return res;
+  });
+  res.json = jest.fn(data => {
+    res.sent = data;
+    return res;
+  });
+  return res;
+};
+
+const run = (middleware, req, res = mockResponse()) => {
+  const next = jest.fn();
+  middleware({ query: {}, body: {}, ...req }, res, next);
+  return { res, next };
+};
+
+describe('RequestValidator', () => {
+  const validator = new RequestValidator({ responseMode: 'strict' });
+
+  test('should reject unknown routes and describe every known one', () => {
+    expect(() => validator.forRoute('GET /nothing')).toThrow('No schema defined for route GET /nothing');
+    for (const route of Object.values(routeSchemas)) {
+      expect(route.summary).toEqual(expect.any(String));
+      expect(Object.keys(route.responses).length).toBeGreaterThan(0);
+    }
+  });
+
+  test('should report field-level errors with codes', () => {
+    const { res, next } = run(validator.forRoute('POST /compare'), {
+      body: { constraints: { budget: 5, priorities: ['cost', 'cost'], extra: true }, name: 'x' }
+    });
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.statusCode).toBe(400);
+    expect(res.sent.error.code).toBe('REQUEST_VALIDATION_ERROR');
+    expect(res.sent.error.details).toEqual([
+      { location: 'body', field: '/constraints/budget', code: 'INVALID_TYPE', message: 'Expected string, got number' },
+      expect.objectContaining({ location: 'body', field: '/constraints/extra', code: 'UNKNOWN_FIELD' }),
+      expect.objectContaining({ location: 'body', field: '/name', code: 'UNKNOWN_FIELD' })
+    ]);
+
+    const missing = run(validator.forRoute('POST /services/map'), { body: {} });
+    expect(missing.res.sent.error.details).toEqual([
+      { location: 'body', field: '/services', code: 'REQUIRED', message: 'Required property missing' }
+    ]);
+  });
+
+  test('should coerce and validate query strings', () => {
+    const middleware = validator.forRoute('GET /comparisons');
+    const req = { query: { limit: '5', offset: '0' }, body: {} };
+    const next = jest.fn();
+    middleware(req, mockResponse(), next);
+    expect(next).toHaveBeenCalled();
+    expect(req.query).toEqual({ limit: 5, offset: 0 });
+
+    const { res } = run(middleware, { query: { limit: '500', offset: 'x', page: '2' } });
+    expect(res.sent.error.details.map(detail => [detail.field, detail.code])).toEqual([
+      ['/limit', 'OUT_OF_RANGE'],
+      ['/offset', 'INVALID_TYPE'],
+      ['/page', 'UNKNOWN_FIELD']
+    ]);
+  });
+
+  test('should validate outgoing responses against the route schema', () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = mockResponse();
+    const { next } = run(validator.forRoute('GET /rule-sets'), {}, res);
+    expect(next).toHaveBeenCalled();
+
+    res.json({ ruleSets: 'default', timestamp: new Date().toISOString() });
+    expect(res.statusCode).toBe(500);
+    expect(res.sent.error.code).toBe('RESPONSE_VALIDATION_ERROR');
+    expect(res.sent.error.details.map(detail => detail.field)).toEqual(['/defaultRuleSet', '/ruleSets']);
+
+    // Error responses are checked against the shared error envelope
+    const notFound = mockResponse();
+    run(validator.forRoute('GET /comparisons/:id'), {}, notFound);
+    notFound.status(404).json({ error: { code: 'COMPARISON_NOT_FOUND', message: 'Not found', timestamp: new Date().toISOString() } });
+    expect(notFound.statusCode).toBe(404);
+    expect(spy).toHaveBeenCalledTimes(1);
+    spy.mockRestore();
+  });
+
+  test('should only log response mismatches in log mode', () => {
+    const spy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const res = mockResponse();
+    run(new RequestValidator({ responseMode: 'log' }).forRoute('GET /rule-sets'), {}, res);
+
+    res.json({ ruleSets: [] });
+    expect(res.statusCode).toBe(200);
+    expect(res.sent).toEqual({ ruleSets: [] });
+    expect(spy).toHaveBeenCalledWith(expect.stringContaining('Response of GET /rule-sets (200) does not match its schema'));
+    spy.mockRestore();
+  });
+});
@@ -0,0 +1,948 @@
+// API routes, shared by every API version
+//
+// createApiRouter builds the routes of one version; the versions differ only in
+// their route schemas and the options of API_VERSIONS, so all reuse the engine.
+
+const express = require('express');
+const path = require('path');
+const { dataManager } = require('../data/dataManager');
+const { providerRegistry } = require('../data/providerRegistry');
+const { ruleSetManager } = require('../config/ruleSetManager');
+const { comparisonEngine } = require('../engine/comparisonEngine');
+const { constraintProcessor } = require('../engine/constraintProcessor');
+const { outputFormatter } = require('../engine/outputFormatter');
+const { sensitivityAnalyzer } = require('../engine/sensitivityAnalyzer');
+const { ComparisonHistory, comparisonHistory } = require('../engine/comparisonHistory');
+const { PortfolioPlanner, portfolioPlanner } = require('../engine/portfolioPlanner');
+const { BatchComparator, batchComparator } = require('../engine/batchComparator');
+const { ruleSetChecker } = require('../engine/ruleSetChecker');
+const { dataDiffer } = require('../engine/dataDiffer');
+const { freshnessChecker } = require('../engine/freshnessChecker');
+const { TcoEstimator, tcoEstimator } = require('../engine/tcoEstimator');
+const { pricingManager } = require('../data/pricingManager');
+const { serviceCatalogManager } = require('../data/serviceCatalogManager');
+const { ServiceMapper, serviceMapper } = require('../engine/serviceMapper');
+const { MigrationEstimator, migrationEstimator } = require('../engine/migrationEstimator');
+const { complianceFrameworks } = require('../config/complianceFrameworks');
+const { jurisdictions } = require('../config/jurisdictions');
+const { API_VERSIONS, LATEST_API_VERSION } = require('../config/apiVersions');
+const { RequestValidator } = require('../middleware/requestValidator');
+const { DeprecationHeaders } = require('../middleware/deprecationHeaders');
+const { routeSchemasByVersion } = require('../schemas/apiSchemas');
+const { buildOpenApiDocument } = require('../schemas/openApiDocument');
+
+/**
+ * Build the routes of one API version
+ * @param {string} apiVersion - Key of API_VERSIONS, e.g. "v2"
+ * @param {Object} options - Router options
+ * @param {string} options.basePath - Path the router is mounted at (defaults to /api/<version>)
+ * @param {boolean} options.deprecated - Whether the mount is deprecated, for the OpenAPI document
+ * @returns {Object} - Express router
+ */
+function createApiRouter(apiVersion, { basePath = `/api/${apiVersion}`, deprecated = false } = {}) {
+  const versionConfig = API_VERSIONS[apiVersion];
+  if (!versionConfig) {
+    throw new Error(`Unknown API version: ${apiVersion}. Must be one of: ${Object.keys(API_VERSIONS).join(', ')}`);
+  }
+
+  const router = express.Router();
+  const validator = new RequestValidator({ schemas: routeSchemasByVersion[apiVersion] });
+  // How comparison results are shaped for this version
+  const resultOptions = { includeScores: versionConfig.includeScores, resultFields: versionConfig.resultFields };
+
+  // The route schemas are static, so the document is built once
+  const openApiDocument = JSON.stringify(buildOpenApiDocument({
+    apiVersion,
+    serverUrl: basePath,
+    deprecated: deprecated || Boolean(versionConfig.deprecatedAt)
+  }));
+
+  // A retired version points each request at the same route of the latest version
+  if (versionConfig.deprecatedAt) {
+    router.use(DeprecationHeaders.forSchedule(versionConfig, req => `/api/${LATEST_API_VERSION}${req.path}`));
+  }
+
+  // Health check endpoint
+  router.get('/health', validator.forRoute('GET /health'), (req, res) => {
+    const dataStats = dataManager.getStatistics();
+    const dataIntegrity = dataManager.validateIntegrity();
+    const freshness = freshnessChecker.check();
+
+    res.json({
+      status: 'healthy',
+      timestamp: new Date().toISOString(),
+      version: '1.0.0',
+      service: 'cloud-platform-comparison-tool',
+      data: {
+        initialized: dataStats.isInitialized,
+        providerCount: dataStats.providerCount,
+        providers: dataStats.providers,
+        requiredProviders: providerRegistry.getRequiredProviders(),
+        integrity: dataIntegrity.isValid ? 'valid' : 'invalid',
+        dataVersion: dataStats.dataVersion,
+        freshness: freshness.summary.status,
+        warnings: freshnessChecker.summarize(freshness)
+      }
+    });
+  });
+
+  // Data validation endpoint
+  router.get('/data/validate', validator.forRoute('GET /data/validate'), (req, res) => {
+    try {
+      const validation = dataManager.validateIntegrity();
+      const stats = dataManager.getStatistics();
+      const freshness = freshnessChecker.check();
+      validation.warnings.push(...freshnessChecker.warnings(freshness));
+
+      res.json({
+        validation,
+        statistics: stats,
+        freshness: freshness.summary,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: {
+          code: 'DATA_VALIDATION_ERROR',
+          message: 'Failed to validate data integrity',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Scores overdue for review under the staleness policy, longest overdue first
+  router.get('/data/freshness', validator.forRoute('GET /data/freshness'), (req, res) => {
+    try {
+      res.json({
+        ...freshnessChecker.check(),
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      res.status(500).json({
+        error: {
+          code: 'DATA_FRESHNESS_ERROR',
+          message: 'Failed to check provider data freshness',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Recorded provider data versions, newest first
+  router.get('/data/versions', validator.forRoute('GET /data/versions'), async (req, res) => {
+    try {
+      res.json({
+        current: dataManager.getStatistics().dataVersion,
+        versions: await dataManager.listDataVersions(),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Data versions API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'DATA_VERSIONS_ERROR',
+          message: 'Failed to list data versions',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Provider data of one recorded version
+  router.get('/data/versions/:version', validator.forRoute('GET /data/versions/:version'), async (req, res) => {
+    try {
+      const { version } = req.params;
+      if (!dataManager.hasDataVersion(version)) {
+        return res.status(404).json({
+          error: {
+            code: 'DATA_VERSION_NOT_FOUND',
+            message: `Unknown data version: ${version}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const providers = await dataManager.getProvidersAt(version);
+      res.json({
+        ...dataManager.getDataVersion(version),
+        data: Object.fromEntries(providers),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Data version API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'DATA_VERSIONS_ERROR',
+          message: 'Failed to load data version',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Provider data diff between two versions, or a candidate provider file and a version
+  router.post('/data/diff', validator.forRoute('POST /data/diff'), async (req, res) => {
+    try {
+      const errors = dataDiffer.validateRequest(req.body);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'DATA_DIFF_VALIDATION_ERROR',
+            message: 'Invalid diff request',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        ...(await dataDiffer.compare(req.body)),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Data diff API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while comparing data versions',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Provider registry endpoint
+  router.get('/providers', validator.forRoute('GET /providers'), (req, res) => {
+    const loadedProviders = dataManager.getProviderNames();
+
+    res.json({
+      providers: providerRegistry.list().map(entry => ({
+        ...entry,
+        loaded: loadedProviders.includes(entry.name),
+        displayName: dataManager.providers.get(entry.name)?.provider.displayName || null
+      })),
+      requiredProviders: providerRegistry.getRequiredProviders(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Compliance framework catalog endpoint
+  router.get('/compliance/frameworks', validator.forRoute('GET /compliance/frameworks'), (req, res) => {
+    res.json({
+      frameworks: Object.entries(complianceFrameworks).map(([id, framework]) => ({ id, ...framework })),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Data-residency jurisdiction catalog endpoint
+  router.get('/residency/jurisdictions', validator.forRoute('GET /residency/jurisdictions'), (req, res) => {
+    res.json({
+      jurisdictions: Object.entries(jurisdictions).map(([id, jurisdiction]) => ({ id, ...jurisdiction })),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Rule set listing endpoint
+  router.get('/rule-sets', validator.forRoute('GET /rule-sets'), (req, res) => {
+    res.json({
+      ruleSets: ruleSetManager.list(),
+      defaultRuleSet: ruleSetManager.getStatistics().defaultRuleSet,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Rule set consistency endpoint
+  router.get('/rule-sets/check', validator.forRoute('GET /rule-sets/check'), (req, res) => {
+    try {
+      const { ruleSet } = req.query;
+      if (ruleSet !== undefined && !ruleSetManager.has(ruleSet)) {
+        return res.status(404).json({
+          error: {
+            code: 'RULE_SET_NOT_FOUND',
+            message: `Unknown rule set: ${ruleSet}`,
+            details: { available: ruleSetManager.list().map(entry => entry.id) },
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      if (ruleSet === undefined) {
+        return res.json(ruleSetChecker.checkAll());
+      }
+
+      const report = ruleSetChecker.check(ruleSet);
+      res.json({
+        isValid: report.isValid,
+        ruleSets: [report],
+        checkedAt: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Rule set check error:', error);
+      res.status(500).json({
+        error: {
+          code: 'RULE_SET_CHECK_ERROR',
+          message: 'Failed to check rule sets',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Cloud platform comparison endpoint
+  router.post('/compare', validator.forRoute('POST /compare'), async (req, res) => {
+    try {
+      const comparison = await runComparison(req.body.constraints, resultOptions);
+      if (!comparison.success) {
+        return res.status(comparison.status).json({ error: comparison.error });
+      }
+
+      // Return successful comparison
+      res.json(comparison.results);
+
+    } catch (error) {
+      console.error('Comparison API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred during comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Batch comparison endpoint: one comparison per named constraint set
+  router.post('/compare/batch', validator.forRoute('POST /compare/batch'), async (req, res) => {
+    try {
+      const errors = BatchComparator.validateItems(req.body.items);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'BATCH_VALIDATION_ERROR',
+            message: 'Invalid batch items provided',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const batch = await batchComparator.run(
+        req.body.items,
+        constraints => runComparison(constraints, resultOptions)
+      );
+
+      res.json({
+        ...batch,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Batch comparison API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred during the batch comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Score explanation endpoint
+  router.post('/compare/explain', validator.forRoute('POST /compare/explain'), async (req, res) => {
+    try {
+      const constraintResult = constraintProcessor.processConstraints(req.body.constraints);
+      if (!constraintResult.success) {
+        return res.status(400).json({
+          error: {
+            code: 'CONSTRAINT_VALIDATION_ERROR',
+            message: 'Invalid constraints provided',
+            details: constraintResult.errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const comparisonResult = await comparisonEngine.processConstraints(constraintResult.constraints);
+      if (!comparisonResult.success) {
+        return res.status(500).json({
+          error: {
+            code: 'COMPARISON_ERROR',
+            message: 'Failed to generate comparison',
+            details: comparisonResult.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const { comparison } = comparisonResult;
+      const explanations = {};
+      for (const [providerName, providerResult] of Object.entries(comparison.providers)) {
+        explanations[providerName] = {
+          matchScore: providerResult.matchScore,
+          status: providerResult.status,
+          ...outputFormatter.formatExplanation(providerResult.explanation)
+        };
+      }
+
+      res.json({
+        constraints: outputFormatter.formatConstraints(constraintResult.constraints),
+        ruleSet: comparison.ruleSet,
+        weighting: outputFormatter.formatWeighting(comparison.weighting),
+        ranking: comparison.constraintSummary.allProviders,
+        explanations,
+        freshness: comparison.freshness,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Explanation API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while explaining the comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Sensitivity analysis endpoint
+  router.post('/compare/sensitivity', validator.forRoute('POST /compare/sensitivity'), async (req, res) => {
+    try {
+      const constraintResult = constraintProcessor.processConstraints(req.body.constraints);
+      if (!constraintResult.success) {
+        return res.status(400).json({
+          error: {
+            code: 'CONSTRAINT_VALIDATION_ERROR',
+            message: 'Invalid constraints provided',
+            details: constraintResult.errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await sensitivityAnalyzer.analyze(constraintResult.constraints, req.body.options || {});
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({
+        constraints: outputFormatter.formatConstraints(constraintResult.constraints),
+        ...result.analysis,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Sensitivity API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred during sensitivity analysis',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Multi-cloud portfolio endpoint: one provider per workload
+  router.post('/compare/portfolio', validator.forRoute('POST /compare/portfolio'), async (req, res) => {
+    try {
+      const errors = PortfolioPlanner.validateWorkloads(req.body.workloads);
+      const workloads = [];
+
+      if (errors.length === 0) {
+        req.body.workloads.forEach((workload, index) => {
+          const constraintResult = constraintProcessor.processConstraints(workload.constraints);
+          if (!constraintResult.success) {
+            errors.push(...constraintResult.errors.map(error => `workloads[${index}].constraints: ${error}`));
+          } else {
+            workloads.push({ ...workload, constraints: constraintResult.constraints });
+          }
+        });
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'PORTFOLIO_VALIDATION_ERROR',
+            message: 'Invalid portfolio workloads provided',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const result = await portfolioPlanner.plan(workloads, req.body.options || {});
+      if (!result.success) {
+        return res.status(400).json({ error: result.error });
+      }
+
+      res.json({
+        workloads: workloads.map(workload => ({
+          name: workload.name,
+          weight: workload.weight ?? 1,
+          constraints: outputFormatter.formatConstraints(workload.constraints)
+        })),
+        ...result.portfolio,
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Portfolio API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while planning the portfolio',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Save a comparison
+  router.post('/comparisons', validator.forRoute('POST /comparisons'), async (req, res) => {
+    try {
+      const errors = ComparisonHistory.validateName(req.body.name ?? null);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'COMPARISON_VALIDATION_ERROR',
+            message: 'Invalid comparison provided',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      const comparison = await runComparison(req.body.constraints, resultOptions);
+      if (!comparison.success) {
+        return res.status(comparison.status).json({ error: comparison.error });
+      }
+
+      const record = await comparisonHistory.save({
+        name: req.body.name ?? null,
+        constraints: comparison.constraints,
+        effectiveWeights: comparison.effectiveWeights,
+        dataVersion: comparison.dataVersion,
+        results: comparison.results
+      });
+      res.status(201).json(record);
+
+    } catch (error) {
+      console.error('Save comparison API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while saving the comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Saved comparison history, newest first
+  router.get('/comparisons', validator.forRoute('GET /comparisons'), async (req, res) => {
+    try {
+      const { limit, offset } = req.query;
+      const errors = ComparisonHistory.validatePaging({ limit, offset });
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'INVALID_QUERY_PARAMETERS',
+            message: 'Invalid paging parameters',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        ...(await comparisonHistory.list({ limit, offset })),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('List comparisons API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while listing saved comparisons',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Saved comparison retrieval
+  router.get('/comparisons/:id', validator.forRoute('GET /comparisons/:id'), async (req, res) => {
+    try {
+      const record = await comparisonHistory.get(req.params.id);
+      if (!record) {
+        return res.status(404).json({
+          error: {
+            code: 'COMPARISON_NOT_FOUND',
+            message: `Saved comparison not found: ${req.params.id}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json(record);
+
+    } catch (error) {
+      console.error('Get comparison API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while loading the saved comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Rename a saved comparison or record its decision
+  router.patch('/comparisons/:id', validator.forRoute('PATCH /comparisons/:id'), async (req, res) => {
+    try {
+      const result = await comparisonHistory.annotate(req.params.id, req.body);
+      if (!result.success) {
+        const status = result.error.code === 'COMPARISON_NOT_FOUND' ? 404 : 400;
+        return res.status(status).json({ error: result.error });
+      }
+
+      res.json(result.comparison);
+
+    } catch (error) {
+      console.error('Annotate comparison API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while updating the saved comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Delete a saved comparison
+  router.delete('/comparisons/:id', validator.forRoute('DELETE /comparisons/:id'), async (req, res) => {
+    try {
+      if (!(await comparisonHistory.remove(req.params.id))) {
+        return res.status(404).json({
+          error: {
+            code: 'COMPARISON_NOT_FOUND',
+            message: `Saved comparison not found: ${req.params.id}`,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.status(204).end();
+
+    } catch (error) {
+      console.error('Delete comparison API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while deleting the saved comparison',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Total cost of ownership endpoint
+  router.post('/tco', validator.forRoute('POST /tco'), (req, res) => {
+    try {
+      const errors = TcoEstimator.validateOptions(req.body.usage);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'TCO_VALIDATION_ERROR',
+            message: 'Invalid usage provided',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        ...tcoEstimator.estimate(req.body.usage, dataManager.getProviderNames()),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('TCO API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while estimating costs',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Service equivalence catalog endpoint
+  router.get('/services', validator.forRoute('GET /services'), (req, res) => {
+    const statistics = serviceCatalogManager.getStatistics();
+
+    res.json({
+      version: statistics.version,
+      lastUpdated: statistics.lastUpdated,
+      services: serviceCatalogManager.getCapabilities(),
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Service equivalence mapping endpoint
+  router.post('/services/map', validator.forRoute('POST /services/map'), (req, res) => {
+    try {
+      const errors = ServiceMapper.validateServices(req.body.services);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'SERVICE_MAPPING_VALIDATION_ERROR',
+            message: 'Invalid services provided',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        ...serviceMapper.map(req.body.services, dataManager.getProviderNames()),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Service mapping API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while mapping services',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Migration effort estimate endpoint
+  router.post('/migration/estimate', validator.forRoute('POST /migration/estimate'), (req, res) => {
+    try {
+      const providers = dataManager.getAllProviders();
+      const errors = MigrationEstimator.validateOptions(req.body);
+      const named = [req.body.sourceProvider, ...(req.body.targetProviders || [])];
+      if (errors.length === 0) {
+        for (const providerName of named.filter(name => !providers.has(name))) {
+          errors.push(`Unknown provider: ${providerName}`);
+        }
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          error: {
+            code: 'MIGRATION_VALIDATION_ERROR',
+            message: 'Invalid migration request',
+            details: errors,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+      res.json({
+        ...migrationEstimator.estimate(req.body, providers),
+        timestamp: new Date().toISOString()
+      });
+
+    } catch (error) {
+      console.error('Migration API error:', error);
+      res.status(500).json({
+        error: {
+          code: 'INTERNAL_SERVER_ERROR',
+          message: 'An unexpected error occurred while estimating migration effort',
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Constraint validation endpoint
+  router.post('/constraints/validate', validator.forRoute('POST /constraints/validate'), (req, res) => {
+    try {
+      const result = constraintProcessor.processConstraints(req.body.constraints);
+
+      if (result.success) {
+        const summary = constraintProcessor.generateConstraintSummary(result.constraints);
+        res.json({
+          valid: true,
+          constraints: result.constraints,
+          summary,
+          warnings: result.warnings || [],
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(400).json({
+          valid: false,
+          errors: result.errors,
+          warnings: result.warnings || [],
+          timestamp: new Date().toISOString()
+        });
+      }
+
+    } catch (error) {
+      res.status(500).json({
+        error: {
+          code: 'CONSTRAINT_VALIDATION_ERROR',
+          message: 'Failed to validate constraints',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // Data reload endpoint
+  router.post('/data/reload', validator.forRoute('POST /data/reload'), async (req, res) => {
+    try {
+      console.log('Data reload requested...');
+      const reloadResult = await dataManager.reloadData();
+      const ruleSetResult = await ruleSetManager.reload();
+      const pricingResult = await pricingManager.reloadData();
+      const catalogResult = await serviceCatalogManager.reloadData();
+
+      // Cached comparisons may reference providers or rules that changed or disappeared,
+      // even when only some of the reloads succeeded
+      if (reloadResult.success || ruleSetResult.success || pricingResult.success || catalogResult.success) {
+        comparisonEngine.clearCache();
+      }
+
+      if (reloadResult.success && ruleSetResult.success && pricingResult.success && catalogResult.success) {
+        res.json({
+          success: true,
+          message: 'Data reloaded successfully',
+          providersLoaded: reloadResult.providersLoaded,
+          dataVersion: reloadResult.dataVersion,
+          loadResults: reloadResult.loadResults,
+          ruleSetsLoaded: ruleSetResult.ruleSetsLoaded,
+          ruleSetLoadResults: ruleSetResult.loadResults,
+          pricingLoadResults: pricingResult.loadResults,
+          serviceCatalogVersion: catalogResult.version,
+          timestamp: new Date().toISOString()
+        });
+      } else {
+        res.status(500).json({
+          error: {
+            code: 'DATA_RELOAD_ERROR',
+            message: 'Failed to reload data',
+            details: reloadResult.error || ruleSetResult.error || pricingResult.error || catalogResult.error,
+            timestamp: new Date().toISOString()
+          }
+        });
+      }
+
+    } catch (error) {
+      res.status(500).json({
+        error: {
+          code: 'DATA_RELOAD_ERROR',
+          message: 'Failed to reload data',
+          details: error.message,
+          timestamp: new Date().toISOString()
+        }
+      });
+    }
+  });
+
+  // OpenAPI description of the API, generated from the route schemas
+  router.get('/openapi.json', validator.forRoute('GET /openapi.json'), (req, res) => {
+    // Sent as is: the _metadata that res.json adds is not part of an OpenAPI document
+    res.type('application/json').send(openApiDocument);
+  });
+
+  // Interactive API reference built from the OpenAPI document
+  router.get('/docs', (req, res) => {
+    res.sendFile(path.join(__dirname, '../../public/api-docs.html'));
+  });
+
+  return router;
+}
+
+/**
+ * Validate constraints, run the comparison and format its results
+ * @param {Object} rawConstraints - Constraints from the request body
+ * @param {Object} options - Result options of the API version
+ * @param {boolean} options.includeScores - Add match scores and the ranking
+ * @param {Object|null} options.resultFields - Fields to keep (see OutputFormatter.selectFields)
+ * @returns {Promise<Object>} - { success, constraints, topMatch, effectiveWeights, dataVersion, results }
+ *   or { success: false, status, error }
+ */
+async function runComparison(rawConstraints, { includeScores = false, resultFields = null } = {}) {
+  const constraintResult = constraintProcessor.processConstraints(rawConstraints);
+  if (!constraintResult.success) {
+    return {
+      success: false,
+      status: 400,
+      error: {
+        code: 'CONSTRAINT_VALIDATION_ERROR',
+        message: 'Invalid constraints provided',
+        details: constraintResult.errors,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  const comparisonResult = await comparisonEngine.processConstraints(constraintResult.constraints);
+  if (!comparisonResult.success) {
+    return {
+      success: false,
+      status: 500,
+      error: {
+        code: 'COMPARISON_ERROR',
+        message: 'Failed to generate comparison',
+        details: comparisonResult.error,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  const formattedResult = outputFormatter.formatComparisonResults(
+    comparisonResult.comparison,
+    constraintResult.constraints,
+    { includeScores }
+  );
+  if (!formattedResult.success) {
+    return {
+      success: false,
+      status: 500,
+      error: {
+        code: 'OUTPUT_FORMATTING_ERROR',
+        message: 'Failed to format comparison results',
+        details: formattedResult.error,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  return {
+    success: true,
+    constraints: constraintResult.constraints,
+    topMatch: comparisonResult.comparison.constraintSummary?.topMatch ?? null,
+    // Recorded with saved comparisons even when the version's results leave them out
+    effectiveWeights: formattedResult.results.weighting?.effectiveWeights || null,
+    dataVersion: formattedResult.results.dataVersion || null,
+    results: outputFormatter.selectFields(formattedResult.results, resultFields)
+  };
+}
+
+module.exports = { createApiRouter };
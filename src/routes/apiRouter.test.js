@@ -0,0 +1,65 @@
+// Tests for the versioned API routes
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// Keep saved comparisons and data snapshots out of the repository's storage
+const storage = fs.mkdtempSync(path.join(os.tmpdir(), 'api-router-'));
+process.env.COMPARISONS_DIRECTORY = path.join(storage, 'comparisons');
+process.env.SNAPSHOTS_DIRECTORY = path.join(storage, 'snapshots');
+
+const { createApiRouter } = require('./apiRouter');
+const { dataManager } = require('../data/dataManager');
+const { V1_RESULT_FIELDS } = require('../config/apiVersions');
+
+const constraints = { budget: 'medium', experience: 'intermediate', workload: 'startup', priorities: ['cost'] };
+
+describe('API router', () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/v1', createApiRouter('v1'));
+  app.use('/api/v2', createApiRouter('v2'));
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await dataManager.initialize();
+    console.log.mockRestore();
+  });
+
+  afterAll(() => {
+    fs.rmSync(storage, { recursive: true, force: true });
+  });
+
+  test('should save v2 comparisons with match scores and the ranking', async () => {
+    const saved = await request(app).post('/api/v2/comparisons').send({ name: 'scored', constraints });
+    const compared = await request(app).post('/api/v2/compare').send({ constraints });
+
+    expect(saved.status).toBe(201);
+    expect(saved.body.results.ranking).toEqual(compared.body.ranking);
+    for (const provider of Object.values(saved.body.results.providers)) {
+      expect(provider).toHaveProperty('matchScore');
+      expect(provider).toHaveProperty('passesFilters');
+    }
+
+    const v1 = await request(app).post('/api/v1/comparisons').send({ constraints });
+    expect(v1.body.results).not.toHaveProperty('ranking');
+    expect(v1.body.effectiveWeights).toEqual(saved.body.effectiveWeights);
+  });
+
+  test('should answer v1 comparisons with exactly the frozen fields', async () => {
+    const extended = { ...constraints, filterMode: 'mark', requiredFrameworks: ['hipaa'], customWeights: { cost: 1 } };
+    const v1 = await request(app).post('/api/v1/compare').send({ constraints: extended });
+    const v2 = await request(app).post('/api/v2/compare').send({ constraints: extended });
+
+    expect(Object.keys(v1.body).sort()).toEqual([...V1_RESULT_FIELDS.results].sort());
+    expect(Object.keys(v1.body.constraints).sort()).toEqual([...V1_RESULT_FIELDS.constraints].sort());
+    for (const provider of Object.values(v1.body.providers)) {
+      expect(Object.keys(provider).sort()).toEqual([...V1_RESULT_FIELDS.provider].sort());
+    }
+    expect(v2.body).toHaveProperty('filtering');
+    expect(v2.body).toHaveProperty('weighting');
+  });
+});
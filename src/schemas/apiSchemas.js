@@ -0,0 +1,574 @@
+// JSON Schemas for the HTTP API: request bodies, query strings and responses of
+// every route, keyed by "METHOD /path" as the route is registered in the API
+// router, relative to the /api/<version> prefix
+//
+// Request schemas check structure; allowed values (provider names, rule sets,
+// budget levels, ...) are still checked by the engine behind each route.
+// Response schemas describe the top-level fields each route guarantees.
+
+const { constraintSchema } = require('./constraintSchema');
+const { supportTiers } = require('./pricingSchema');
+
+const string = { type: "string" };
+const number = { type: "number" };
+const integer = { type: "integer" };
+const boolean = { type: "boolean" };
+const object = { type: "object" };
+const array = { type: "array" };
+const timestamp = { type: "string", format: "date-time" };
+const nullableString = { type: ["string", "null"] };
+
+/**
+ * Request body schema. Unknown fields are rejected and the constraint
+ * definitions are hoisted so "$ref"s inside embedded constraints resolve.
+ * @param {Object} properties - Field schemas
+ * @param {Array} required - Required field names
+ * @returns {Object} - Body schema
+ */
+function requestBody(properties, required = []) {
+  return {
+    $defs: constraintSchema.$defs,
+    type: "object",
+    required,
+    properties,
+    additionalProperties: false
+  };
+}
+
+/**
+ * Response schema whose listed fields are all present; other fields may follow
+ * @param {Object} properties - Field schemas
+ * @param {Object} optional - Schemas of fields that may be absent
+ * @returns {Object} - Response schema
+ */
+function response(properties, optional = {}) {
+  return {
+    type: "object",
+    required: Object.keys(properties),
+    properties: { ...properties, ...optional }
+  };
+}
+
+const errorResponseSchema = response({
+  error: response({ code: string, message: string, timestamp }, { details: {}, requestId: string })
+});
+
+const scenarioSchema = {
+  type: "object",
+  required: ["name", "constraints"],
+  properties: {
+    name: { type: "string", minLength: 1 },
+    constraints: constraintSchema
+  },
+  additionalProperties: false
+};
+
+/**
+ * Response schema with exactly the listed fields
+ * @param {Object} properties - Field schemas
+ * @returns {Object} - Response schema
+ */
+function exactResponse(properties) {
+  return { ...response(properties), additionalProperties: false };
+}
+
+// v1 comparison results: frozen, see V1_RESULT_FIELDS in config/apiVersions.js
+const comparisonResultsSchema = exactResponse({
+  timestamp,
+  constraints: exactResponse({ budget: string, experience: string, workload: string, priorities: array }),
+  providers: {
+    type: "object",
+    additionalProperties: exactResponse({
+      displayName: string,
+      strengths: array,
+      weaknesses: array,
+      idealUseCases: array,
+      tradeOffs: string
+    })
+  },
+  crossProviderAnalysis: object,
+  decisionGuidance: object
+});
+
+// v2 comparison results: every section, each provider's match score and the ranking
+const scoredComparisonResultsSchema = response({
+  timestamp,
+  constraints: object,
+  providers: {
+    type: "object",
+    additionalProperties: response({ matchScore: number, passesFilters: boolean })
+  },
+  crossProviderAnalysis: object,
+  decisionGuidance: object,
+  ranking: response({ topMatch: nullableString, providers: array })
+}, {
+  filtering: object,
+  ruleSet: object,
+  dataVersion: object,
+  weighting: object,
+  tco: object,
+  serviceMapping: object,
+  migration: object,
+  uncertainty: object,
+  freshness: object
+});
+
+const savedComparisonSchema = response({
+  id: string,
+  createdAt: timestamp,
+  updatedAt: timestamp,
+  name: nullableString,
+  constraints: object,
+  dataVersion: { type: ["object", "null"] },
+  results: object,
+  decision: { type: ["object", "null"] },
+  decisionHistory: array
+}, {
+  effectiveWeights: object
+});
+
+/**
+ * Batch comparison response: one entry per item, holding its results or its error
+ * @param {Object} resultsSchema - Schema of a single comparison's results
+ * @returns {Object} - Response schema
+ */
+function batchComparisonSchema(resultsSchema) {
+  return response({
+    items: {
+      type: "array",
+      items: {
+        oneOf: [
+          response({ name: string, success: { const: true }, topMatch: nullableString, results: resultsSchema }),
+          response({ name: string, success: { const: false }, error: errorResponseSchema.properties.error })
+        ]
+      }
+    },
+    summary: response({
+      total: integer,
+      succeeded: integer,
+      failed: integer,
+      topMatches: {
+        type: "array",
+        items: response({ provider: string, count: integer, percentage: number, items: array })
+      },
+      noTopMatch: array,
+      failedItems: array
+    }),
+    timestamp
+  });
+}
+
+const routeSchemas = {
+  'GET /health': {
+    summary: 'Service health and provider data status',
+    responses: {
+      200: response({
+        status: string,
+        timestamp,
+        version: string,
+        service: string,
+        data: response({
+          initialized: boolean,
+          providerCount: integer,
+          providers: array,
+          requiredProviders: array,
+          integrity: { enum: ["valid", "invalid"] },
+          freshness: { enum: ["current", "stale"] },
+          warnings: array
+        }, {
+          dataVersion: nullableString
+        })
+      })
+    }
+  },
+
+  'GET /data/validate': {
+    summary: 'Provider data integrity check',
+    responses: {
+      200: response({
+        validation: response({ isValid: boolean, errors: array, warnings: array }),
+        statistics: object,
+        freshness: object,
+        timestamp
+      })
+    }
+  },
+
+  'GET /data/freshness': {
+    summary: 'Provider scores overdue for review, longest overdue first',
+    responses: {
+      200: response({ checkedAt: timestamp, policy: object, providers: object, overdue: array, summary: object, timestamp })
+    }
+  },
+
+  'GET /data/versions': {
+    summary: 'Recorded provider data versions, newest first',
+    responses: {
+      200: response({ current: nullableString, versions: array, timestamp })
+    }
+  },
+
+  'GET /data/versions/:version': {
+    summary: 'Provider data of one recorded version',
+    responses: {
+      200: response({ version: string, createdAt: timestamp, providers: object, data: object, timestamp })
+    }
+  },
+
+  'POST /data/diff': {
+    summary: 'Diff two data versions, or a candidate provider file against a version',
+    body: requestBody({
+      from: string,
+      to: string,
+      candidate: object,
+      scenarios: { type: "array", items: scenarioSchema }
+    }),
+    responses: {
+      200: response({ from: object, to: object, providers: object, changes: object, scenarios: array, summary: object, timestamp })
+    }
+  },
+
+  'GET /providers': {
+    summary: 'Registered providers and whether their data is loaded',
+    responses: {
+      200: response({ providers: array, requiredProviders: array, timestamp })
+    }
+  },
+
+  'GET /compliance/frameworks': {
+    summary: 'Compliance framework catalog',
+    responses: {
+      200: response({ frameworks: array, timestamp })
+    }
+  },
+
+  'GET /residency/jurisdictions': {
+    summary: 'Data-residency jurisdiction catalog',
+    responses: {
+      200: response({ jurisdictions: array, timestamp })
+    }
+  },
+
+  'GET /rule-sets': {
+    summary: 'Available rule sets',
+    responses: {
+      200: response({ ruleSets: array, defaultRuleSet: string, timestamp })
+    }
+  },
+
+  'GET /rule-sets/check': {
+    summary: 'Consistency check of one or all rule sets',
+    query: {
+      type: "object",
+      properties: { ruleSet: { type: "string", minLength: 1 } },
+      additionalProperties: false
+    },
+    responses: {
+      200: response({ isValid: boolean, ruleSets: array, checkedAt: timestamp })
+    }
+  },
+
+  'POST /compare': {
+    summary: 'Compare providers against constraints',
+    body: requestBody({ constraints: constraintSchema }, ["constraints"]),
+    responses: {
+      200: comparisonResultsSchema
+    }
+  },
+
+  'POST /compare/batch': {
+    summary: 'Comparison of each named constraint set, with how often each provider was the top match',
+    body: requestBody({
+      items: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["name", "constraints"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            // Checked per item, so invalid constraints fail only their own item
+            constraints: object
+          },
+          additionalProperties: false
+        }
+      }
+    }, ["items"]),
+    responses: {
+      200: batchComparisonSchema(comparisonResultsSchema)
+    }
+  },
+
+  'POST /compare/explain': {
+    summary: 'Per-provider breakdown of how the match scores were computed',
+    body: requestBody({ constraints: constraintSchema }, ["constraints"]),
+    responses: {
+      200: response({
+        constraints: object,
+        ruleSet: object,
+        weighting: object,
+        ranking: array,
+        explanations: object,
+        timestamp
+      }, {
+        freshness: object
+      })
+    }
+  },
+
+  'POST /compare/sensitivity': {
+    summary: 'How far each dimension weight can move before the ranking changes',
+    body: requestBody({
+      constraints: constraintSchema,
+      options: {
+        type: "object",
+        properties: { range: number, steps: integer },
+        additionalProperties: false
+      }
+    }, ["constraints"]),
+    responses: {
+      200: response({
+        constraints: object,
+        baseline: object,
+        dimensions: object,
+        topMatchStability: object,
+        settings: object,
+        timestamp
+      })
+    }
+  },
+
+  'POST /compare/portfolio': {
+    summary: 'Multi-cloud plan assigning one provider per workload',
+    body: requestBody({
+      workloads: {
+        type: "array",
+        minItems: 1,
+        items: {
+          type: "object",
+          required: ["name", "constraints"],
+          properties: {
+            name: { type: "string", minLength: 1 },
+            constraints: constraintSchema,
+            weight: { type: "number", exclusiveMinimum: 0 }
+          },
+          additionalProperties: false
+        }
+      },
+      options: {
+        type: "object",
+        properties: { overhead: object, maxProviders: { type: "integer", minimum: 1 } },
+        additionalProperties: false
+      }
+    }, ["workloads"]),
+    responses: {
+      200: response({
+        workloads: array,
+        assignments: array,
+        providersUsed: array,
+        portfolioScore: number,
+        singleCloud: object,
+        settings: object,
+        timestamp
+      })
+    }
+  },
+
+  'POST /comparisons': {
+    summary: 'Run and save a comparison',
+    body: requestBody({
+      name: { type: ["string", "null"], maxLength: 200 },
+      constraints: constraintSchema
+    }, ["constraints"]),
+    responses: {
+      201: savedComparisonSchema
+    }
+  },
+
+  'GET /comparisons': {
+    summary: 'Saved comparisons, newest first',
+    query: {
+      type: "object",
+      properties: {
+        limit: { type: "integer", minimum: 1, maximum: 100 },
+        offset: { type: "integer", minimum: 0 }
+      },
+      additionalProperties: false
+    },
+    responses: {
+      200: response({ total: integer, limit: integer, offset: integer, comparisons: array, timestamp })
+    }
+  },
+
+  'GET /comparisons/:id': {
+    summary: 'One saved comparison',
+    responses: {
+      200: savedComparisonSchema
+    }
+  },
+
+  'PATCH /comparisons/:id': {
+    summary: 'Rename a saved comparison or record its decision',
+    body: requestBody({
+      name: { type: ["string", "null"], maxLength: 200 },
+      // null clears the decision
+      decision: {
+        type: ["object", "null"],
+        properties: { provider: string, rationale: string, decidedBy: string },
+        additionalProperties: false
+      }
+    }),
+    responses: {
+      200: savedComparisonSchema
+    }
+  },
+
+  'DELETE /comparisons/:id': {
+    summary: 'Delete a saved comparison',
+    responses: {
+      204: { description: "Comparison deleted" }
+    }
+  },
+
+  'POST /tco': {
+    summary: 'Monthly and three-year cost estimates for a usage profile',
+    body: requestBody({
+      usage: {
+        type: "object",
+        properties: {
+          vcpuHours: { type: "number", minimum: 0 },
+          memoryGbHours: { type: "number", minimum: 0 },
+          storageGb: { type: "number", minimum: 0 },
+          egressGb: { type: "number", minimum: 0 },
+          managedDbHours: { type: "number", minimum: 0 },
+          supportTier: { enum: supportTiers },
+          applyToCost: boolean
+        },
+        additionalProperties: false
+      }
+    }, ["usage"]),
+    responses: {
+      200: response({
+        currency: string,
+        usage: object,
+        termMonths: integer,
+        providers: object,
+        ranking: array,
+        unpricedProviders: array,
+        appliedToCost: boolean,
+        timestamp
+      })
+    }
+  },
+
+  'GET /services': {
+    summary: 'Service equivalence catalog',
+    responses: {
+      200: response({ version: string, lastUpdated: string, services: array, timestamp })
+    }
+  },
+
+  'POST /services/map': {
+    summary: 'Equivalent services on each provider',
+    body: requestBody({
+      services: { type: "array", minItems: 1, items: { type: "string", minLength: 1 } }
+    }, ["services"]),
+    responses: {
+      200: response({ catalogVersion: string, mappings: array, unmatched: array, summary: object, timestamp })
+    }
+  },
+
+  'POST /migration/estimate': {
+    summary: 'Effort of moving workloads from one provider to each target',
+    body: requestBody({
+      sourceProvider: { type: "string", minLength: 1 },
+      workloads: {
+        type: "array",
+        minItems: 1,
+        items: {
+          anyOf: [
+            { type: "string", minLength: 1 },
+            {
+              type: "object",
+              required: ["name", "services"],
+              properties: {
+                name: string,
+                services: { type: "array", minItems: 1, items: string }
+              },
+              additionalProperties: false
+            }
+          ]
+        }
+      },
+      targetProviders: { type: "array", items: string }
+    }, ["sourceProvider", "workloads"]),
+    responses: {
+      200: response({ sourceProvider: string, targets: object, unassessedServices: array, timestamp })
+    }
+  },
+
+  'POST /constraints/validate': {
+    summary: 'Validate and normalize constraints without running a comparison',
+    // The constraints themselves are checked by the route, which reports
+    // problems in its { valid: false, errors } response
+    body: requestBody({ constraints: object }, ["constraints"]),
+    responses: {
+      200: response({ valid: { const: true }, constraints: object, summary: object, warnings: array, timestamp }),
+      400: response({ valid: { const: false }, errors: array, warnings: array, timestamp })
+    }
+  },
+
+  'GET /openapi.json': {
+    summary: 'OpenAPI 3.1 description of this API, generated from these schemas',
+    responses: {
+      200: response({ openapi: string, info: object, paths: object, components: object })
+    }
+  },
+
+  'POST /data/reload': {
+    summary: 'Reload provider data, rule sets, pricing and the service catalog',
+    responses: {
+      200: response({
+        success: { const: true },
+        message: string,
+        providersLoaded: integer,
+        loadResults: array,
+        ruleSetsLoaded: integer,
+        ruleSetLoadResults: array,
+        pricingLoadResults: array,
+        timestamp
+      })
+    }
+  }
+};
+
+// Route schemas of each API version; later versions override the routes they change
+const routeSchemasByVersion = {
+  v1: routeSchemas,
+  v2: {
+    ...routeSchemas,
+    'POST /compare': {
+      ...routeSchemas['POST /compare'],
+      responses: {
+        200: scoredComparisonResultsSchema
+      }
+    },
+    'POST /compare/batch': {
+      ...routeSchemas['POST /compare/batch'],
+      responses: {
+        200: batchComparisonSchema(scoredComparisonResultsSchema)
+      }
+    }
+  }
+};
+
+// Schemas published under these names in the OpenAPI document
+const componentSchemas = {
+  Constraints: constraintSchema,
+  Error: errorResponseSchema,
+  ComparisonResults: comparisonResultsSchema,
+  ScoredComparisonResults: scoredComparisonResultsSchema,
+  SavedComparison: savedComparisonSchema
+};
+
+module.exports = { routeSchemas, routeSchemasByVersion, errorResponseSchema, componentSchemas };
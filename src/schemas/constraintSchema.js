@@ -0,0 +1,48 @@
+// JSON Schema for the user constraints sent to the comparison endpoints
+//
+// The schema checks structure only: which fields exist and their JSON types.
+// Allowed values (budget levels, dimensions, framework ids, ...) are checked by
+// the constraint processor, which also normalizes case before that check.
+
+const constraintSchema = {
+  $defs: {
+    // A framework id, which is mandatory, or { framework, mandatory }
+    frameworkRequirement: {
+      anyOf: [
+        { type: "string" },
+        {
+          type: "object",
+          required: ["framework"],
+          properties: {
+            framework: { type: "string" },
+            mandatory: { type: "boolean" }
+          },
+          additionalProperties: false
+        }
+      ]
+    }
+  },
+  type: "object",
+  properties: {
+    budget: { type: "string" },
+    experience: { type: "string" },
+    workload: { type: "string" },
+    priorities: { type: "array", items: { type: "string" } },
+    filterMode: { type: "string" },
+    ruleSet: { type: "string" },
+    dataVersion: { type: "string" },
+    customWeights: { type: "object" },
+    weightBlend: { type: "number" },
+    subCriteriaWeights: { type: "object" },
+    // true runs the simulation with default settings
+    monteCarlo: { type: ["boolean", "object"] },
+    tco: { type: "object" },
+    requiredFrameworks: { type: "array", items: { $ref: "#/$defs/frameworkRequirement" } },
+    currentServices: { type: "array" },
+    migration: { type: "object" },
+    residency: { type: "object" }
+  },
+  additionalProperties: false
+};
+
+module.exports = { constraintSchema };
@@ -0,0 +1,232 @@
+// OpenAPI 3.1 document built from the route schemas the server validates with,
+// so the published contract cannot drift from what requests are checked against
+
+const http = require('http');
+const { routeSchemasByVersion, errorResponseSchema, componentSchemas } = require('./apiSchemas');
+const packageInfo = require('../../package.json');
+
+// formatResponse adds this to every successful object response
+const metadataSchema = {
+  type: "object",
+  properties: {
+    timestamp: { type: "string", format: "date-time" },
+    requestId: { type: "string" },
+    version: { type: "string" }
+  }
+};
+
+/**
+ * Build the OpenAPI document of one API version
+ * @param {Object} options - Build options
+ * @param {string} options.apiVersion - API version, e.g. "v2"
+ * @param {Object} options.schemas - Route schemas keyed by "METHOD /path" (defaults to the version's)
+ * @param {Object} options.components - Schemas to publish by name and reference where used
+ * @param {string} options.serverUrl - Base URL the paths are relative to (defaults to /api/<version>)
+ * @param {boolean} options.deprecated - Mark every operation as deprecated
+ * @returns {Object} - OpenAPI 3.1 document
+ */
+function buildOpenApiDocument({
+  apiVersion = 'v1',
+  schemas = routeSchemasByVersion[apiVersion],
+  components = componentSchemas,
+  serverUrl = `/api/${apiVersion}`,
+  deprecated = false
+} = {}) {
+  const converter = new SchemaConverter(components);
+  const paths = {};
+
+  for (const [routeKey, route] of Object.entries(schemas)) {
+    const [method, routePath] = routeKey.split(' ');
+    const openApiPath = routePath.replace(/:(\w+)/g, '{$1}');
+    paths[openApiPath] = paths[openApiPath] || {};
+    paths[openApiPath][method.toLowerCase()] = {
+      ...buildOperation(method, routePath, route, converter),
+      ...(deprecated && { deprecated: true })
+    };
+  }
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: `${packageInfo.name} (${apiVersion})`,
+      description: packageInfo.description,
+      version: packageInfo.version
+    },
+    servers: [{ url: serverUrl }],
+    paths,
+    components: {
+      schemas: {
+        ...converter.componentSchemas(),
+        ResponseMetadata: metadataSchema
+      }
+    }
+  };
+}
+
+/**
+ * @param {string} method - HTTP method
+ * @param {string} routePath - Express route path
+ * @param {Object} route - Route schemas
+ * @param {SchemaConverter} converter - Converter collecting shared schemas
+ * @returns {Object} - OpenAPI operation object
+ */
+function buildOperation(method, routePath, route, converter) {
+  const segments = routePath.split('/').filter(Boolean);
+  const operation = {
+    operationId: operationId(method, segments),
+    summary: route.summary,
+    tags: [segments[0]?.replace(/\..*$/, '') || 'api']
+  };
+
+  const parameters = [];
+  for (const segment of segments.filter(part => part.startsWith(':'))) {
+    parameters.push({ name: segment.slice(1), in: 'path', required: true, schema: { type: 'string' } });
+  }
+  for (const [name, schema] of Object.entries(route.query?.properties || {})) {
+    parameters.push({
+      name,
+      in: 'query',
+      required: (route.query.required || []).includes(name),
+      schema: converter.convert(schema)
+    });
+  }
+  if (parameters.length > 0) {
+    operation.parameters = parameters;
+  }
+
+  if (route.body) {
+    operation.requestBody = {
+      required: true,
+      content: { 'application/json': { schema: converter.convert(route.body) } }
+    };
+  }
+
+  operation.responses = {};
+  for (const [status, schema] of Object.entries(route.responses)) {
+    operation.responses[status] = buildResponse(Number(status), schema, converter);
+  }
+  // Invalid bodies and query strings are rejected before the route runs
+  if (route.body || route.query) {
+    const schema = route.responses[400] ? { anyOf: [route.responses[400], errorResponseSchema] } : errorResponseSchema;
+    operation.responses[400] = buildResponse(400, schema, converter);
+  }
+  operation.responses.default = {
+    description: 'Error',
+    content: { 'application/json': { schema: converter.convert(errorResponseSchema) } }
+  };
+
+  return operation;
+}
+
+/**
+ * @param {number} status - HTTP status code
+ * @param {Object} schema - Response schema
+ * @param {SchemaConverter} converter - Converter collecting shared schemas
+ * @returns {Object} - OpenAPI response object
+ */
+function buildResponse(status, schema, converter) {
+  if (status === 204) {
+    return { description: schema.description || http.STATUS_CODES[status] };
+  }
+
+  let converted = converter.convert(schema);
+  if (status < 300) {
+    converted = { allOf: [converted, { properties: { _metadata: { $ref: '#/components/schemas/ResponseMetadata' } } }] };
+  }
+  return {
+    description: http.STATUS_CODES[status],
+    content: { 'application/json': { schema: converted } }
+  };
+}
+
+/**
+ * @param {string} method - HTTP method
+ * @param {Array} segments - Path segments after the version prefix
+ * @returns {string} - Operation id, e.g. getComparisonsById for GET /comparisons/:id
+ */
+function operationId(method, segments) {
+  const words = segments.flatMap(segment => segment.startsWith(':')
+    ? ['by', segment.slice(1)]
+    : segment.split(/[-.]/));
+  return method.toLowerCase() + words.map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('');
+}
+
+/**
+ * Rewrites route schemas for the OpenAPI document: shared schemas become
+ * references to components, and local "$defs" move to components as well
+ */
+class SchemaConverter {
+  /**
+   * @param {Object} components - Schemas to publish by name
+   */
+  constructor(components) {
+    this.components = components;
+    this.names = new Map(Object.entries(components).map(([name, schema]) => [schema, name]));
+    this.definitions = {};
+    this.referenced = new Set();
+  }
+
+  /**
+   * @param {*} schema - Schema or schema fragment
+   * @param {boolean} inline - Convert a shared schema itself rather than referencing it
+   * @returns {*} - Converted copy
+   */
+  convert(schema, inline = false) {
+    if (Array.isArray(schema)) {
+      return schema.map(item => this.convert(item));
+    }
+    if (!schema || typeof schema !== 'object') {
+      return schema;
+    }
+    if (!inline && this.names.has(schema)) {
+      this.referenced.add(this.names.get(schema));
+      return { $ref: `#/components/schemas/${this.names.get(schema)}` };
+    }
+
+    const converted = {};
+    for (const [key, value] of Object.entries(schema)) {
+      if (key === '$defs') {
+        this.addDefinitions(value);
+      } else if (key === '$ref' && value.startsWith('#/$defs/')) {
+        converted.$ref = `#/components/schemas/${value.slice('#/$defs/'.length)}`;
+      } else if (key === 'properties' || key === 'patternProperties') {
+        // Keys here are field names, not keywords
+        converted[key] = Object.fromEntries(Object.entries(value).map(([name, child]) => [name, this.convert(child)]));
+      } else {
+        converted[key] = this.convert(value);
+      }
+    }
+    return converted;
+  }
+
+  /**
+   * @param {Object} definitions - "$defs" of a schema
+   */
+  addDefinitions(definitions) {
+    for (const [name, definition] of Object.entries(definitions)) {
+      if (this.components[name]) {
+        throw new Error(`Schema definition ${name} clashes with a component of the same name`);
+      }
+      if (!(name in this.definitions)) {
+        this.definitions[name] = this.convert(definition);
+      }
+    }
+  }
+
+  /**
+   * @returns {Object} - Every referenced component and collected definition, converted
+   */
+  componentSchemas() {
+    const schemas = {};
+    // Converting a component can reference further components
+    let pending;
+    while ((pending = [...this.referenced].filter(name => !(name in schemas))).length > 0) {
+      for (const name of pending) {
+        schemas[name] = this.convert(this.components[name], true);
+      }
+    }
+    return { ...schemas, ...this.definitions };
+  }
+}
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,68 @@
+// Tests for the OpenAPI document generated from the route schemas
+
+const fs = require('fs');
+const path = require('path');
+const { buildOpenApiDocument } = require('./openApiDocument');
+const { routeSchemasByVersion } = require('./apiSchemas');
+
+describe('buildOpenApiDocument', () => {
+  const document = buildOpenApiDocument();
+
+  test('should document exactly the routes the API router validates', () => {
+    const router = fs.readFileSync(path.join(__dirname, '../routes/apiRouter.js'), 'utf8');
+    const registered = [...router.matchAll(/router\.(\w+)\('([^']+)', validator\.forRoute\('([^']+)'\)/g)];
+
+    for (const [, method, routePath, routeKey] of registered) {
+      expect(routeKey).toBe(`${method.toUpperCase()} ${routePath}`);
+    }
+    for (const schemas of Object.values(routeSchemasByVersion)) {
+      expect(registered.map(match => match[3]).sort()).toEqual(Object.keys(schemas).sort());
+    }
+  });
+
+  test('should describe parameters, bodies and responses of each operation', () => {
+    expect(document.openapi).toBe('3.1.0');
+    expect(document.servers).toEqual([{ url: '/api/v1' }]);
+
+    const get = document.paths['/comparisons/{id}'].get;
+    expect(get.operationId).toBe('getComparisonsById');
+    expect(get.parameters).toEqual([{ name: 'id', in: 'path', required: true, schema: { type: 'string' } }]);
+    expect(get.responses[200].content['application/json'].schema.allOf[0])
+      .toEqual({ $ref: '#/components/schemas/SavedComparison' });
+
+    const list = document.paths['/comparisons'].get;
+    expect(list.parameters.map(parameter => [parameter.name, parameter.in, parameter.schema.type]))
+      .toEqual([['limit', 'query', 'integer'], ['offset', 'query', 'integer']]);
+    expect(list.responses[400].content['application/json'].schema).toEqual({ $ref: '#/components/schemas/Error' });
+
+    const compare = document.paths['/compare'].post;
+    expect(compare.requestBody.content['application/json'].schema.properties.constraints)
+      .toEqual({ $ref: '#/components/schemas/Constraints' });
+    expect(document.paths['/comparisons/{id}'].delete.responses[204]).toEqual({ description: 'Comparison deleted' });
+  });
+
+  test('should describe each API version and mark deprecated mounts', () => {
+    const v2 = buildOpenApiDocument({ apiVersion: 'v2' });
+    expect(v2.servers).toEqual([{ url: '/api/v2' }]);
+    expect(v2.paths['/compare'].post.responses[200].content['application/json'].schema.allOf[0])
+      .toEqual({ $ref: '#/components/schemas/ScoredComparisonResults' });
+    expect(v2.components.schemas).not.toHaveProperty('ComparisonResults');
+    expect(document.components.schemas).not.toHaveProperty('ScoredComparisonResults');
+
+    const legacy = buildOpenApiDocument({ serverUrl: '/api', deprecated: true });
+    expect(Object.values(legacy.paths).flatMap(Object.values).every(operation => operation.deprecated)).toBe(true);
+  });
+
+  test('should resolve every reference within the document', () => {
+    const json = JSON.stringify(document);
+    const references = [...json.matchAll(/"\$ref":"#\/components\/schemas\/(\w+)"/g)].map(match => match[1]);
+
+    expect(references.length).toBeGreaterThan(0);
+    for (const name of new Set(references)) {
+      expect(document.components.schemas).toHaveProperty(name);
+    }
+    expect(json).not.toContain('$defs');
+    expect(document.components.schemas.Constraints.properties.requiredFrameworks.items)
+      .toEqual({ $ref: '#/components/schemas/frameworkRequirement' });
+  });
+});
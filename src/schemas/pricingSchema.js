@@ -0,0 +1,59 @@
+// JSON Schema for provider pricing tables used by the TCO estimator
+
+const rate = { type: "number", minimum: 0 };
+
+const supportPlanSchema = {
+  type: "object",
+  required: ["plan", "monthlyMinimum", "percentOfSpend"],
+  properties: {
+    plan: { type: "string" },
+    monthlyMinimum: rate,
+    percentOfSpend: { type: "number", minimum: 0, maximum: 1 }
+  },
+  additionalProperties: false
+};
+
+// Generic support tiers; each table maps them to the provider's own plan names
+const supportTiers = ["none", "developer", "business", "enterprise"];
+
+const pricingSchema = {
+  type: "object",
+  required: ["provider", "currency", "lastUpdated", "rates", "support", "commitmentDiscounts"],
+  properties: {
+    provider: { type: "string" },
+    currency: { type: "string", enum: ["USD"] },
+    lastUpdated: { type: "string", format: "date-time" },
+    source: { type: "string" },
+    rates: {
+      type: "object",
+      required: ["vcpuHour", "memoryGbHour", "storageGbMonth", "egressGb", "egressFreeGb", "managedDbHour"],
+      properties: {
+        vcpuHour: rate,
+        memoryGbHour: rate,
+        storageGbMonth: rate,
+        egressGb: rate,
+        egressFreeGb: rate,
+        managedDbHour: rate
+      },
+      additionalProperties: false
+    },
+    support: {
+      type: "object",
+      required: supportTiers,
+      properties: Object.fromEntries(supportTiers.map(tier => [tier, supportPlanSchema])),
+      additionalProperties: false
+    },
+    // Discount on compute, memory and managed database for committed use
+    commitmentDiscounts: {
+      type: "object",
+      required: ["threeYear"],
+      properties: {
+        threeYear: { type: "number", minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    }
+  },
+  additionalProperties: false
+};
+
+module.exports = { pricingSchema, supportTiers };
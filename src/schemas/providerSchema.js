@@ -1,5 +1,40 @@
 // JSON Schema for Cloud Provider Data Structure
 
+const { providerRegistry } = require('../data/providerRegistry');
+const { complianceFrameworks, frameworkCoverageLevels } = require('../config/complianceFrameworks');
+
+// Dimensions every provider is scored on
+const DIMENSIONS = ['cost', 'easeOfUse', 'scalability', 'ecosystem', 'devops', 'aiml', 'enterprise', 'vendorLockIn'];
+
+// A provider's certification for one framework from the compliance catalog
+const certificationSchema = {
+  type: "object",
+  required: ["coverage"],
+  properties: {
+    coverage: { type: "string", enum: frameworkCoverageLevels },
+    scope: { type: "string" },
+    notes: { type: "string" }
+  },
+  additionalProperties: false
+};
+
+// One region from a provider's region catalog
+const regionSchema = {
+  type: "object",
+  required: ["id", "name", "country", "availabilityZones"],
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    location: { type: "string" },
+    // ISO 3166-1 alpha-2 code; residency constraints match on it
+    country: { type: "string" },
+    availabilityZones: { type: "integer", minimum: 0, maximum: 10 },
+    // Isolated sovereign or government cloud partition
+    sovereign: { type: "boolean" }
+  },
+  additionalProperties: false
+};
+
 const providerSchema = {
   type: "object",
   required: ["provider", "dimensions", "strengths", "weaknesses", "idealUseCases", "tradeOffs"],
@@ -10,7 +45,10 @@ const providerSchema = {
       properties: {
         name: {
           type: "string",
-          enum: ["aws", "azure", "gcp"]
+          // Resolved on access so newly discovered providers validate
+          get enum() {
+            return providerRegistry.getNames();
+          }
         },
         displayName: {
           type: "string"
@@ -19,11 +57,12 @@ const providerSchema = {
           type: "string",
           format: "date-time"
         }
-      }
+      },
+      additionalProperties: false
     },
     dimensions: {
       type: "object",
-      required: ["cost", "easeOfUse", "scalability", "ecosystem", "devops", "aiml", "enterprise", "vendorLockIn"],
+      required: DIMENSIONS,
       properties: {
         cost: {
           type: "object",
@@ -33,7 +72,8 @@ const providerSchema = {
             freeTrierOffering: { type: "object" },
             costPredictability: { type: "number", minimum: 1, maximum: 10 },
             budgetFriendliness: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         easeOfUse: {
           type: "object",
@@ -43,7 +83,8 @@ const providerSchema = {
             documentation: { type: "number", minimum: 1, maximum: 10 },
             setupComplexity: { type: "number", minimum: 1, maximum: 10 },
             uiIntuitiveness: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         scalability: {
           type: "object",
@@ -53,7 +94,8 @@ const providerSchema = {
             autoScaling: { type: "number", minimum: 1, maximum: 10 },
             performanceConsistency: { type: "number", minimum: 1, maximum: 10 },
             infrastructureMaturity: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         ecosystem: {
           type: "object",
@@ -63,7 +105,8 @@ const providerSchema = {
             integrationOptions: { type: "number", minimum: 1, maximum: 10 },
             thirdPartySupport: { type: "number", minimum: 1, maximum: 10 },
             communitySize: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         devops: {
           type: "object",
@@ -73,7 +116,8 @@ const providerSchema = {
             automationTools: { type: "number", minimum: 1, maximum: 10 },
             containerSupport: { type: "number", minimum: 1, maximum: 10 },
             infrastructureAsCode: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         aiml: {
           type: "object",
@@ -83,7 +127,8 @@ const providerSchema = {
             dataProcessing: { type: "number", minimum: 1, maximum: 10 },
             pretrainedModels: { type: "number", minimum: 1, maximum: 10 },
             customModelSupport: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         enterprise: {
           type: "object",
@@ -93,7 +138,8 @@ const providerSchema = {
             support: { type: "number", minimum: 1, maximum: 10 },
             sla: { type: "number", minimum: 1, maximum: 10 },
             securityFeatures: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         },
         vendorLockIn: {
           type: "object",
@@ -102,24 +148,29 @@ const providerSchema = {
             portability: { type: "number", minimum: 1, maximum: 10 },
             standardsCompliance: { type: "number", minimum: 1, maximum: 10 },
             exitStrategy: { type: "number", minimum: 1, maximum: 10 }
-          }
+          },
+          additionalProperties: false
         }
-      }
+      },
+      additionalProperties: false
     },
     strengths: {
       type: "array",
-      items: { type: "string" },
-      minItems: 1
+      items: { type: "string", minLength: 1 },
+      minItems: 1,
+      uniqueItems: true
     },
     weaknesses: {
       type: "array",
-      items: { type: "string" },
-      minItems: 1
+      items: { type: "string", minLength: 1 },
+      minItems: 1,
+      uniqueItems: true
     },
     idealUseCases: {
       type: "array",
-      items: { type: "string" },
-      minItems: 1
+      items: { type: "string", minLength: 1 },
+      minItems: 1,
+      uniqueItems: true
     },
     tradeOffs: {
       type: "object",
@@ -135,9 +186,78 @@ const providerSchema = {
           items: { type: "string" },
           minItems: 1
         }
-      }
+      },
+      additionalProperties: false
+    },
+    // Optional certification catalog keyed by compliance framework id
+    compliance: {
+      type: "object",
+      required: ["frameworks"],
+      properties: {
+        frameworks: {
+          type: "object",
+          properties: Object.fromEntries(Object.keys(complianceFrameworks).map(id => [id, certificationSchema]))
+        }
+      },
+      additionalProperties: false
+    },
+    regions: {
+      type: "array",
+      items: regionSchema
+    }
+  },
+  additionalProperties: false
+};
+
+// Optional uncertainty per sub-score, kept alongside the point estimates in
+// each dimension, e.g. "uncertainty": { "learningCurve": { "stdDev": 1 } }
+const uncertaintyEntrySchema = {
+  type: "object",
+  properties: {
+    stdDev: { type: "number", minimum: 0, maximum: 5 },
+    range: {
+      type: "array",
+      items: { type: "number", minimum: 1, maximum: 10 },
+      minItems: 2,
+      maxItems: 2
     }
-  }
+  },
+  additionalProperties: false
+};
+
+// Optional citations per sub-score so reviewers can audit where a number comes
+// from, e.g. "evidence": { "globalPresence": [{ "title": ..., "url": ..., "retrieved": "2024-05-01" }] }
+const evidenceEntrySchema = {
+  type: "object",
+  required: ["title", "url", "retrieved"],
+  properties: {
+    title: { type: "string", minLength: 1 },
+    url: { type: "string", format: "uri", pattern: "^https?://" },
+    // Date the source was read, as YYYY-MM-DD
+    retrieved: { type: "string", format: "date" },
+    note: { type: "string" }
+  },
+  additionalProperties: false
 };
 
-module.exports = { providerSchema };
\ No newline at end of file
+for (const dimensionSchema of Object.values(providerSchema.properties.dimensions.properties)) {
+  const scoreFields = Object.entries(dimensionSchema.properties)
+    .filter(([, fieldSchema]) => fieldSchema.type === "number")
+    .map(([fieldName]) => fieldName);
+
+  dimensionSchema.properties.uncertainty = {
+    type: "object",
+    properties: Object.fromEntries(scoreFields.map(fieldName => [fieldName, uncertaintyEntrySchema]))
+  };
+
+  // Date the dimension's scores were last reviewed, as YYYY-MM-DD; checked
+  // against the staleness policy
+  dimensionSchema.properties.lastReviewed = { type: "string", format: "date" };
+
+  dimensionSchema.properties.evidence = {
+    type: "object",
+    properties: Object.fromEntries(scoreFields.map(fieldName => [fieldName, { type: "array", items: evidenceEntrySchema }]))
+  };
+}
+
+module.exports = { providerSchema, DIMENSIONS };
\ No newline at end of file
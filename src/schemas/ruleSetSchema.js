@@ -0,0 +1,99 @@
+// JSON Schema for declarative constraint rule sets loaded from the rules directory
+
+const { providerSchema } = require('./providerSchema');
+
+const dimensionSchemas = providerSchema.properties.dimensions.properties;
+const dimensionNames = providerSchema.properties.dimensions.required;
+
+// Constraint values each complete rule set must define a rule for
+const ruleGroups = {
+  budget: ["low", "medium", "high"],
+  experience: ["beginner", "intermediate", "expert"],
+  workload: ["startup", "enterprise", "research"]
+};
+
+const ruleSchema = {
+  type: "object",
+  required: ["weightings"],
+  properties: {
+    weightings: {
+      type: "object",
+      properties: Object.fromEntries(dimensionNames.map(dimension => [
+        dimension,
+        { type: "number", minimum: 0, maximum: 1 }
+      ]))
+    },
+    subCriteria: {
+      type: "object",
+      properties: Object.fromEntries(dimensionNames.map(dimension => [
+        dimension,
+        {
+          type: "object",
+          properties: Object.fromEntries(
+            Object.entries(dimensionSchemas[dimension].properties)
+              .filter(([, fieldSchema]) => fieldSchema.type === "number")
+              .map(([field]) => [field, { type: "number", minimum: 0 }])
+          )
+        }
+      ]))
+    },
+    // Keys are "dimension.subScore" paths; checked separately
+    filters: {
+      type: "object"
+    },
+    emphasis: {
+      type: "array",
+      items: { type: "string" }
+    }
+  },
+  additionalProperties: false
+};
+
+// Budget rules provide the base weightings, so they must weight every dimension
+const baseRuleSchema = {
+  ...ruleSchema,
+  properties: {
+    ...ruleSchema.properties,
+    weightings: { ...ruleSchema.properties.weightings, required: dimensionNames }
+  }
+};
+
+const groupSchema = (keys, schema = ruleSchema) => ({
+  type: "object",
+  properties: Object.fromEntries(keys.map(key => [key, schema]))
+});
+
+const ruleSetSchema = {
+  type: "object",
+  required: ["name", "version", "rules"],
+  properties: {
+    name: { type: "string" },
+    version: { type: "string" },
+    description: { type: "string" },
+    // Identifier ("name" or "name@version") of a rule set whose rules are inherited
+    extends: { type: "string" },
+    // How strongly each adjustment step pulls the budget weightings (0-1)
+    influence: {
+      type: "object",
+      properties: {
+        experience: { type: "number", minimum: 0, maximum: 1 },
+        workload: { type: "number", minimum: 0, maximum: 1 },
+        priority: { type: "number", minimum: 0, maximum: 1 }
+      },
+      additionalProperties: false
+    },
+    rules: {
+      type: "object",
+      properties: {
+        budget: groupSchema(ruleGroups.budget, baseRuleSchema),
+        experience: groupSchema(ruleGroups.experience),
+        workload: groupSchema(ruleGroups.workload),
+        // Keyed by priority name; each entry is validated against ruleSchema
+        priorities: { type: "object" }
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+module.exports = { ruleSetSchema, ruleSchema, ruleGroups };
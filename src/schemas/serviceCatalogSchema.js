@@ -0,0 +1,74 @@
+// JSON Schemas for the cross-provider service equivalence catalog and its portability table
+
+const { providerRegistry } = require('../data/providerRegistry');
+
+// One provider's implementation of a catalog capability
+const implementationSchema = {
+  type: "object",
+  required: ["service", "aliases", "missingFeatures"],
+  properties: {
+    service: { type: "string" },
+    aliases: { type: "array", items: { type: "string" }, uniqueItems: true },
+    // Capability features this implementation lacks
+    missingFeatures: { type: "array", items: { type: "string" }, uniqueItems: true },
+    notes: { type: "string" }
+  },
+  additionalProperties: false
+};
+
+const capabilitySchema = {
+  type: "object",
+  required: ["id", "name", "category", "features", "providers"],
+  properties: {
+    id: { type: "string" },
+    name: { type: "string" },
+    category: { type: "string" },
+    features: { type: "array", items: { type: "string" }, minItems: 1, uniqueItems: true },
+    providers: {
+      type: "object",
+      // Resolved on access so newly discovered providers validate
+      get properties() {
+        return Object.fromEntries(providerRegistry.getNames().map(name => [name, implementationSchema]));
+      }
+    }
+  },
+  additionalProperties: false
+};
+
+const serviceCatalogSchema = {
+  type: "object",
+  required: ["version", "lastUpdated", "services"],
+  properties: {
+    version: { type: "string" },
+    lastUpdated: { type: "string", format: "date-time" },
+    services: { type: "array", items: capabilitySchema }
+  },
+  additionalProperties: false
+};
+
+// Migration portability of one capability, keyed by capability id in the table
+const portabilityEntrySchema = {
+  type: "object",
+  required: ["portability", "criticalFeatures"],
+  properties: {
+    // 10 moves between providers with configuration changes only, 1 is a rewrite
+    portability: { type: "number", minimum: 1, maximum: 10 },
+    // Features whose absence on the target blocks a like-for-like migration
+    criticalFeatures: { type: "array", items: { type: "string" }, uniqueItems: true },
+    notes: { type: "string" }
+  },
+  additionalProperties: false
+};
+
+const portabilityTableSchema = {
+  type: "object",
+  required: ["version", "lastUpdated", "capabilities"],
+  properties: {
+    version: { type: "string" },
+    lastUpdated: { type: "string", format: "date-time" },
+    capabilities: { type: "object" }
+  },
+  additionalProperties: false
+};
+
+module.exports = { serviceCatalogSchema, portabilityEntrySchema, portabilityTableSchema };
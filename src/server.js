@@ -4,10 +4,14 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 const { dataManager } = require('./data/dataManager');
-const { comparisonEngine } = require('./engine/comparisonEngine');
-const { constraintProcessor } = require('./engine/constraintProcessor');
-const { outputFormatter } = require('./engine/outputFormatter');
+const { ruleSetManager } = require('./config/ruleSetManager');
+const { ruleSetChecker } = require('./engine/ruleSetChecker');
+const { pricingManager } = require('./data/pricingManager');
+const { serviceCatalogManager } = require('./data/serviceCatalogManager');
+const { API_VERSIONS, legacyApiSchedule } = require('./config/apiVersions');
 const { ErrorHandler } = require('./middleware/errorHandler');
+const { DeprecationHeaders } = require('./middleware/deprecationHeaders');
+const { createApiRouter } = require('./routes/apiRouter');
 
 const app = express();
 const PORT = process.env.PORT || 8080;
@@ -47,180 +51,18 @@ app.use(express.urlencoded({ extended: true }));
 // Serve static files from public directory
 app.use(express.static(path.join(__dirname, '../public')));
 
-// Health check endpoint
-app.get('/api/health', (req, res) => {
-  const dataStats = dataManager.getStatistics();
-  const dataIntegrity = dataManager.validateIntegrity();
-  
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    version: '1.0.0',
-    service: 'cloud-platform-comparison-tool',
-    data: {
-      initialized: dataStats.isInitialized,
-      providerCount: dataStats.providerCount,
-      providers: dataStats.providers,
-      integrity: dataIntegrity.isValid ? 'valid' : 'invalid'
-    }
-  });
-});
-
-// Data validation endpoint
-app.get('/api/data/validate', (req, res) => {
-  try {
-    const validation = dataManager.validateIntegrity();
-    const stats = dataManager.getStatistics();
-    
-    res.json({
-      validation,
-      statistics: stats,
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        code: 'DATA_VALIDATION_ERROR',
-        message: 'Failed to validate data integrity',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      }
-    });
-  }
-});
-
-// Cloud platform comparison endpoint
-app.post('/api/compare', ErrorHandler.validateRequestBody(['constraints']), async (req, res) => {
-  try {
-    // Process constraints
-    const constraintResult = constraintProcessor.processConstraints(req.body.constraints);
-    if (!constraintResult.success) {
-      return res.status(400).json({
-        error: {
-          code: 'CONSTRAINT_VALIDATION_ERROR',
-          message: 'Invalid constraints provided',
-          details: constraintResult.errors,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    // Generate comparison
-    const comparisonResult = await comparisonEngine.processConstraints(constraintResult.constraints);
-    if (!comparisonResult.success) {
-      return res.status(500).json({
-        error: {
-          code: 'COMPARISON_ERROR',
-          message: 'Failed to generate comparison',
-          details: comparisonResult.error,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    // Format output
-    const formattedResult = outputFormatter.formatComparisonResults(
-      comparisonResult.comparison,
-      constraintResult.constraints
-    );
-
-    if (!formattedResult.success) {
-      return res.status(500).json({
-        error: {
-          code: 'OUTPUT_FORMATTING_ERROR',
-          message: 'Failed to format comparison results',
-          details: formattedResult.error,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-    // Return successful comparison
-    res.json(formattedResult.results);
-
-  } catch (error) {
-    console.error('Comparison API error:', error);
-    res.status(500).json({
-      error: {
-        code: 'INTERNAL_SERVER_ERROR',
-        message: 'An unexpected error occurred during comparison',
-        timestamp: new Date().toISOString()
-      }
-    });
-  }
-});
-
-// Constraint validation endpoint
-app.post('/api/constraints/validate', ErrorHandler.validateRequestBody(['constraints']), (req, res) => {
-  try {
-    const result = constraintProcessor.processConstraints(req.body.constraints);
-    
-    if (result.success) {
-      const summary = constraintProcessor.generateConstraintSummary(result.constraints);
-      res.json({
-        valid: true,
-        constraints: result.constraints,
-        summary,
-        warnings: result.warnings || [],
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      res.status(400).json({
-        valid: false,
-        errors: result.errors,
-        warnings: result.warnings || [],
-        timestamp: new Date().toISOString()
-      });
-    }
-
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        code: 'CONSTRAINT_VALIDATION_ERROR',
-        message: 'Failed to validate constraints',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      }
-    });
-  }
-});
+// Versioned APIs; every version is built from the same router
+for (const apiVersion of Object.keys(API_VERSIONS)) {
+  app.use(`/api/${apiVersion}`, createApiRouter(apiVersion));
+}
 
-// Data reload endpoint
-app.post('/api/data/reload', async (req, res) => {
-  try {
-    console.log('Data reload requested...');
-    const reloadResult = await dataManager.reloadData();
-    
-    if (reloadResult.success) {
-      res.json({
-        success: true,
-        message: 'Data reloaded successfully',
-        providersLoaded: reloadResult.providersLoaded,
-        loadResults: reloadResult.loadResults,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      res.status(500).json({
-        error: {
-          code: 'DATA_RELOAD_ERROR',
-          message: 'Failed to reload data',
-          details: reloadResult.error,
-          timestamp: new Date().toISOString()
-        }
-      });
-    }
-
-  } catch (error) {
-    res.status(500).json({
-      error: {
-        code: 'DATA_RELOAD_ERROR',
-        message: 'Failed to reload data',
-        details: error.message,
-        timestamp: new Date().toISOString()
-      }
-    });
-  }
-});
+// Unversioned routes answer with the contract of their successor version until
+// they are retired. Versioned paths are excluded so unknown ones still 404 plainly.
+app.use(
+  /^\/api(?=\/|$)(?!\/v\d+(?:\/|$))/,
+  DeprecationHeaders.forSchedule(legacyApiSchedule, req => `/api/${legacyApiSchedule.successor}${req.path}`),
+  createApiRouter(legacyApiSchedule.successor, { basePath: '/api', deprecated: true })
+);
 
 // Basic route for serving the main page
 app.get('/', (req, res) => {
@@ -233,6 +75,22 @@ app.use(ErrorHandler.handleError);
 // 404 handler
 app.use(ErrorHandler.handle404);
 
+/**
+ * Log the outcome of a rule set consistency check
+ * @param {Object} result - Result of ruleSetChecker.checkAll()
+ */
+function logRuleSetCheck(result) {
+  for (const report of result.ruleSets) {
+    for (const error of report.errors) {
+      console.warn(`Rule set ${report.ruleSet} error: ${error}`);
+    }
+    for (const warning of report.warnings) {
+      console.warn(`Rule set ${report.ruleSet} warning: ${warning}`);
+    }
+  }
+  console.log(`Rule set check ${result.isValid ? 'passed' : 'failed'} for ${result.ruleSets.length} rule sets`);
+}
+
 // Start server
 async function startServer() {
   try {
@@ -244,6 +102,27 @@ async function startServer() {
       console.warn('Data manager initialization failed:', initResult.error);
       console.warn('Server will start but some features may not work properly.');
     }
+
+    // Pricing tables are optional; without them cost estimates list providers as unpriced
+    const pricingResult = await pricingManager.initialize();
+    if (!pricingResult.success) {
+      console.warn('Pricing data loading failed:', pricingResult.error);
+    }
+
+    // Without the service catalog, service mappings report every service as unmatched
+    const catalogResult = await serviceCatalogManager.initialize();
+    if (!catalogResult.success) {
+      console.warn('Service catalog loading failed:', catalogResult.error);
+    }
+
+    // Load rule sets from the rules directory; the built-in rules are always available
+    const ruleSetResult = await ruleSetManager.initialize();
+    if (!ruleSetResult.success) {
+      console.warn('Rule set loading failed, using built-in rules only:', ruleSetResult.error);
+    }
+
+    // Report rule inconsistencies early; they do not stop the server
+    logRuleSetCheck(ruleSetChecker.checkAll());
     
     // Start HTTP server
     app.listen(PORT, () => {
@@ -0,0 +1,69 @@
+// Deterministic pseudo-random number generation for reproducible simulations
+
+/**
+ * Convert a numeric or string seed to an unsigned 32-bit integer
+ * @param {number|string} seed - Seed value
+ * @returns {number} - 32-bit seed
+ */
+function normalizeSeed(seed) {
+  if (typeof seed === 'number' && Number.isFinite(seed)) {
+    return Math.floor(seed) >>> 0;
+  }
+
+  // FNV-1a hash for string seeds
+  let hash = 0x811c9dc5;
+  for (const char of String(seed)) {
+    hash ^= char.charCodeAt(0);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+/**
+ * Create a seeded random number generator (mulberry32)
+ * @param {number|string} seed - Seed value
+ * @returns {Function} - Function returning floats in [0, 1)
+ */
+function createSeededRandom(seed) {
+  let state = normalizeSeed(seed);
+
+  return function random() {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Draw a normally distributed sample (Box-Muller transform)
+ * @param {Function} random - Uniform random generator
+ * @param {number} mean - Distribution mean
+ * @param {number} stdDev - Standard deviation
+ * @returns {number} - Sample
+ */
+function sampleNormal(random, mean, stdDev) {
+  const u1 = 1 - random(); // Avoid log(0)
+  const u2 = random();
+  const z = Math.sqrt(-2 * Math.log(u1)) * Math.cos(2 * Math.PI * u2);
+  return mean + z * stdDev;
+}
+
+/**
+ * Draw a uniformly distributed sample
+ * @param {Function} random - Uniform random generator
+ * @param {number} min - Lower bound
+ * @param {number} max - Upper bound
+ * @returns {number} - Sample
+ */
+function sampleUniform(random, min, max) {
+  return min + (max - min) * random();
+}
+
+module.exports = {
+  normalizeSeed,
+  createSeededRandom,
+  sampleNormal,
+  sampleUniform
+};
@@ -1,151 +1,649 @@
 // Validation utilities for cloud provider data
 
-const { providerSchema } = require('../schemas/providerSchema');
+const { providerSchema, DIMENSIONS } = require('../schemas/providerSchema');
+const { providerRegistry, PROVIDER_NAME_PATTERN } = require('../data/providerRegistry');
+const { ruleSetSchema, ruleSchema, ruleGroups } = require('../schemas/ruleSetSchema');
+const { constraintRules } = require('../config/constraintRules');
+const { pricingSchema } = require('../schemas/pricingSchema');
+const {
+  serviceCatalogSchema,
+  portabilityEntrySchema,
+  portabilityTableSchema
+} = require('../schemas/serviceCatalogSchema');
+const { complianceFrameworks } = require('../config/complianceFrameworks');
+
+// Checks for the "format" keyword; other formats are annotations only
+const formats = {
+  'date-time': value => {
+    const match = /^(\d{4}-\d{2}-\d{2})T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.exec(value);
+    return Boolean(match) && isCalendarDate(match[1]) && !isNaN(new Date(value));
+  },
+  date: value => isCalendarDate(value),
+  uri: value => /^[a-z][a-z0-9+.-]*:[^\s]*$/i.test(value),
+  email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+  uuid: value => /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(value)
+};
+
+/**
+ * Append reference tokens to a JSON pointer (RFC 6901), escaping "~" and "/"
+ * @param {string} pointer - Base pointer ('' for the document root)
+ * @param {...(string|number)} tokens - Property names or array indexes
+ * @returns {string} - Extended pointer
+ */
+function joinPointer(pointer, ...tokens) {
+  return tokens.reduce((joined, token) => `${joined}/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`, pointer);
+}
+
+/**
+ * @param {*} value - Any JSON value
+ * @returns {string} - JSON type name of the value
+ */
+function jsonType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * @param {*} value - Any JSON value
+ * @param {string} type - JSON Schema type name
+ * @returns {boolean} - Whether the value is an instance of the type
+ */
+function matchesType(value, type) {
+  switch (type) {
+    case 'integer':
+      return Number.isInteger(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return jsonType(value) === type;
+  }
+}
+
+/**
+ * Structural equality of JSON values, as used by enum, const and uniqueItems
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} - Whether the values are equal
+ */
+function isJsonEqual(a, b) {
+  if (a === b) return true;
+  if (jsonType(a) !== jsonType(b) || typeof a !== 'object' || a === null) return false;
+  if (Array.isArray(a)) {
+    return a.length === b.length && a.every((item, index) => isJsonEqual(item, b[index]));
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => key in b && isJsonEqual(a[key], b[key]));
+}
 
 /**
- * Simple JSON schema validator
- * This is a basic implementation - in production you might use a library like Ajv
+ * JSON Schema validator for the draft 2020-12 validation vocabulary: type
+ * (including integer and null), enum, const, numeric and string bounds, pattern,
+ * format, array and object keywords (additionalProperties, patternProperties,
+ * uniqueItems, prefixItems, ...), allOf/anyOf/oneOf/not, if/then/else and local
+ * "$ref"s. Errors carry JSON-pointer paths into the validated data.
  */
 class SchemaValidator {
   constructor() {
-    this.errors = [];
+    this.details = [];
+  }
+
+  /**
+   * Validate data against a schema
+   * @param {*} data - Data to validate
+   * @param {Object|boolean} schema - Schema; local "$ref"s resolve against it
+   * @param {string} pointer - JSON pointer of the data within its document
+   * @returns {boolean} - Whether the data is valid
+   */
+  validate(data, schema, pointer = '') {
+    this.root = schema;
+    this.details = this._validate(data, schema, pointer);
+    return this.details.length === 0;
   }
 
-  validate(data, schema, path = '') {
-    this.errors = [];
-    
-    if (schema.type === 'array') {
-      this._validateValue(data, schema, path);
-    } else {
-      this._validateObject(data, schema, path);
+  /**
+   * @returns {Array} - Errors of the last validation as "pointer: message" strings
+   */
+  getErrors() {
+    return this.details.map(detail => detail.pointer ? `${detail.pointer}: ${detail.message}` : detail.message);
+  }
+
+  /**
+   * @returns {Array} - Errors of the last validation as { pointer, keyword, message }
+   */
+  getErrorDetails() {
+    return this.details.map(detail => ({ ...detail }));
+  }
+
+  _validate(value, schema, pointer) {
+    if (schema === true) return [];
+    if (schema === false) return [this._error(pointer, 'false', 'No value is allowed here')];
+
+    const errors = [];
+    if (schema.$ref !== undefined) {
+      errors.push(...this._validate(value, this._resolveRef(schema.$ref), pointer));
+    }
+
+    if (schema.type !== undefined) {
+      const types = [].concat(schema.type);
+      if (!types.some(type => matchesType(value, type))) {
+        // Every other keyword assumes the declared type
+        errors.push(this._error(pointer, 'type', `Expected ${types.join(' or ')}, got ${jsonType(value)}`));
+        return errors;
+      }
+    }
+
+    if (schema.enum !== undefined && !schema.enum.some(option => isJsonEqual(option, value))) {
+      errors.push(this._error(pointer, 'enum', `Value ${JSON.stringify(value)} not in allowed enum: ${schema.enum.join(', ')}`));
+    }
+    if (schema.const !== undefined && !isJsonEqual(schema.const, value)) {
+      errors.push(this._error(pointer, 'const', `Value must be ${JSON.stringify(schema.const)}`));
+    }
+
+    switch (jsonType(value)) {
+      case 'number':
+        errors.push(...this._validateNumber(value, schema, pointer));
+        break;
+      case 'string':
+        errors.push(...this._validateString(value, schema, pointer));
+        break;
+      case 'array':
+        errors.push(...this._validateArray(value, schema, pointer));
+        break;
+      case 'object':
+        errors.push(...this._validateObject(value, schema, pointer));
+        break;
     }
-    
-    return this.errors.length === 0;
+
+    errors.push(...this._validateCombinators(value, schema, pointer));
+    return errors;
   }
 
-  _validateObject(data, schema, path) {
-    if (schema.type === 'object') {
-      if (typeof data !== 'object' || data === null || Array.isArray(data)) {
-        this.errors.push(`${path}: Expected object, got ${typeof data}`);
-        return false;
+  _validateNumber(value, schema, pointer) {
+    const errors = [];
+
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(this._error(pointer, 'minimum', `Value ${value} is below minimum ${schema.minimum}`));
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(this._error(pointer, 'maximum', `Value ${value} is above maximum ${schema.maximum}`));
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      errors.push(this._error(pointer, 'exclusiveMinimum', `Value ${value} must be greater than ${schema.exclusiveMinimum}`));
+    }
+    if (schema.exclusiveMaximum !== undefined && value >= schema.exclusiveMaximum) {
+      errors.push(this._error(pointer, 'exclusiveMaximum', `Value ${value} must be less than ${schema.exclusiveMaximum}`));
+    }
+    if (schema.multipleOf !== undefined) {
+      const quotient = value / schema.multipleOf;
+      if (Math.abs(quotient - Math.round(quotient)) > 1e-9) {
+        errors.push(this._error(pointer, 'multipleOf', `Value ${value} is not a multiple of ${schema.multipleOf}`));
       }
+    }
 
-      // Check required properties
-      if (schema.required) {
-        for (const requiredProp of schema.required) {
-          if (!(requiredProp in data)) {
-            this.errors.push(`${path}.${requiredProp}: Required property missing`);
-          }
+    return errors;
+  }
+
+  _validateString(value, schema, pointer) {
+    const errors = [];
+    const length = [...value].length;
+
+    if (schema.minLength !== undefined && length < schema.minLength) {
+      errors.push(this._error(pointer, 'minLength', `String has ${length} characters, minimum is ${schema.minLength}`));
+    }
+    if (schema.maxLength !== undefined && length > schema.maxLength) {
+      errors.push(this._error(pointer, 'maxLength', `String has ${length} characters, maximum is ${schema.maxLength}`));
+    }
+    if (schema.pattern !== undefined && !new RegExp(schema.pattern, 'u').test(value)) {
+      errors.push(this._error(pointer, 'pattern', `Value "${value}" does not match pattern ${schema.pattern}`));
+    }
+    if (schema.format !== undefined && formats[schema.format] && !formats[schema.format](value)) {
+      errors.push(this._error(pointer, 'format', `Invalid ${schema.format} format`));
+    }
+
+    return errors;
+  }
+
+  _validateArray(value, schema, pointer) {
+    const errors = [];
+
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(this._error(pointer, 'minItems', `Array has ${value.length} items, minimum is ${schema.minItems}`));
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(this._error(pointer, 'maxItems', `Array has ${value.length} items, maximum is ${schema.maxItems}`));
+    }
+    if (schema.uniqueItems) {
+      for (let later = 1; later < value.length; later++) {
+        const earlier = value.findIndex(item => isJsonEqual(item, value[later]));
+        if (earlier < later) {
+          errors.push(this._error(joinPointer(pointer, later), 'uniqueItems', `Duplicate of item ${earlier}`));
         }
       }
+    }
 
-      // Validate properties
-      if (schema.properties) {
-        for (const [propName, propSchema] of Object.entries(schema.properties)) {
-          if (propName in data) {
-            const propPath = path ? `${path}.${propName}` : propName;
-            this._validateValue(data[propName], propSchema, propPath);
-          }
-        }
+    const prefixItems = schema.prefixItems || [];
+    value.forEach((item, index) => {
+      const itemSchema = index < prefixItems.length ? prefixItems[index] : schema.items;
+      if (itemSchema !== undefined) {
+        errors.push(...this._validate(item, itemSchema, joinPointer(pointer, index)));
+      }
+    });
+
+    if (schema.contains !== undefined) {
+      const matches = value.filter((item, index) =>
+        this._validate(item, schema.contains, joinPointer(pointer, index)).length === 0).length;
+      const minContains = schema.minContains ?? 1;
+      if (matches < minContains) {
+        errors.push(this._error(pointer, 'contains', `Array has ${matches} matching items, minimum is ${minContains}`));
+      }
+      if (schema.maxContains !== undefined && matches > schema.maxContains) {
+        errors.push(this._error(pointer, 'contains', `Array has ${matches} matching items, maximum is ${schema.maxContains}`));
       }
     }
 
-    return this.errors.length === 0;
+    return errors;
   }
 
-  _validateValue(value, schema, path) {
-    switch (schema.type) {
-      case 'string':
-        if (typeof value !== 'string') {
-          this.errors.push(`${path}: Expected string, got ${typeof value}`);
-        } else if (schema.enum && !schema.enum.includes(value)) {
-          this.errors.push(`${path}: Value "${value}" not in allowed enum: ${schema.enum.join(', ')}`);
-        } else if (schema.format === 'date-time' && !this._isValidDateTime(value)) {
-          this.errors.push(`${path}: Invalid date-time format`);
-        }
-        break;
+  _validateObject(value, schema, pointer) {
+    const errors = [];
+    const keys = Object.keys(value);
+    const properties = schema.properties || {};
 
-      case 'number':
-        if (typeof value !== 'number') {
-          this.errors.push(`${path}: Expected number, got ${typeof value}`);
-        } else {
-          if (schema.minimum !== undefined && value < schema.minimum) {
-            this.errors.push(`${path}: Value ${value} is below minimum ${schema.minimum}`);
-          }
-          if (schema.maximum !== undefined && value > schema.maximum) {
-            this.errors.push(`${path}: Value ${value} is above maximum ${schema.maximum}`);
-          }
+    for (const requiredProp of schema.required || []) {
+      if (!(requiredProp in value)) {
+        errors.push(this._error(joinPointer(pointer, requiredProp), 'required', 'Required property missing'));
+      }
+    }
+    for (const [prop, dependents] of Object.entries(schema.dependentRequired || {})) {
+      for (const dependent of prop in value ? dependents : []) {
+        if (!(dependent in value)) {
+          errors.push(this._error(joinPointer(pointer, dependent), 'dependentRequired', `Required when ${prop} is present`));
         }
-        break;
+      }
+    }
+    if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+      errors.push(this._error(pointer, 'minProperties', `Object has ${keys.length} properties, minimum is ${schema.minProperties}`));
+    }
+    if (schema.maxProperties !== undefined && keys.length > schema.maxProperties) {
+      errors.push(this._error(pointer, 'maxProperties', `Object has ${keys.length} properties, maximum is ${schema.maxProperties}`));
+    }
 
-      case 'array':
-        if (!Array.isArray(value)) {
-          this.errors.push(`${path}: Expected array, got ${typeof value}`);
-        } else {
-          if (schema.minItems !== undefined && value.length < schema.minItems) {
-            this.errors.push(`${path}: Array has ${value.length} items, minimum is ${schema.minItems}`);
-          }
-          if (schema.maxItems !== undefined && value.length > schema.maxItems) {
-            this.errors.push(`${path}: Array has ${value.length} items, maximum is ${schema.maxItems}`);
-          }
-          if (schema.items) {
-            value.forEach((item, index) => {
-              this._validateValue(item, schema.items, `${path}[${index}]`);
-            });
-          }
+    const patterns = Object.entries(schema.patternProperties || {})
+      .map(([pattern, propSchema]) => [new RegExp(pattern, 'u'), propSchema]);
+
+    for (const key of keys) {
+      const propPointer = joinPointer(pointer, key);
+      let matched = false;
+
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        matched = true;
+        errors.push(...this._validate(value[key], properties[key], propPointer));
+      }
+      for (const [pattern, propSchema] of patterns) {
+        if (pattern.test(key)) {
+          matched = true;
+          errors.push(...this._validate(value[key], propSchema, propPointer));
         }
-        break;
+      }
 
-      case 'object':
-        this._validateObject(value, schema, path);
-        break;
+      if (schema.propertyNames !== undefined && this._validate(key, schema.propertyNames, propPointer).length > 0) {
+        errors.push(this._error(propPointer, 'propertyNames', `Invalid property name "${key}"`));
+      }
+      if (!matched && schema.additionalProperties === false) {
+        const allowed = Object.keys(properties);
+        errors.push(this._error(propPointer, 'additionalProperties',
+          allowed.length > 0 ? `Unknown property. Allowed: ${allowed.join(', ')}` : 'Unknown property'));
+      } else if (!matched && schema.additionalProperties !== undefined) {
+        errors.push(...this._validate(value[key], schema.additionalProperties, propPointer));
+      }
+    }
+
+    return errors;
+  }
+
+  _validateCombinators(value, schema, pointer) {
+    const errors = [];
+
+    for (const subschema of schema.allOf || []) {
+      errors.push(...this._validate(value, subschema, pointer));
+    }
+
+    if (schema.anyOf !== undefined) {
+      const results = schema.anyOf.map(subschema => this._validate(value, subschema, pointer));
+      if (!results.some(result => result.length === 0)) {
+        errors.push(...this._closestFailure(results, pointer, 'anyOf'));
+      }
+    }
+
+    if (schema.oneOf !== undefined) {
+      const results = schema.oneOf.map(subschema => this._validate(value, subschema, pointer));
+      const matches = results.filter(result => result.length === 0).length;
+      if (matches === 0) {
+        errors.push(...this._closestFailure(results, pointer, 'oneOf'));
+      } else if (matches > 1) {
+        errors.push(this._error(pointer, 'oneOf', `Value matches ${matches} schemas, expected exactly one`));
+      }
+    }
 
-      default:
-        this.errors.push(`${path}: Unknown schema type: ${schema.type}`);
+    if (schema.not !== undefined && this._validate(value, schema.not, pointer).length === 0) {
+      errors.push(this._error(pointer, 'not', 'Value matches a schema it must not match'));
     }
+
+    if (schema.if !== undefined) {
+      const branch = this._validate(value, schema.if, pointer).length === 0 ? schema.then : schema.else;
+      if (branch !== undefined) {
+        errors.push(...this._validate(value, branch, pointer));
+      }
+    }
+
+    return errors;
   }
 
-  _isValidDateTime(dateString) {
-    try {
-      const date = new Date(dateString);
-      return date.toISOString() === dateString;
-    } catch {
-      return false;
+  /**
+   * Report a failed anyOf/oneOf: when exactly one alternative matched the value's
+   * shape and only failed below it, its errors say more than a generic message
+   * @private
+   */
+  _closestFailure(results, pointer, keyword) {
+    const nested = results.filter(result => result.every(error => error.pointer.startsWith(`${pointer}/`)));
+    if (nested.length === 1) {
+      return nested[0];
     }
+    return [this._error(pointer, keyword, 'Value does not match any of the allowed schemas')];
   }
 
-  getErrors() {
-    return this.errors;
+  /**
+   * Resolve a local reference ("#" or "#/json/pointer") against the root schema
+   * @private
+   */
+  _resolveRef(ref) {
+    if (!ref.startsWith('#')) {
+      throw new Error(`Unsupported $ref: ${ref} (only local references are resolved)`);
+    }
+
+    let target = this.root;
+    const tokens = ref.slice(1).split('/').slice(1);
+    for (const token of tokens) {
+      const key = decodeURIComponent(token).replace(/~1/g, '/').replace(/~0/g, '~');
+      if (target === null || typeof target !== 'object' || !(key in target)) {
+        throw new Error(`Unresolvable $ref: ${ref}`);
+      }
+      target = target[key];
+    }
+
+    return target;
+  }
+
+  _error(pointer, keyword, message) {
+    return { pointer, keyword, message };
   }
 }
 
+// Provider data that may introduce a provider: its name only needs to be well formed
+const unregisteredProviderSchema = {
+  ...providerSchema,
+  properties: {
+    ...providerSchema.properties,
+    provider: {
+      ...providerSchema.properties.provider,
+      properties: {
+        ...providerSchema.properties.provider.properties,
+        name: { type: 'string', pattern: PROVIDER_NAME_PATTERN.source }
+      }
+    }
+  }
+};
+
 /**
  * Validates provider data against the schema
  * @param {Object} providerData - The provider data to validate
+ * @param {Object} options - Validation options
+ * @param {boolean} options.allowUnregistered - Accept a provider name that has no data file yet
  * @returns {Object} - Validation result with isValid boolean and errors array
  */
-function validateProviderData(providerData) {
+function validateProviderData(providerData, { allowUnregistered = false } = {}) {
   const validator = new SchemaValidator();
-  const isValid = validator.validate(providerData, providerSchema);
+  validator.validate(providerData, allowUnregistered ? unregisteredProviderSchema : providerSchema);
+  const errors = validator.getErrors();
+  const warnings = [];
+
+  if (errors.length === 0) {
+    const evidence = validateEvidence(providerData.dimensions);
+    errors.push(...validateUncertainty(providerData.dimensions).errors);
+    errors.push(...evidence.errors);
+    errors.push(...validateCompliance(providerData.compliance).errors);
+    errors.push(...validateRegions(providerData.regions).errors);
+    warnings.push(...evidence.warnings);
+  }
   
   return {
-    isValid,
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * Validates that a provider's certifications reference known compliance frameworks
+ * @param {Object} compliance - The optional compliance section of provider data
+ * @returns {Object} - Validation result
+ */
+function validateCompliance(compliance) {
+  const unknown = Object.keys(compliance?.frameworks || {}).filter(id => !complianceFrameworks[id]);
+
+  return {
+    isValid: unknown.length === 0,
+    errors: unknown.map(id => `${joinPointer('', 'compliance', 'frameworks', id)}: Unknown compliance framework`)
+  };
+}
+
+/**
+ * Validates a provider's region catalog: unique ids and ISO country codes
+ * @param {Array} regions - The optional regions section of provider data
+ * @returns {Object} - Validation result
+ */
+function validateRegions(regions) {
+  const errors = [];
+  const seen = new Set();
+
+  (regions || []).forEach((region, index) => {
+    if (seen.has(region.id)) {
+      errors.push(`/regions/${index}/id: Duplicate region id ${region.id}`);
+    }
+    seen.add(region.id);
+
+    if (!/^[A-Z]{2}$/.test(region.country)) {
+      errors.push(`/regions/${index}/country: Expected an ISO 3166-1 alpha-2 code, got "${region.country}"`);
+    }
+  });
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates a provider pricing table against the pricing schema
+ * @param {Object} pricingData - The pricing table to validate
+ * @returns {Object} - Validation result with isValid boolean and errors array
+ */
+function validatePricingData(pricingData) {
+  const validator = new SchemaValidator();
+  validator.validate(pricingData, pricingSchema);
+
+  return {
+    isValid: validator.getErrors().length === 0,
     errors: validator.getErrors()
   };
 }
 
+/**
+ * Validates the service equivalence catalog: schema, unique capability ids,
+ * valid provider names and missing features drawn from the capability's features
+ * @param {Object} catalog - The service catalog to validate
+ * @returns {Object} - Validation result with isValid boolean and errors array
+ */
+function validateServiceCatalog(catalog) {
+  const validator = new SchemaValidator();
+  validator.validate(catalog, serviceCatalogSchema);
+  const errors = validator.getErrors();
+
+  if (errors.length === 0) {
+    const seen = new Set();
+
+    catalog.services.forEach((capability, index) => {
+      const path = `/services/${index}`;
+      if (seen.has(capability.id)) {
+        errors.push(`${path}/id: Duplicate capability id ${capability.id}`);
+      }
+      seen.add(capability.id);
+
+      for (const [providerName, implementation] of Object.entries(capability.providers)) {
+        if (!providerRegistry.isValidName(providerName)) {
+          errors.push(`${joinPointer(path, 'providers', providerName)}: Invalid provider name`);
+          continue;
+        }
+        for (const feature of implementation.missingFeatures || []) {
+          if (!capability.features.includes(feature)) {
+            errors.push(`${joinPointer(path, 'providers', providerName, 'missingFeatures')}: "${feature}" is not a feature of ${capability.id}`);
+          }
+        }
+      }
+    });
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates the migration portability table against the service catalog it rates
+ * @param {Object} table - The portability table to validate
+ * @param {Object} catalog - The validated service catalog
+ * @returns {Object} - Validation result with isValid boolean and errors array
+ */
+function validatePortabilityTable(table, catalog) {
+  const validator = new SchemaValidator();
+  validator.validate(table, portabilityTableSchema);
+  const errors = [...validator.getErrors()];
+
+  if (errors.length === 0) {
+    for (const [id, entry] of Object.entries(table.capabilities)) {
+      const path = joinPointer('', 'capabilities', id);
+      const capability = catalog.services.find(service => service.id === id);
+      if (!capability) {
+        errors.push(`${path}: Unknown capability`);
+        continue;
+      }
+
+      validator.validate(entry, portabilityEntrySchema, path);
+      errors.push(...validator.getErrors());
+
+      for (const feature of entry.criticalFeatures || []) {
+        if (!capability.features.includes(feature)) {
+          errors.push(`${path}/criticalFeatures: "${feature}" is not a feature of ${id}`);
+        }
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Validates optional sub-score uncertainty entries against their point estimates
+ * @param {Object} dimensions - The dimensions object to validate
+ * @returns {Object} - Validation result
+ */
+function validateUncertainty(dimensions) {
+  const errors = [];
+
+  for (const [dimensionName, dimensionData] of Object.entries(dimensions || {})) {
+    const uncertainty = dimensionData?.uncertainty;
+    if (!uncertainty) continue;
+
+    for (const [field, entry] of Object.entries(uncertainty)) {
+      const path = joinPointer('', 'dimensions', dimensionName, 'uncertainty', field);
+      const value = dimensionData[field];
+
+      if (typeof value !== 'number') {
+        errors.push(`${path}: No numeric sub-score named ${field}`);
+        continue;
+      }
+
+      const hasStdDev = entry.stdDev !== undefined;
+      const hasRange = entry.range !== undefined;
+      if (hasStdDev === hasRange) {
+        errors.push(`${path}: Specify exactly one of stdDev or range`);
+      } else if (hasRange && (entry.range[0] > value || entry.range[1] < value)) {
+        errors.push(`${path}: Range [${entry.range.join(', ')}] does not contain the score ${value}`);
+      }
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Checks that evidence cites existing sub-scores and warns about scores without any
+ * citation; the entries themselves are checked by the schema
+ * @param {Object} dimensions - The dimensions object with scores and evidence
+ * @returns {Object} - Validation result with errors and uncited-score warnings
+ */
+function validateEvidence(dimensions) {
+  const errors = [];
+  const warnings = [];
+
+  for (const [dimensionName, dimensionData] of Object.entries(dimensions || {})) {
+    const evidence = dimensionData?.evidence || {};
+
+    for (const field of Object.keys(evidence)) {
+      if (typeof dimensionData[field] !== 'number') {
+        errors.push(`${joinPointer('', 'dimensions', dimensionName, 'evidence', field)}: No numeric sub-score named ${field}`);
+      }
+    }
+
+    const uncited = Object.keys(dimensionData || {})
+      .filter(field => typeof dimensionData[field] === 'number' && !(evidence[field]?.length > 0));
+    if (uncited.length > 0) {
+      warnings.push(`${joinPointer('', 'dimensions', dimensionName)}: No cited evidence for ${uncited.join(', ')}`);
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors,
+    warnings
+  };
+}
+
+/**
+ * @param {string} value - Candidate date
+ * @returns {boolean} - Whether the value is a real YYYY-MM-DD calendar date
+ */
+function isCalendarDate(value) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00.000Z`);
+  return !isNaN(date) && date.toISOString().startsWith(value);
+}
+
 /**
  * Validates that all required dimensions are present
  * @param {Object} dimensions - The dimensions object to validate
  * @returns {Object} - Validation result
  */
 function validateDimensions(dimensions) {
-  const requiredDimensions = [
-    'cost', 'easeOfUse', 'scalability', 'ecosystem', 
-    'devops', 'aiml', 'enterprise', 'vendorLockIn'
-  ];
-  
-  const missing = requiredDimensions.filter(dim => !(dim in dimensions));
+  const missing = DIMENSIONS.filter(dim => !(dim in dimensions));
   
   return {
     isValid: missing.length === 0,
@@ -159,8 +657,8 @@ function validateDimensions(dimensions) {
  * @returns {Object} - Validation result
  */
 function validateProviderName(providerName) {
-  const validProviders = ['aws', 'azure', 'gcp'];
-  const isValid = validProviders.includes(providerName);
+  const validProviders = providerRegistry.getNames();
+  const isValid = providerRegistry.has(providerName);
   
   return {
     isValid,
@@ -178,7 +676,10 @@ function validateScoreRanges(dimensions) {
   
   function checkScores(obj, path = '') {
     for (const [key, value] of Object.entries(obj)) {
-      const currentPath = path ? `${path}.${key}` : key;
+      const currentPath = joinPointer(path, key);
+
+      // Uncertainty holds spreads and ranges, evidence holds citations; neither are scores
+      if (key === 'uncertainty' || key === 'evidence') continue;
       
       if (typeof value === 'number') {
         if (value < 1 || value > 10) {
@@ -198,10 +699,118 @@ function validateScoreRanges(dimensions) {
   };
 }
 
+/**
+ * Validates a declarative rule set definition (as loaded from a rules file)
+ * @param {Object} definition - Parsed rule set file
+ * @returns {Object} - Validation result with isValid boolean and errors array
+ */
+function validateRuleSet(definition) {
+  const validator = new SchemaValidator();
+  validator.validate(definition, ruleSetSchema);
+  const errors = [...validator.getErrors()];
+
+  if (errors.length > 0) {
+    return { isValid: false, errors };
+  }
+
+  if (!/^[a-z][a-z0-9-]*$/.test(definition.name)) {
+    errors.push(`/name: Invalid rule set name "${definition.name}" (use lowercase letters, digits and hyphens)`);
+  }
+  if (!/^\d+\.\d+\.\d+$/.test(definition.version)) {
+    errors.push(`/version: Invalid version "${definition.version}" (expected MAJOR.MINOR.PATCH)`);
+  }
+
+  const validPriorities = Object.keys(constraintRules.priorities);
+
+  for (const [group, rules] of Object.entries(definition.rules)) {
+    const validKeys = group === 'priorities' ? validPriorities : ruleGroups[group];
+    if (!validKeys) {
+      errors.push(`${joinPointer('', 'rules', group)}: Unknown rule group. Must be one of: ${[...Object.keys(ruleGroups), 'priorities'].join(', ')}`);
+      continue;
+    }
+
+    for (const [key, rule] of Object.entries(rules)) {
+      const path = joinPointer('', 'rules', group, key);
+      if (!validKeys.includes(key)) {
+        errors.push(`${path}: Unknown ${group === 'priorities' ? 'priority' : `${group} value`}. Must be one of: ${validKeys.join(', ')}`);
+        continue;
+      }
+
+      // Budget, experience and workload rules were already checked by the schema
+      if (group === 'priorities') {
+        validator.validate(rule, ruleSchema, path);
+        errors.push(...validator.getErrors());
+      }
+      errors.push(...validateRule(rule, path));
+    }
+  }
+
+  return {
+    isValid: errors.length === 0,
+    errors
+  };
+}
+
+/**
+ * Checks the parts of a single rule the schema cannot express: dimension and
+ * sub-criterion names used as keys, and filter paths and bounds
+ * @param {Object} rule - Rule with weightings, subCriteria, filters and emphasis
+ * @param {string} path - JSON pointer of the rule for error messages
+ * @returns {Array} - Validation errors
+ */
+function validateRule(rule, path) {
+  const errors = [];
+  if (!rule || typeof rule !== 'object') return errors;
+
+  const dimensionSchemas = providerSchema.properties.dimensions.properties;
+  const isScoreField = (dimension, field) => dimensionSchemas[dimension]?.properties[field]?.type === 'number';
+
+  for (const dimension of Object.keys(rule.weightings || {})) {
+    if (!dimensionSchemas[dimension]) {
+      errors.push(`${joinPointer(path, 'weightings', dimension)}: Unknown dimension`);
+    }
+  }
+
+  for (const [dimension, fields] of Object.entries(rule.subCriteria || {})) {
+    for (const field of Object.keys(fields || {})) {
+      if (!isScoreField(dimension, field)) {
+        errors.push(`${joinPointer(path, 'subCriteria', dimension, field)}: Unknown sub-criterion`);
+      }
+    }
+  }
+
+  for (const [filterPath, criteria] of Object.entries(rule.filters || {})) {
+    const [dimension, field, ...rest] = filterPath.split('.');
+    if (rest.length > 0 || !isScoreField(dimension, field)) {
+      errors.push(`${joinPointer(path, 'filters', filterPath)}: Filter path must name a sub-score (dimension.subScore)`);
+      continue;
+    }
+
+    const { min, max } = criteria || {};
+    const isScore = value => typeof value === 'number' && value >= 1 && value <= 10;
+    if ((min === undefined && max === undefined) || (min !== undefined && !isScore(min)) || (max !== undefined && !isScore(max))) {
+      errors.push(`${joinPointer(path, 'filters', filterPath)}: Filter needs a min and/or max score between 1 and 10`);
+    } else if (min !== undefined && max !== undefined && min > max) {
+      errors.push(`${joinPointer(path, 'filters', filterPath)}: Filter min ${min} is above max ${max}`);
+    }
+  }
+
+  return errors;
+}
+
 module.exports = {
   SchemaValidator,
+  joinPointer,
   validateProviderData,
   validateDimensions,
   validateProviderName,
-  validateScoreRanges
+  validateScoreRanges,
+  validateUncertainty,
+  validateEvidence,
+  validateCompliance,
+  validateRegions,
+  validateRuleSet,
+  validatePricingData,
+  validateServiceCatalog,
+  validatePortabilityTable
 };
\ No newline at end of file
@@ -5,7 +5,11 @@ const {
   validateProviderData,
   validateDimensions,
   validateProviderName,
-  validateScoreRanges
+  validateScoreRanges,
+  validateUncertainty,
+  validateEvidence,
+  validateCompliance,
+  validateRegions
 } = require('./validation');
 
 describe('Validation Utilities', () => {
@@ -81,6 +85,102 @@ describe('Validation Utilities', () => {
     });
   });
 
+  describe('validateCompliance', () => {
+    test('should accept certifications for catalog frameworks', () => {
+      expect(validateCompliance({ frameworks: { hipaa: { coverage: 'full' } } }).isValid).toBe(true);
+      expect(validateCompliance(undefined).isValid).toBe(true);
+    });
+
+    test('should reject unknown framework ids', () => {
+      const result = validateCompliance({ frameworks: { sox: { coverage: 'full' } } });
+
+      expect(result.isValid).toBe(false);
+      expect(result.errors).toEqual(['/compliance/frameworks/sox: Unknown compliance framework']);
+    });
+  });
+
+  describe('validateRegions', () => {
+    test('should reject duplicate ids and non-ISO country codes', () => {
+      const result = validateRegions([
+        { id: 'eu-1', name: 'Frankfurt', country: 'DE', availabilityZones: 3 },
+        { id: 'eu-1', name: 'Paris', country: 'France', availabilityZones: 3 }
+      ]);
+
+      expect(result.errors).toEqual([
+        '/regions/1/id: Duplicate region id eu-1',
+        '/regions/1/country: Expected an ISO 3166-1 alpha-2 code, got "France"'
+      ]);
+      expect(validateRegions(undefined).isValid).toBe(true);
+    });
+  });
+
+  describe('validateUncertainty', () => {
+    test('should accept standard deviations and ranges around the score', () => {
+      const dimensions = {
+        cost: {
+          costPredictability: 6,
+          budgetFriendliness: 7,
+          uncertainty: {
+            costPredictability: { stdDev: 1.5 },
+            budgetFriendliness: { range: [5, 8] }
+          }
+        }
+      };
+
+      expect(validateUncertainty(dimensions).isValid).toBe(true);
+      expect(validateScoreRanges(dimensions).isValid).toBe(true);
+    });
+
+    test('should reject ranges that exclude the score and unknown sub-scores', () => {
+      const dimensions = {
+        cost: {
+          costPredictability: 6,
+          uncertainty: {
+            costPredictability: { range: [7, 9] },
+            hiddenFees: { stdDev: 1 }
+          }
+        }
+      };
+
+      const result = validateUncertainty(dimensions);
+      expect(result.isValid).toBe(false);
+      expect(result.errors.length).toBe(2);
+    });
+  });
+
+  describe('validateEvidence', () => {
+    const citation = {
+      title: 'Global infrastructure overview',
+      url: 'https://example.com/regions',
+      retrieved: '2024-05-01'
+    };
+
+    test('should accept citations and warn about uncited scores', () => {
+      const dimensions = {
+        scalability: {
+          globalPresence: 10,
+          autoScaling: 9,
+          performanceConsistency: 8,
+          evidence: { globalPresence: [citation], autoScaling: [] }
+        }
+      };
+
+      const result = validateEvidence(dimensions);
+      expect(result.isValid).toBe(true);
+      expect(result.warnings).toEqual(['/dimensions/scalability: No cited evidence for autoScaling, performanceConsistency']);
+      expect(validateScoreRanges(dimensions).isValid).toBe(true);
+    });
+
+    test('should reject evidence for unknown sub-scores', () => {
+      const dimensions = {
+        scalability: { globalPresence: 10, evidence: { edgeLocations: [citation] } }
+      };
+
+      expect(validateEvidence(dimensions).errors)
+        .toEqual(['/dimensions/scalability/evidence/edgeLocations: No numeric sub-score named edgeLocations']);
+    });
+  });
+
   describe('SchemaValidator', () => {
     test('should validate simple object schema', () => {
       const validator = new SchemaValidator();
@@ -113,74 +213,151 @@ describe('Validation Utilities', () => {
       expect(validator.validate([], schema)).toBe(false); // Below minItems
       expect(validator.validate(['item1', 123], schema)).toBe(false); // Invalid item type
     });
-  });
 
-  describe('validateProviderData', () => {
-    test('should validate minimal valid provider data', () => {
-      const validProvider = {
-        provider: {
-          name: 'aws',
-          displayName: 'Amazon Web Services',
-          lastUpdated: '2024-01-01T00:00:00.000Z'
+    test('should report errors with JSON pointer paths', () => {
+      const validator = new SchemaValidator();
+      const schema = {
+        type: 'object',
+        required: ['name', 'tags'],
+        properties: {
+          name: { type: 'string', pattern: '^[a-z]+$' },
+          tags: { type: 'array', items: { type: 'string' }, uniqueItems: true },
+          'a/b': { type: 'integer' }
         },
-        dimensions: {
-          cost: {
-            pricingModel: 'pay-as-you-go',
-            freeTrierOffering: {},
-            costPredictability: 7,
-            budgetFriendliness: 6
-          },
-          easeOfUse: {
-            learningCurve: 4,
-            documentation: 8,
-            setupComplexity: 5,
-            uiIntuitiveness: 6
-          },
-          scalability: {
-            globalPresence: 10,
-            autoScaling: 9,
-            performanceConsistency: 8,
-            infrastructureMaturity: 10
-          },
-          ecosystem: {
-            serviceCount: 10,
-            integrationOptions: 9,
-            thirdPartySupport: 8,
-            communitySize: 9
-          },
-          devops: {
-            cicdSupport: 8,
-            automationTools: 9,
-            containerSupport: 8,
-            infrastructureAsCode: 9
-          },
-          aiml: {
-            mlServices: 9,
-            dataProcessing: 9,
-            pretrainedModels: 8,
-            customModelSupport: 8
-          },
-          enterprise: {
-            compliance: 9,
-            support: 8,
-            sla: 9,
-            securityFeatures: 9
-          },
-          vendorLockIn: {
-            portability: 4,
-            standardsCompliance: 6,
-            exitStrategy: 5
+        additionalProperties: false
+      };
+
+      expect(validator.validate({ name: 'Web App', tags: ['x', 'x'], 'a/b': 1.5, color: 'red' }, schema)).toBe(false);
+      expect(validator.getErrors()).toEqual([
+        '/name: Value "Web App" does not match pattern ^[a-z]+$',
+        '/tags/1: Duplicate of item 0',
+        '/a~1b: Expected integer, got number',
+        '/color: Unknown property. Allowed: name, tags, a/b'
+      ]);
+      expect(validator.getErrorDetails()[3]).toEqual({
+        pointer: '/color',
+        keyword: 'additionalProperties',
+        message: 'Unknown property. Allowed: name, tags, a/b'
+      });
+    });
+
+    test('should resolve local references and combinators', () => {
+      const validator = new SchemaValidator();
+      const schema = {
+        $defs: {
+          requirement: {
+            anyOf: [
+              { type: 'string' },
+              { type: 'object', required: ['id'], properties: { id: { type: 'string' }, strict: { type: 'boolean' } } }
+            ]
           }
         },
-        strengths: ['Comprehensive service portfolio', 'Global infrastructure'],
-        weaknesses: ['Complex pricing', 'Steep learning curve'],
-        idealUseCases: ['Enterprise applications', 'Scalable web services'],
-        tradeOffs: {
-          gains: ['Market leadership', 'Service breadth'],
-          losses: ['Complexity', 'Cost predictability']
+        type: 'object',
+        properties: {
+          requirements: { type: 'array', items: { $ref: '#/$defs/requirement' } },
+          limit: { oneOf: [{ type: 'integer' }, { type: 'number', minimum: 5 }] },
+          mode: { not: { const: 'legacy' } },
+          flag: { type: ['boolean', 'null'] }
         }
       };
-      
+
+      expect(validator.validate({ requirements: ['soc2', { id: 'hipaa', strict: true }], limit: 2, flag: null }, schema)).toBe(true);
+      expect(validator.validate({ requirements: [5, { id: 'gdpr', strict: 'yes' }], limit: 7, mode: 'legacy' }, schema)).toBe(false);
+      expect(validator.getErrors()).toEqual([
+        '/requirements/0: Value does not match any of the allowed schemas',
+        '/requirements/1/strict: Expected boolean, got string',
+        '/limit: Value matches 2 schemas, expected exactly one',
+        '/mode: Value matches a schema it must not match'
+      ]);
+    });
+
+    test('should check date, date-time and uri formats', () => {
+      const validator = new SchemaValidator();
+      const schema = {
+        type: 'object',
+        properties: {
+          day: { type: 'string', format: 'date' },
+          at: { type: 'string', format: 'date-time' },
+          url: { type: 'string', format: 'uri' }
+        }
+      };
+
+      expect(validator.validate({ day: '2024-02-29', at: '2024-01-01T00:00:00Z', url: 'https://example.com/a' }, schema)).toBe(true);
+      expect(validator.validate({ day: '2023-02-29', at: '2024-01-01', url: 'example.com' }, schema)).toBe(false);
+      expect(validator.getErrors()).toEqual([
+        '/day: Invalid date format',
+        '/at: Invalid date-time format',
+        '/url: Invalid uri format'
+      ]);
+    });
+  });
+
+  describe('validateProviderData', () => {
+    const validProvider = {
+      provider: {
+        name: 'aws',
+        displayName: 'Amazon Web Services',
+        lastUpdated: '2024-01-01T00:00:00.000Z'
+      },
+      dimensions: {
+        cost: {
+          pricingModel: 'pay-as-you-go',
+          freeTrierOffering: {},
+          costPredictability: 7,
+          budgetFriendliness: 6
+        },
+        easeOfUse: {
+          learningCurve: 4,
+          documentation: 8,
+          setupComplexity: 5,
+          uiIntuitiveness: 6
+        },
+        scalability: {
+          globalPresence: 10,
+          autoScaling: 9,
+          performanceConsistency: 8,
+          infrastructureMaturity: 10
+        },
+        ecosystem: {
+          serviceCount: 10,
+          integrationOptions: 9,
+          thirdPartySupport: 8,
+          communitySize: 9
+        },
+        devops: {
+          cicdSupport: 8,
+          automationTools: 9,
+          containerSupport: 8,
+          infrastructureAsCode: 9
+        },
+        aiml: {
+          mlServices: 9,
+          dataProcessing: 9,
+          pretrainedModels: 8,
+          customModelSupport: 8
+        },
+        enterprise: {
+          compliance: 9,
+          support: 8,
+          sla: 9,
+          securityFeatures: 9
+        },
+        vendorLockIn: {
+          portability: 4,
+          standardsCompliance: 6,
+          exitStrategy: 5
+        }
+      },
+      strengths: ['Comprehensive service portfolio', 'Global infrastructure'],
+      weaknesses: ['Complex pricing', 'Steep learning curve'],
+      idealUseCases: ['Enterprise applications', 'Scalable web services'],
+      tradeOffs: {
+        gains: ['Market leadership', 'Service breadth'],
+        losses: ['Complexity', 'Cost predictability']
+      }
+    };
+
+    test('should validate minimal valid provider data', () => {
       const result = validateProviderData(validProvider);
       expect(result.isValid).toBe(true);
       expect(result.errors.length).toBe(0);
@@ -213,5 +390,21 @@ describe('Validation Utilities', () => {
       expect(result.isValid).toBe(false);
       expect(result.errors.length).toBeGreaterThan(0);
     });
+
+    test('should reject unknown fields and malformed review dates and citations', () => {
+      const provider = JSON.parse(JSON.stringify(validProvider));
+      provider.dimensions.cost.costPredictabilty = 7;
+      provider.dimensions.cost.lastReviewed = 'May 2024';
+      provider.dimensions.scalability.evidence = {
+        globalPresence: [{ title: 'Regions', url: 'ftp://example.com', retrieved: '2024-02-30' }]
+      };
+
+      expect(validateProviderData(provider).errors).toEqual([
+        '/dimensions/cost/costPredictabilty: Unknown property. Allowed: pricingModel, freeTrierOffering, costPredictability, budgetFriendliness, uncertainty, lastReviewed, evidence',
+        '/dimensions/cost/lastReviewed: Invalid date format',
+        '/dimensions/scalability/evidence/globalPresence/0/url: Value "ftp://example.com" does not match pattern ^https?://',
+        '/dimensions/scalability/evidence/globalPresence/0/retrieved: Invalid date format'
+      ]);
+    });
   });
 });
\ No newline at end of file